@@ -0,0 +1,740 @@
+// Admin page: staff sign in, then list, filter, update and export orders
+// Talks to the admin-login, admin-orders, admin-export, admin-catalog, admin-notifications and
+// admin-analytics Netlify functions.
+// Stock figures come from the same catalog snapshot the storefront's loadProducts() is served
+// from, and the product sheet check lists the problems found in that sheet.
+const ADMIN_API_URL = '/.netlify/functions';
+const ADMIN_TOKEN_KEY = 'prsport-admin-token'; // sessionStorage, so closing the tab signs out
+const SHOP_TIMEZONE = 'Asia/Phnom_Penh';
+const LOW_STOCK = 2; // highlight sizes with this many or fewer left
+
+const STATUS_LABELS = {
+    received: 'Received',
+    confirmed: 'Confirmed',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled'
+};
+
+// Payment statuses (see netlify/lib/payments.js)
+const PAYMENT_STATUS_LABELS = {
+    unpaid: 'Not paid',
+    pending: 'Waiting for KHQR',
+    paid: 'Paid',
+    refunded: 'Refunded'
+};
+
+// Storefront funnel steps (see netlify/lib/analytics.js), and the order failures shown after them
+const FUNNEL_LABELS = {
+    product_impression: 'Seen',
+    size_select: 'Size picked',
+    add_to_cart: 'Added to cart',
+    order_modal_open: 'Checkout opened',
+    order_submitted: 'Ordered',
+    order_failed: 'Order failed'
+};
+
+let adminOrders = [];
+let stockRequests = []; // back-in-stock requests waiting for a message
+
+// Show the sign-in form or the orders, depending on whether we have a session
+document.addEventListener('DOMContentLoaded', function() {
+    setupAdminListeners();
+    fillStatusOptions(document.getElementById('statusFilter'));
+
+    // Delivery method names come from delivery.json - relabel orders shown before it arrived
+    loadDeliveryMethods().then(() => {
+        if (adminOrders.length > 0) renderOrders();
+    });
+
+    if (getSessionToken()) {
+        showOrdersPanel();
+        loadOrders();
+        loadCatalogReport();
+        loadStockRequests();
+        loadFunnelReport();
+    } else {
+        showLogin();
+    }
+});
+
+// Saved session token, or null when missing or expired
+function getSessionToken() {
+    try {
+        const session = JSON.parse(sessionStorage.getItem(ADMIN_TOKEN_KEY));
+        if (session && Date.parse(session.expiresAt) > Date.now()) {
+            return session.token;
+        }
+    } catch (error) {
+        console.error('Error reading admin session:', error);
+    }
+    return null;
+}
+
+// Show the sign-in form, optionally with a reason (e.g. the session expired)
+function showLogin(message) {
+    document.getElementById('adminLogin').hidden = false;
+    document.getElementById('adminOrders').hidden = true;
+    document.getElementById('signOut').hidden = true;
+
+    const loginError = document.getElementById('loginError');
+    loginError.textContent = message || '';
+    loginError.hidden = !message;
+    document.getElementById('adminPassword').focus();
+}
+
+// Show the orders panel
+function showOrdersPanel() {
+    document.getElementById('adminLogin').hidden = true;
+    document.getElementById('adminOrders').hidden = false;
+    document.getElementById('signOut').hidden = false;
+}
+
+// Forget the session and go back to the sign-in form
+function signOut(message) {
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    adminOrders = [];
+    stockRequests = [];
+    showLogin(message);
+}
+
+// Exchange the password for a session token
+async function signIn(password) {
+    const loginError = document.getElementById('loginError');
+    const submitBtn = document.querySelector('#loginForm .btn-primary');
+    loginError.hidden = true;
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetch(`${ADMIN_API_URL}/admin-login`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ password: password })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+
+        sessionStorage.setItem(ADMIN_TOKEN_KEY, JSON.stringify({ token: result.token, expiresAt: result.expiresAt }));
+        document.getElementById('loginForm').reset();
+        showOrdersPanel();
+        loadOrders();
+        loadCatalogReport();
+        loadStockRequests();
+        loadFunnelReport();
+    } catch (error) {
+        console.error('Sign-in error:', error);
+        loginError.textContent = `❌ ${error.message}`;
+        loginError.hidden = false;
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// Call an admin function with the session token. A 401 sends staff back to sign in.
+async function adminFetch(path, options = {}) {
+    const response = await fetch(`${ADMIN_API_URL}/${path}`, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${getSessionToken()}`
+        }
+    });
+
+    if (response.status === 401) {
+        signOut('Your session has ended. Please sign in again.');
+        throw new Error('Not signed in');
+    }
+    return response;
+}
+
+// Filters from the toolbar as a query string
+function getFilterQuery() {
+    const params = new URLSearchParams();
+    const status = document.getElementById('statusFilter').value;
+    const from = document.getElementById('fromDate').value;
+    const to = document.getElementById('toDate').value;
+
+    if (status) params.set('status', status);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+// Show or clear the error above the order list
+function showAdminError(message) {
+    const adminError = document.getElementById('adminError');
+    adminError.textContent = message || '';
+    adminError.hidden = !message;
+}
+
+// Load the orders matching the filters
+async function loadOrders() {
+    const summary = document.getElementById('ordersSummary');
+    summary.textContent = 'Loading orders...';
+    showAdminError('');
+
+    try {
+        const response = await adminFetch(`admin-orders${getFilterQuery()}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || result.details || `HTTP ${response.status}`);
+        }
+
+        adminOrders = result.orders;
+        summary.textContent = result.orders.length === 1 ? '1 order' : `${result.orders.length} orders`;
+        if (!result.catalogAvailable) {
+            showAdminError('⚠️ The product sheet could not be read - stock is not shown.');
+        }
+        renderOrders();
+    } catch (error) {
+        if (error.message === 'Not signed in') return;
+        console.error('Error loading orders:', error);
+        summary.textContent = '';
+        showAdminError(`❌ Could not load orders: ${error.message}`);
+    }
+}
+
+// Check the product sheet and list its problems
+// The report opens by itself when rows are missing from the storefront.
+async function loadCatalogReport() {
+    const summary = document.getElementById('catalogSummary');
+    const checkBtn = document.getElementById('checkCatalog');
+    summary.textContent = 'Product sheet: checking...';
+    checkBtn.disabled = true;
+
+    try {
+        const response = await adminFetch('admin-catalog');
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || result.details || `HTTP ${response.status}`);
+        }
+
+        const errors = result.problems.filter(problem => problem.severity === 'error').length;
+        const warnings = result.problems.length - errors;
+        const counts = [
+            errors > 0 ? `${errors} ${errors === 1 ? 'row' : 'rows'} left out` : '',
+            warnings > 0 ? `${warnings} ${warnings === 1 ? 'warning' : 'warnings'}` : ''
+        ].filter(Boolean);
+
+        summary.textContent = counts.length > 0
+            ? `Product sheet: ${result.productCount} products, ${counts.join(', ')}`
+            : `Product sheet: ${result.productCount} products, no problems found ✅`;
+        document.getElementById('catalogReport').open = errors > 0;
+        renderCatalogProblems(result.problems, result.checkedAt);
+    } catch (error) {
+        if (error.message === 'Not signed in') return;
+        console.error('Error checking the product sheet:', error);
+        summary.textContent = `Product sheet: ❌ could not be checked (${error.message})`;
+        setHTML(document.getElementById('catalogProblems'), '');
+    } finally {
+        checkBtn.disabled = false;
+    }
+}
+
+// Problems in the product sheet, in sheet order
+function renderCatalogProblems(problems, checkedAt) {
+    const list = document.getElementById('catalogProblems');
+
+    if (problems.length === 0) {
+        setHTML(list, html`<p class="admin-catalog-checked">Every row is fine. Checked ${formatAdminDate(checkedAt)}.</p>`);
+        return;
+    }
+
+    setHTML(list, html`
+        <p class="admin-catalog-checked">Checked ${formatAdminDate(checkedAt)}. Fix these in the sheet, then check again - Google can take a few minutes to publish changes.</p>
+        <table class="admin-items admin-catalog-problems">
+            <thead>
+                <tr><th>Row</th><th>Column</th><th>Product</th><th>Problem</th></tr>
+            </thead>
+            <tbody>
+                ${problems.map(problem => html`
+                    <tr class="admin-problem-${problem.severity}">
+                        <td>${problem.row}</td>
+                        <td>${problem.column}</td>
+                        <td>${problem.productId}</td>
+                        <td>${problem.severity === 'error' ? '❌' : '⚠️'} ${problem.message}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `);
+}
+
+// Load the back-in-stock requests still waiting for a message
+// The list opens by itself when a size someone asked for is back in stock.
+async function loadStockRequests() {
+    const summary = document.getElementById('notifySummary');
+    summary.textContent = 'Back-in-stock requests: loading...';
+
+    try {
+        const response = await adminFetch('admin-notifications?status=pending');
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || result.details || `HTTP ${response.status}`);
+        }
+
+        stockRequests = result.requests;
+        const ready = stockRequests.filter(request => request.backInStock).length;
+        summary.textContent = stockRequests.length === 0
+            ? 'Back-in-stock requests: nobody waiting'
+            : `Back-in-stock requests: ${stockRequests.length} waiting${ready > 0 ? `, ${ready} back in stock ✅` : ''}`;
+        document.getElementById('notifyReport').open = ready > 0;
+        renderStockRequests(result.catalogAvailable);
+    } catch (error) {
+        if (error.message === 'Not signed in') return;
+        console.error('Error loading back-in-stock requests:', error);
+        summary.textContent = `Back-in-stock requests: ❌ could not be loaded (${error.message})`;
+        setHTML(document.getElementById('notifyRequests'), '');
+    }
+}
+
+// Current stock of the size a customer asked for
+function renderRequestStock(request) {
+    if (request.backInStock) {
+        return html`<span class="admin-stock">${request.stock === null ? 'In stock' : `${request.stock} left`}</span>`;
+    }
+    return renderStock(request);
+}
+
+// Requests waiting for a message, the ones back in stock first
+function renderStockRequests(catalogAvailable) {
+    const list = document.getElementById('notifyRequests');
+
+    if (stockRequests.length === 0) {
+        setHTML(list, html`<p class="admin-catalog-checked">Nobody is waiting for a sold-out size.</p>`);
+        return;
+    }
+
+    const requests = [...stockRequests].sort((a, b) => Number(b.backInStock) - Number(a.backInStock));
+
+    setHTML(list, html`
+        <p class="admin-catalog-checked">${catalogAvailable
+            ? 'Message each customer on Telegram once their size is back, then mark the request notified.'
+            : '⚠️ The product sheet could not be read - stock is not shown.'}</p>
+        <table class="admin-items admin-notify">
+            <thead>
+                <tr><th>Asked</th><th>Product</th><th>Size</th><th>Stock</th><th>Telegram</th><th></th></tr>
+            </thead>
+            <tbody>
+                ${requests.map(request => html`
+                    <tr class="${request.backInStock ? 'admin-back-in-stock' : ''}" data-id="${request.id}">
+                        <td>${formatAdminDate(request.createdAt)}</td>
+                        <td>${request.productName || request.productId}</td>
+                        <td>${request.size}</td>
+                        <td>${renderRequestStock(request)}</td>
+                        <td><a href="${request.telegramLink}" target="_blank" rel="noopener">${request.contact}</a></td>
+                        <td class="admin-notify-actions">
+                            <button type="button" class="btn btn-primary admin-btn" data-status="notified">Mark notified</button>
+                            <button type="button" class="btn btn-secondary admin-btn" data-status="cancelled">Cancel</button>
+                        </td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `);
+}
+
+// Mark a back-in-stock request notified or cancelled, then reload the list
+async function updateStockRequest(requestId, status) {
+    const row = document.querySelector(`#notifyRequests tr[data-id="${CSS.escape(requestId)}"]`);
+    row.querySelectorAll('button').forEach(button => {
+        button.disabled = true;
+    });
+    showAdminError('');
+
+    try {
+        const response = await adminFetch('admin-notifications', {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ id: requestId, status: status })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || result.details || `HTTP ${response.status}`);
+        }
+
+        await loadStockRequests();
+    } catch (error) {
+        if (error.message === 'Not signed in') return;
+        console.error('Error updating back-in-stock request:', error);
+        row.querySelectorAll('button').forEach(button => {
+            button.disabled = false;
+        });
+        showAdminError(`❌ Could not update the back-in-stock request: ${error.message}`);
+    }
+}
+
+// Load the storefront funnel for the days picked in the toolbar
+async function loadFunnelReport() {
+    const summary = document.getElementById('funnelSummary');
+    const params = new URLSearchParams();
+    const from = document.getElementById('fromDate').value;
+    const to = document.getElementById('toDate').value;
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    summary.textContent = 'Storefront funnel: loading...';
+
+    try {
+        const query = params.toString();
+        const response = await adminFetch(`admin-analytics${query ? `?${query}` : ''}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || result.details || `HTTP ${response.status}`);
+        }
+
+        const opened = result.totals.order_modal_open || 0;
+        const ordered = result.totals.order_submitted || 0;
+        summary.textContent = result.days === 0
+            ? 'Storefront funnel: nothing counted yet'
+            : `Storefront funnel: checkout opened ${opened} ${opened === 1 ? 'time' : 'times'}, ${ordered} ${ordered === 1 ? 'order' : 'orders'} placed`;
+        renderFunnel(result);
+    } catch (error) {
+        if (error.message === 'Not signed in') return;
+        console.error('Error loading the storefront funnel:', error);
+        summary.textContent = `Storefront funnel: ❌ could not be loaded (${error.message})`;
+        setHTML(document.getElementById('funnelTables'), '');
+    }
+}
+
+// Share of the products seen that were ordered, e.g. "2.5%"
+function formatConversion(conversion) {
+    return conversion === null ? '-' : `${(conversion * 100).toFixed(1)}%`;
+}
+
+// Most picked sizes of a product, e.g. "M 12, L 5"
+function formatTopSizes(sizes) {
+    return Object.keys(sizes)
+        .sort((a, b) => sizes[b] - sizes[a])
+        .slice(0, 3)
+        .map(size => `${size} ${sizes[size]}`)
+        .join(', ');
+}
+
+// One funnel table: a row per product or category with a column per step
+function renderFunnelTable(title, rows, extraColumns) {
+    const steps = Object.keys(FUNNEL_LABELS);
+
+    return html`
+        <table class="admin-items admin-funnel">
+            <thead>
+                <tr>
+                    <th>${title}</th>
+                    ${steps.map(step => html`<th>${FUNNEL_LABELS[step]}</th>`)}
+                    <th>Seen → ordered</th>
+                    ${extraColumns.map(column => html`<th>${column.label}</th>`)}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => html`
+                    <tr>
+                        <td>${row.label}</td>
+                        ${steps.map(step => html`<td>${row.counts[step] || 0}</td>`)}
+                        <td>${formatConversion(row.conversion)}</td>
+                        ${extraColumns.map(column => html`<td>${column.value(row)}</td>`)}
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+    `;
+}
+
+// The funnel per category and per product
+function renderFunnel(report) {
+    const tables = document.getElementById('funnelTables');
+
+    if (report.products.length === 0 && report.categories.length === 0) {
+        setHTML(tables, html`<p class="admin-catalog-checked">No storefront visits counted for these days.</p>`);
+        return;
+    }
+
+    setHTML(tables, html`
+        <p class="admin-catalog-checked">${report.from} to ${report.to}. Each product counts once per visit in "Seen", and once per checkout or order it is in.</p>
+        ${renderFunnelTable('Category', report.categories.map(row => ({ ...row, label: row.category })), [
+            { label: 'Filter used', value: row => row.counts.category_filter || 0 }
+        ])}
+        ${renderFunnelTable('Product', report.products.map(row => ({ ...row, label: row.name || row.productId })), [
+            { label: 'Top sizes', value: row => formatTopSizes(row.sizes) }
+        ])}
+    `);
+}
+
+// Add an option per status to a select
+function fillStatusOptions(select) {
+    Object.keys(STATUS_LABELS).forEach(status => {
+        const option = document.createElement('option');
+        option.value = status;
+        option.textContent = STATUS_LABELS[status];
+        select.appendChild(option);
+    });
+}
+
+// Date and time in shop time, e.g. "31/05/2024, 14:05"
+function formatAdminDate(isoDate) {
+    return new Date(isoDate).toLocaleString('en-GB', {
+        timeZone: SHOP_TIMEZONE,
+        dateStyle: 'short',
+        timeStyle: 'short'
+    });
+}
+
+// Current stock of an order line, as the catalog has it now
+function renderStock(item) {
+    if (item.inCatalog === null) {
+        return html`<span class="admin-stock">?</span>`;
+    }
+    if (!item.inCatalog) {
+        return html`<span class="admin-stock admin-stock-low">Not in catalog</span>`;
+    }
+    if (item.stock === null) {
+        return html`<span class="admin-stock">Not tracked</span>`;
+    }
+    return html`<span class="admin-stock${item.stock <= LOW_STOCK ? ' admin-stock-low' : ''}">${item.stock} left</span>`;
+}
+
+// Colorway and printing of an order line
+function renderVariant(item) {
+    const printing = Object.keys(item.personalization || {})
+        .map(field => `${field === 'number' ? '#' : ''}${item.personalization[field]}`);
+    const parts = [item.color, printing.length > 0 ? `Print: ${printing.join(' ')}` : ''].filter(Boolean);
+    return parts.length > 0 ? html`<div class="admin-variant">${parts.join(' · ')}</div>` : '';
+}
+
+// How the order gets to the customer, with the fee
+function renderDelivery(order) {
+    if (!order.delivery) {
+        return html`<div class="admin-warning">🚚 No delivery method chosen - agree on it with the customer</div>`;
+    }
+    const fee = order.delivery.fee > 0 ? `$${order.delivery.fee.toFixed(2)}` : 'free';
+    const method = DELIVERY_METHODS[order.delivery.method];
+    const where = [method ? method.label : order.delivery.method, order.delivery.area].filter(Boolean);
+    return html`<div class="admin-delivery">🚚 ${where.join(' - ')} · ${fee}</div>`;
+}
+
+// Payment of an order - orders from before payments were tracked are unpaid cash orders
+function getOrderPayment(order) {
+    return order.payment || { method: 'cash', status: 'unpaid' };
+}
+
+// One order: customer, lines with stock, status and staff notes
+function renderAdminOrder(order) {
+    const payment = getOrderPayment(order);
+    return html`
+        <article class="admin-order" data-id="${order.id}" data-status="${order.status}">
+            <header class="admin-order-header">
+                <strong class="admin-order-id">${order.id}</strong>
+                <span class="admin-status admin-status-${order.status}">${STATUS_LABELS[order.status] || order.status}</span>
+                <span class="admin-order-date">${formatAdminDate(order.createdAt)}</span>
+                <span class="admin-payment admin-payment-${payment.status}">${payment.method === 'khqr' ? 'KHQR · ' : ''}${PAYMENT_STATUS_LABELS[payment.status] || payment.status}</span>
+                <span class="admin-order-total">$${order.total.toFixed(2)}</span>
+            </header>
+
+            <div class="admin-order-body">
+                <div class="admin-customer">
+                    <div><strong>${order.name}</strong></div>
+                    <div>
+                        <a href="tel:${order.phone}">${order.phone}</a>
+                        &middot; <a href="https://t.me/${order.phone}" target="_blank" rel="noopener">Telegram</a>
+                    </div>
+                    ${order.address ? html`<div>${order.address}</div>` : ''}
+                    ${renderDelivery(order)}
+                    ${order.notes ? html`<div class="admin-customer-notes">📝 ${order.notes}</div>` : ''}
+                    ${(order.discounts || []).map(discount => html`
+                        <div class="admin-discount">🏷️ ${discount.label || discount.id}${discount.amount > 0 ? html` -$${discount.amount.toFixed(2)}` : ''}${discount.freeDelivery ? ' · free delivery' : ''}</div>
+                    `)}
+                    ${order.promoCode ? html`<div class="admin-discount">🎟️ Code ${order.promoCode}</div>` : ''}
+                    ${!order.pricesChecked ? html`<div class="admin-warning">⚠️ Prices and stock were not checked when this order came in</div>` : ''}
+                </div>
+
+                <table class="admin-items">
+                    <thead>
+                        <tr><th>Product</th><th>Size</th><th>Qty</th><th>Price</th><th>Stock now</th></tr>
+                    </thead>
+                    <tbody>
+                        ${order.items.map(item => html`
+                            <tr>
+                                <td>
+                                    <a href="/#/product/${encodeURIComponent(item.productId)}" target="_blank" rel="noopener">${item.product}</a>
+                                    ${renderVariant(item)}
+                                </td>
+                                <td>${item.size}</td>
+                                <td>${item.quantity}</td>
+                                <td>$${item.price.toFixed(2)}</td>
+                                <td>${renderStock(item)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="admin-order-manage">
+                <label class="admin-status-label">Status
+                    <select class="admin-status-select">
+                        ${Object.keys(STATUS_LABELS).map(status => html`
+                            <option value="${status}"${status === order.status ? html` selected` : ''}>${STATUS_LABELS[status]}</option>
+                        `)}
+                    </select>
+                </label>
+                <label class="admin-status-label">Payment
+                    <select class="admin-payment-select">
+                        ${Object.keys(PAYMENT_STATUS_LABELS).map(status => html`
+                            <option value="${status}"${status === payment.status ? html` selected` : ''}>${PAYMENT_STATUS_LABELS[status]}</option>
+                        `)}
+                    </select>
+                </label>
+
+                <ul class="admin-notes">
+                    ${(order.staffNotes || []).map(note => html`
+                        <li><span class="admin-note-date">${formatAdminDate(note.at)}</span> ${note.text}</li>
+                    `)}
+                </ul>
+
+                <form class="admin-note-form">
+                    <textarea class="admin-note-input" rows="2" maxlength="1000" placeholder="Add an internal note (customers never see these)" aria-label="Internal note"></textarea>
+                    <button type="submit" class="btn btn-secondary admin-btn">Add note</button>
+                </form>
+            </div>
+        </article>
+    `;
+}
+
+// Render the loaded orders
+function renderOrders() {
+    const list = document.getElementById('ordersList');
+
+    if (adminOrders.length === 0) {
+        setHTML(list, html`<p class="loading">No orders match these filters.</p>`);
+        return;
+    }
+
+    setHTML(list, adminOrders.map(renderAdminOrder));
+}
+
+// Change an order's status, payment status and/or add a note, then re-render it
+async function updateOrder(orderId, changes) {
+    const card = document.querySelector(`.admin-order[data-id="${CSS.escape(orderId)}"]`);
+    card.classList.add('saving');
+    showAdminError('');
+
+    try {
+        const response = await adminFetch('admin-orders', {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ id: orderId, ...changes })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || result.details || `HTTP ${response.status}`);
+        }
+
+        // The update doesn't carry stock figures - keep the ones we have
+        const index = adminOrders.findIndex(order => order.id === orderId);
+        adminOrders[index] = { ...result.order, items: adminOrders[index].items };
+        card.replaceWith(createElementFromHTML(renderAdminOrder(adminOrders[index])));
+    } catch (error) {
+        if (error.message === 'Not signed in') return;
+        console.error('Error updating order:', error);
+        card.classList.remove('saving');
+        // Put the selects back to what is saved
+        const order = adminOrders.find(saved => saved.id === orderId);
+        card.querySelector('.admin-status-select').value = order.status;
+        card.querySelector('.admin-payment-select').value = getOrderPayment(order).status;
+        showAdminError(`❌ Could not update ${orderId}: ${error.message}`);
+    }
+}
+
+// Download the orders matching the filters as CSV
+async function exportOrders() {
+    const exportBtn = document.getElementById('exportOrders');
+    exportBtn.disabled = true;
+    showAdminError('');
+
+    try {
+        const response = await adminFetch(`admin-export${getFilterQuery()}`);
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
+
+        const disposition = response.headers.get('content-disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : 'prsport-orders.csv';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        if (error.message === 'Not signed in') return;
+        console.error('Export error:', error);
+        showAdminError(`❌ Could not export orders: ${error.message}`);
+    } finally {
+        exportBtn.disabled = false;
+    }
+}
+
+// Setup all event listeners
+function setupAdminListeners() {
+    document.getElementById('loginForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        signIn(document.getElementById('adminPassword').value);
+    });
+
+    document.getElementById('signOut').addEventListener('click', function() {
+        signOut();
+    });
+
+    // Filters reload the list right away
+    ['statusFilter', 'fromDate', 'toDate'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadOrders);
+    });
+    document.getElementById('refreshOrders').addEventListener('click', loadOrders);
+    ['fromDate', 'toDate'].forEach(id => {
+        document.getElementById(id).addEventListener('change', loadFunnelReport);
+    });
+    document.getElementById('refreshOrders').addEventListener('click', loadFunnelReport);
+    document.getElementById('refreshOrders').addEventListener('click', loadStockRequests);
+    document.getElementById('exportOrders').addEventListener('click', exportOrders);
+    document.getElementById('checkCatalog').addEventListener('click', loadCatalogReport);
+
+    // "Mark notified" and "Cancel" on each back-in-stock request
+    document.getElementById('notifyRequests').addEventListener('click', function(e) {
+        const button = e.target.closest('button[data-status]');
+        if (button) {
+            updateStockRequest(button.closest('tr').dataset.id, button.dataset.status);
+        }
+    });
+
+    // Status and payment changes and notes on each order
+    const list = document.getElementById('ordersList');
+    list.addEventListener('change', function(e) {
+        const orderId = e.target.closest('.admin-order').dataset.id;
+        if (e.target.classList.contains('admin-status-select')) {
+            updateOrder(orderId, { status: e.target.value });
+        } else if (e.target.classList.contains('admin-payment-select')) {
+            updateOrder(orderId, { paymentStatus: e.target.value });
+        }
+    });
+    list.addEventListener('submit', function(e) {
+        if (!e.target.classList.contains('admin-note-form')) return;
+        e.preventDefault();
+
+        const note = e.target.querySelector('.admin-note-input').value.trim();
+        if (note) {
+            updateOrder(e.target.closest('.admin-order').dataset.id, { note: note });
+        }
+    });
+}
@@ -0,0 +1,474 @@
+// Storefront translations (English and Khmer) and price display in dollars / riel
+// Static text in index.html is marked with data-i18n attributes and filled in by
+// applyTranslations(); the storefront modules (js/) build their own text with t().
+
+const LANGUAGE_STORAGE_KEY = 'prsport-language';
+const CURRENCY_STORAGE_KEY = 'prsport-currency';
+const SUPPORTED_LANGUAGES = ['en', 'km'];
+const CURRENCY_CONFIG_URL = 'currency.json'; // the exchange rate for riel prices - update it when the rate moves
+const KHR_ROUNDING = 100; // riel prices are rounded to the nearest 100 riel
+
+const MESSAGES = {
+    en: {
+        'page.title': 'PR Sport - Your Soccer Hub',
+        'nav.home': 'Home',
+        'nav.shop': 'Shop',
+        'nav.about': 'About',
+        'nav.contact': 'Contact',
+        'nav.cart': 'Cart',
+        'nav.language': 'Language',
+        'nav.currency': 'Currency',
+        'nav.track': 'Track Order',
+        'hero.title': 'Welcome to PR Sport',
+        'hero.subtitle': 'Your ultimate destination for soccer gear',
+        'catalog.title': 'Featured Soccer Products',
+        'catalog.loadingSheet': 'Loading products from Google Sheets...',
+        'catalog.loading': 'Loading products...',
+        'catalog.firstLoad': 'First load may take a few seconds',
+        'catalog.stale': 'Showing saved products - we could not reach the latest catalog.',
+        'catalog.stillUnavailable': 'Still unable to reach the catalog. Please try again in a moment.',
+        'catalog.updatedOne': 'Catalog updated: 1 product changed.',
+        'catalog.updatedMany': 'Catalog updated: {count} products changed.',
+        'catalog.sample': 'Using sample products - real products failed to load.',
+        'catalog.allProducts': 'All Products',
+        'catalog.showing': 'Showing {shown} of {total} products',
+        'catalog.noMatches': 'No products match your search and filters.',
+        'catalog.emptyCategory': 'No products found in this category.',
+        'catalog.retry': 'Retry',
+        'catalog.dismiss': 'Dismiss',
+        'search.placeholder': 'Search products, teams, categories...',
+        'search.label': 'Search products',
+        'sort.label': 'Sort products',
+        'sort.featured': 'Featured',
+        'sort.priceAsc': 'Price: low to high',
+        'sort.priceDesc': 'Price: high to low',
+        'sort.discount': 'Biggest discount',
+        'sort.name': 'Name',
+        'filter.size': 'Filter by size',
+        'filter.anySize': 'Any size',
+        'filter.min': 'Min $',
+        'filter.minLabel': 'Minimum price',
+        'filter.max': 'Max $',
+        'filter.maxLabel': 'Maximum price',
+        'filter.onSale': 'On sale',
+        'filter.clear': 'Clear filters',
+        'product.soldOut': 'Sold Out',
+        'product.addToCart': 'Add to Cart',
+        'product.save': 'Save {amount}',
+        'product.savePercent': 'Save {percent}%',
+        'product.saleEnds': 'Ends {date}',
+        'product.sizes': 'Available Sizes:',
+        'product.colors': 'Color:',
+        'product.personalizeHint': 'Name & number printing available',
+        'personalize.title': 'Add a name & number',
+        'personalize.name': 'Name',
+        'personalize.number': 'Number',
+        'personalize.tooLong': '{field}: at most {max} characters',
+        'personalize.lettersOnly': 'Names can only contain letters',
+        'personalize.digitsOnly': 'Numbers can only contain digits',
+        'product.outOfStock': '(Out of Stock)',
+        'product.unavailable': 'Sorry, this product is no longer available.',
+        'product.back': 'Back to products',
+        'product.share': 'Share this product',
+        'product.linkCopied': '✅ Link copied! Paste it in Telegram or Facebook.',
+        'product.copyLink': 'Copy this link:',
+        'wishlist.save': 'Save {name} to your wishlist',
+        'wishlist.title': 'Your wishlist',
+        'recent.title': 'Recently viewed',
+        'notify.hint': 'Sold out in your size? Get a message when it\'s back',
+        'notify.title': 'Notify me when a size is back',
+        'notify.intro': 'We\'ll message you on Telegram when we restock. Your contact is only used for this.',
+        'notify.size': 'Size',
+        'notify.contact': 'Telegram phone number or @username',
+        'notify.submit': 'Notify me',
+        'notify.sending': 'Sending...',
+        'notify.contactRequired': 'Please enter your Telegram phone number or @username',
+        'notify.contactInvalid': 'Please enter a Cambodian phone number (e.g. 012 345 678) or a Telegram @username',
+        'notify.saved': '✅ Thanks! We\'ll message you on Telegram when size {size} is back.',
+        'notify.failed': '❌ Could not save your request right now. Please try again.',
+        'notify.offline': '📶 You are offline. Connect to the internet to ask for a message.',
+        'gallery.previous': 'Previous photo',
+        'gallery.next': 'Next photo',
+        'gallery.photo': 'Photo {number}',
+        'gallery.photoOf': '{name} - photo {number}',
+        'cart.title': 'Your Cart',
+        'cart.close': 'Close cart',
+        'cart.empty': 'Your cart is empty.',
+        'cart.emptyAlert': 'Your cart is empty!',
+        'cart.subtotal': 'Subtotal',
+        'cart.freeDelivery': 'Free delivery',
+        'cart.total': 'Total',
+        'cart.deliveryNote': 'Delivery fee is added at checkout',
+        'cart.checkout': 'Checkout',
+        'cart.lineMeta': 'Size: {size} · {price} each',
+        'cart.lowStock': 'Only {count} left in stock',
+        'cart.remove': 'Remove',
+        'cart.productNotFound': 'Product not found!',
+        'cart.sizeSoldOut': 'Sorry, size {size} is out of stock.',
+        'cart.onlyLeft': 'Sorry, only {count} left in size {size}.',
+        'outbox.title': 'Your Orders',
+        'outbox.pending': 'Waiting for connection',
+        'outbox.sending': 'Sending...',
+        'outbox.sent': 'Sent',
+        'outbox.failed': 'Not sent',
+        'outbox.cancel': 'Cancel',
+        'outbox.dismiss': 'Dismiss',
+        'outbox.confirmCancel': 'Cancel this order? It has not been sent yet.',
+        'outbox.queued': '📶 You are offline. Your order is saved and will be sent automatically when you are back online.',
+        'outbox.sendFailed': '❌ A saved order could not be sent. Open your cart to see why.',
+        'outbox.sentOne': '✅ Your saved order has been sent!',
+        'outbox.sentMany': '✅ Your {count} saved orders have been sent!',
+        'outbox.orderNumber': 'Order {id}',
+        'checkout.title': 'Checkout',
+        'checkout.name': 'Full Name *',
+        'checkout.phone': 'Phone Number *',
+        'checkout.hasTelegram': 'I have a Telegram account and can be contacted there *',
+        'checkout.telegramInfo': 'Great! We\'ll contact you on Telegram using the phone number you provided. Please ensure your phone number is linked to your Telegram account.',
+        'checkout.deliveryMethod': 'Delivery *',
+        'checkout.deliveryArea': 'District / Province *',
+        'checkout.address': 'Shipping Address *',
+        'checkout.notes': 'Special Instructions (Optional)',
+        'checkout.promoCode': 'Promo Code (Optional)',
+        'checkout.applyPromo': 'Apply',
+        'checkout.promoInvalid': 'This promo code is not valid',
+        'checkout.promoNotEligible': 'Your cart does not qualify for this promo code',
+        'checkout.cancel': 'Cancel',
+        'checkout.placeOrder': 'Place Order',
+        'checkout.sending': 'Sending...',
+        'checkout.fixErrors': 'Please check the highlighted fields.',
+        'checkout.nameRequired': 'Please enter your name',
+        'checkout.phoneRequired': 'Please enter your phone number',
+        'checkout.phoneInvalid': 'Please enter a Cambodian phone number, e.g. 012 345 678 or +855 12 345 678',
+        'checkout.telegramRequired': 'Please confirm you have a Telegram account',
+        'checkout.addressRequired': 'Please enter your delivery address',
+        'delivery.chooseMethod': 'Choose how to get your order',
+        'delivery.chooseArea': 'Choose your district or province',
+        'delivery.methodRequired': 'Please choose how you want to get your order',
+        'delivery.areaRequired': 'Please choose your district or province',
+        'delivery.freeFrom': 'Delivery {fee}, free on orders from {amount}',
+        'delivery.free': 'Free',
+        'checkout.success': '✅ Order placed successfully! We will contact you on Telegram soon.',
+        'checkout.notDeployed': '❌ Function not deployed correctly. Please check Netlify functions.',
+        'checkout.error': '❌ Error: {message}',
+        'order.title': 'Thank you for your order!',
+        'order.numberLabel': 'Order number',
+        'order.keepNumber': 'Keep this number to track your order. We will contact you on Telegram soon.',
+        'order.placedAt': 'Placed on {date}',
+        'order.notFound': 'This order is not saved on this device. You can still track it with your order number and phone number.',
+        'order.track': 'Track this order',
+        'order.continue': 'Continue shopping',
+        'payment.unpaid': '💳 Not paid yet - you can pay on delivery',
+        'payment.pending': '💳 Waiting for your KHQR payment',
+        'payment.paid': '✅ Paid - thank you!',
+        'payment.refunded': '💳 Refunded',
+        'payment.payNow': 'Pay now with KHQR',
+        'payment.qrAlt': 'KHQR code for this order',
+        'payment.scan': 'Scan with any banking app that supports KHQR (ABA, ACLEDA, Wing, ...). This page updates once we receive your payment.',
+        'payment.expires': 'This QR code can be paid until {time}',
+        'payment.expired': 'This QR code has expired. Get a new one to pay.',
+        'payment.failed': 'Could not prepare your payment right now. Please try again.',
+        'payment.offline': '📶 You are offline. Connect to the internet to pay.',
+        'track.title': 'Track Your Order',
+        'track.intro': 'Enter the order number from your confirmation and the phone number you ordered with.',
+        'track.orderId': 'Order Number',
+        'track.phone': 'Phone Number',
+        'track.submit': 'Track Order',
+        'track.checking': 'Checking...',
+        'track.orderIdRequired': 'Please enter your order number, e.g. PR-7K3M9Q',
+        'track.failed': '❌ Could not look up your order right now. Please try again.',
+        'track.offline': '📶 You are offline. Connect to the internet to track your order.',
+        'track.recent': 'Your recent orders',
+        'status.received': 'Received',
+        'status.confirmed': 'Confirmed',
+        'status.shipped': 'Shipped',
+        'status.delivered': 'Delivered',
+        'status.cancelled': 'Cancelled',
+        'footer.rights': '© 2024 PR Sport. All rights reserved.',
+        'footer.follow': 'Follow us on social media for latest updates!'
+    },
+    km: {
+        'page.title': 'PR Sport - ហាងបាល់ទាត់របស់អ្នក',
+        'nav.home': 'ទំព័រដើម',
+        'nav.shop': 'ហាង',
+        'nav.about': 'អំពីយើង',
+        'nav.contact': 'ទំនាក់ទំនង',
+        'nav.cart': 'កន្ត្រក',
+        'nav.language': 'ភាសា',
+        'nav.currency': 'រូបិយប័ណ្ណ',
+        'nav.track': 'តាមដានការកុម្ម៉ង់',
+        'hero.title': 'សូមស្វាគមន៍មកកាន់ PR Sport',
+        'hero.subtitle': 'កន្លែងល្អបំផុតសម្រាប់សម្ភារៈបាល់ទាត់',
+        'catalog.title': 'ផលិតផលបាល់ទាត់ពិសេស',
+        'catalog.loadingSheet': 'កំពុងផ្ទុកផលិតផលពី Google Sheets...',
+        'catalog.loading': 'កំពុងផ្ទុកផលិតផល...',
+        'catalog.firstLoad': 'ការផ្ទុកលើកដំបូងអាចចំណាយពេលពីរបីវិនាទី',
+        'catalog.stale': 'កំពុងបង្ហាញផលិតផលដែលបានរក្សាទុក - យើងមិនអាចភ្ជាប់ទៅកាតាឡុកថ្មីបំផុតបានទេ។',
+        'catalog.stillUnavailable': 'នៅតែមិនអាចភ្ជាប់ទៅកាតាឡុកបាន។ សូមព្យាយាមម្ដងទៀតបន្តិចទៀត។',
+        'catalog.updatedOne': 'កាតាឡុកបានធ្វើបច្ចុប្បន្នភាព៖ ផលិតផល 1 បានផ្លាស់ប្ដូរ។',
+        'catalog.updatedMany': 'កាតាឡុកបានធ្វើបច្ចុប្បន្នភាព៖ ផលិតផល {count} បានផ្លាស់ប្ដូរ។',
+        'catalog.sample': 'កំពុងប្រើផលិតផលគំរូ - មិនអាចផ្ទុកផលិតផលពិតបានទេ។',
+        'catalog.allProducts': 'ផលិតផលទាំងអស់',
+        'catalog.showing': 'បង្ហាញ {shown} ក្នុងចំណោមផលិតផល {total}',
+        'catalog.noMatches': 'គ្មានផលិតផលត្រូវនឹងការស្វែងរក និងតម្រងរបស់អ្នកទេ។',
+        'catalog.emptyCategory': 'រកមិនឃើញផលិតផលក្នុងប្រភេទនេះទេ។',
+        'catalog.retry': 'ព្យាយាមម្ដងទៀត',
+        'catalog.dismiss': 'បិទ',
+        'search.placeholder': 'ស្វែងរកផលិតផល ក្រុម ប្រភេទ...',
+        'search.label': 'ស្វែងរកផលិតផល',
+        'sort.label': 'តម្រៀបផលិតផល',
+        'sort.featured': 'ពិសេស',
+        'sort.priceAsc': 'តម្លៃ៖ ទាបទៅខ្ពស់',
+        'sort.priceDesc': 'តម្លៃ៖ ខ្ពស់ទៅទាប',
+        'sort.discount': 'បញ្ចុះតម្លៃច្រើនបំផុត',
+        'sort.name': 'ឈ្មោះ',
+        'filter.size': 'តម្រងតាមទំហំ',
+        'filter.anySize': 'គ្រប់ទំហំ',
+        'filter.min': 'តិចបំផុត $',
+        'filter.minLabel': 'តម្លៃទាបបំផុត',
+        'filter.max': 'ច្រើនបំផុត $',
+        'filter.maxLabel': 'តម្លៃខ្ពស់បំផុត',
+        'filter.onSale': 'កំពុងបញ្ចុះតម្លៃ',
+        'filter.clear': 'សម្អាតតម្រង',
+        'product.soldOut': 'អស់ពីស្តុក',
+        'product.addToCart': 'ដាក់ក្នុងកន្ត្រក',
+        'product.save': 'សន្សំ {amount}',
+        'product.savePercent': 'សន្សំ {percent}%',
+        'product.saleEnds': 'បញ្ចប់ {date}',
+        'product.sizes': 'ទំហំដែលមាន៖',
+        'product.colors': 'ពណ៌៖',
+        'product.personalizeHint': 'អាចបោះពុម្ពឈ្មោះ និងលេខបាន',
+        'personalize.title': 'បន្ថែមឈ្មោះ និងលេខ',
+        'personalize.name': 'ឈ្មោះ',
+        'personalize.number': 'លេខ',
+        'personalize.tooLong': '{field}៖ មិនលើសពី {max} តួអក្សរ',
+        'personalize.lettersOnly': 'ឈ្មោះអាចមានតែអក្សរប៉ុណ្ណោះ',
+        'personalize.digitsOnly': 'លេខអាចមានតែខ្ទង់លេខប៉ុណ្ណោះ',
+        'product.outOfStock': '(អស់ស្តុក)',
+        'product.unavailable': 'សូមអភ័យទោស ផលិតផលនេះលែងមានទៀតហើយ។',
+        'product.back': 'ត្រឡប់ទៅផលិតផល',
+        'product.share': 'ចែករំលែកផលិតផលនេះ',
+        'product.linkCopied': '✅ បានចម្លងតំណ! បិទភ្ជាប់វានៅក្នុង Telegram ឬ Facebook។',
+        'product.copyLink': 'ចម្លងតំណនេះ៖',
+        'wishlist.save': 'រក្សាទុក {name} ក្នុងបញ្ជីប្រាថ្នា',
+        'wishlist.title': 'បញ្ជីប្រាថ្នារបស់អ្នក',
+        'recent.title': 'បានមើលថ្មីៗ',
+        'notify.hint': 'ទំហំរបស់អ្នកអស់ស្តុក? ទទួលសារនៅពេលមានវិញ',
+        'notify.title': 'ជូនដំណឹងខ្ញុំនៅពេលទំហំមានវិញ',
+        'notify.intro': 'យើងនឹងផ្ញើសារទៅអ្នកតាម Telegram នៅពេលមានស្តុកវិញ។ ព័ត៌មានទំនាក់ទំនងរបស់អ្នកប្រើសម្រាប់តែការនេះប៉ុណ្ណោះ។',
+        'notify.size': 'ទំហំ',
+        'notify.contact': 'លេខទូរស័ព្ទ Telegram ឬ @username',
+        'notify.submit': 'ជូនដំណឹងខ្ញុំ',
+        'notify.sending': 'កំពុងផ្ញើ...',
+        'notify.contactRequired': 'សូមបញ្ចូលលេខទូរស័ព្ទ Telegram ឬ @username របស់អ្នក',
+        'notify.contactInvalid': 'សូមបញ្ចូលលេខទូរស័ព្ទកម្ពុជា (ឧ. 012 345 678) ឬ @username Telegram',
+        'notify.saved': '✅ សូមអរគុណ! យើងនឹងផ្ញើសារទៅអ្នកតាម Telegram នៅពេលទំហំ {size} មានវិញ។',
+        'notify.failed': '❌ មិនអាចរក្សាទុកសំណើរបស់អ្នកបានទេឥឡូវនេះ។ សូមព្យាយាមម្តងទៀត។',
+        'notify.offline': '📶 អ្នកមិនមានអ៊ីនធឺណិតទេ។ សូមភ្ជាប់អ៊ីនធឺណិត ដើម្បីស្នើសុំសារ។',
+        'gallery.previous': 'រូបភាពមុន',
+        'gallery.next': 'រូបភាពបន្ទាប់',
+        'gallery.photo': 'រូបភាព {number}',
+        'gallery.photoOf': '{name} - រូបភាព {number}',
+        'cart.title': 'កន្ត្រករបស់អ្នក',
+        'cart.close': 'បិទកន្ត្រក',
+        'cart.empty': 'កន្ត្រករបស់អ្នកទទេ។',
+        'cart.emptyAlert': 'កន្ត្រករបស់អ្នកទទេ!',
+        'cart.subtotal': 'សរុបរង',
+        'cart.freeDelivery': 'ដឹកជញ្ជូនឥតគិតថ្លៃ',
+        'cart.total': 'សរុប',
+        'cart.deliveryNote': 'ថ្លៃដឹកជញ្ជូននឹងបូកបញ្ចូលនៅពេលទូទាត់',
+        'cart.checkout': 'ទូទាត់',
+        'cart.lineMeta': 'ទំហំ៖ {size} · {price} ក្នុងមួយ',
+        'cart.lowStock': 'នៅសល់តែ {count} ក្នុងស្តុក',
+        'cart.remove': 'ដកចេញ',
+        'cart.productNotFound': 'រកមិនឃើញផលិតផល!',
+        'cart.sizeSoldOut': 'សូមអភ័យទោស ទំហំ {size} អស់ពីស្តុកហើយ។',
+        'cart.onlyLeft': 'សូមអភ័យទោស ទំហំ {size} នៅសល់តែ {count} ប៉ុណ្ណោះ។',
+        'outbox.title': 'ការកុម្ម៉ង់របស់អ្នក',
+        'outbox.pending': 'កំពុងរង់ចាំការតភ្ជាប់',
+        'outbox.sending': 'កំពុងផ្ញើ...',
+        'outbox.sent': 'បានផ្ញើ',
+        'outbox.failed': 'មិនបានផ្ញើ',
+        'outbox.cancel': 'បោះបង់',
+        'outbox.dismiss': 'បិទ',
+        'outbox.confirmCancel': 'បោះបង់ការកុម្ម៉ង់នេះមែនទេ? វាមិនទាន់បានផ្ញើនៅឡើយទេ។',
+        'outbox.queued': '📶 អ្នកមិនមានអ៊ីនធឺណិតទេ។ ការកុម្ម៉ង់របស់អ្នកត្រូវបានរក្សាទុក ហើយនឹងផ្ញើដោយស្វ័យប្រវត្តិ នៅពេលអ្នកភ្ជាប់អ៊ីនធឺណិតវិញ។',
+        'outbox.sendFailed': '❌ ការកុម្ម៉ង់ដែលបានរក្សាទុកមួយមិនអាចផ្ញើបានទេ។ សូមបើកកន្ត្រករបស់អ្នកដើម្បីមើលមូលហេតុ។',
+        'outbox.sentOne': '✅ ការកុម្ម៉ង់ដែលបានរក្សាទុករបស់អ្នកត្រូវបានផ្ញើហើយ!',
+        'outbox.sentMany': '✅ ការកុម្ម៉ង់ដែលបានរក្សាទុកទាំង {count} របស់អ្នកត្រូវបានផ្ញើហើយ!',
+        'outbox.orderNumber': 'ការកុម្ម៉ង់ {id}',
+        'checkout.title': 'ការទូទាត់',
+        'checkout.name': 'ឈ្មោះពេញ *',
+        'checkout.phone': 'លេខទូរស័ព្ទ *',
+        'checkout.hasTelegram': 'ខ្ញុំមានគណនី Telegram ហើយអាចទាក់ទងតាមទីនោះបាន *',
+        'checkout.telegramInfo': 'ល្អណាស់! យើងនឹងទាក់ទងអ្នកតាម Telegram ដោយប្រើលេខទូរស័ព្ទដែលអ្នកបានផ្តល់។ សូមប្រាកដថាលេខទូរស័ព្ទរបស់អ្នកបានភ្ជាប់ជាមួយគណនី Telegram របស់អ្នក។',
+        'checkout.deliveryMethod': 'ការដឹកជញ្ជូន *',
+        'checkout.deliveryArea': 'ខណ្ឌ / ខេត្ត *',
+        'checkout.address': 'អាសយដ្ឋានដឹកជញ្ជូន *',
+        'checkout.notes': 'ការណែនាំពិសេស (មិនចាំបាច់)',
+        'checkout.promoCode': 'លេខកូដបញ្ចុះតម្លៃ (មិនចាំបាច់)',
+        'checkout.applyPromo': 'ប្រើ',
+        'checkout.promoInvalid': 'លេខកូដបញ្ចុះតម្លៃនេះមិនត្រឹមត្រូវទេ',
+        'checkout.promoNotEligible': 'កន្ត្រករបស់អ្នកមិនគ្រប់លក្ខខណ្ឌសម្រាប់លេខកូដនេះទេ',
+        'checkout.cancel': 'បោះបង់',
+        'checkout.placeOrder': 'ដាក់ការកុម្ម៉ង់',
+        'checkout.sending': 'កំពុងផ្ញើ...',
+        'checkout.fixErrors': 'សូមពិនិត្យមើលព័ត៌មានដែលបានសម្គាល់។',
+        'checkout.nameRequired': 'សូមបញ្ចូលឈ្មោះរបស់អ្នក',
+        'checkout.phoneRequired': 'សូមបញ្ចូលលេខទូរស័ព្ទរបស់អ្នក',
+        'checkout.phoneInvalid': 'សូមបញ្ចូលលេខទូរស័ព្ទកម្ពុជា ឧ. 012 345 678 ឬ +855 12 345 678',
+        'checkout.telegramRequired': 'សូមបញ្ជាក់ថាអ្នកមានគណនី Telegram',
+        'checkout.addressRequired': 'សូមបញ្ចូលអាសយដ្ឋានដឹកជញ្ជូនរបស់អ្នក',
+        'delivery.chooseMethod': 'ជ្រើសរើសរបៀបទទួលការបញ្ជាទិញ',
+        'delivery.chooseArea': 'ជ្រើសរើសខណ្ឌ ឬខេត្តរបស់អ្នក',
+        'delivery.methodRequired': 'សូមជ្រើសរើសរបៀបដែលអ្នកចង់ទទួលការបញ្ជាទិញ',
+        'delivery.areaRequired': 'សូមជ្រើសរើសខណ្ឌ ឬខេត្តរបស់អ្នក',
+        'delivery.freeFrom': 'ថ្លៃដឹកជញ្ជូន {fee} ឥតគិតថ្លៃសម្រាប់ការបញ្ជាទិញចាប់ពី {amount}',
+        'delivery.free': 'ឥតគិតថ្លៃ',
+        'checkout.success': '✅ ការកុម្ម៉ង់បានជោគជ័យ! យើងនឹងទាក់ទងអ្នកតាម Telegram ឆាប់ៗនេះ។',
+        'checkout.notDeployed': '❌ ប្រព័ន្ធកុម្ម៉ង់មិនដំណើរការត្រឹមត្រូវទេ។ សូមពិនិត្យ Netlify functions។',
+        'checkout.error': '❌ កំហុស៖ {message}',
+        'order.title': 'សូមអរគុណសម្រាប់ការកុម្ម៉ង់របស់អ្នក!',
+        'order.numberLabel': 'លេខកុម្ម៉ង់',
+        'order.keepNumber': 'សូមរក្សាលេខនេះទុក ដើម្បីតាមដានការកុម្ម៉ង់របស់អ្នក។ យើងនឹងទាក់ទងអ្នកតាម Telegram ឆាប់ៗនេះ។',
+        'order.placedAt': 'បានកុម្ម៉ង់នៅ {date}',
+        'order.notFound': 'ការកុម្ម៉ង់នេះមិនត្រូវបានរក្សាទុកនៅលើឧបករណ៍នេះទេ។ អ្នកនៅតែអាចតាមដានវាដោយប្រើលេខកុម្ម៉ង់ និងលេខទូរស័ព្ទរបស់អ្នក។',
+        'order.track': 'តាមដានការកុម្ម៉ង់នេះ',
+        'order.continue': 'បន្តទិញទំនិញ',
+        'payment.unpaid': '💳 មិនទាន់បង់ប្រាក់ - អ្នកអាចបង់ពេលទទួលទំនិញ',
+        'payment.pending': '💳 កំពុងរង់ចាំការបង់ប្រាក់តាម KHQR របស់អ្នក',
+        'payment.paid': '✅ បានបង់ប្រាក់ - សូមអរគុណ!',
+        'payment.refunded': '💳 បានសងប្រាក់វិញ',
+        'payment.payNow': 'បង់ឥឡូវតាម KHQR',
+        'payment.qrAlt': 'កូដ KHQR សម្រាប់ការកុម្ម៉ង់នេះ',
+        'payment.scan': 'ស្កេនជាមួយកម្មវិធីធនាគារណាមួយដែលគាំទ្រ KHQR (ABA, ACLEDA, Wing, ...)។ ទំព័រនេះនឹងធ្វើបច្ចុប្បន្នភាពនៅពេលយើងទទួលបានការបង់ប្រាក់របស់អ្នក។',
+        'payment.expires': 'កូដ QR នេះអាចបង់បានរហូតដល់ម៉ោង {time}',
+        'payment.expired': 'កូដ QR នេះផុតកំណត់ហើយ។ សូមយកកូដថ្មីដើម្បីបង់ប្រាក់។',
+        'payment.failed': 'មិនអាចរៀបចំការបង់ប្រាក់របស់អ្នកបានទេឥឡូវនេះ។ សូមព្យាយាមម្តងទៀត។',
+        'payment.offline': '📶 អ្នកមិនមានអ៊ីនធឺណិតទេ។ សូមភ្ជាប់អ៊ីនធឺណិត ដើម្បីបង់ប្រាក់។',
+        'track.title': 'តាមដានការកុម្ម៉ង់របស់អ្នក',
+        'track.intro': 'បញ្ចូលលេខកុម្ម៉ង់ពីការបញ្ជាក់របស់អ្នក និងលេខទូរស័ព្ទដែលអ្នកបានប្រើពេលកុម្ម៉ង់។',
+        'track.orderId': 'លេខកុម្ម៉ង់',
+        'track.phone': 'លេខទូរស័ព្ទ',
+        'track.submit': 'តាមដាន',
+        'track.checking': 'កំពុងពិនិត្យ...',
+        'track.orderIdRequired': 'សូមបញ្ចូលលេខកុម្ម៉ង់របស់អ្នក ឧ. PR-7K3M9Q',
+        'track.failed': '❌ មិនអាចរកមើលការកុម្ម៉ង់របស់អ្នកបានទេឥឡូវនេះ។ សូមព្យាយាមម្តងទៀត។',
+        'track.offline': '📶 អ្នកមិនមានអ៊ីនធឺណិតទេ។ សូមភ្ជាប់អ៊ីនធឺណិត ដើម្បីតាមដានការកុម្ម៉ង់របស់អ្នក។',
+        'track.recent': 'ការកុម្ម៉ង់ថ្មីៗរបស់អ្នក',
+        'status.received': 'បានទទួល',
+        'status.confirmed': 'បានបញ្ជាក់',
+        'status.shipped': 'បានដឹកចេញ',
+        'status.delivered': 'បានប្រគល់',
+        'status.cancelled': 'បានលុបចោល',
+        'footer.rights': '© 2024 PR Sport។ រក្សាសិទ្ធិគ្រប់យ៉ាង។',
+        'footer.follow': 'តាមដានយើងនៅលើបណ្តាញសង្គម ដើម្បីទទួលបានព័ត៌មានថ្មីៗ!'
+    }
+};
+
+let currentLanguage = loadLanguage();
+let currencyMode = localStorage.getItem(CURRENCY_STORAGE_KEY) === 'usd-khr' ? 'usd-khr' : 'usd';
+let khrPerUsd = null; // riel per dollar from currency.json - no riel prices until it is read
+
+// Saved language, or the browser's language on the first visit
+function loadLanguage() {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (SUPPORTED_LANGUAGES.includes(saved)) {
+        return saved;
+    }
+    return (navigator.language || '').toLowerCase().startsWith('km') ? 'km' : 'en';
+}
+
+// Switch language and remember it
+function setLanguage(language) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) return;
+
+    currentLanguage = language;
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    applyTranslations();
+}
+
+// Use the exchange rate of a currency config ({ khrPerUsd })
+function setExchangeRate(config) {
+    const rate = Number(config && config.khrPerUsd);
+    khrPerUsd = rate > 0 ? rate : null;
+}
+
+// Read currency.json from the site. Resolves to false when it could not be read.
+async function loadExchangeRate() {
+    try {
+        const response = await fetch(CURRENCY_CONFIG_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        setExchangeRate(await response.json());
+        return true;
+    } catch (error) {
+        console.warn('Exchange rate unavailable, showing prices in dollars only:', error.message);
+        return false;
+    }
+}
+
+// Show prices in dollars only ('usd') or dollars and riel ('usd-khr'), and remember it
+function setCurrencyMode(mode) {
+    currencyMode = mode === 'usd-khr' ? 'usd-khr' : 'usd';
+    localStorage.setItem(CURRENCY_STORAGE_KEY, currencyMode);
+}
+
+// Translated text for a key, with {placeholders} filled in
+// Falls back to English, then to the key itself, so a missing translation never breaks the page
+function t(key, params = {}) {
+    const text = MESSAGES[currentLanguage][key] || MESSAGES.en[key] || key;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => name in params ? params[name] : placeholder);
+}
+
+// Locale for dates and numbers in a language
+function getLanguageLocale(language) {
+    return language === 'km' ? 'km-KH' : 'en-US';
+}
+
+// Locale for dates and numbers in the current language
+function getLocale() {
+    return getLanguageLocale(currentLanguage);
+}
+
+// Fill in the static text of the page
+// data-i18n sets the text, data-i18n-placeholder and data-i18n-label set the placeholder / aria-label
+function applyTranslations() {
+    document.documentElement.lang = currentLanguage;
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nLabel));
+    });
+}
+
+// Product name or description in a language
+// Translations come from optional sheet columns such as "name_km" (see shared/catalog.js).
+function getProductText(product, field, language) {
+    const translation = product.translations && product.translations[language];
+    return (translation && translation[field]) || product[field];
+}
+
+// Product name or description in the current language
+function localizeProduct(product, field) {
+    return getProductText(product, field, currentLanguage);
+}
+
+// Promotion label in the current language, e.g. from a "label_km" column
+function localizePromotion(promotion) {
+    return promotion[`label_${currentLanguage}`] || promotion.label;
+}
+
+// A dollar amount converted to riel, e.g. 32,800៛ - empty until the exchange rate is read
+function formatRiel(amount) {
+    if (!khrPerUsd) {
+        return '';
+    }
+    const riel = Math.round(Number(amount) * khrPerUsd / KHR_ROUNDING) * KHR_ROUNDING;
+    return `${riel.toLocaleString('en-US')}៛`;
+}
@@ -0,0 +1,66 @@
+// Storefront analytics: what customers look at and do, for the funnel on the admin page
+// Events carry product ids, categories and sizes only - never names, phone numbers or anything
+// else about the customer. They are queued and sent in batches with navigator.sendBeacon to the
+// analytics function, which keeps nothing but daily counts (netlify/lib/analytics.js).
+const ANALYTICS_URL = '/.netlify/functions/analytics';
+const BATCH_SIZE = 20; // send as soon as this many events are waiting
+
+let queue = [];
+const seenProducts = new Set(); // products already counted as shown on this page load
+
+// Send the waiting events when the customer leaves or switches away - the page may never come back
+export function startAnalytics() {
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'hidden') {
+            flushEvents();
+        }
+    });
+    window.addEventListener('pagehide', flushEvents);
+}
+
+// Queue an event, e.g. trackEvent('size_select', { ...productDetails(product), size: 'M' })
+export function trackEvent(name, details = {}) {
+    // Visitors who asked not to be tracked aren't counted at all
+    if (navigator.doNotTrack === '1') return;
+
+    queue.push({ name: name, ...details });
+    if (queue.length >= BATCH_SIZE) {
+        flushEvents();
+    }
+}
+
+// What an event says about a product
+export function productDetails(product) {
+    return { productId: product.id, category: product.category };
+}
+
+// What an event says about the products in cart lines (checkout and order events)
+export function lineDetails(lines) {
+    return { items: lines.map(line => ({ productId: line.productId, category: line.category })) };
+}
+
+// Count products shown in the catalog or on a product page, once each per page load
+export function trackImpressions(products) {
+    products.forEach(product => {
+        if (seenProducts.has(product.id)) return;
+        seenProducts.add(product.id);
+        trackEvent('product_impression', productDetails(product));
+    });
+}
+
+// Send the waiting events in one request
+// sendBeacon survives the page closing; fetch with keepalive is the fallback where it is missing
+// or refuses the batch. Lost events are not retried - the counts only need to be roughly right.
+export function flushEvents() {
+    if (queue.length === 0) return;
+
+    const body = JSON.stringify({ events: queue });
+    queue = [];
+
+    if (navigator.sendBeacon && navigator.sendBeacon(ANALYTICS_URL, body)) {
+        return;
+    }
+    fetch(ANALYTICS_URL, { method: 'POST', body: body, keepalive: true }).catch(error => {
+        console.log('Analytics not sent:', error.message);
+    });
+}
@@ -0,0 +1,1701 @@
+// Storefront entry point: puts the catalog, cart, checkout and order pages on the page and wires up the controls
+// The data and markup come from the other modules:
+//   store.js        state, cart, wishlist, recently viewed and the orders remembered on this device
+//   catalog.js      fetching, caching, searching and filtering the catalog
+//   pricing.js      prices of products, cart lines and the cart
+//   views.js        markup
+//   order-client.js the order sent to send-order, and track-order / pay-order / notify-me
+//   router.js       hash routes
+//   analytics.js    events for the storefront funnel on the admin page
+// shared/*.js, i18n.js and render.js are plain scripts loaded before this module; their
+// functions (t, html, setHTML, applyPromotions, ...) are globals.
+import {
+    state,
+    findProduct,
+    findProducts,
+    readCart,
+    writeCart,
+    findCartItem,
+    addToCart,
+    updateCartQuantity,
+    removeFromCart,
+    getCartLines,
+    loadSavedOrders,
+    findSavedOrder,
+    saveOrder,
+    readWishlist,
+    writeWishlist,
+    toggleWishlist,
+    readRecentlyViewed,
+    writeRecentlyViewed,
+    addRecentlyViewed
+} from './store.js';
+import {
+    DEFAULT_CATALOG_STATE,
+    fetchCatalog,
+    getSampleCatalog,
+    readCatalogCache,
+    writeCatalogCache,
+    isCacheStale,
+    diffCatalog,
+    getCatalogSizes,
+    filterProducts,
+    sortProducts,
+    hasActiveFilters
+} from './catalog.js';
+import { getCartPricing, getCheckoutTotal, formatPrice } from './pricing.js';
+import {
+    renderLoading,
+    renderMessage,
+    renderCategoryLinks,
+    renderCategoryButtons,
+    renderSizeFilterOptions,
+    renderProductCard,
+    renderProductDetail,
+    renderProductStrip,
+    renderGallery,
+    renderDiscountLines,
+    renderCartLines,
+    renderDeliveryMethodOptions,
+    renderDeliveryAreaOptions,
+    renderCheckoutSummary,
+    renderOutboxEntries,
+    renderPayment,
+    renderOrderConfirmation,
+    renderUnknownOrder,
+    renderTrackedOrder,
+    renderRecentOrders
+} from './views.js';
+import {
+    ORDER_QUEUE_SUPPORTED,
+    buildOrder,
+    validateOrder,
+    normalizeOrder,
+    sendOrder,
+    requestOrderSync,
+    lookupOrder,
+    requestPayment,
+    requestStockAlert
+} from './order-client.js';
+import { parseRoute, catalogHash, orderHash, trackHash } from './router.js';
+import { startAnalytics, trackEvent, trackImpressions, productDetails, lineDetails } from './analytics.js';
+
+const SEARCH_DELAY = 250; // ms to wait after typing before searching
+const PAYMENT_CHECK_INTERVAL = 10 * 1000; // ms between payment checks while a KHQR is shown
+
+// Order fields and the checkout inputs they come from
+const CHECKOUT_FIELDS = {
+    name: 'customerName',
+    phone: 'customerPhone',
+    hasTelegram: 'hasTelegram',
+    deliveryMethod: 'deliveryMethod',
+    deliveryArea: 'deliveryArea',
+    address: 'customerAddress',
+    notes: 'orderNotes',
+    promoCode: 'promoCode'
+};
+
+// Track-order fields and their inputs
+const TRACK_FIELDS = {
+    orderId: 'trackOrderId',
+    phone: 'trackPhone'
+};
+
+// Inputs of each form, by the field names the functions report errors for
+const FORM_FIELDS = {
+    orderForm: CHECKOUT_FIELDS,
+    trackForm: TRACK_FIELDS
+};
+
+// Page sections shown by each view
+const VIEW_SECTIONS = {
+    catalog: ['home', 'products'],
+    product: ['productDetail'],
+    order: ['orderConfirmation'],
+    track: ['trackOrder']
+};
+
+// Controls the Tab key can reach inside the checkout dialog
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([tabindex="-1"]), select:not([disabled]), textarea:not([disabled])';
+
+let catalogNoticeTimer = null;
+let paymentTimer = null;
+let checkoutOpener = null; // focused before the checkout opened, focused again when it closes
+
+// Initialize the website when page loads
+document.addEventListener('DOMContentLoaded', function() {
+    console.log('PR Sport - Initializing website');
+    state.cart = readCart();
+    state.wishlist = readWishlist();
+    state.recentlyViewed = readRecentlyViewed();
+    applyTranslations();
+    syncLanguageControls();
+    loadDelivery();
+    loadCurrency();
+    loadProducts();
+    setupEventListeners();
+    renderCart();
+    registerServiceWorker();
+    renderOutbox();
+    replayOrders();
+    startAnalytics();
+});
+
+// Register the service worker (sw.js) that keeps the page and images available offline
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+
+    // The worker sends queued orders in the background and tells us when it did
+    navigator.serviceWorker.addEventListener('message', function(e) {
+        if (e.data && e.data.type === 'outbox-updated') {
+            renderOutbox();
+            showOutboxResult(e.data.sent, e.data.failed);
+        }
+    });
+}
+
+// Read the delivery methods (delivery.json), and fill in the checkout if it is already open
+async function loadDelivery() {
+    await loadDeliveryMethods();
+    if (document.getElementById('orderModal').style.display === 'flex') {
+        renderDeliveryOptions();
+        updateCheckoutSummary();
+    }
+}
+
+// Read the exchange rate (currency.json), and add the riel prices if the customer asked for them
+async function loadCurrency() {
+    if (await loadExchangeRate() && currencyMode === 'usd-khr') {
+        refreshLanguage();
+    }
+}
+
+// Load products - stale-while-revalidate:
+// show the saved catalog right away, then check the sheet for changes in the background
+async function loadProducts() {
+    const cached = readCatalogCache();
+
+    if (cached) {
+        console.log('Using cached products - instant load!');
+        applyCatalog(cached);
+
+        const isStale = isCacheStale(cached);
+        setTimeout(() => refreshCatalog(isStale), 100);
+        return;
+    }
+
+    // Show loading state
+    setHTML(document.getElementById('products-container'), renderLoading());
+
+    try {
+        // No saved copy - wait for the sheet
+        await loadFreshProducts();
+    } catch (error) {
+        console.error('Error loading products:', error);
+        useSampleProducts();
+    }
+}
+
+// Check the sheet for changes without disturbing the page
+// Only tell the customer about a failure when the copy they're looking at is stale
+async function refreshCatalog(isStale) {
+    try {
+        await loadFreshProducts();
+    } catch (error) {
+        console.error('Background refresh failed:', error);
+        if (isStale) {
+            showCatalogNotice(t('catalog.stale'), true);
+        }
+    }
+}
+
+// Load fresh products from the catalog function, or straight from Google Sheets
+// Returns true when the catalog changed
+async function loadFreshProducts() {
+    console.log('Loading fresh products...');
+
+    try {
+        const catalog = await fetchCatalog();
+
+        // Same sheet as the one on screen - nothing to re-render
+        if (catalog.hash === state.catalogContentHash) {
+            console.log('Catalog unchanged');
+            writeCatalogCache(catalog);
+            return false;
+        }
+
+        if (catalog.products.length === 0) {
+            throw new Error('No products found in Google Sheets');
+        }
+
+        // Save to cache for NEXT time
+        writeCatalogCache(catalog);
+
+        console.log(`Loaded ${catalog.products.length} products, ${catalog.categories.length} categories`);
+
+        if (state.products.length === 0) {
+            applyCatalog(catalog);
+        } else {
+            applyCatalogUpdate(catalog);
+        }
+
+        return true;
+
+    } catch (error) {
+        console.error('Error loading fresh products:', error);
+        throw error; // Re-throw to be handled by the caller
+    }
+}
+
+// Retry loading function - keeps the products on screen until the sheet answers
+async function retryLoad() {
+    console.log('Retrying load...');
+    hideCatalogNotice();
+
+    try {
+        await loadFreshProducts();
+    } catch (error) {
+        showCatalogNotice(t('catalog.stillUnavailable'), true);
+    }
+}
+
+// Show a catalog for the first time
+// Prices are worked out for today from the sheet discounts and the promotions
+function applyCatalog(catalog) {
+    const promotionList = catalog.promotions || [];
+
+    state.products = applyPromotions(catalog.products, promotionList);
+    state.categories = catalog.categories;
+    state.promotions = promotionList;
+    state.catalogContentHash = catalog.hash;
+
+    displayCategories();
+    renderCurrentRoute();
+    renderCart();
+}
+
+// Swap in a changed catalog, keeping the customer's filters, selected sizes and place on the page
+function applyCatalogUpdate(catalog) {
+    const promotionList = catalog.promotions || [];
+    const pricedProducts = applyPromotions(catalog.products, promotionList);
+    const changedIds = diffCatalog(state.products, pricedProducts);
+    const categoriesChanged = JSON.stringify(state.categories) !== JSON.stringify(catalog.categories);
+    const promotionsChanged = JSON.stringify(state.promotions) !== JSON.stringify(promotionList);
+    const selectedOptions = getSelectedOptions();
+
+    state.products = pricedProducts;
+    state.categories = catalog.categories;
+    state.promotions = promotionList;
+    state.catalogContentHash = catalog.hash;
+
+    // Cart promotions only change the cart
+    if (promotionsChanged) {
+        renderCart();
+    }
+
+    if (changedIds.length === 0 && !categoriesChanged) {
+        return;
+    }
+
+    if (categoriesChanged) {
+        displayCategories();
+    }
+
+    refreshCurrentView(changedIds);
+    restoreSelectedOptions(selectedOptions);
+    renderCart();
+
+    showCatalogNotice(changedIds.length === 1
+        ? t('catalog.updatedOne')
+        : t('catalog.updatedMany', { count: changedIds.length }));
+}
+
+// Re-render only what changed in the current view
+function refreshCurrentView(changedIds) {
+    const route = parseRoute();
+
+    if (route.view === 'product') {
+        if (changedIds.includes(route.productId)) {
+            showProductDetail(route.productId);
+        }
+        return;
+    }
+
+    // Order pages don't show catalog data
+    if (route.view !== 'catalog') return;
+
+    const catalogState = route.catalog;
+    const container = document.getElementById('products-container');
+    const visible = sortProducts(filterProducts(state.products, catalogState), catalogState, currentLanguage);
+    const cards = [...container.querySelectorAll('.product-card')];
+
+    syncCatalogControls(catalogState);
+    renderProductStrips();
+
+    // Same products in the same order - just replace the cards that changed
+    const sameCards = cards.length === visible.length &&
+        cards.every((card, index) => card.dataset.productId === visible[index].id);
+
+    if (!sameCards) {
+        displayProducts(catalogState);
+        return;
+    }
+
+    cards.forEach((card, index) => {
+        const product = visible[index];
+        if (changedIds.includes(product.id)) {
+            card.replaceWith(createElementFromHTML(renderProductCard(product, state.wishlist.includes(product.id))));
+        }
+    });
+}
+
+// Size, color and printing chosen on a card / the detail view
+function getProductOptions(productCard) {
+    const personalization = {};
+    productCard.querySelectorAll('.personalization-input').forEach(input => {
+        personalization[input.dataset.field] = input.value;
+    });
+
+    return {
+        size: productCard.querySelector('.size-radio:checked')?.value,
+        color: productCard.querySelector('.color-option.selected')?.dataset.color || '',
+        personalization: personalization
+    };
+}
+
+// Remember the options chosen on each card / the detail view
+function getSelectedOptions() {
+    const selected = new Map();
+    document.querySelectorAll('.product-card, .product-detail').forEach(productCard => {
+        selected.set(productCard.dataset.productId, getProductOptions(productCard));
+    });
+    return selected;
+}
+
+// Re-select options after a re-render - sizes only if they are still in stock
+function restoreSelectedOptions(selected) {
+    document.querySelectorAll('.product-card, .product-detail').forEach(productCard => {
+        const options = selected.get(productCard.dataset.productId);
+        if (!options) return;
+
+        const radio = [...productCard.querySelectorAll('.size-radio')]
+            .find(input => input.value === options.size && !input.disabled);
+        if (radio) {
+            radio.checked = true;
+            selectSize(productCard, radio);
+        }
+
+        const colorOption = [...productCard.querySelectorAll('.color-option')]
+            .find(opt => opt.dataset.color === options.color);
+        if (colorOption && !colorOption.classList.contains('selected')) {
+            selectColor(productCard, colorOption);
+        }
+
+        productCard.querySelectorAll('.personalization-input').forEach(input => {
+            input.value = options.personalization[input.dataset.field] || '';
+        });
+    });
+}
+
+// Show the language and currency the customer picked in the switchers
+function syncLanguageControls() {
+    document.getElementById('languageSelect').value = currentLanguage;
+    document.getElementById('currencySelect').value = currencyMode;
+}
+
+// Re-render the page after the language or currency changed
+function refreshLanguage() {
+    applyTranslations();
+    syncLanguageControls();
+
+    // Products still loading - they'll render in the new language when they arrive
+    if (state.products.length > 0) {
+        const selectedOptions = getSelectedOptions();
+        displayCategories();
+        renderCurrentRoute();
+        restoreSelectedOptions(selectedOptions);
+    }
+
+    renderCart();
+    renderOutbox();
+
+    // Checkout open - relabel the delivery choices and the summary
+    if (document.getElementById('orderModal').style.display === 'flex') {
+        renderDeliveryOptions();
+        updateCheckoutSummary();
+    }
+}
+
+// Small notice above the catalog, e.g. "Catalog updated"
+// Notices with a retry button stay until dismissed; others hide themselves
+function showCatalogNotice(message, withRetry = false) {
+    const notice = document.getElementById('catalogNotice');
+
+    clearTimeout(catalogNoticeTimer);
+    document.getElementById('catalogNoticeText').textContent = message;
+    document.getElementById('catalogNoticeRetry').hidden = !withRetry;
+    notice.hidden = false;
+
+    if (!withRetry) {
+        catalogNoticeTimer = setTimeout(hideCatalogNotice, 6000);
+    }
+}
+
+// Hide the catalog notice
+function hideCatalogNotice() {
+    clearTimeout(catalogNoticeTimer);
+    document.getElementById('catalogNotice').hidden = true;
+}
+
+// Use sample products if Google Sheets fails
+function useSampleProducts() {
+    console.log('Using sample products');
+    applyCatalog(getSampleCatalog());
+    showCatalogNotice(t('catalog.sample'), true);
+}
+
+// Display categories in dropdown and filter buttons, and every size in the catalog in the size filter
+function displayCategories() {
+    setHTML(document.getElementById('categoryDropdown'), renderCategoryLinks(state.categories));
+    setHTML(document.getElementById('categoryFilter'), renderCategoryButtons(state.categories));
+    setHTML(document.getElementById('sizeFilter'), renderSizeFilterOptions(getCatalogSizes(state.products)));
+}
+
+// Display products on the page
+function displayProducts(catalogState = {}) {
+    const container = document.getElementById('products-container');
+    const filters = { ...DEFAULT_CATALOG_STATE, ...catalogState };
+
+    // Search, filter and sort
+    const filteredProducts = sortProducts(filterProducts(state.products, filters), filters, currentLanguage);
+
+    document.getElementById('resultsSummary').textContent = hasActiveFilters(filters)
+        ? t('catalog.showing', { shown: filteredProducts.length, total: state.products.length })
+        : '';
+
+    if (filteredProducts.length === 0) {
+        setHTML(container, renderMessage(hasActiveFilters(filters)
+            ? t('catalog.noMatches')
+            : t('catalog.emptyCategory')));
+        return;
+    }
+
+    setHTML(container, filteredProducts.map(product => renderProductCard(product, state.wishlist.includes(product.id))));
+    trackImpressions(filteredProducts);
+
+    console.log(`Displayed ${filteredProducts.length} products`);
+}
+
+// Catalog state from the URL, or the last catalog view when on a product page
+function getCatalogState() {
+    const route = parseRoute();
+    return route.view === 'catalog' ? route.catalog : parseRoute(state.lastCatalogHash).catalog;
+}
+
+// Change the catalog state and store it in the URL
+// Use replace for typing in the search box so every keystroke isn't a history entry
+function updateCatalog(changes, replace = false) {
+    const hash = catalogHash({ ...getCatalogState(), ...changes });
+
+    if (replace) {
+        history.replaceState(null, '', hash);
+        renderCurrentRoute();
+    } else {
+        window.location.hash = hash;
+    }
+}
+
+// Count a category button or menu link ("All products" isn't a filter)
+function trackCategoryFilter(category) {
+    if (category && category !== 'all') {
+        trackEvent('category_filter', { category: category });
+    }
+}
+
+// Make the toolbar controls match the catalog state (e.g. after back/forward)
+function syncCatalogControls(catalogState) {
+    // Update active filter button
+    document.querySelectorAll('.category-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.category === catalogState.category);
+    });
+
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput.value.trim() !== catalogState.query) {
+        searchInput.value = catalogState.query;
+    }
+
+    document.getElementById('sortSelect').value = catalogState.sort;
+    document.getElementById('sizeFilter').value = catalogState.size;
+    document.getElementById('minPrice').value = catalogState.minPrice === null ? '' : catalogState.minPrice;
+    document.getElementById('maxPrice').value = catalogState.maxPrice === null ? '' : catalogState.maxPrice;
+    document.getElementById('onSaleFilter').checked = catalogState.onSale;
+    document.getElementById('clearFilters').hidden = !hasActiveFilters(catalogState) && catalogState.sort === DEFAULT_CATALOG_STATE.sort;
+}
+
+// Show whatever the current URL points to
+function renderCurrentRoute() {
+    const route = parseRoute();
+
+    if (route.view === 'product') {
+        showProductDetail(route.productId);
+        return;
+    }
+
+    if (route.view === 'order') {
+        showOrderConfirmation(route.orderId);
+        return;
+    }
+
+    if (route.view === 'track') {
+        showTrackOrder(route.orderId);
+        return;
+    }
+
+    const comingFromDetail = state.currentView !== 'catalog';
+    showCatalog(route.catalog);
+
+    if (comingFromDetail) {
+        document.getElementById('products').scrollIntoView();
+    }
+}
+
+// Show the page sections of one view and hide the rest
+function showView(view) {
+    state.currentView = view;
+    Object.keys(VIEW_SECTIONS).forEach(name => {
+        VIEW_SECTIONS[name].forEach(id => {
+            document.getElementById(id).hidden = name !== view;
+        });
+    });
+}
+
+// Show the catalog with a category, search and filters applied
+function showCatalog(catalogState) {
+    showView('catalog');
+    state.lastCatalogHash = catalogHash(catalogState);
+    document.title = t('page.title');
+
+    syncCatalogControls(catalogState);
+    displayProducts(catalogState);
+    renderProductStrips();
+}
+
+// Show a strip of products under the catalog, hidden when none of its products are in the catalog
+function renderStrip(stripId, listId, ids) {
+    const productList = findProducts(state.products, ids);
+    document.getElementById(stripId).hidden = productList.length === 0;
+    setHTML(document.getElementById(listId), renderProductStrip(productList, state.wishlist));
+}
+
+// Show the wishlist and the recently viewed products
+function renderProductStrips() {
+    renderStrip('wishlistStrip', 'wishlistList', state.wishlist);
+    renderStrip('recentStrip', 'recentList', state.recentlyViewed);
+}
+
+// Save a product to the wishlist or take it off, and update every heart of that product
+// A heart clicked in the wishlist strip leaves the strip as it is until the next render, so the
+// product doesn't vanish from under the pointer and can be saved again in place.
+function toggleWishlistProduct(button) {
+    const productId = button.dataset.productId;
+    state.wishlist = toggleWishlist(state.wishlist, productId);
+    writeWishlist(state.wishlist);
+
+    const wished = state.wishlist.includes(productId);
+    document.querySelectorAll('.wishlist-btn').forEach(heart => {
+        if (heart.dataset.productId !== productId) return;
+        heart.classList.toggle('saved', wished);
+        heart.setAttribute('aria-pressed', String(wished));
+    });
+
+    if (!button.closest('#wishlistStrip')) {
+        renderStrip('wishlistStrip', 'wishlistList', state.wishlist);
+    }
+}
+
+// Show the detail view for one product
+function showProductDetail(productId) {
+    // Products are still loading - we'll be called again once they arrive
+    if (state.products.length === 0) return;
+
+    showView('product');
+
+    const product = findProduct(state.products, productId);
+    const content = document.getElementById('productDetailContent');
+
+    document.getElementById('backToProducts').setAttribute('href', state.lastCatalogHash);
+
+    if (!product) {
+        document.title = t('page.title');
+        setHTML(content, renderMessage(t('product.unavailable')));
+        return;
+    }
+
+    document.title = `${localizeProduct(product, 'name')} - PR Sport`;
+    setHTML(content, renderProductDetail(product, state.wishlist.includes(product.id)));
+    trackImpressions([product]);
+
+    state.recentlyViewed = addRecentlyViewed(state.recentlyViewed, product.id);
+    writeRecentlyViewed(state.recentlyViewed);
+    window.scrollTo(0, 0);
+}
+
+// Pick a colorway on a card or the detail view and show its photos
+function selectColor(productCard, option) {
+    productCard.querySelectorAll('.color-option').forEach(opt => {
+        opt.classList.toggle('selected', opt === option);
+        opt.setAttribute('aria-pressed', String(opt === option));
+    });
+
+    const product = findProduct(state.products, productCard.dataset.productId);
+    if (!product) return;
+
+    const imageUrls = getColorImages(product, option.dataset.color);
+    const gallery = productCard.querySelector('.gallery');
+    if (gallery) {
+        gallery.replaceWith(createElementFromHTML(renderGallery(product, imageUrls)));
+        return;
+    }
+
+    const image = productCard.querySelector('.product-image');
+    delete image.dataset.fallback;
+    image.src = safeImageUrl(imageUrls[0]);
+}
+
+// Check the printing typed in the detail view. Shows what to fix and returns null, or returns the values.
+function readPersonalization(productCard, product, input) {
+    const errorElement = productCard.querySelector('.personalization-error');
+    const { values, errors } = checkPersonalization(product, input);
+    const field = Object.keys(errors)[0];
+
+    if (!errorElement) {
+        return values;
+    }
+
+    errorElement.hidden = !field;
+    if (!field) {
+        return values;
+    }
+
+    const option = product.personalization.find(opt => opt.field === field);
+    const label = t(`personalize.${field}`);
+    if (errors[field] === 'too-long') {
+        errorElement.textContent = t('personalize.tooLong', { field: label, max: option.maxLength });
+    } else {
+        errorElement.textContent = field === 'number' ? t('personalize.digitsOnly') : t('personalize.lettersOnly');
+    }
+    productCard.querySelector(`.personalization-input[data-field="${field}"]`).focus();
+    return null;
+}
+
+// Scroll the gallery to a photo
+function showGalleryImage(gallery, index) {
+    const track = gallery.querySelector('.gallery-track');
+    const count = track.children.length;
+    const target = (index + count) % count;
+
+    track.scrollTo({ left: target * track.clientWidth, behavior: 'smooth' });
+    updateGalleryThumbs(gallery, target);
+}
+
+// Highlight the thumbnail of the photo in view
+function updateGalleryThumbs(gallery, index) {
+    gallery.querySelectorAll('.gallery-thumb').forEach(thumb => {
+        thumb.classList.toggle('active', parseInt(thumb.dataset.index) === index);
+    });
+}
+
+// Index of the photo currently in view
+function getGalleryIndex(gallery) {
+    const track = gallery.querySelector('.gallery-track');
+    return track.clientWidth ? Math.round(track.scrollLeft / track.clientWidth) : 0;
+}
+
+// Share a product link, or copy it when the browser can't share
+// The link is the product's pre-rendered page (product-page function), so chat apps show a preview
+async function shareProduct(productId) {
+    const product = findProduct(state.products, productId);
+    const url = `${window.location.origin}/product/${encodeURIComponent(productId)}`;
+
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: product ? localizeProduct(product, 'name') : 'PR Sport', url: url });
+        } catch (error) {
+            console.log('Share cancelled:', error.message);
+        }
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        document.querySelector('#productDetail .share-status').textContent = t('product.linkCopied');
+    } catch (error) {
+        window.prompt(t('product.copyLink'), url);
+    }
+}
+
+// Show or clear the error under the contact field of the "Notify me" form
+function showNotifyError(form, message) {
+    const input = form.querySelector('.notify-contact');
+    const fieldError = form.querySelector('.field-error');
+    fieldError.textContent = message;
+    fieldError.hidden = !message;
+    input.classList.toggle('invalid', Boolean(message));
+
+    if (message) {
+        input.setAttribute('aria-invalid', 'true');
+        input.focus();
+    } else {
+        input.removeAttribute('aria-invalid');
+    }
+}
+
+// Ask for a Telegram message when a sold-out size is back, from the form in the detail view
+async function requestNotification(form) {
+    const productId = form.closest('.product-detail').dataset.productId;
+    const size = form.querySelector('.notify-size').value;
+    const input = form.querySelector('.notify-contact');
+    const status = form.querySelector('.notify-status');
+    const submitBtn = form.querySelector('.notify-submit');
+    const contact = normalizeTelegramContact(input.value);
+
+    status.textContent = '';
+    if (!contact) {
+        showNotifyError(form, input.value.trim() ? t('notify.contactInvalid') : t('notify.contactRequired'));
+        return;
+    }
+    showNotifyError(form, '');
+
+    submitBtn.textContent = t('notify.sending');
+    submitBtn.disabled = true;
+
+    try {
+        const result = await requestStockAlert(productId, size, contact);
+
+        if (!result.request) {
+            if (result.fields && result.fields.contact) {
+                showNotifyError(form, result.fields.contact);
+            } else {
+                status.textContent = result.error;
+            }
+            return;
+        }
+
+        status.textContent = t('notify.saved', { size: size });
+        input.value = '';
+    } catch (error) {
+        console.error('Back-in-stock request error:', error);
+        status.textContent = navigator.onLine ? t('notify.failed') : t('notify.offline');
+    } finally {
+        submitBtn.textContent = t('notify.submit');
+        submitBtn.disabled = false;
+    }
+}
+
+// Handle image loading errors
+// Only swaps once, so a broken fallback can't loop.
+function handleImageError(img) {
+    if (img.dataset.fallback) return;
+    img.dataset.fallback = 'true';
+
+    const productCard = img.closest('.product-card, .product-detail');
+    console.log(`Image failed to load for: ${productCard ? productCard.dataset.productId : img.src}`);
+    // Use a random soccer-related fallback image
+    const fallbackImages = [
+        'https://images.unsplash.com/photo-1574629810360-7efbbe195018?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80',
+        'https://images.unsplash.com/photo-1579758682664-5b1e5a5e3d2f?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80',
+        'https://images.unsplash.com/photo-1600674845588-70ceb83b8ecf?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80',
+        'https://images.unsplash.com/photo-1614632537197-38a17061c2bd?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80',
+        'https://images.unsplash.com/photo-1599058917765-660d3e6cb67f?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80'
+    ];
+    const randomImage = fallbackImages[Math.floor(Math.random() * fallbackImages.length)];
+    img.src = randomImage;
+}
+
+// Mark the size whose radio is checked and enable add to cart
+function selectSize(productCard, radio) {
+    productCard.querySelectorAll('.size-option').forEach(opt => {
+        opt.classList.toggle('selected', opt.contains(radio));
+    });
+    productCard.querySelector('.order-btn').disabled = false;
+}
+
+// Handle size selection (click or arrow keys) on product cards and the detail view
+function handleSizeChange(e) {
+    if (!e.target.classList.contains('size-radio')) return;
+
+    const productCard = e.target.closest('.product-card, .product-detail');
+    selectSize(productCard, e.target);
+
+    const product = findProduct(state.products, productCard.dataset.productId);
+    if (product) {
+        trackEvent('size_select', { ...productDetails(product), size: e.target.value });
+    }
+}
+
+// Handle colorways, add to cart and share on product cards and the detail view
+function handleProductClick(e) {
+    if (e.target.classList.contains('color-option')) {
+        selectColor(e.target.closest('.product-card, .product-detail'), e.target);
+    }
+
+    // Handle add to cart button click
+    if (e.target.classList.contains('order-btn') && !e.target.disabled) {
+        const productCard = e.target.closest('.product-card, .product-detail');
+        const productId = e.target.dataset.productId;
+        const product = findProduct(state.products, productId);
+        const options = getProductOptions(productCard);
+
+        const personalization = product ? readPersonalization(productCard, product, options.personalization) : {};
+        if (!personalization) return;
+
+        addProductToCart(productId, options.size || 'One Size', {
+            color: options.color,
+            personalization: personalization
+        });
+        openCart();
+    }
+
+    if (e.target.classList.contains('share-btn')) {
+        shareProduct(e.target.closest('.product-detail').dataset.productId);
+    }
+}
+
+// Setup all event listeners
+function setupEventListeners() {
+    // Handle size selection and add to cart on product cards and the detail view
+    ['products-container', 'productDetail'].forEach(id => {
+        document.getElementById(id).addEventListener('click', handleProductClick);
+        document.getElementById(id).addEventListener('change', handleSizeChange);
+    });
+
+    // Wishlist hearts on the cards, the strips under them and the detail view
+    ['products', 'productDetail'].forEach(id => {
+        document.getElementById(id).addEventListener('click', function(e) {
+            const heart = e.target.closest('.wishlist-btn');
+            if (heart) {
+                toggleWishlistProduct(heart);
+            }
+        });
+    });
+
+    // Handle the "Notify me" form of the detail view
+    document.getElementById('productDetail').addEventListener('submit', function(e) {
+        if (!e.target.classList.contains('notify-form')) return;
+        e.preventDefault();
+        requestNotification(e.target);
+    });
+    document.getElementById('productDetail').addEventListener('input', function(e) {
+        if (e.target.classList.contains('notify-contact')) {
+            showNotifyError(e.target.form, '');
+        }
+    });
+
+    // Handle gallery navigation in the detail view
+    document.getElementById('productDetail').addEventListener('click', function(e) {
+        const gallery = e.target.closest('.gallery');
+        if (!gallery) return;
+
+        const thumb = e.target.closest('.gallery-thumb');
+        if (thumb) {
+            showGalleryImage(gallery, parseInt(thumb.dataset.index));
+        }
+
+        if (e.target.classList.contains('gallery-nav')) {
+            showGalleryImage(gallery, getGalleryIndex(gallery) + parseInt(e.target.dataset.direction));
+        }
+    });
+
+    // Keep thumbnails in sync when the customer swipes through photos
+    document.getElementById('productDetail').addEventListener('scroll', function(e) {
+        if (e.target.classList && e.target.classList.contains('gallery-track')) {
+            const gallery = e.target.closest('.gallery');
+            updateGalleryThumbs(gallery, getGalleryIndex(gallery));
+        }
+    }, true);
+
+    // Swap broken product photos for a fallback (error events don't bubble, so listen on capture)
+    ['products-container', 'productDetail'].forEach(id => {
+        document.getElementById(id).addEventListener('error', function(e) {
+            if (e.target.tagName === 'IMG') {
+                handleImageError(e.target);
+            }
+        }, true);
+    });
+
+    // Follow links and back/forward navigation between the catalog and product pages
+    window.addEventListener('hashchange', renderCurrentRoute);
+
+    // Handle cart drawer
+    document.getElementById('cartToggle').addEventListener('click', openCart);
+    document.getElementById('closeCart').addEventListener('click', closeCart);
+    document.getElementById('cartOverlay').addEventListener('click', closeCart);
+    document.getElementById('checkoutBtn').addEventListener('click', openCheckout);
+
+    // Handle quantity buttons and remove links inside the cart
+    document.getElementById('cartItems').addEventListener('click', function(e) {
+        const line = e.target.closest('.cart-line');
+        if (!line) return;
+
+        const key = line.dataset.key;
+
+        if (e.target.classList.contains('cart-qty-btn')) {
+            const item = findCartItem(state.cart, key);
+            if (item) {
+                changeCartQuantity(key, item.quantity + parseInt(e.target.dataset.delta));
+            }
+        }
+
+        if (e.target.classList.contains('cart-remove')) {
+            setCart(removeFromCart(state.cart, key));
+        }
+    });
+
+    document.getElementById('cartItems').addEventListener('change', function(e) {
+        if (e.target.classList.contains('cart-qty-input')) {
+            const line = e.target.closest('.cart-line');
+            changeCartQuantity(line.dataset.key, parseInt(e.target.value) || 0);
+        }
+    });
+
+    // Handle category filter buttons
+    document.getElementById('categoryFilter').addEventListener('click', function(e) {
+        if (e.target.classList.contains('category-btn')) {
+            trackCategoryFilter(e.target.dataset.category);
+            // Filter products through the URL so the view can be shared
+            updateCatalog({ category: e.target.dataset.category });
+        }
+    });
+
+    // Handle category dropdown
+    document.getElementById('categoryDropdown').addEventListener('click', function(e) {
+        if (e.target.tagName === 'A') {
+            trackCategoryFilter(e.target.dataset.category);
+            // The link's own hash filters the products (see renderCurrentRoute)
+            // Scroll to products section
+            document.getElementById('products').scrollIntoView({
+                behavior: 'smooth'
+            });
+        }
+    });
+
+    // Handle search box (after a short pause in typing)
+    let searchTimer = null;
+    document.getElementById('searchInput').addEventListener('input', function() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            updateCatalog({ query: this.value.trim() }, true);
+        }, SEARCH_DELAY);
+    });
+
+    // Handle sort and filter controls
+    document.getElementById('sortSelect').addEventListener('change', function() {
+        updateCatalog({ sort: this.value });
+    });
+    document.getElementById('sizeFilter').addEventListener('change', function() {
+        updateCatalog({ size: this.value });
+    });
+    document.getElementById('minPrice').addEventListener('change', function() {
+        updateCatalog({ minPrice: this.value === '' ? null : parseFloat(this.value) });
+    });
+    document.getElementById('maxPrice').addEventListener('change', function() {
+        updateCatalog({ maxPrice: this.value === '' ? null : parseFloat(this.value) });
+    });
+    document.getElementById('onSaleFilter').addEventListener('change', function() {
+        updateCatalog({ onSale: this.checked });
+    });
+    document.getElementById('clearFilters').addEventListener('click', function() {
+        updateCatalog({ ...DEFAULT_CATALOG_STATE, category: getCatalogState().category });
+    });
+
+    // Handle dismiss / cancel buttons in the order status list
+    document.getElementById('outboxList').addEventListener('click', async function(e) {
+        // Order links lead out of the drawer
+        if (e.target.closest('.outbox-order-link')) {
+            closeCart();
+            return;
+        }
+
+        if (!e.target.classList.contains('outbox-dismiss')) return;
+
+        const entry = e.target.closest('.outbox-entry');
+        if (entry.dataset.status === 'pending' && !confirm(t('outbox.confirmCancel'))) return;
+
+        await removeOutboxEntry(entry.dataset.id);
+        renderOutbox();
+    });
+
+    // Send queued orders as soon as the connection comes back
+    window.addEventListener('online', replayOrders);
+
+    // Handle the language and currency switchers
+    document.getElementById('languageSelect').addEventListener('change', function() {
+        setLanguage(this.value);
+        refreshLanguage();
+    });
+    document.getElementById('currencySelect').addEventListener('change', function() {
+        setCurrencyMode(this.value);
+        refreshLanguage();
+    });
+
+    // Handle catalog notice buttons
+    document.getElementById('catalogNoticeRetry').addEventListener('click', retryLoad);
+    document.getElementById('catalogNoticeClose').addEventListener('click', hideCatalogNotice);
+
+    // Handle form submission
+    document.getElementById('orderForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        submitOrder();
+    });
+
+    // Clear a field's error as soon as the customer changes it
+    Object.keys(FORM_FIELDS).forEach(formId => {
+        document.getElementById(formId).addEventListener('input', function(e) {
+            if (Object.values(FORM_FIELDS[formId]).includes(e.target.id)) {
+                clearFieldError(e.target.id);
+            }
+        });
+    });
+
+    // "Pay now" on the order confirmation and the track page
+    ['orderConfirmationContent', 'trackResult'].forEach(id => {
+        document.getElementById(id).addEventListener('click', function(e) {
+            const button = e.target.closest('.pay-now-btn');
+            if (button) {
+                startPayment(button.dataset.orderId);
+            }
+        });
+    });
+
+    // Check the promo code without placing the order
+    document.getElementById('applyPromo').addEventListener('click', applyPromoCode);
+
+    // Show the areas of the chosen delivery method and update the fee
+    document.getElementById('deliveryMethod').addEventListener('change', function() {
+        document.getElementById('deliveryArea').value = '';
+        renderDeliveryOptions();
+        updateCheckoutSummary();
+    });
+    document.getElementById('deliveryArea').addEventListener('change', function() {
+        renderDeliveryOptions();
+        updateCheckoutSummary();
+    });
+
+    // Handle the track-order form
+    document.getElementById('trackForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        trackOrder();
+    });
+
+    // Handle modal close
+    document.getElementById('cancelOrder').addEventListener('click', closeModal);
+    document.getElementById('orderModal').addEventListener('click', function(e) {
+        if (e.target === this) closeModal();
+    });
+    document.getElementById('orderModal').addEventListener('keydown', handleCheckoutKeydown);
+
+    // Handle Telegram checkbox
+    document.getElementById('hasTelegram').addEventListener('change', function() {
+        const telegramInfo = document.getElementById('telegramInfo');
+        telegramInfo.style.display = this.checked ? 'block' : 'none';
+    });
+
+    // Smooth scrolling for navigation links
+    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
+        anchor.addEventListener('click', function (e) {
+            // Skip if it's a category dropdown link or a route link (#/...)
+            if (this.dataset.category || this.getAttribute('href').startsWith('#/')) return;
+
+            e.preventDefault();
+
+            // Leave the product or order page first so the section is visible
+            if (state.currentView !== 'catalog') {
+                window.location.hash = state.lastCatalogHash;
+                renderCurrentRoute();
+            }
+
+            const target = document.querySelector(this.getAttribute('href'));
+            if (target) {
+                target.scrollIntoView({
+                    behavior: 'smooth'
+                });
+            }
+        });
+    });
+}
+
+// Save the cart and refresh the cart UI
+function saveCart() {
+    writeCart(state.cart);
+    renderCart();
+}
+
+// Replace the cart (see the cart functions in store.js) and save it
+function setCart(cart) {
+    state.cart = cart;
+    saveCart();
+}
+
+// Add a product+size to the cart, telling the customer when the stock doesn't allow it
+function addProductToCart(productId, size, options) {
+    const product = findProduct(state.products, productId);
+    if (!product) {
+        showCartMessage(t('cart.productNotFound'));
+        return;
+    }
+
+    const result = addToCart(state.cart, product, size, 1, options);
+    showCartMessage(!result.limited ? '' : result.available === 0
+        ? t('cart.sizeSoldOut', { size: size })
+        : t('cart.onlyLeft', { count: result.available, size: size }));
+    if (result.added > 0) {
+        setCart(result.cart);
+        trackEvent('add_to_cart', productDetails(product));
+    }
+}
+
+// Change the quantity of a cart line (0 or less removes it)
+function changeCartQuantity(key, quantity) {
+    const item = findCartItem(state.cart, key);
+    const result = updateCartQuantity(state.cart, state.products, key, quantity);
+
+    showCartMessage(result.limited ? t('cart.onlyLeft', { count: result.available, size: item.size }) : '');
+    setCart(result.cart);
+}
+
+// Empty the cart
+function clearCart() {
+    setCart([]);
+}
+
+// Lines of the cart with the loaded products' names and prices
+function getCurrentLines() {
+    return getCartLines(state.cart, state.products);
+}
+
+// Subtotal, cart promotions and total - with a promo code when one is given
+// send-order prices the order the same way (evaluateCart in shared/promotions.js)
+function getCurrentPricing(code = '') {
+    const delivery = getChosenDelivery();
+    return getCartPricing(getCurrentLines(), state.promotions, {
+        code: code,
+        deliveryMethod: delivery ? delivery.method : ''
+    });
+}
+
+// Render the cart drawer, item count and checkout button
+function renderCart() {
+    const lines = getCurrentLines();
+    const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+
+    const pricing = getCurrentPricing();
+
+    document.getElementById('cartCount').textContent = itemCount;
+    document.getElementById('cartTotal').textContent = formatPrice(pricing.total, currencyMode);
+    document.getElementById('checkoutBtn').disabled = lines.length === 0;
+    setHTML(document.getElementById('cartDiscounts'), renderDiscountLines(pricing));
+    setHTML(document.getElementById('cartItems'), renderCartLines(lines));
+}
+
+// Tell the customer what happened to their cart, e.g. that a size ran out ('' clears it)
+// The message is a status region in the drawer, so screen readers read it out.
+function showCartMessage(message) {
+    document.getElementById('cartMessage').textContent = message;
+}
+
+// Open cart drawer
+function openCart() {
+    document.getElementById('cartDrawer').classList.add('open');
+    document.getElementById('cartOverlay').classList.add('open');
+}
+
+// Close cart drawer
+function closeCart() {
+    showCartMessage('');
+    document.getElementById('cartDrawer').classList.remove('open');
+    document.getElementById('cartOverlay').classList.remove('open');
+}
+
+// Open the checkout dialog with a summary of the cart, and move focus into it
+function openCheckout() {
+    if (state.cart.length === 0) {
+        showCartMessage(t('cart.emptyAlert'));
+        return;
+    }
+
+    renderDeliveryOptions();
+    updateCheckoutSummary();
+
+    // The checkout button is in the drawer, which closes - focus its toggle afterwards
+    const opener = document.activeElement;
+    checkoutOpener = opener && opener.closest('#cartDrawer') ? document.getElementById('cartToggle') : opener;
+
+    closeCart();
+    document.getElementById('orderModal').style.display = 'flex';
+    document.getElementById('customerName').focus();
+    trackEvent('order_modal_open', lineDetails(getCurrentLines()));
+}
+
+// Is the checkout dialog open?
+function isCheckoutOpen() {
+    return document.getElementById('orderModal').style.display === 'flex';
+}
+
+// Keep Tab inside the checkout dialog, and close it with Escape
+function handleCheckoutKeydown(e) {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeModal();
+        return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = [...this.querySelectorAll(FOCUSABLE)].filter(element => !element.closest('[hidden], [aria-hidden="true"]'));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// The delivery the customer chose, or null until both the method and (when needed) the area are picked
+function getChosenDelivery() {
+    const methodId = document.getElementById('deliveryMethod').value;
+    const area = document.getElementById('deliveryArea').value;
+    return checkDelivery(methodId, area).delivery || null;
+}
+
+// Fill the delivery selects in the current language, keeping what the customer picked,
+// and show the area and address fields only when the method needs them
+function renderDeliveryOptions() {
+    const methodSelect = document.getElementById('deliveryMethod');
+    const areaSelect = document.getElementById('deliveryArea');
+    const methodId = methodSelect.value;
+    const area = areaSelect.value;
+    const method = DELIVERY_METHODS.hasOwnProperty(methodId) ? DELIVERY_METHODS[methodId] : null;
+
+    setHTML(methodSelect, renderDeliveryMethodOptions());
+    methodSelect.value = methodId;
+
+    setHTML(areaSelect, renderDeliveryAreaOptions(method));
+    areaSelect.value = area;
+
+    document.getElementById('deliveryAreaGroup').hidden = !(method && method.areas);
+    document.getElementById('customerAddressGroup').hidden = !needsAddress(methodId);
+    document.getElementById('deliveryInfo').textContent = method && method.freeFrom !== null
+        ? t('delivery.freeFrom', {
+            fee: formatPrice(getDeliveryFee({ method: methodId, area: areaSelect.value }, 0), currencyMode),
+            amount: formatPrice(method.freeFrom, currencyMode)
+        })
+        : '';
+}
+
+// Order summary in the checkout, including the promo code the customer applied and the delivery fee
+function updateCheckoutSummary() {
+    const pricing = getCurrentPricing(state.appliedPromoCode);
+    const { delivery, total } = getCheckoutTotal(pricing, getChosenDelivery());
+
+    setHTML(document.getElementById('orderSummary'), renderCheckoutSummary(getCurrentLines(), pricing, delivery, total));
+}
+
+// Check the promo code field against the cart. Returns an error message, or '' when the code
+// is empty or applies. The summary shows the code's discount once it applies.
+function checkPromoCode() {
+    const code = document.getElementById('promoCode').value.trim();
+    const pricing = getCurrentPricing(code);
+
+    state.appliedPromoCode = pricing.code && pricing.code.status === 'applied' ? code : '';
+    updateCheckoutSummary();
+
+    if (!pricing.code || pricing.code.status === 'applied') {
+        return '';
+    }
+    return pricing.code.status === 'not-eligible' ? t('checkout.promoNotEligible') : t('checkout.promoInvalid');
+}
+
+// Apply button next to the promo code field
+function applyPromoCode() {
+    clearFieldError('promoCode');
+    const error = checkPromoCode();
+    if (error) {
+        showFormErrors(t('checkout.fixErrors'), { promoCode: error });
+    }
+}
+
+// Close the checkout dialog and give focus back to what opened it
+function closeModal() {
+    if (!isCheckoutOpen()) return;
+
+    document.getElementById('orderModal').style.display = 'none';
+    document.getElementById('orderForm').reset();
+    state.appliedPromoCode = '';
+    document.getElementById('telegramInfo').style.display = 'none';
+    clearFormErrors();
+
+    if (checkoutOpener && document.contains(checkoutOpener)) {
+        checkoutOpener.focus();
+    }
+    checkoutOpener = null;
+}
+
+// Show an error at the top of a form (the checkout by default) and next to each field that needs fixing
+function showFormErrors(message, fields = {}, formId = 'orderForm') {
+    const inputIds = FORM_FIELDS[formId];
+    const formError = document.getElementById(`${formId}Error`);
+    formError.textContent = message;
+    formError.hidden = false;
+
+    Object.keys(fields).forEach(field => {
+        const inputId = inputIds[field];
+        if (!inputId) return;
+
+        const fieldError = document.getElementById(`${inputId}Error`);
+        fieldError.textContent = fields[field];
+        fieldError.hidden = false;
+
+        const input = document.getElementById(inputId);
+        input.classList.add('invalid');
+        input.setAttribute('aria-invalid', 'true');
+    });
+
+    // Take the customer to the first thing to fix
+    const firstInput = Object.keys(inputIds).find(field => fields[field]);
+    if (firstInput) {
+        document.getElementById(inputIds[firstInput]).focus();
+    } else {
+        formError.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+// Remove the error from one field
+function clearFieldError(inputId) {
+    const fieldError = document.getElementById(`${inputId}Error`);
+    fieldError.textContent = '';
+    fieldError.hidden = true;
+
+    const input = document.getElementById(inputId);
+    input.classList.remove('invalid');
+    input.removeAttribute('aria-invalid');
+}
+
+// Clear every error in a form (the checkout by default)
+function clearFormErrors(formId = 'orderForm') {
+    document.getElementById(`${formId}Error`).hidden = true;
+    Object.values(FORM_FIELDS[formId]).forEach(clearFieldError);
+}
+
+// What the customer typed in the checkout (see buildOrder in order-client.js)
+function readCheckoutFields() {
+    return {
+        name: document.getElementById('customerName').value,
+        phone: document.getElementById('customerPhone').value,
+        hasTelegram: document.getElementById('hasTelegram').checked,
+        deliveryMethod: document.getElementById('deliveryMethod').value,
+        deliveryArea: document.getElementById('deliveryArea').value,
+        address: document.getElementById('customerAddress').value,
+        notes: document.getElementById('orderNotes').value,
+        promoCode: document.getElementById('promoCode').value,
+        website: document.getElementById('orderWebsite').value
+    };
+}
+
+// Check the checkout and place the order
+async function submitOrder() {
+    const order = buildOrder(getCurrentLines(), readCheckoutFields());
+
+    // Validate form
+    if (order.items.length === 0) {
+        showFormErrors(t('cart.emptyAlert'));
+        return;
+    }
+
+    clearFormErrors();
+    const fieldErrors = validateOrder(order);
+    const promoCodeError = checkPromoCode();
+    if (promoCodeError) {
+        fieldErrors.promoCode = promoCodeError;
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+        showFormErrors(t('checkout.fixErrors'), fieldErrors);
+        return;
+    }
+    const formData = normalizeOrder(order);
+    const orderedProducts = lineDetails(getCurrentLines());
+
+    const submitBtn = document.querySelector('#orderForm .btn-primary');
+    let result = null;
+    try {
+        // Show loading state
+        submitBtn.textContent = t('checkout.sending');
+        submitBtn.disabled = true;
+
+        console.log('Sending order to function...');
+        result = await sendOrder(formData);
+        trackEvent(result.status === 'rejected' ? 'order_failed' : 'order_submitted', orderedProducts);
+
+        if (result.status === 'queued') {
+            showOrderQueued();
+        } else if (result.status === 'sent') {
+            clearCart();
+            closeModal();
+
+            // Show the confirmation with the order number
+            if (result.order) {
+                saveOrder(result.order, formData.phone);
+                window.location.hash = orderHash(result.order.id);
+            } else {
+                alert(t('checkout.success'));
+            }
+        } else if (result.fields) {
+            showFormErrors(result.error, result.fields);
+        } else {
+            // Prices or stock changed - fetch the latest catalog so the cart shows them
+            if (result.httpStatus === 409) {
+                refreshCatalog(false);
+            }
+            throw new Error(result.error);
+        }
+    } catch (error) {
+        console.error('Order submission error:', error);
+        // A refused order was counted above; this is send-order failing to answer
+        if (!result) {
+            trackEvent('order_failed', orderedProducts);
+        }
+
+        if (error.message.includes('JSON') || error.message.includes('function')) {
+            showFormErrors(t('checkout.notDeployed'));
+        } else {
+            showFormErrors(t('checkout.error', { message: error.message }));
+        }
+    } finally {
+        // Reset button
+        submitBtn.textContent = t('checkout.placeOrder');
+        submitBtn.disabled = false;
+    }
+}
+
+// The order went to the offline outbox - it is sent when the connection is back
+function showOrderQueued() {
+    clearCart();
+    closeModal();
+    renderOutbox();
+    requestOrderSync();
+    // The order is listed as waiting in the drawer
+    openCart();
+    showCartMessage(t('outbox.queued'));
+}
+
+// Send queued orders from the page (covers browsers without Background Sync)
+async function replayOrders() {
+    if (!ORDER_QUEUE_SUPPORTED || !navigator.onLine) return;
+
+    try {
+        const { sent, failed } = await replayOutbox();
+        renderOutbox();
+        showOutboxResult(sent.length, failed.length);
+    } catch (error) {
+        console.error('Error sending queued orders:', error);
+    }
+}
+
+// Let the customer know what happened to their queued orders
+function showOutboxResult(sentCount, failedCount) {
+    if (failedCount > 0) {
+        showCatalogNotice(t('outbox.sendFailed'));
+    } else if (sentCount > 0) {
+        showCatalogNotice(sentCount === 1
+            ? t('outbox.sentOne')
+            : t('outbox.sentMany', { count: sentCount }));
+    }
+}
+
+// Render the status of orders placed offline (in the cart drawer)
+async function renderOutbox() {
+    if (!ORDER_QUEUE_SUPPORTED) return;
+
+    let entries;
+    try {
+        entries = await getOutboxEntries();
+    } catch (error) {
+        console.error('Error reading queued orders:', error);
+        return;
+    }
+
+    document.getElementById('outbox').hidden = entries.length === 0;
+
+    // Orders the outbox sent get a confirmation and can be tracked like any other
+    entries.forEach(entry => {
+        const order = entry.status === 'sent' && entry.result && entry.result.order;
+        if (order && !findSavedOrder(order.id)) {
+            saveOrder(order, entry.order.phone);
+        }
+    });
+
+    setHTML(document.getElementById('outboxList'), renderOutboxEntries(entries));
+}
+
+// Payment part of an order on screen, or undefined
+function findPaymentElement(orderId) {
+    return [...document.querySelectorAll('.order-payment')].find(element => element.dataset.orderId === orderId);
+}
+
+// Re-render the payment part of the order on screen
+function refreshPayment(orderId) {
+    const element = findPaymentElement(orderId);
+    const order = findSavedOrder(orderId);
+    if (element && order) {
+        element.replaceWith(createElementFromHTML(renderPayment(order, state.activePayment)));
+    }
+}
+
+// Start paying an order by KHQR
+function startPayment(orderId) {
+    clearTimeout(paymentTimer);
+    state.activePayment = { orderId: orderId, payment: null, error: '' };
+    refreshPayment(orderId);
+    checkPayment(orderId);
+}
+
+// Get the order's KHQR and payment status from pay-order, and check again every few
+// seconds while the QR is on screen and can still be paid
+async function checkPayment(orderId) {
+    const saved = findSavedOrder(orderId);
+    if (!saved || !state.activePayment || state.activePayment.orderId !== orderId) return;
+
+    try {
+        const payment = await requestPayment(orderId, saved.phone);
+        const expired = payment.status === 'pending' && Date.parse(payment.expiresAt) <= Date.now();
+        state.activePayment = {
+            orderId: orderId,
+            payment: expired ? null : payment,
+            error: expired ? t('payment.expired') : ''
+        };
+        saveOrder({ ...saved, payment: { method: payment.method, status: payment.status, canPayNow: payment.canPayNow } }, saved.phone);
+    } catch (error) {
+        console.error('Payment error:', error);
+        state.activePayment = { orderId: orderId, payment: null, error: navigator.onLine ? error.message : t('payment.offline') };
+    }
+
+    refreshPayment(orderId);
+
+    // Keep checking only while the QR is still on screen
+    if (findPaymentElement(orderId) && state.activePayment.payment && state.activePayment.payment.status === 'pending') {
+        paymentTimer = setTimeout(() => checkPayment(orderId), PAYMENT_CHECK_INTERVAL);
+    }
+}
+
+// Show the confirmation for an order placed from this device
+function showOrderConfirmation(orderId) {
+    showView('order');
+    document.title = `${t('order.title')} - PR Sport`;
+
+    const order = findSavedOrder(orderId);
+    const content = document.getElementById('orderConfirmationContent');
+
+    if (!order) {
+        setHTML(content, renderUnknownOrder(orderId));
+        return;
+    }
+
+    setHTML(content, renderOrderConfirmation(order, state.products, state.activePayment, state.lastCatalogHash));
+    window.scrollTo(0, 0);
+}
+
+// Links to the orders placed from this device
+function showRecentOrders() {
+    const orders = loadSavedOrders();
+    document.getElementById('recentOrders').hidden = orders.length === 0;
+    setHTML(document.getElementById('recentOrdersList'), renderRecentOrders(orders));
+}
+
+// Show the track-order page. Orders placed from this device are looked up right away.
+function showTrackOrder(orderId) {
+    const entering = state.currentView !== 'track';
+    showView('track');
+    document.title = `${t('track.title')} - PR Sport`;
+    showRecentOrders();
+
+    const resultElement = document.getElementById('trackResult');
+
+    // Same order re-rendered (language change, catalog update) - no need to ask again
+    if (!entering && orderId && orderId === state.trackedOrderId) {
+        const order = findSavedOrder(orderId);
+        if (order) {
+            setHTML(resultElement, renderTrackedOrder(order, state.products, state.activePayment));
+        }
+        return;
+    }
+
+    const saved = orderId ? findSavedOrder(orderId) : null;
+    state.trackedOrderId = null;
+    clearFormErrors('trackForm');
+    setHTML(resultElement, '');
+
+    if (orderId || entering) {
+        document.getElementById('trackOrderId').value = orderId;
+    }
+    if (saved) {
+        document.getElementById('trackPhone').value = saved.phone;
+        trackOrder();
+    }
+
+    window.scrollTo(0, 0);
+}
+
+// Look up an order's status with the order number and phone number from the form
+async function trackOrder() {
+    const orderId = document.getElementById('trackOrderId').value.trim();
+    const phone = document.getElementById('trackPhone').value;
+    const resultElement = document.getElementById('trackResult');
+    const submitBtn = document.querySelector('#trackForm .btn-primary');
+
+    clearFormErrors('trackForm');
+
+    const fieldErrors = {};
+    if (!orderId) {
+        fieldErrors.orderId = t('track.orderIdRequired');
+    }
+    if (!normalizeCambodianPhone(phone)) {
+        fieldErrors.phone = phone.trim() ? t('checkout.phoneInvalid') : t('checkout.phoneRequired');
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+        showFormErrors(t('checkout.fixErrors'), fieldErrors, 'trackForm');
+        return;
+    }
+
+    submitBtn.textContent = t('track.checking');
+    submitBtn.disabled = true;
+
+    try {
+        const result = await lookupOrder(orderId, normalizeCambodianPhone(phone));
+
+        if (!result.order) {
+            setHTML(resultElement, '');
+            showFormErrors(result.error, result.fields, 'trackForm');
+            return;
+        }
+
+        // Keep the latest status for the confirmation page and recent orders
+        saveOrder(result.order, normalizeCambodianPhone(phone));
+        state.trackedOrderId = result.order.id;
+        history.replaceState(null, '', trackHash(result.order.id));
+
+        setHTML(resultElement, renderTrackedOrder(result.order, state.products, state.activePayment));
+        showRecentOrders();
+    } catch (error) {
+        console.error('Order tracking error:', error);
+        showFormErrors(navigator.onLine ? t('track.failed') : t('track.offline'), {}, 'trackForm');
+    } finally {
+        submitBtn.textContent = t('track.submit');
+        submitBtn.disabled = false;
+    }
+}
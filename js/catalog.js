@@ -0,0 +1,377 @@
+// Catalog data layer: fetching the catalog, the saved copy in localStorage, and searching,
+// filtering and sorting the products
+// GOOGLE_SHEETS_URL and the sheet parsing live in shared/catalog.js.
+// A catalog is { hash, products, categories, promotions }; hash changes whenever the sheet or
+// the promotions do, so an unchanged sheet doesn't have to be re-rendered.
+import { getProductPrice, getProductDiscount } from './pricing.js';
+import {
+    GOOGLE_SHEETS_URL,
+    parseGoogleSheetsData,
+    getCategories,
+    hashCatalogText,
+    parsePromotions,
+    getProductText,
+    getLanguageLocale
+} from './shared.js';
+
+const CACHE_DURATION = 10 * 60 * 1000; // 10 minutes cache
+const CATALOG_FUNCTION_URL = '/.netlify/functions/catalog';
+const CATALOG_CACHE_KEY = 'prsport-catalog';
+const PROMOTIONS_URL = 'promotions.json'; // read directly only when the catalog function is unavailable
+const CATALOG_CACHE_VERSION = 6; // bump when the product shape changes
+const LEGACY_CACHE_KEYS = ['prsport-products-cache', 'prsport-products-cache-time'];
+const FETCH_TIMEOUT = 15000; // ms before giving up on the catalog function or the sheet
+
+// Catalog view with no search, filters or sorting applied
+export const DEFAULT_CATALOG_STATE = {
+    category: 'all',
+    query: '',
+    sort: 'featured',
+    size: '',
+    minPrice: null,
+    maxPrice: null,
+    onSale: false
+};
+
+// Shown when neither the catalog function nor Google Sheets answers and nothing is saved
+const SAMPLE_PRODUCTS = [
+    {
+        id: '1',
+        name: 'Barcelona Jersey 2024',
+        category: 'Grade A Player Version',
+        description: 'Official Barcelona FC home jersey for the 2024 season',
+        price: '12',
+        discount: '4',
+        availableSizes: [
+            { size: 'S', quantity: 5 },
+            { size: 'M', quantity: 8 },
+            { size: 'L', quantity: 3 }
+        ],
+        imageUrls: ['https://images.unsplash.com/photo-1600674845588-70ceb83b8ecf?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80'],
+        colors: [
+            { name: 'Home', imageUrls: [] },
+            { name: 'Away', imageUrls: [] }
+        ],
+        personalization: [
+            { field: 'name', maxLength: 12, surcharge: 3 },
+            { field: 'number', maxLength: 2, surcharge: 2 }
+        ]
+    },
+    {
+        id: '2',
+        name: 'Professional Soccer Cleats',
+        category: 'Cleats',
+        description: 'High-performance soccer cleats with advanced grip technology',
+        price: '129.99',
+        discount: '30',
+        availableSizes: [
+            { size: 'US 8', quantity: 4 },
+            { size: 'US 9', quantity: 6 },
+            { size: 'US 10', quantity: 3 }
+        ],
+        imageUrls: ['https://images.unsplash.com/photo-1579758682664-5b1e5a5e3d2f?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80'],
+        colors: [],
+        personalization: []
+    }
+];
+
+// Fetch with a timeout
+async function fetchWithTimeout(url, options = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    try {
+        return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Fresh catalog from the catalog function, or straight from Google Sheets when the
+// function is not deployed (e.g. plain static preview) or failed
+export async function fetchCatalog() {
+    try {
+        return await fetchCatalogFromFunction();
+    } catch (error) {
+        console.warn('Catalog function unavailable, reading Google Sheets directly:', error.message);
+        return fetchCatalogFromSheet();
+    }
+}
+
+// Get the parsed catalog from the catalog Netlify function
+export async function fetchCatalogFromFunction() {
+    const response = await fetchWithTimeout(CATALOG_FUNCTION_URL);
+    const contentType = response.headers.get('content-type');
+
+    if (!response.ok || !contentType || !contentType.includes('application/json')) {
+        throw new Error(`Catalog function returned ${response.status}`);
+    }
+
+    const catalog = await response.json();
+    if (!catalog || !Array.isArray(catalog.products) || !catalog.hash) {
+        throw new Error('Catalog function returned an unexpected response');
+    }
+
+    return {
+        hash: catalog.hash,
+        products: catalog.products,
+        categories: catalog.categories || getCategories(catalog.products),
+        promotions: catalog.promotions || []
+    };
+}
+
+// Fallback: fetch the published CSV and parse it in the browser
+export async function fetchCatalogFromSheet() {
+    const response = await fetchWithTimeout(GOOGLE_SHEETS_URL);
+
+    if (!response.ok) {
+        throw new Error('Failed to load Google Sheets');
+    }
+
+    const csvData = await response.text();
+    const sheet = parseGoogleSheetsData(csvData);
+
+    sheet.errors.forEach(error => {
+        console.warn(`Google Sheets row ${error.row}: ${error.message}`);
+    });
+
+    const promotionList = await fetchPromotionsFile();
+
+    return {
+        hash: hashCatalogText(`${csvData}\n${JSON.stringify(promotionList)}`),
+        products: sheet.products,
+        categories: getCategories(sheet.products),
+        promotions: parsePromotions(promotionList).promotions
+    };
+}
+
+// Fallback: read promotions.json from the site (a promotions sheet tab is only read by the catalog function)
+async function fetchPromotionsFile() {
+    try {
+        const response = await fetchWithTimeout(PROMOTIONS_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const file = await response.json();
+        return Array.isArray(file.promotions) ? file.promotions : [];
+    } catch (error) {
+        console.warn('Promotions unavailable, showing regular prices:', error.message);
+        return [];
+    }
+}
+
+// Sample catalog for when nothing else loads
+export function getSampleCatalog() {
+    return {
+        hash: null,
+        products: SAMPLE_PRODUCTS,
+        categories: getCategories(SAMPLE_PRODUCTS),
+        promotions: []
+    };
+}
+
+// Read the saved catalog, dropping copies saved in an older format
+// Returns the catalog with savedAt (ms), or null
+export function readCatalogCache(storage = localStorage) {
+    // Caches from before versioning used two separate keys
+    LEGACY_CACHE_KEYS.forEach(key => storage.removeItem(key));
+
+    try {
+        const cached = JSON.parse(storage.getItem(CATALOG_CACHE_KEY));
+        if (!cached || cached.version !== CATALOG_CACHE_VERSION || !Array.isArray(cached.products)) {
+            storage.removeItem(CATALOG_CACHE_KEY);
+            return null;
+        }
+        return cached;
+    } catch (error) {
+        console.error('Error reading cached catalog:', error);
+        storage.removeItem(CATALOG_CACHE_KEY);
+        return null;
+    }
+}
+
+// Save the catalog with its schema version and content hash
+export function writeCatalogCache(catalog, storage = localStorage, now = Date.now()) {
+    try {
+        storage.setItem(CATALOG_CACHE_KEY, JSON.stringify({
+            version: CATALOG_CACHE_VERSION,
+            hash: catalog.hash,
+            savedAt: now,
+            products: catalog.products,
+            categories: catalog.categories,
+            promotions: catalog.promotions
+        }));
+    } catch (error) {
+        // Storage full or disabled - the page still works without a cache
+        console.error('Error saving catalog cache:', error);
+    }
+}
+
+// Is a saved catalog old enough that the customer should hear when it can't be refreshed?
+export function isCacheStale(cached, now = Date.now()) {
+    return now - cached.savedAt >= CACHE_DURATION;
+}
+
+// Ids of products that were added, removed or changed
+export function diffCatalog(oldProducts, newProducts) {
+    const oldById = new Map(oldProducts.map(product => [product.id, JSON.stringify(product)]));
+    const newById = new Map(newProducts.map(product => [product.id, JSON.stringify(product)]));
+    const changedIds = [];
+
+    newById.forEach((json, id) => {
+        if (oldById.get(id) !== json) changedIds.push(id);
+    });
+    oldById.forEach((json, id) => {
+        if (!newById.has(id)) changedIds.push(id);
+    });
+
+    return changedIds;
+}
+
+// Every size in the catalog, in sheet order
+export function getCatalogSizes(productList) {
+    return [...new Set(productList.flatMap(product => product.availableSizes.map(sizeInfo => sizeInfo.size)))];
+}
+
+// Lowercase and strip accents so "Atlético" matches "atletico"
+function normalizeSearchText(text) {
+    return String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Levenshtein distance, giving up once it is over the limit
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) {
+        return limit + 1;
+    }
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > limit) {
+            return limit + 1;
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Does a search word roughly match a word from the product (typos, partial words)?
+function fuzzyWordMatch(word, token) {
+    const limit = token.length >= 8 ? 2 : 1;
+
+    if (editDistance(word, token, limit) <= limit) {
+        return true;
+    }
+
+    // Allow typos in the start of a longer word, e.g. "barcel" -> "barcelona"
+    return word.length > token.length && editDistance(word.slice(0, token.length), token, limit) <= limit;
+}
+
+// Score how well a search query matches a product (0 means no match)
+// Every word of the query has to match the name, category or description (in any language).
+export function searchScore(product, query) {
+    const tokens = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) {
+        return 1;
+    }
+
+    const translations = Object.values(product.translations || {});
+    const fields = [
+        { text: normalizeSearchText([product.name, ...translations.map(tr => tr.name)].join(' ')), weight: 3 },
+        { text: normalizeSearchText(product.category), weight: 2 },
+        { text: normalizeSearchText([product.description, ...translations.map(tr => tr.description)].join(' ')), weight: 1 }
+    ];
+
+    let score = 0;
+
+    for (const token of tokens) {
+        let best = 0;
+
+        fields.forEach(field => {
+            if (field.text.includes(token)) {
+                best = Math.max(best, field.weight * 2);
+            } else if (token.length >= 4) {
+                const words = field.text.split(/[^\p{L}\p{N}]+/u);
+                if (words.some(word => fuzzyWordMatch(word, token))) {
+                    best = Math.max(best, field.weight);
+                }
+            }
+        });
+
+        if (best === 0) {
+            return 0;
+        }
+        score += best;
+    }
+
+    return score;
+}
+
+// Apply category, search and facet filters
+export function filterProducts(productList, catalogState) {
+    const state = { ...DEFAULT_CATALOG_STATE, ...catalogState };
+
+    return productList.filter(product => {
+        if (state.category !== 'all' && product.category !== state.category) {
+            return false;
+        }
+
+        if (state.size && !product.availableSizes.some(sizeInfo => sizeInfo.size === state.size && sizeInfo.quantity !== 0)) {
+            return false;
+        }
+
+        const price = getProductPrice(product);
+        if (state.minPrice !== null && price < state.minPrice) {
+            return false;
+        }
+        if (state.maxPrice !== null && price > state.maxPrice) {
+            return false;
+        }
+
+        if (state.onSale && getProductDiscount(product) <= 0) {
+            return false;
+        }
+
+        return searchScore(product, state.query) > 0;
+    });
+}
+
+// Sort products - "featured" keeps the sheet order, or best matches first when searching
+// Names are sorted as they are shown in the language given.
+export function sortProducts(productList, catalogState, language = 'en') {
+    const state = { ...DEFAULT_CATALOG_STATE, ...catalogState };
+    const sorted = [...productList];
+
+    switch (state.sort) {
+        case 'price-asc':
+            return sorted.sort((a, b) => getProductPrice(a) - getProductPrice(b));
+        case 'price-desc':
+            return sorted.sort((a, b) => getProductPrice(b) - getProductPrice(a));
+        case 'discount':
+            return sorted.sort((a, b) => getProductDiscount(b) - getProductDiscount(a));
+        case 'name':
+            return sorted.sort((a, b) => getProductText(a, 'name', language)
+                .localeCompare(getProductText(b, 'name', language), getLanguageLocale(language)));
+        default:
+            if (state.query) {
+                return sorted.sort((a, b) => searchScore(b, state.query) - searchScore(a, state.query));
+            }
+            return sorted;
+    }
+}
+
+// Is anything besides the category narrowing the catalog?
+export function hasActiveFilters(state) {
+    return Boolean(state.query || state.size || state.onSale ||
+        state.minPrice !== null || state.maxPrice !== null);
+}
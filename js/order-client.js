@@ -0,0 +1,217 @@
+// Order client: the order the checkout sends, and the calls to send-order, track-order, pay-order
+// and notify-me
+// No page access - app.js reads the checkout form and shows what these return.
+// Orders placed offline go to the outbox (shared/outbox.js) and are sent when the connection is back.
+
+const SEND_ORDER_URL = '/.netlify/functions/send-order';
+const TRACK_ORDER_URL = '/.netlify/functions/track-order';
+const PAYMENT_FUNCTION_URL = '/.netlify/functions/pay-order';
+const NOTIFY_ME_URL = '/.netlify/functions/notify-me';
+export const ORDER_QUEUE_SUPPORTED = 'indexedDB' in window; // offline orders need IndexedDB (shared/outbox.js)
+
+// Date and time in Cambodia, e.g. "03/15/2025, 14:05:09" - the shop reads orders in local time
+export function getLocalTime(date = new Date()) {
+    return date.toLocaleString('en-US', {
+        timeZone: 'Asia/Phnom_Penh',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false // 24-hour format
+    });
+}
+
+// The order send-order expects, from the cart lines (see getCartLines in store.js) and the
+// checkout fields { name, phone, hasTelegram, deliveryMethod, deliveryArea, address, notes, promoCode, website }
+// website is the honeypot - it stays empty unless a bot fills in the form.
+export function buildOrder(lines, fields, now = new Date()) {
+    return {
+        items: lines.map(line => ({
+            productId: line.productId,
+            product: line.productName,
+            size: line.size,
+            color: line.color,
+            personalization: line.personalization,
+            price: line.price,
+            quantity: line.quantity
+        })),
+        name: fields.name,
+        phone: fields.phone,
+        hasTelegram: fields.hasTelegram,
+        deliveryMethod: fields.deliveryMethod,
+        deliveryArea: fields.deliveryArea,
+        address: fields.address,
+        notes: fields.notes,
+        promoCode: fields.promoCode.trim(),
+        website: fields.website,
+        localTime: getLocalTime(now)
+    };
+}
+
+// Check an order before sending - send-order checks the same things again
+// Returns { field: message } for every field that needs fixing
+export function validateOrder(order) {
+    const errors = {};
+
+    if (!order.name.trim()) {
+        errors.name = t('checkout.nameRequired');
+    }
+
+    if (!order.phone.trim()) {
+        errors.phone = t('checkout.phoneRequired');
+    } else if (!normalizeCambodianPhone(order.phone)) {
+        errors.phone = t('checkout.phoneInvalid');
+    }
+
+    if (!order.hasTelegram) {
+        errors.hasTelegram = t('checkout.telegramRequired');
+    }
+
+    const delivery = checkDelivery(order.deliveryMethod, order.deliveryArea);
+    Object.keys(delivery.errors || {}).forEach(field => {
+        errors[field] = field === 'deliveryMethod' ? t('delivery.methodRequired') : t('delivery.areaRequired');
+    });
+
+    if (needsAddress(order.deliveryMethod) && !order.address.trim()) {
+        errors.address = t('checkout.addressRequired');
+    }
+
+    return errors;
+}
+
+// A valid order as it is sent: the phone number in one format, and no address unless the delivery needs one
+export function normalizeOrder(order) {
+    return {
+        ...order,
+        phone: normalizeCambodianPhone(order.phone),
+        address: needsAddress(order.deliveryMethod) ? order.address : ''
+    };
+}
+
+// POST JSON to one of the functions
+function postJSON(url, body, headers = {}) {
+    return fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        body: JSON.stringify(body)
+    });
+}
+
+// Put an order in the offline outbox, under the idempotency key it was already sent with (if any)
+// Returns false if it could not be saved.
+export async function queueOfflineOrder(order, orderKey) {
+    if (!ORDER_QUEUE_SUPPORTED) return false;
+
+    try {
+        await queueOrder(order, orderKey);
+    } catch (error) {
+        console.error('Could not queue order:', error);
+        return false;
+    }
+
+    console.log('Order queued until the connection is back');
+    return true;
+}
+
+// Send an order to send-order, or keep it in the outbox when there is no connection
+// Resolves to one of:
+//   { status: 'sent', order }                       - order is missing from older send-order versions
+//   { status: 'queued' }                            - sent later (see replayOutbox)
+//   { status: 'rejected', httpStatus, error, fields } - fields has the message for each field to fix
+// Throws when the order could neither be sent nor queued, or the answer is not from send-order.
+// The order goes with an idempotency key that stays with it in the outbox: if the connection
+// dropped after send-order took it, the replay gets the same order back instead of a second one.
+export async function sendOrder(order) {
+    const orderKey = createOutboxId();
+    if (!navigator.onLine && await queueOfflineOrder(order, orderKey)) {
+        return { status: 'queued' };
+    }
+
+    let response;
+    try {
+        response = await postJSON(SEND_ORDER_URL, order, { 'Idempotency-Key': orderKey });
+    } catch (networkError) {
+        // The connection dropped on the way - maybe after send-order took the order
+        if (await queueOfflineOrder(order, orderKey)) {
+            return { status: 'queued' };
+        }
+        throw networkError;
+    }
+
+    console.log('Response status:', response.status);
+
+    // Check if response is JSON
+    const contentType = response.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+        const text = await response.text();
+        console.error('Non-JSON response:', text);
+        throw new Error('Server returned invalid response. Please check function deployment.');
+    }
+
+    const result = await response.json();
+
+    if (response.ok) {
+        return { status: 'sent', order: result.order };
+    }
+    return {
+        status: 'rejected',
+        httpStatus: response.status,
+        error: result.error || result.details || 'Failed to process order',
+        fields: result.fields
+    };
+}
+
+// Ask the service worker to send queued orders when online (Background Sync, where supported)
+export async function requestOrderSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) {
+            await registration.sync.register(OUTBOX_SYNC_TAG);
+        }
+    } catch (error) {
+        console.error('Background sync not available:', error);
+    }
+}
+
+// Look up an order with its order number and phone number
+// Resolves to { order } or { error, fields }; throws when track-order can't be reached.
+export async function lookupOrder(orderId, phone) {
+    const response = await postJSON(TRACK_ORDER_URL, { orderId: orderId, phone: phone });
+    const result = await response.json();
+
+    if (!response.ok) {
+        return { error: result.error || result.details || t('track.failed'), fields: result.fields };
+    }
+    return { order: result.order };
+}
+
+// The order's KHQR and payment status from pay-order (a new QR when the old one expired)
+// Throws with a message for the customer when the order can't be paid.
+export async function requestPayment(orderId, phone) {
+    const response = await postJSON(PAYMENT_FUNCTION_URL, { orderId: orderId, phone: phone });
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.error || t('payment.failed'));
+    }
+    return result.payment;
+}
+
+// Ask for a Telegram message when a sold-out size is back (contact as normalizeTelegramContact gives it)
+// Resolves to { request } or { error, fields }; throws when notify-me can't be reached.
+export async function requestStockAlert(productId, size, contact) {
+    const response = await postJSON(NOTIFY_ME_URL, { productId: productId, size: size, contact: contact });
+    const result = await response.json();
+
+    if (!response.ok) {
+        return { error: result.error || result.details || t('notify.failed'), fields: result.fields };
+    }
+    return { request: result.request };
+}
@@ -0,0 +1,57 @@
+// Pricing: what a product, a cart line and the whole cart cost, and how prices are shown
+// Pure functions of the products, cart and settings they are given. Cart promotions and delivery
+// fees come from shared/promotions.js and shared/delivery.js; send-order works the total out the
+// same way, so the checkout shows what the order will cost.
+import { roundPrice, evaluateCart, getDeliveryFee, getPersonalizationSurcharge, formatRiel } from './shared.js';
+
+// Price the customer pays: finalPrice once promotions are applied - which can be 0
+export function getProductPrice(product) {
+    return parseFloat(product.finalPrice !== undefined ? product.finalPrice : product.price) || 0;
+}
+
+// Dollars saved on a product today
+export function getProductDiscount(product) {
+    return product.savings || 0;
+}
+
+// Unit price of a product with printing
+export function getLinePrice(product, personalization) {
+    return roundPrice(getProductPrice(product) + getPersonalizationSurcharge(product, personalization));
+}
+
+// Subtotal, cart promotions and total of cart lines (see getCartLines in store.js)
+// With a promo code when one is given; deliveryMethod lets delivery-only promotions apply.
+export function getCartPricing(lines, promotionList, { code = '', deliveryMethod = '' } = {}) {
+    return evaluateCart(lines, promotionList, {
+        code: code,
+        deliveryMethod: deliveryMethod
+    });
+}
+
+// Delivery with its fee for this cart, and the grand total the customer pays (to the cent, as send-order has it)
+// delivery is null until the customer has chosen one - the total is then without a fee.
+export function getCheckoutTotal(pricing, delivery) {
+    if (!delivery) {
+        return { delivery: null, total: pricing.total };
+    }
+
+    const fee = getDeliveryFee(delivery, pricing.total, pricing.freeDelivery);
+    return {
+        delivery: { ...delivery, fee: fee },
+        total: roundPrice(pricing.total + fee)
+    };
+}
+
+// A catalog price: whole dollars as "$12", anything else to the cent
+export function formatDollars(amount) {
+    const value = parseFloat(amount) || 0;
+    return Number.isInteger(value) ? `$${value}` : `$${value.toFixed(2)}`;
+}
+
+// Format a dollar amount for display, with riel in the 'usd-khr' currency mode (see setCurrencyMode in i18n.js)
+// once the exchange rate is known
+export function formatPrice(amount, currencyMode = 'usd') {
+    const dollars = `$${Number(amount).toFixed(2)}`;
+    const riel = currencyMode === 'usd-khr' ? formatRiel(amount) : '';
+    return riel ? `${dollars} (${riel})` : dollars;
+}
@@ -0,0 +1,87 @@
+// Hash routes: #/ (all products), #/category/<name>, #/product/<id>,
+// #/order/<id> (order confirmation) and #/track or #/track/<id> (order tracking)
+// Catalog routes carry search, sort and filters as query parameters,
+// e.g. #/category/Cleats?q=nike&size=US%209&max=50&sort=price-asc
+import { DEFAULT_CATALOG_STATE } from './catalog.js';
+
+// What a hash points to: { view: 'catalog', catalog }, { view: 'product', productId },
+// { view: 'order', orderId } or { view: 'track', orderId }
+export function parseRoute(hash = window.location.hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    const parts = path.split('/');
+
+    let value = '';
+    try {
+        value = decodeURIComponent(parts.slice(1).join('/'));
+    } catch (error) {
+        console.warn('Invalid link:', hash);
+    }
+
+    if (parts[0] === 'product' && value) {
+        return { view: 'product', productId: value };
+    }
+
+    if (parts[0] === 'order' && value) {
+        return { view: 'order', orderId: value };
+    }
+
+    if (parts[0] === 'track') {
+        return { view: 'track', orderId: value };
+    }
+
+    const params = new URLSearchParams(query);
+    const parsePrice = name => {
+        const price = parseFloat(params.get(name));
+        return isNaN(price) ? null : price;
+    };
+
+    return {
+        view: 'catalog',
+        catalog: {
+            category: parts[0] === 'category' && value ? value : 'all',
+            query: params.get('q') || '',
+            sort: params.get('sort') || DEFAULT_CATALOG_STATE.sort,
+            size: params.get('size') || '',
+            minPrice: parsePrice('min'),
+            maxPrice: parsePrice('max'),
+            onSale: params.get('sale') === '1'
+        }
+    };
+}
+
+// Link to a catalog view
+export function catalogHash(catalogState) {
+    const state = { ...DEFAULT_CATALOG_STATE, ...catalogState };
+    const base = state.category === 'all' ? '#/' : `#/category/${encodeURIComponent(state.category)}`;
+    const params = new URLSearchParams();
+
+    if (state.query) params.set('q', state.query);
+    if (state.sort !== DEFAULT_CATALOG_STATE.sort) params.set('sort', state.sort);
+    if (state.size) params.set('size', state.size);
+    if (state.minPrice !== null) params.set('min', state.minPrice);
+    if (state.maxPrice !== null) params.set('max', state.maxPrice);
+    if (state.onSale) params.set('sale', '1');
+
+    const query = params.toString();
+    return query ? `${base}?${query}` : base;
+}
+
+// Link to a category (or all products)
+export function categoryHash(category) {
+    return catalogHash({ category: category });
+}
+
+// Link to a product's detail view
+export function productHash(productId) {
+    return `#/product/${encodeURIComponent(productId)}`;
+}
+
+// Link to an order's confirmation
+export function orderHash(orderId) {
+    return `#/order/${encodeURIComponent(orderId)}`;
+}
+
+// Link to the track-order page, optionally for one order
+export function trackHash(orderId) {
+    return orderId ? `#/track/${encodeURIComponent(orderId)}` : '#/track';
+}
@@ -0,0 +1,29 @@
+// The plain scripts' functions, as imports for the modules
+// shared/*.js stay plain scripts so the Netlify functions can require() them, and i18n.js is one
+// too; on the page their functions are globals. The modules import what they use from here
+// instead of reaching for globals, so each one lists its dependencies at the top and this is the
+// only module that knows where they come from. Nothing here changes while the page is open -
+// settings that do (the language, the currency) are passed in by the caller.
+
+// Function declarations of plain scripts are properties of the global object
+export const {
+    // shared/promotions.js
+    roundPrice,
+    parsePromotions,
+    evaluateCart,
+    // shared/catalog.js
+    parseGoogleSheetsData,
+    getCategories,
+    hashCatalogText,
+    getPersonalizationSurcharge,
+    // shared/delivery.js
+    getDeliveryFee,
+    // i18n.js
+    getProductText,
+    getLanguageLocale,
+    formatRiel
+} = globalThis;
+
+// A const of a plain script is not, but is still in scope
+const sheetsUrl = GOOGLE_SHEETS_URL;
+export { sheetsUrl as GOOGLE_SHEETS_URL };
@@ -0,0 +1,261 @@
+// Store: the storefront's state, the cart, the wishlist, the recently viewed products and the
+// orders remembered on this device
+// The cart functions are pure - they take the cart (and the products) and return a new cart,
+// so app.js decides when to save and re-render. Storage defaults to localStorage.
+import { getLinePrice } from './pricing.js';
+
+const CART_STORAGE_KEY = 'prsport-cart';
+const ORDERS_STORAGE_KEY = 'prsport-orders';
+const MAX_SAVED_ORDERS = 10; // orders remembered on this device for the confirmation and tracking pages
+const WISHLIST_STORAGE_KEY = 'prsport-wishlist';
+const RECENT_STORAGE_KEY = 'prsport-recently-viewed';
+const MAX_RECENTLY_VIEWED = 8; // products in the "recently viewed" strip
+
+// Everything the page shows that is not in the URL
+export const state = {
+    products: [],
+    categories: [],
+    promotions: [], // active and upcoming promotions (shared/promotions.js)
+    appliedPromoCode: '', // promo code accepted in the open checkout
+    cart: [],
+    wishlist: [], // product ids, last saved first
+    recentlyViewed: [], // product ids, last viewed first
+    currentView: 'catalog',
+    lastCatalogHash: '#/',
+    catalogContentHash: null,
+    trackedOrderId: null, // order shown on the track page
+    activePayment: null // { orderId, payment, error } while the customer pays an order by KHQR
+};
+
+// A product by id, or undefined
+export function findProduct(productList, productId) {
+    return productList.find(product => product.id === productId);
+}
+
+// The products of a list of ids that are still in the catalog, in list order
+export function findProducts(productList, ids) {
+    return ids.map(id => findProduct(productList, id)).filter(Boolean);
+}
+
+// Load the cart saved in storage
+export function readCart(storage = localStorage) {
+    try {
+        const saved = JSON.parse(storage.getItem(CART_STORAGE_KEY));
+        if (!Array.isArray(saved)) {
+            return [];
+        }
+        return saved.filter(item => item && item.productId && item.size && item.quantity > 0);
+    } catch (error) {
+        console.error('Error reading saved cart:', error);
+        return [];
+    }
+}
+
+// Save the cart
+export function writeCart(cart, storage = localStorage) {
+    storage.setItem(CART_STORAGE_KEY, JSON.stringify(cart));
+}
+
+// Cart lines are told apart by product, size, color and printing
+export function getCartItemKey(item) {
+    return JSON.stringify([item.productId, item.size, item.color || '', Object.entries(item.personalization || {}).sort()]);
+}
+
+// Find a cart line by its key
+export function findCartItem(cart, key) {
+    return cart.find(item => getCartItemKey(item) === key);
+}
+
+// How many of a product+size are in the cart, over all colors and printing
+export function getQuantityInCart(cart, productId, size) {
+    return cart
+        .filter(item => item.productId === productId && item.size === size)
+        .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// Add a product+size (with a color and printing when chosen) to the cart, or increase its quantity
+// Never puts more in the cart than the sheet has in stock. Returns { cart, added, available, limited }:
+// limited is true when less than quantity was added (added is then what still fitted, maybe 0).
+export function addToCart(cart, product, size, quantity = 1, options = {}) {
+    const line = {
+        productId: product.id,
+        size: size,
+        color: options.color || '',
+        personalization: options.personalization || {}
+    };
+    const key = getCartItemKey(line);
+    const available = getSizeStock(product, size);
+    const inCart = getQuantityInCart(cart, product.id, size);
+    const limited = inCart + quantity > available;
+    const added = limited ? Math.max(available - inCart, 0) : quantity;
+
+    if (added === 0) {
+        return { cart: cart, added: 0, available: available, limited: limited };
+    }
+
+    const existing = findCartItem(cart, key);
+    const nextCart = existing
+        ? cart.map(item => item === existing ? { ...item, quantity: item.quantity + added } : item)
+        : [...cart, {
+            ...line,
+            quantity: added,
+            // Keep a copy of the name and price in case the product disappears from the sheet
+            name: product.name,
+            price: getLinePrice(product, line.personalization)
+        }];
+
+    return { cart: nextCart, added: added, available: available, limited: limited };
+}
+
+// Change the quantity of a cart line (0 or less removes it)
+// Returns { cart, available, limited } - limited when the quantity was cut to the stock left.
+export function updateCartQuantity(cart, productList, key, quantity) {
+    if (quantity <= 0) {
+        return { cart: removeFromCart(cart, key), available: Infinity, limited: false };
+    }
+
+    const item = findCartItem(cart, key);
+    if (!item) {
+        return { cart: cart, available: Infinity, limited: false };
+    }
+
+    const available = getLineStock(cart, productList, item);
+    const limited = quantity > available;
+    const newQuantity = limited ? available : quantity;
+
+    if (newQuantity <= 0) {
+        return { cart: removeFromCart(cart, key), available: available, limited: limited };
+    }
+
+    return {
+        cart: cart.map(line => line === item ? { ...line, quantity: newQuantity } : line),
+        available: available,
+        limited: limited
+    };
+}
+
+// Remove a cart line
+export function removeFromCart(cart, key) {
+    return cart.filter(item => getCartItemKey(item) !== key);
+}
+
+// Stock left for a product+size (Infinity when unknown or not tracked)
+export function getAvailableQuantity(productList, productId, size) {
+    const product = findProduct(productList, productId);
+    return product ? getSizeStock(product, size) : Infinity;
+}
+
+// Stock left for one cart line: its size's stock minus what other lines of that size hold
+export function getLineStock(cart, productList, item) {
+    return getAvailableQuantity(productList, item.productId, item.size) -
+        (getQuantityInCart(cart, item.productId, item.size) - item.quantity);
+}
+
+// Cart lines with current names and prices from the loaded products
+// name is in the customer's language; productName is the sheet name the shop sees in orders
+export function getCartLines(cart, productList) {
+    return cart.map(item => {
+        const product = findProduct(productList, item.productId);
+        const price = product ? getLinePrice(product, item.personalization) : parseFloat(item.price) || 0;
+
+        return {
+            key: getCartItemKey(item),
+            productId: item.productId,
+            category: product ? product.category : '',
+            name: product ? localizeProduct(product, 'name') : item.name,
+            productName: product ? product.name : item.name,
+            size: item.size,
+            color: item.color || '',
+            personalization: item.personalization || {},
+            quantity: item.quantity,
+            stock: getLineStock(cart, productList, item),
+            price: price,
+            lineTotal: price * item.quantity
+        };
+    });
+}
+
+// Orders placed from this device, newest first
+export function loadSavedOrders(storage = localStorage) {
+    try {
+        const saved = JSON.parse(storage.getItem(ORDERS_STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('Error loading saved orders:', error);
+        return [];
+    }
+}
+
+// An order saved on this device, or undefined
+export function findSavedOrder(orderId, storage = localStorage) {
+    return loadSavedOrders(storage).find(order => order.id === orderId);
+}
+
+// Remember an order (with the phone number it was placed with, which tracking needs)
+// Known orders are updated in place, e.g. with the latest status
+export function saveOrder(order, phone, storage = localStorage) {
+    const orders = loadSavedOrders(storage);
+    const index = orders.findIndex(saved => saved.id === order.id);
+
+    if (index >= 0) {
+        orders[index] = { ...orders[index], ...order, phone: phone };
+    } else {
+        orders.unshift({ ...order, phone: phone });
+    }
+
+    try {
+        storage.setItem(ORDERS_STORAGE_KEY, JSON.stringify(orders.slice(0, MAX_SAVED_ORDERS)));
+    } catch (error) {
+        console.error('Error saving order:', error);
+    }
+}
+
+// Product ids saved in storage (the wishlist or the recently viewed products)
+function readProductIds(key, storage) {
+    try {
+        const saved = JSON.parse(storage.getItem(key));
+        return Array.isArray(saved) ? saved.filter(id => typeof id === 'string' && id) : [];
+    } catch (error) {
+        console.error(`Error reading ${key}:`, error);
+        return [];
+    }
+}
+
+// Save product ids
+function writeProductIds(key, ids, storage) {
+    try {
+        storage.setItem(key, JSON.stringify(ids));
+    } catch (error) {
+        console.error(`Error saving ${key}:`, error);
+    }
+}
+
+// Load the wishlist saved in storage
+export function readWishlist(storage = localStorage) {
+    return readProductIds(WISHLIST_STORAGE_KEY, storage);
+}
+
+// Save the wishlist
+export function writeWishlist(ids, storage = localStorage) {
+    writeProductIds(WISHLIST_STORAGE_KEY, ids, storage);
+}
+
+// Add a product to the wishlist, or take it off when it is already there
+export function toggleWishlist(ids, productId) {
+    return ids.includes(productId) ? ids.filter(id => id !== productId) : [productId, ...ids];
+}
+
+// Load the recently viewed products saved in storage
+export function readRecentlyViewed(storage = localStorage) {
+    return readProductIds(RECENT_STORAGE_KEY, storage).slice(0, MAX_RECENTLY_VIEWED);
+}
+
+// Save the recently viewed products
+export function writeRecentlyViewed(ids, storage = localStorage) {
+    writeProductIds(RECENT_STORAGE_KEY, ids, storage);
+}
+
+// Put a product first in the recently viewed products, keeping the last few
+export function addRecentlyViewed(ids, productId) {
+    return [productId, ...ids.filter(id => id !== productId)].slice(0, MAX_RECENTLY_VIEWED);
+}
@@ -0,0 +1,649 @@
+// Render layer: the storefront's markup, built with html`` from render.js
+// Every function returns markup for the data it is given and touches neither the page nor the
+// store; app.js puts the markup on the page. Text comes from t() and the other i18n.js globals.
+import { getProductPrice, formatDollars, formatPrice } from './pricing.js';
+import { findProduct } from './store.js';
+import { categoryHash, productHash, orderHash, trackHash } from './router.js';
+
+// Order statuses in the order they happen (an order can also be 'cancelled')
+const ORDER_STEPS = ['received', 'confirmed', 'shipped', 'delivered'];
+
+// Spinner while the catalog loads for the first time
+export function renderLoading() {
+    return html`
+        <div class="loading">
+            <div class="spinner"></div>
+            <p>${t('catalog.loading')}</p>
+            <small>${t('catalog.firstLoad')}</small>
+        </div>
+    `;
+}
+
+// A message in place of the products, e.g. when nothing matches the search
+export function renderMessage(message) {
+    return html`
+        <div class="loading">
+            <p>${message}</p>
+        </div>
+    `;
+}
+
+// Category links of the header dropdown
+export function renderCategoryLinks(categoryList) {
+    return html`
+        <a href="${categoryHash('all')}" data-category="all">${t('catalog.allProducts')}</a>
+        ${categoryList.map(category => html`
+            <a href="${categoryHash(category)}" data-category="${category}">${category}</a>
+        `)}
+    `;
+}
+
+// Category filter buttons above the products
+export function renderCategoryButtons(categoryList) {
+    return html`
+        <button class="category-btn active" data-category="all">${t('catalog.allProducts')}</button>
+        ${categoryList.map(category => html`
+            <button class="category-btn" data-category="${category}">${category}</button>
+        `)}
+    `;
+}
+
+// Options of the size filter
+export function renderSizeFilterOptions(sizes) {
+    return html`
+        <option value="">${t('filter.anySize')}</option>
+        ${sizes.map(size => html`
+            <option value="${size}">${size}</option>
+        `)}
+    `;
+}
+
+// Markup for one product card (wished: the product is on the customer's wishlist)
+export function renderProductCard(product, wished = false) {
+    const soldOut = isSoldOut(product);
+    const name = localizeProduct(product, 'name');
+
+    return html`
+    <div class="product-card ${soldOut ? 'sold-out' : ''}" data-product-id="${product.id}" data-category="${product.category}">
+        ${renderWishlistButton(product, wished)}
+        <a href="${productHash(product.id)}" class="product-image-container">
+            ${soldOut ? html`<div class="sold-out-badge">${t('product.soldOut')}</div>` : ''}
+            <img src="${safeImageUrl(getColorImages(product, getDefaultColor(product))[0])}"
+                 alt="${getImageAlt(product)}"
+                 class="product-image">
+        </a>
+
+        <div class="product-content">
+            <div class="product-category">${product.category}</div>
+            <h3 class="product-title">
+                <a href="${productHash(product.id)}" class="product-link">${name}</a>
+            </h3>
+            <p class="product-description">${localizeProduct(product, 'description')}</p>
+
+            ${renderPrice(product)}
+
+            ${renderColorOptions(product)}
+
+            ${renderSizeOptions(product, 'card')}
+
+            ${product.personalization.length > 0 ? html`
+                <a href="${productHash(product.id)}" class="personalize-link">${t('product.personalizeHint')}</a>
+            ` : ''}
+
+            ${getSoldOutSizes(product).length > 0 ? html`
+                <a href="${productHash(product.id)}" class="notify-link">${t('notify.hint')}</a>
+            ` : ''}
+
+            <button class="order-btn" data-product-id="${product.id}" disabled>
+                ${soldOut ? t('product.soldOut') : t('product.addToCart')}
+            </button>
+        </div>
+    </div>
+    `;
+}
+
+// Heart that saves a product to the wishlist - a toggle button, so screen readers say whether it is saved
+function renderWishlistButton(product, wished) {
+    return html`
+        <button type="button" class="wishlist-btn ${wished ? 'saved' : ''}" data-product-id="${product.id}"
+                aria-pressed="${wished}" aria-label="${t('wishlist.save', { name: localizeProduct(product, 'name') })}">&#9829;</button>
+    `;
+}
+
+// Sizes of a product with none left, which customers can ask to hear about
+function getSoldOutSizes(product) {
+    return product.availableSizes
+        .filter(sizeInfo => sizeInfo.quantity === 0)
+        .map(sizeInfo => sizeInfo.size);
+}
+
+// Last day of a promotion in the customer's language
+function formatPromotionDate(date) {
+    // A plain day is the shop's day, not midnight UTC
+    const parsed = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(`${date}T00:00:00`) : new Date(date);
+    return parsed.toLocaleDateString(getLocale(), { day: 'numeric', month: 'short' });
+}
+
+// Price block shared by the product cards and the detail view
+function renderPrice(product) {
+    // Sheet discount or promotion running today (see applyPromotions)
+    const promotion = product.savings > 0 && product.promotion;
+    const riel = currencyMode === 'usd-khr' ? formatRiel(getProductPrice(product)) : '';
+
+    return html`
+        <div class="product-price-container">
+            ${promotion ? html`
+                <span class="original-price">${formatDollars(product.price)}</span>
+                <span class="discounted-price">${formatDollars(product.finalPrice)}</span>
+                <span class="discount-badge">${promotion.percent
+                    ? t('product.savePercent', { percent: promotion.percent })
+                    : t('product.save', { amount: formatDollars(product.savings) })}</span>
+                ${localizePromotion(promotion) ? html`
+                    <span class="promotion-label">${localizePromotion(promotion)}</span>
+                ` : ''}
+                ${promotion.ends ? html`
+                    <span class="promotion-ends">${t('product.saleEnds', { date: formatPromotionDate(promotion.ends) })}</span>
+                ` : ''}
+            ` : html`
+                <span class="discounted-price">${formatDollars(product.price)}</span>
+            `}
+            ${riel ? html`
+                <span class="riel-price">${riel}</span>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Colorway picker shared by the product cards and the detail view - the first colorway starts selected
+function renderColorOptions(product) {
+    if (product.colors.length === 0) {
+        return '';
+    }
+
+    return html`
+        <div class="color-selector">
+            <label>${t('product.colors')}</label>
+            <div class="color-options">
+                ${product.colors.map((color, index) => html`
+                    <button type="button" class="color-option ${index === 0 ? 'selected' : ''}" data-color="${color.name}" aria-pressed="${index === 0}">${color.name}</button>
+                `)}
+            </div>
+        </div>
+    `;
+}
+
+// What a product's photos show, for screen readers: the sheet's imageAlt column, or the product name
+function getImageAlt(product) {
+    return localizeProduct(product, 'imageAlt') || localizeProduct(product, 'name');
+}
+
+// Colorway a product starts with ('' when it has none)
+function getDefaultColor(product) {
+    return product.colors.length > 0 ? product.colors[0].name : '';
+}
+
+// Name and number printing fields in the detail view
+function renderPersonalization(product) {
+    if (product.personalization.length === 0) {
+        return '';
+    }
+
+    return html`
+        <fieldset class="personalization">
+            <legend>${t('personalize.title')}</legend>
+            ${product.personalization.map(option => html`
+                <div class="form-group">
+                    <label for="personalize-${option.field}">${t(`personalize.${option.field}`)}${option.surcharge > 0 ? ` (+${formatPrice(option.surcharge, currencyMode)})` : ''}</label>
+                    <input type="text" id="personalize-${option.field}" class="personalization-input" data-field="${option.field}"
+                           maxlength="${option.maxLength}" autocomplete="off" ${option.field === 'number' ? html`inputmode="numeric"` : ''}>
+                </div>
+            `)}
+            <p class="field-error personalization-error" role="alert" hidden></p>
+        </fieldset>
+    `;
+}
+
+// Colorway and printing of a cart or order line, e.g. "Away · Name: SOK · Number: 7"
+function describeVariant(item) {
+    const personalization = item.personalization || {};
+    return [
+        item.color,
+        ...Object.keys(personalization).map(field => `${t(`personalize.${field}`)}: ${personalization[field]}`)
+    ].filter(Boolean).join(' · ');
+}
+
+// Size selector shared by the product cards and the detail view: a radio group, so it works
+// with the keyboard (arrow keys) and screen readers. view ('card' or 'detail') keeps the group
+// of a card apart from the detail view of the same product.
+function renderSizeOptions(product, view) {
+    return html`
+        <fieldset class="size-selector">
+            <legend>${t('product.sizes')}</legend>
+            <div class="size-options">
+                ${product.availableSizes.map(sizeInfo => html`
+                    <label class="size-option ${sizeInfo.quantity === 0 ? 'out-of-stock' : ''}"
+                           data-size="${sizeInfo.size}"
+                           data-quantity="${sizeInfo.quantity}">
+                        <input type="radio" class="size-radio" name="${view}-size-${product.id}" value="${sizeInfo.size}"
+                               ${sizeInfo.quantity === 0 ? html`disabled` : ''}>
+                        ${sizeInfo.size} ${sizeInfo.quantity === 0 ? t('product.outOfStock') : ''}
+                    </label>
+                `)}
+            </div>
+        </fieldset>
+    `;
+}
+
+// Detail view markup: gallery, full description, sizes and order action
+export function renderProductDetail(product, wished = false) {
+    const soldOut = isSoldOut(product);
+    const name = localizeProduct(product, 'name');
+
+    return html`
+        <div class="product-detail ${soldOut ? 'sold-out' : ''}" data-product-id="${product.id}">
+            ${renderGallery(product, getColorImages(product, getDefaultColor(product)))}
+
+            <div class="product-detail-info">
+                <div class="product-category">${product.category}</div>
+                <h2 class="product-detail-title">${name}</h2>
+
+                ${renderPrice(product)}
+
+                <p class="product-detail-description">${localizeProduct(product, 'description')}</p>
+
+                ${renderColorOptions(product)}
+
+                ${renderSizeOptions(product, 'detail')}
+
+                ${renderPersonalization(product)}
+
+                <button class="order-btn" data-product-id="${product.id}" disabled>
+                    ${soldOut ? t('product.soldOut') : t('product.addToCart')}
+                </button>
+                <div class="product-detail-actions">
+                    <button type="button" class="share-btn">${t('product.share')}</button>
+                    ${renderWishlistButton(product, wished)}
+                </div>
+                <p class="share-status" role="status"></p>
+
+                ${renderNotifyForm(product)}
+            </div>
+        </div>
+    `;
+}
+
+// "Notify me" form of the detail view: a Telegram message when a sold-out size is back
+function renderNotifyForm(product) {
+    const soldOutSizes = getSoldOutSizes(product);
+    if (soldOutSizes.length === 0) {
+        return '';
+    }
+
+    return html`
+        <details class="notify-me">
+            <summary>${t('notify.title')}</summary>
+            <form class="notify-form" novalidate>
+                <p class="notify-intro">${t('notify.intro')}</p>
+                <div class="form-group">
+                    <label for="notifySize">${t('notify.size')}</label>
+                    <select id="notifySize" class="notify-size">
+                        ${soldOutSizes.map(size => html`<option value="${size}">${size}</option>`)}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="notifyContact">${t('notify.contact')}</label>
+                    <input type="text" id="notifyContact" class="notify-contact" placeholder="012 345 678 / @username"
+                           autocomplete="tel" aria-describedby="notifyContactError">
+                    <p class="field-error" id="notifyContactError" aria-live="polite" hidden></p>
+                </div>
+                <button type="submit" class="btn btn-secondary notify-submit">${t('notify.submit')}</button>
+                <p class="notify-status" role="status"></p>
+            </form>
+        </details>
+    `;
+}
+
+// A strip of small product links: the wishlist or the recently viewed products
+export function renderProductStrip(productList, wishlist) {
+    return productList.map(product => html`
+        <div class="strip-item" data-product-id="${product.id}">
+            <a href="${productHash(product.id)}" class="strip-link">
+                <img src="${safeImageUrl(getColorImages(product, getDefaultColor(product))[0])}" alt="" class="strip-image">
+                <span class="strip-name">${localizeProduct(product, 'name')}</span>
+                <span class="strip-price">${isSoldOut(product) ? t('product.soldOut') : formatPrice(getProductPrice(product), currencyMode)}</span>
+            </a>
+            ${renderWishlistButton(product, wishlist.includes(product.id))}
+        </div>
+    `);
+}
+
+// Photo gallery of the detail view - the photos of the chosen colorway
+export function renderGallery(product, imageUrls) {
+    const soldOut = isSoldOut(product);
+    const hasGallery = imageUrls.length > 1;
+
+    return html`
+        <div class="gallery">
+            <div class="gallery-main">
+                ${soldOut ? html`<div class="sold-out-badge">${t('product.soldOut')}</div>` : ''}
+                <div class="gallery-track">
+                    ${imageUrls.map((url, index) => html`
+                        <img src="${safeImageUrl(url)}"
+                             alt="${t('gallery.photoOf', { name: getImageAlt(product), number: index + 1 })}"
+                             class="gallery-image">
+                    `)}
+                </div>
+                ${hasGallery ? html`
+                    <button type="button" class="gallery-nav gallery-prev" data-direction="-1" aria-label="${t('gallery.previous')}">&lsaquo;</button>
+                    <button type="button" class="gallery-nav gallery-next" data-direction="1" aria-label="${t('gallery.next')}">&rsaquo;</button>
+                ` : ''}
+            </div>
+            ${hasGallery ? html`
+                <div class="gallery-thumbs">
+                    ${imageUrls.map((url, index) => html`
+                        <button type="button" class="gallery-thumb ${index === 0 ? 'active' : ''}" data-index="${index}" aria-label="${t('gallery.photo', { number: index + 1 })}">
+                            <img src="${safeImageUrl(url)}" alt="">
+                        </button>
+                    `)}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Name of a promotion or discount in the current language
+function localizeDiscount(discount) {
+    return localizePromotion(discount) || discount.id;
+}
+
+// Subtotal and discount lines above a total (nothing when there are no discounts)
+export function renderDiscountLines(pricing) {
+    if (pricing.discounts.length === 0) {
+        return '';
+    }
+
+    return html`
+        <div class="order-summary-line">
+            <span>${t('cart.subtotal')}</span>
+            <span>${formatPrice(pricing.subtotal, currencyMode)}</span>
+        </div>
+        ${pricing.discounts.map(discount => html`
+            <div class="order-summary-line order-summary-discount">
+                <span>${localizeDiscount(discount)}</span>
+                <span>${[
+                    discount.amount > 0 ? `-${formatPrice(discount.amount, currencyMode)}` : '',
+                    discount.freeDelivery ? t('cart.freeDelivery') : ''
+                ].filter(Boolean).join(' + ')}</span>
+            </div>
+        `)}
+    `;
+}
+
+// Lines of the cart drawer (see getCartLines in store.js)
+export function renderCartLines(lines) {
+    if (lines.length === 0) {
+        return html`
+            <div class="cart-empty">
+                <p>${t('cart.empty')}</p>
+            </div>
+        `;
+    }
+
+    return lines.map(line => html`
+        <div class="cart-line" data-key="${line.key}" data-product-id="${line.productId}" data-size="${line.size}">
+            <div class="cart-line-info">
+                <div class="cart-line-name">${line.name}</div>
+                <div class="cart-line-meta">${t('cart.lineMeta', { size: line.size, price: formatPrice(line.price, currencyMode) })}</div>
+                ${describeVariant(line) ? html`
+                    <div class="cart-line-meta">${describeVariant(line)}</div>
+                ` : ''}
+                ${line.quantity > line.stock ? html`
+                    <div class="cart-line-warning">${t('cart.lowStock', { count: line.stock })}</div>
+                ` : ''}
+                <button type="button" class="cart-remove">${t('cart.remove')}</button>
+            </div>
+            <div class="cart-line-controls">
+                <div class="cart-qty">
+                    <button type="button" class="cart-qty-btn" data-delta="-1">&minus;</button>
+                    <input type="number" class="cart-qty-input" min="1" ${isFinite(line.stock) ? html`max="${line.stock}"` : ''} value="${line.quantity}">
+                    <button type="button" class="cart-qty-btn" data-delta="1" ${line.quantity >= line.stock ? 'disabled' : ''}>+</button>
+                </div>
+                <div class="cart-line-total">${formatPrice(line.lineTotal, currencyMode)}</div>
+            </div>
+        </div>
+    `);
+}
+
+// Delivery method or area name in the current language
+function localizeDeliveryOption(option) {
+    return option[`label_${currentLanguage}`] || option[`name_${currentLanguage}`] || option.label || option.name;
+}
+
+// Options of the delivery method select
+export function renderDeliveryMethodOptions() {
+    return html`
+        <option value="">${t('delivery.chooseMethod')}</option>
+        ${Object.keys(DELIVERY_METHODS).map(id => html`
+            <option value="${id}">${localizeDeliveryOption(DELIVERY_METHODS[id])}</option>
+        `)}
+    `;
+}
+
+// Options of the delivery area select for a method (only the placeholder when it has no areas)
+export function renderDeliveryAreaOptions(method) {
+    return html`
+        <option value="">${t('delivery.chooseArea')}</option>
+        ${(method && method.areas || []).map(option => html`
+            <option value="${option.name}">${localizeDeliveryOption(option)}</option>
+        `)}
+    `;
+}
+
+// Delivery fee line under the discounts (nothing until a delivery is chosen)
+function renderDeliveryLine(delivery) {
+    if (!delivery) {
+        return '';
+    }
+
+    const method = DELIVERY_METHODS[delivery.method];
+    const area = method && method.areas ? method.areas.find(option => option.name === delivery.area) : null;
+    const where = [method ? localizeDeliveryOption(method) : delivery.method, area ? localizeDeliveryOption(area) : delivery.area];
+
+    return html`
+        <div class="order-summary-line order-summary-delivery">
+            <span>${where.filter(Boolean).join(' - ')}</span>
+            <span>${delivery.fee > 0 ? formatPrice(delivery.fee, currencyMode) : t('delivery.free')}</span>
+        </div>
+    `;
+}
+
+// Order summary in the checkout: the lines, discounts, delivery fee and total
+// (pricing from getCartPricing, delivery and total from getCheckoutTotal in pricing.js)
+export function renderCheckoutSummary(lines, pricing, delivery, total) {
+    return html`
+        ${lines.map(line => html`
+            <div class="order-summary-line">
+                <span>${line.name} (${[line.size, describeVariant(line)].filter(Boolean).join(', ')}) &times; ${line.quantity}</span>
+                <span>${formatPrice(line.lineTotal, currencyMode)}</span>
+            </div>
+        `)}
+        ${renderDiscountLines(pricing)}
+        ${renderDeliveryLine(delivery)}
+        <div class="order-summary-line order-summary-total">
+            <span>${t('cart.total')}</span>
+            <span>${formatPrice(total, currencyMode)}</span>
+        </div>
+    `;
+}
+
+// Orders placed offline and what happened to them (shared/outbox.js entries)
+export function renderOutboxEntries(entries) {
+    return entries.map(entry => {
+        const items = entry.order.items || [];
+        const total = items.reduce((sum, item) => sum + (parseFloat(item.price) || 0) * item.quantity, 0);
+        const orderId = entry.result && entry.result.orderId;
+
+        return html`
+            <li class="outbox-entry" data-id="${entry.id}" data-status="${entry.status}">
+                <div class="outbox-entry-info">
+                    <div class="outbox-entry-items">${items.map((item, index) => html`${index > 0 ? ', ' : ''}${item.product} (${item.size}) &times; ${item.quantity}`)}</div>
+                    <div class="outbox-entry-meta">${new Date(entry.createdAt).toLocaleString(getLocale())} &middot; ${formatPrice(total, currencyMode)}</div>
+                    ${entry.status === 'sent' && orderId ? html`
+                        <a class="outbox-order-link" href="${orderHash(orderId)}">${t('outbox.orderNumber', { id: orderId })}</a>
+                    ` : ''}
+                    ${entry.status === 'failed' && entry.error ? html`
+                        <div class="outbox-entry-error">${entry.error}</div>
+                    ` : ''}
+                </div>
+                <div class="outbox-entry-actions">
+                    <span class="outbox-status outbox-status-${entry.status}">${t(`outbox.${entry.status}`)}</span>
+                    ${entry.status !== 'sending' ? html`
+                        <button type="button" class="outbox-dismiss">${entry.status === 'pending' ? t('outbox.cancel') : t('outbox.dismiss')}</button>
+                    ` : ''}
+                </div>
+            </li>
+        `;
+    });
+}
+
+// Date and time of an order step in the customer's language
+function formatOrderDate(isoDate) {
+    return new Date(isoDate).toLocaleString(getLocale());
+}
+
+// Order lines and total, named in the current language when the product is still in the catalog
+function renderOrderItems(order, productList) {
+    return html`
+        <div class="order-summary">
+            ${order.items.map(item => {
+                const product = findProduct(productList, item.productId);
+                return html`
+                    <div class="order-summary-line">
+                        <span>${product ? localizeProduct(product, 'name') : item.product} (${[item.size, describeVariant(item)].filter(Boolean).join(', ')}) &times; ${item.quantity}</span>
+                        <span>${formatPrice(item.price * item.quantity, currencyMode)}</span>
+                    </div>
+                `;
+            })}
+            ${renderDiscountLines({ subtotal: order.subtotal, discounts: order.discounts || [] })}
+            ${renderDeliveryLine(order.delivery)}
+            <div class="order-summary-line order-summary-total">
+                <span>${t('cart.total')}</span>
+                <span>${formatPrice(order.total, currencyMode)}</span>
+            </div>
+        </div>
+    `;
+}
+
+// Timeline of an order's statuses, with the time each step was reached
+function renderOrderStatus(order) {
+    const history = order.statusHistory || [];
+    const reachedAt = status => (history.find(step => step.status === status) || {}).at;
+
+    if (order.status === 'cancelled') {
+        return html`
+            <p class="order-cancelled">${t('status.cancelled')} &middot; ${formatOrderDate(reachedAt('cancelled') || order.createdAt)}</p>
+        `;
+    }
+
+    const currentStep = ORDER_STEPS.indexOf(order.status);
+
+    return html`
+        <ol class="order-timeline">
+            ${ORDER_STEPS.map((status, index) => {
+                const at = reachedAt(status);
+                return html`
+                    <li class="order-step${index <= currentStep ? ' done' : ''}"${index === currentStep ? html` aria-current="step"` : ''}>
+                        <span class="order-step-label">${t(`status.${status}`)}</span>
+                        ${index <= currentStep && at ? html`<span class="order-step-time">${formatOrderDate(at)}</span>` : ''}
+                    </li>
+                `;
+            })}
+        </ol>
+    `;
+}
+
+// KHQR to scan, with the amount and until when it can be paid
+function renderKHQR(payment) {
+    const expires = new Date(payment.expiresAt).toLocaleTimeString(getLocale(), { hour: '2-digit', minute: '2-digit' });
+
+    return html`
+        <div class="khqr-panel">
+            <img class="khqr-image" src="${payment.qrImage}" alt="${t('payment.qrAlt')}" width="280" height="280">
+            <p class="khqr-amount">${formatPrice(payment.amount, currencyMode)}</p>
+            <p>${t('payment.scan')}</p>
+            <p class="khqr-expires">${t('payment.expires', { time: expires })}</p>
+        </div>
+    `;
+}
+
+// Payment status of an order, with the "Pay now" step while it can still be paid by KHQR
+// activePayment is the payment in progress on this page ({ orderId, payment, error }), if any
+export function renderPayment(order, activePayment) {
+    const active = activePayment && activePayment.orderId === order.id ? activePayment : null;
+    const payment = (active && active.payment) || order.payment || { status: 'unpaid', canPayNow: false };
+    const showQR = payment.status === 'pending' && payment.qrImage;
+
+    return html`
+        <div class="order-payment" data-order-id="${order.id}">
+            <p class="payment-status payment-status-${payment.status}">${t(`payment.${payment.status}`)}</p>
+            ${showQR ? renderKHQR(payment) : ''}
+            ${!showQR && payment.canPayNow ? html`
+                <button type="button" class="btn btn-primary pay-now-btn" data-order-id="${order.id}"${active && !active.payment && !active.error ? ' disabled' : ''}>${t('payment.payNow')}</button>
+            ` : ''}
+            ${active && active.error ? html`<p class="payment-error">${active.error}</p>` : ''}
+        </div>
+    `;
+}
+
+// Confirmation of an order placed from this device, with a link back to the catalog view the customer came from
+export function renderOrderConfirmation(order, productList, activePayment, backHash) {
+    return html`
+        <div class="order-card">
+            <h2 class="order-title">${t('order.title')}</h2>
+            <p class="order-number">${t('order.numberLabel')}: <strong>${order.id}</strong></p>
+            <p>${t('order.keepNumber')}</p>
+            <p class="order-date">${t('order.placedAt', { date: formatOrderDate(order.createdAt) })}</p>
+            ${renderOrderItems(order, productList)}
+            ${renderPayment(order, activePayment)}
+            <div class="order-actions">
+                <a href="${trackHash(order.id)}" class="btn btn-primary">${t('order.track')}</a>
+                <a href="${backHash}" class="btn btn-secondary">${t('order.continue')}</a>
+            </div>
+        </div>
+    `;
+}
+
+// Confirmation link for an order this device doesn't know - it can still be tracked
+export function renderUnknownOrder(orderId) {
+    return html`
+        <div class="order-card">
+            <p>${t('order.notFound')}</p>
+            <div class="order-actions">
+                <a href="${trackHash(orderId)}" class="btn btn-primary">${t('nav.track')}</a>
+            </div>
+        </div>
+    `;
+}
+
+// Status, timeline and lines of a tracked order
+export function renderTrackedOrder(order, productList, activePayment) {
+    return html`
+        <div class="order-card">
+            <p class="order-number">${t('order.numberLabel')}: <strong>${order.id}</strong></p>
+            <p class="order-date">${t('order.placedAt', { date: formatOrderDate(order.createdAt) })}</p>
+            ${renderOrderStatus(order)}
+            ${renderOrderItems(order, productList)}
+            ${renderPayment(order, activePayment)}
+        </div>
+    `;
+}
+
+// Links to the orders placed from this device
+export function renderRecentOrders(orders) {
+    return orders.map(order => html`
+        <li>
+            <a href="${trackHash(order.id)}">${order.id}</a>
+            <span class="recent-order-meta">${formatOrderDate(order.createdAt)} &middot; ${formatPrice(order.total, currencyMode)} &middot; ${t(`status.${order.status}`)}</span>
+        </li>
+    `);
+}
@@ -0,0 +1,48 @@
+// Netlify function: the storefront funnel for the admin page
+//   GET   ?from=&to=   counts per funnel step, per product and per category (netlify/lib/analytics.js)
+// Product names come from the catalog snapshot; the report still works without it.
+const { requireAdmin } = require('../lib/admin-auth');
+const { loadCatalog } = require('../lib/catalog');
+const { jsonResponse, errorResponse } = require('../lib/http');
+const { parseReportRange, buildReport, getAnalyticsStore } = require('../lib/analytics');
+const { connectBlobs } = require('../lib/blob-store');
+
+exports.handler = async function(event) {
+    connectBlobs(event);
+
+    if (event.httpMethod !== 'GET') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    const denied = requireAdmin(event);
+    if (denied) {
+        return denied;
+    }
+
+    const { range, error } = parseReportRange(event.queryStringParameters || {});
+    if (error) {
+        return errorResponse(400, error);
+    }
+
+    let report;
+    try {
+        report = buildReport(await getAnalyticsStore().read(), range);
+    } catch (err) {
+        console.error('admin-analytics: could not read the counts:', err);
+        return errorResponse(502, 'Could not read the storefront counts', err.message);
+    }
+
+    let products = [];
+    try {
+        ({ products } = await loadCatalog());
+    } catch (err) {
+        console.error('admin-analytics: could not load the catalog:', err);
+    }
+
+    report.products.forEach(row => {
+        const product = products.find(item => item.id === row.productId);
+        row.name = product ? product.name : '';
+    });
+
+    return jsonResponse(200, { success: true, ...report });
+};
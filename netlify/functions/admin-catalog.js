@@ -0,0 +1,42 @@
+// Netlify function: the product sheet check for the admin page
+//   GET   problems found in the product sheet, by sheet row, from a fresh read of the sheet
+// The sheet is re-read on every call (unless it has not changed), so staff can fix a row,
+// wait for Google to republish the sheet, and check again.
+const { requireAdmin } = require('../lib/admin-auth');
+const { loadCatalog } = require('../lib/catalog');
+const { jsonResponse, errorResponse } = require('../lib/http');
+
+exports.handler = async function(event) {
+    if (event.httpMethod !== 'GET') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    const denied = requireAdmin(event);
+    if (denied) {
+        return denied;
+    }
+
+    let catalog;
+    try {
+        catalog = await loadCatalog(0);
+    } catch (err) {
+        // A sheet without a single usable row still has problems worth showing
+        if (err.problems) {
+            return jsonResponse(200, {
+                success: true,
+                productCount: 0,
+                checkedAt: new Date().toISOString(),
+                problems: err.problems
+            });
+        }
+        console.error('admin-catalog: failed to load the sheet:', err);
+        return errorResponse(502, 'Could not read the product sheet', err.message);
+    }
+
+    return jsonResponse(200, {
+        success: true,
+        productCount: catalog.products.length,
+        checkedAt: new Date(catalog.fetchedAt).toISOString(),
+        problems: catalog.errors
+    });
+};
@@ -0,0 +1,46 @@
+// Netlify function: CSV export of orders for the admin page
+// Takes the same ?status=&from=&to= filters as admin-orders.
+const { requireAdmin } = require('../lib/admin-auth');
+const { errorResponse } = require('../lib/http');
+const { getOrderStore } = require('../lib/order-store');
+const { parseOrderFilters, filterOrders, ordersToCSV } = require('../lib/admin-orders');
+const { connectBlobs } = require('../lib/blob-store');
+
+exports.handler = async function(event) {
+    connectBlobs(event);
+
+    if (event.httpMethod !== 'GET') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    const denied = requireAdmin(event);
+    if (denied) {
+        return denied;
+    }
+
+    const { filters, error } = parseOrderFilters(event.queryStringParameters || {});
+    if (error) {
+        return errorResponse(400, error);
+    }
+
+    let orders;
+    try {
+        orders = filterOrders(await getOrderStore().listOrders(), filters);
+    } catch (err) {
+        console.error('admin-export: order store error:', err);
+        return errorResponse(502, 'Could not reach the order store', err.message);
+    }
+
+    const name = ['prsport-orders', filters.status, filters.from, filters.to].filter(Boolean).join('-');
+
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${name}.csv"`,
+            'Cache-Control': 'no-store'
+        },
+        // Byte order mark so Excel reads Khmer text as UTF-8
+        body: `\uFEFF${ordersToCSV(orders)}`
+    };
+};
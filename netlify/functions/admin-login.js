@@ -0,0 +1,43 @@
+// Netlify function: sign in to the admin page with ADMIN_PASSWORD
+const adminAuth = require('../lib/admin-auth');
+const { jsonResponse, errorResponse, parseJsonBody, getClientIp } = require('../lib/http');
+const { createRateLimiter } = require('../lib/rate-limit');
+
+// Sign-in attempts allowed per visitor IP in 10 minutes
+const attemptsPerIp = createRateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 });
+
+exports.handler = async function(event) {
+    if (event.httpMethod !== 'POST') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    if (!adminAuth.isConfigured()) {
+        console.error('admin-login: ADMIN_PASSWORD is not set');
+        return errorResponse(500, 'Admin access is not configured', 'Set ADMIN_PASSWORD in the Netlify site settings');
+    }
+
+    const data = parseJsonBody(event);
+    if (!data) {
+        return errorResponse(400, 'Invalid request body', 'Expected a password');
+    }
+
+    const retryAfter = attemptsPerIp.hit(getClientIp(event));
+    if (retryAfter) {
+        return jsonResponse(429, {
+            success: false,
+            error: 'Too many sign-in attempts. Please wait a few minutes and try again.'
+        }, { 'Retry-After': String(retryAfter) });
+    }
+
+    if (!adminAuth.checkPassword(data.password)) {
+        console.warn('admin-login: wrong password from', getClientIp(event));
+        return errorResponse(401, 'Wrong password');
+    }
+
+    const { token, expiresAt } = adminAuth.createSessionToken();
+    return jsonResponse(200, {
+        success: true,
+        token: token,
+        expiresAt: new Date(expiresAt).toISOString()
+    });
+};
@@ -0,0 +1,82 @@
+// Netlify function: back-in-stock requests for the admin page
+//   GET   ?status=           list requests (newest first) with the current stock of each size
+//   PATCH { id, status }      mark a request notified or cancelled (or pending again)
+// Stock comes from the catalog snapshot; requests are still listed without it.
+const { requireAdmin } = require('../lib/admin-auth');
+const { loadCatalog } = require('../lib/catalog');
+const { jsonResponse, errorResponse, parseJsonBody } = require('../lib/http');
+const { STOCK_ALERT_STATUSES, addStockDetails, getStockAlertStore } = require('../lib/stock-alerts');
+const { connectBlobs } = require('../lib/blob-store');
+
+// List the requests, all of them or those with one status
+async function listRequests(event) {
+    const status = (event.queryStringParameters || {}).status || '';
+    if (status && !STOCK_ALERT_STATUSES.includes(status)) {
+        return errorResponse(400, `Unknown status "${status}"`);
+    }
+
+    const requests = (await getStockAlertStore().listRequests())
+        .filter(request => !status || request.status === status);
+
+    let products = null;
+    try {
+        ({ products } = await loadCatalog());
+    } catch (err) {
+        console.error('admin-notifications: could not load the catalog:', err);
+    }
+
+    return jsonResponse(200, {
+        success: true,
+        statuses: STOCK_ALERT_STATUSES,
+        catalogAvailable: Boolean(products),
+        requests: addStockDetails(requests, products)
+    });
+}
+
+// Change a request's status
+async function updateRequest(event) {
+    const data = parseJsonBody(event);
+    if (!data || typeof data.id !== 'string') {
+        return errorResponse(400, 'Invalid request body', 'Expected a request id');
+    }
+    if (!STOCK_ALERT_STATUSES.includes(data.status)) {
+        return errorResponse(400, `Unknown status "${data.status}"`);
+    }
+
+    const updated = await getStockAlertStore().updateRequest(data.id, {
+        status: data.status,
+        closedAt: data.status === 'pending' ? null : new Date().toISOString()
+    });
+    if (!updated) {
+        return errorResponse(404, `Request ${data.id} not found`);
+    }
+
+    console.log(`admin-notifications: ${updated.id} is ${updated.status}`);
+    return jsonResponse(200, {
+        success: true,
+        request: updated
+    });
+}
+
+exports.handler = async function(event) {
+    connectBlobs(event);
+
+    const denied = requireAdmin(event);
+    if (denied) {
+        return denied;
+    }
+
+    try {
+        if (event.httpMethod === 'GET') {
+            return await listRequests(event);
+        }
+        if (event.httpMethod === 'PATCH') {
+            return await updateRequest(event);
+        }
+    } catch (err) {
+        console.error('admin-notifications: stock alert store error:', err);
+        return errorResponse(502, 'Could not reach the back-in-stock requests', err.message);
+    }
+
+    return errorResponse(405, 'Method not allowed');
+};
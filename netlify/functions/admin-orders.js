@@ -0,0 +1,118 @@
+// Netlify function: orders for the admin page
+//   GET   ?status=&from=&to=        list orders (newest first) with current stock for each line
+//   PATCH { id, status?, paymentStatus?, note? }
+//                                   change an order's status or payment status and/or add a staff note
+const { requireAdmin } = require('../lib/admin-auth');
+const { loadCatalog } = require('../lib/catalog');
+const { jsonResponse, errorResponse, parseJsonBody } = require('../lib/http');
+const { getOrderStore, ORDER_STATUSES } = require('../lib/order-store');
+const { PAYMENT_STATUSES, getPayment, markPaid } = require('../lib/payments');
+const { parseOrderFilters, filterOrders, addCatalogDetails } = require('../lib/admin-orders');
+const { connectBlobs } = require('../lib/blob-store');
+
+const MAX_NOTE_LENGTH = 1000;
+
+// List orders matching the filters in the query string
+async function listOrders(event) {
+    const { filters, error } = parseOrderFilters(event.queryStringParameters || {});
+    if (error) {
+        return errorResponse(400, error);
+    }
+
+    const orders = filterOrders(await getOrderStore().listOrders(), filters);
+
+    // Orders are still worth showing without stock figures
+    let products = null;
+    try {
+        ({ products } = await loadCatalog());
+    } catch (err) {
+        console.error('admin-orders: could not load the catalog:', err);
+    }
+
+    return jsonResponse(200, {
+        success: true,
+        statuses: ORDER_STATUSES,
+        paymentStatuses: PAYMENT_STATUSES,
+        catalogAvailable: Boolean(products),
+        orders: orders.map(order => addCatalogDetails(order, products))
+    });
+}
+
+// Change an order's status or payment status and/or add a staff note
+async function updateOrder(event) {
+    const data = parseJsonBody(event);
+    if (!data || typeof data.id !== 'string') {
+        return errorResponse(400, 'Invalid request body', 'Expected an order id');
+    }
+
+    const status = data.status === undefined ? null : data.status;
+    const paymentStatus = data.paymentStatus === undefined ? null : data.paymentStatus;
+    const note = typeof data.note === 'string' ? data.note.trim() : '';
+
+    if (status !== null && !ORDER_STATUSES.includes(status)) {
+        return errorResponse(400, `Unknown status "${status}"`);
+    }
+    if (paymentStatus !== null && !PAYMENT_STATUSES.includes(paymentStatus)) {
+        return errorResponse(400, `Unknown payment status "${paymentStatus}"`);
+    }
+    if (note.length > MAX_NOTE_LENGTH) {
+        return errorResponse(400, `Please keep notes under ${MAX_NOTE_LENGTH} characters`);
+    }
+    if (status === null && paymentStatus === null && !note) {
+        return errorResponse(400, 'Nothing to update', 'Send a status, a payment status or a note');
+    }
+
+    const store = getOrderStore();
+    const order = await store.getOrder(data.id);
+    if (!order) {
+        return errorResponse(404, `Order ${data.id} not found`);
+    }
+
+    const now = new Date().toISOString();
+    const changes = {};
+
+    if (status !== null && status !== order.status) {
+        changes.status = status;
+        changes.statusHistory = [...(order.statusHistory || []), { status: status, at: now }];
+    }
+    const payment = getPayment(order);
+    if (paymentStatus !== null && paymentStatus !== payment.status) {
+        changes.payment = paymentStatus === 'paid'
+            ? markPaid(payment, 'staff')
+            : { ...payment, status: paymentStatus };
+    }
+    if (note) {
+        changes.staffNotes = [...(order.staffNotes || []), { text: note, at: now }];
+    }
+
+    const updated = Object.keys(changes).length > 0 ? await store.updateOrder(order.id, changes) : order;
+    console.log(`admin-orders: updated ${order.id}`, Object.keys(changes).join(', ') || '(no changes)');
+
+    return jsonResponse(200, {
+        success: true,
+        order: updated
+    });
+}
+
+exports.handler = async function(event) {
+    connectBlobs(event);
+
+    const denied = requireAdmin(event);
+    if (denied) {
+        return denied;
+    }
+
+    try {
+        if (event.httpMethod === 'GET') {
+            return await listOrders(event);
+        }
+        if (event.httpMethod === 'PATCH') {
+            return await updateOrder(event);
+        }
+    } catch (err) {
+        console.error('admin-orders: order store error:', err);
+        return errorResponse(502, 'Could not reach the order store', err.message);
+    }
+
+    return errorResponse(405, 'Method not allowed');
+};
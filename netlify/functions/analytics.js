@@ -0,0 +1,41 @@
+// Netlify function: storefront analytics events, sent in batches by js/analytics.js
+//   POST { events: [{ name, productId?, category?, size?, items? }] }
+// Only daily counts are kept (netlify/lib/analytics.js). The visitor's IP address is used for
+// rate limiting in memory and is never stored.
+const { jsonResponse, errorResponse, parseJsonBody, getClientIp } = require('../lib/http');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { getShopDate, normalizeEvents, getAnalyticsStore } = require('../lib/analytics');
+const { connectBlobs } = require('../lib/blob-store');
+
+// Batches allowed per visitor IP in 10 minutes - plenty for browsing, a brake on scripts
+const batchesPerIp = createRateLimiter({ limit: 60, windowMs: 10 * 60 * 1000 });
+
+exports.handler = async function(event) {
+    connectBlobs(event);
+
+    if (event.httpMethod !== 'POST') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    const events = normalizeEvents(parseJsonBody(event));
+    if (!events) {
+        return errorResponse(400, 'Invalid request body', 'Expected { events: [...] }');
+    }
+
+    const retryAfter = batchesPerIp.hit(getClientIp(event));
+    if (retryAfter) {
+        return jsonResponse(429, { success: false, error: 'Too many events' }, { 'Retry-After': String(retryAfter) });
+    }
+
+    if (events.length > 0) {
+        try {
+            await getAnalyticsStore().record(events, getShopDate());
+        } catch (err) {
+            console.error('analytics: could not save the counts:', err);
+            return errorResponse(502, 'Could not save the events', err.message);
+        }
+    }
+
+    // sendBeacon never reads the answer
+    return { statusCode: 204, headers: { 'Cache-Control': 'no-store' }, body: '' };
+};
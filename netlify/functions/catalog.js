@@ -0,0 +1,62 @@
+// Netlify function: the Google Sheets catalog and the promotions, parsed and normalized to JSON
+// Saves every visitor from downloading and parsing the CSV in the browser.
+const { loadCatalog } = require('../lib/catalog');
+const { jsonResponse, errorResponse } = require('../lib/http');
+
+// Let the CDN and browsers reuse a response for a minute, then revalidate with the ETag
+const CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=600';
+
+// Does the request already have this version of the catalog?
+function isNotModified(headers, etag, updatedAt) {
+    const ifNoneMatch = headers['if-none-match'];
+    if (ifNoneMatch) {
+        return ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(etag);
+    }
+
+    const ifModifiedSince = Date.parse(headers['if-modified-since'] || '');
+    // HTTP dates have one-second precision
+    return !isNaN(ifModifiedSince) && Math.floor(updatedAt / 1000) * 1000 <= ifModifiedSince;
+}
+
+exports.handler = async function(event) {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    let catalog;
+    try {
+        catalog = await loadCatalog();
+    } catch (err) {
+        console.error('catalog: failed to load the sheet:', err);
+        return errorResponse(502, 'Could not load the catalog', err.message);
+    }
+
+    const etag = `"${catalog.hash}"`;
+    const headers = {
+        'ETag': etag,
+        'Last-Modified': new Date(catalog.updatedAt).toUTCString(),
+        'Cache-Control': CACHE_CONTROL
+    };
+
+    // Netlify lower-cases header names, but local runners may not
+    const requestHeaders = {};
+    Object.keys(event.headers || {}).forEach(name => {
+        requestHeaders[name.toLowerCase()] = event.headers[name];
+    });
+
+    if (isNotModified(requestHeaders, etag, catalog.updatedAt)) {
+        return {
+            statusCode: 304,
+            headers: headers,
+            body: ''
+        };
+    }
+
+    return jsonResponse(200, {
+        hash: catalog.hash,
+        updatedAt: new Date(catalog.updatedAt).toISOString(),
+        categories: catalog.categories,
+        products: catalog.products,
+        promotions: catalog.promotions
+    }, headers);
+};
@@ -0,0 +1,71 @@
+// Netlify function: a customer asks for a Telegram message when a sold-out size is back
+//   POST { productId, size, contact }   contact is a Cambodian phone number or a @username
+// Requests wait in the stock alert store (netlify/lib/stock-alerts.js) until staff restock and
+// message the customer from the admin page.
+const { loadCatalog } = require('../lib/catalog');
+const { jsonResponse, errorResponse, parseJsonBody, getClientIp } = require('../lib/http');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { parseStockAlert, createStockAlert, getStockAlertStore } = require('../lib/stock-alerts');
+const { getSizeStock } = require('../../shared/catalog');
+const { connectBlobs } = require('../lib/blob-store');
+
+// Requests allowed per visitor IP in 10 minutes - a few sizes and products, not a flood
+const requestsPerIp = createRateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 });
+
+exports.handler = async function(event) {
+    connectBlobs(event);
+
+    if (event.httpMethod !== 'POST') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    const data = parseJsonBody(event);
+    if (!data) {
+        return errorResponse(400, 'Invalid request body', 'Expected a product, a size and a contact');
+    }
+
+    const { request, fields } = parseStockAlert(data);
+    if (fields) {
+        return jsonResponse(400, { success: false, error: 'Please check the highlighted fields', fields: fields });
+    }
+
+    const retryAfter = requestsPerIp.hit(getClientIp(event));
+    if (retryAfter) {
+        return jsonResponse(429, {
+            success: false,
+            error: 'Too many requests in a short time. Please wait a few minutes and try again.'
+        }, { 'Retry-After': String(retryAfter) });
+    }
+
+    // Check the size against the sheet; without the sheet, take the request and let staff sort it out
+    let productName = '';
+    try {
+        const { products } = await loadCatalog();
+        const product = products.find(item => item.id === request.productId);
+        if (!product || !product.availableSizes.some(sizeInfo => sizeInfo.size === request.size)) {
+            return errorResponse(404, 'This product or size is no longer available');
+        }
+        if (getSizeStock(product, request.size) > 0) {
+            return errorResponse(409, `Size ${request.size} is back in stock - you can order it now`);
+        }
+        productName = product.name;
+    } catch (err) {
+        console.error('notify-me: could not load the catalog:', err);
+    }
+
+    let saved;
+    try {
+        saved = await getStockAlertStore().addRequest(createStockAlert({ ...request, productName: productName }));
+    } catch (err) {
+        console.error('notify-me: could not save the request:', err);
+        return errorResponse(502, 'Could not save your request right now. Please try again.', err.message);
+    }
+
+    console.log(`notify-me: ${saved.productId} size ${saved.size} (${saved.id})`);
+
+    // The contact stays on the server - the customer already knows it
+    return jsonResponse(200, {
+        success: true,
+        request: { id: saved.id, productId: saved.productId, size: saved.size, createdAt: saved.createdAt }
+    });
+};
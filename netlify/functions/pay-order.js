@@ -0,0 +1,125 @@
+// Netlify function: pay for an order by KHQR
+// POST { orderId, phone } - both have to match, as for track-order. Returns the order's KHQR
+// (creating one when there is none or it expired) and its payment status. The storefront
+// calls it again every few seconds while the QR is shown; with KHQR_VERIFY_URL set, each
+// call also asks the verification hook whether the customer has paid.
+const QRCode = require('qrcode');
+const { normalizeCambodianPhone } = require('../../shared/phone');
+const { jsonResponse, errorResponse, parseJsonBody, getClientIp } = require('../lib/http');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { getOrderStore, normalizeOrderId } = require('../lib/order-store');
+const payments = require('../lib/payments');
+const telegram = require('../lib/telegram');
+const { connectBlobs } = require('../lib/blob-store');
+
+// Calls allowed per visitor IP in 10 minutes - the storefront checks every 10 seconds
+const callsPerIp = createRateLimiter({ limit: 90, windowMs: 10 * 60 * 1000 });
+
+// Same answer for an unknown id and a wrong phone number
+const NOT_FOUND = 'We could not find an order with that order number and phone number';
+
+// Tell staff about a payment the verification hook confirmed
+async function notifyPaid(order) {
+    try {
+        await telegram.sendMessage([
+            `✅ PAYMENT RECEIVED - ${order.id}`,
+            '',
+            `💳 KHQR: $${order.payment.amount.toFixed(2)}`,
+            `👤 Customer: ${order.name}`,
+            `📞 Phone: ${order.phone}`
+        ].join('\n'));
+    } catch (err) {
+        console.error(`pay-order: could not send the payment message for ${order.id}:`, err);
+    }
+}
+
+// The order's KHQR, replaced when it expired or the total changed, and checked with the hook
+async function getKHQRPayment(store, order) {
+    let payment = payments.getPayment(order);
+
+    if (payment.status !== 'paid' && !payments.isKHQRUsable(payment, order)) {
+        payment = payments.createKHQRPayment(order);
+        order = await store.updateOrder(order.id, { payment: payment });
+        console.log(`pay-order: new KHQR for ${order.id}`);
+        return order;
+    }
+
+    if (payment.status === 'pending') {
+        let paid = null;
+        try {
+            paid = await payments.verifyKHQRPayment(order, payment);
+        } catch (err) {
+            console.error(`pay-order: could not check the payment for ${order.id}:`, err);
+        }
+        if (paid) {
+            order = await store.updateOrder(order.id, { payment: payments.markPaid(payment, 'khqr-hook') });
+            console.log(`pay-order: ${order.id} paid`);
+            await notifyPaid(order);
+        }
+    }
+    return order;
+}
+
+exports.handler = async function(event) {
+    connectBlobs(event);
+
+    if (event.httpMethod !== 'POST') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    if (!payments.getKHQRConfig()) {
+        return errorResponse(503, 'Paying by KHQR is not available right now. You can pay on delivery.');
+    }
+
+    const data = parseJsonBody(event);
+    const orderId = data && normalizeOrderId(data.orderId);
+    const phone = data && normalizeCambodianPhone(data.phone);
+    if (!orderId || !phone) {
+        return errorResponse(400, 'Invalid request body', 'Expected an order number and phone number');
+    }
+
+    const retryAfter = callsPerIp.hit(getClientIp(event));
+    if (retryAfter) {
+        return jsonResponse(429, {
+            success: false,
+            error: 'Too many requests in a short time. Please wait a few minutes and try again.'
+        }, { 'Retry-After': String(retryAfter) });
+    }
+
+    const store = getOrderStore();
+    let order;
+    try {
+        order = await store.getOrder(orderId);
+        if (!order || order.phone !== phone) {
+            return errorResponse(404, NOT_FOUND, 'Please check the order number in your confirmation');
+        }
+        if (order.status === 'cancelled') {
+            return errorResponse(409, 'This order was cancelled, so it cannot be paid');
+        }
+        if (payments.getPayment(order).status !== 'paid' && !payments.canPayNow(order)) {
+            return errorResponse(409, 'This order can no longer be paid by KHQR. Please contact us on Telegram.');
+        }
+        order = await getKHQRPayment(store, order);
+    } catch (err) {
+        console.error('pay-order: order store error:', err);
+        return errorResponse(502, 'Could not prepare your payment right now. Please try again.', err.message);
+    }
+
+    const payment = order.payment;
+    const body = {
+        success: true,
+        payment: {
+            ...payments.toPaymentView(order),
+            amount: payment.amount,
+            currency: payment.currency
+        }
+    };
+
+    if (payment.status === 'pending') {
+        body.payment.qr = payment.qr;
+        body.payment.qrImage = await QRCode.toDataURL(payment.qr, { margin: 2, width: 280 });
+        body.payment.expiresAt = payment.expiresAt;
+    }
+
+    return jsonResponse(200, body);
+};
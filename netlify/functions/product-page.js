@@ -0,0 +1,63 @@
+// Netlify function: a product's pre-rendered page, served at /product/<id> (see netlify.toml)
+// For search engines and link previews - customers follow its link into the storefront.
+const { loadCatalog } = require('../lib/catalog');
+const { errorResponse } = require('../lib/http');
+const { applyPromotions } = require('../../shared/promotions');
+const { getSiteUrl, renderProductPage, renderNotFoundPage } = require('../lib/product-pages');
+
+// Same caching as the catalog function: prices and stock follow the sheet within minutes
+const CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=600';
+
+// Product id from ?id= or the last part of the path (/product/<id>)
+function getProductId(event) {
+    const query = event.queryStringParameters || {};
+    if (query.id) {
+        return query.id;
+    }
+    const last = String(event.path || '').split('/').filter(Boolean).pop() || '';
+    try {
+        return decodeURIComponent(last);
+    } catch (error) {
+        return '';
+    }
+}
+
+// An HTML response
+function htmlResponse(statusCode, body) {
+    return {
+        statusCode: statusCode,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': CACHE_CONTROL
+        },
+        body: body
+    };
+}
+
+exports.handler = async function(event) {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    const productId = getProductId(event);
+
+    let catalog;
+    try {
+        catalog = await loadCatalog();
+    } catch (err) {
+        // The storefront can still show the product from its own copy of the catalog
+        console.error('product-page: failed to load the sheet:', err);
+        return {
+            statusCode: 302,
+            headers: { 'Location': `/#/product/${encodeURIComponent(productId)}`, 'Cache-Control': 'no-store' },
+            body: ''
+        };
+    }
+
+    const product = applyPromotions(catalog.products, catalog.promotions).find(p => p.id === productId);
+    if (!product) {
+        return htmlResponse(404, renderNotFoundPage());
+    }
+
+    return htmlResponse(200, renderProductPage(product, getSiteUrl(event)));
+};
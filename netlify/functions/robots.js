@@ -0,0 +1,18 @@
+// Netlify function: robots.txt pointing crawlers at the sitemap, served at /robots.txt (see netlify.toml)
+const { errorResponse } = require('../lib/http');
+const { getSiteUrl, renderRobots } = require('../lib/product-pages');
+
+exports.handler = async function(event) {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Cache-Control': 'public, max-age=86400'
+        },
+        body: renderRobots(getSiteUrl(event))
+    };
+};
@@ -0,0 +1,620 @@
+// Netlify function: validate an order from the storefront and forward it to Telegram
+const telegram = require('../lib/telegram');
+const { loadCatalog } = require('../lib/catalog');
+const { getSizeStock, PERSONALIZATION_FIELDS, checkPersonalization, getPersonalizationSurcharge } = require('../../shared/catalog');
+const { applyPromotions, evaluateCart, roundPrice } = require('../../shared/promotions');
+const { DELIVERY_METHODS, checkDelivery, needsAddress, getDeliveryFee } = require('../../shared/delivery');
+const { normalizeCambodianPhone } = require('../../shared/phone');
+const { jsonResponse, errorResponse, parseJsonBody, getHeader, getClientIp } = require('../lib/http');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { getOrderStore, createOrderId, generateOrderId, toCustomerView } = require('../lib/order-store');
+const payments = require('../lib/payments');
+const { connectBlobs } = require('../lib/blob-store');
+
+const MAX_TEXT_LENGTH = 500;
+const MAX_QUANTITY = 100;
+const MAX_ITEMS = 30;
+const MAX_PROMO_CODE_LENGTH = 50;
+const ORDER_KEY_PATTERN = /^[\w-]{8,100}$/; // Idempotency-Key header (an outbox entry id, see shared/outbox.js)
+const PRICE_TOLERANCE = 0.005; // prices are compared to the cent
+
+// Customer fields of an order: what is required and how each one is cleaned up
+// Errors are reported per field so the checkout form can show them next to the input.
+const CUSTOMER_FIELDS = {
+    name: {
+        required: 'Please enter your name',
+        maxLength: 100
+    },
+    phone: {
+        required: 'Please enter your phone number',
+        normalize: normalizeCambodianPhone,
+        invalid: 'Please enter a Cambodian phone number, e.g. 012 345 678 or +855 12 345 678'
+    },
+    address: {
+        required: 'Please enter your delivery address',
+        maxLength: MAX_TEXT_LENGTH
+    },
+    notes: {
+        maxLength: MAX_TEXT_LENGTH
+    }
+};
+
+// What the checkout shows under the promo code field when send-order can't use the code
+const PROMO_CODE_ERRORS = {
+    'invalid': 'This promo code is not valid',
+    'not-eligible': 'Your cart does not qualify for this promo code'
+};
+
+// What the checkout shows under the delivery fields
+const DELIVERY_ERRORS = {
+    deliveryMethod: 'Please choose how you want to get your order',
+    deliveryArea: 'Please choose your district or province'
+};
+
+// Orders allowed per visitor IP and per phone number in 10 minutes
+const ordersPerIp = createRateLimiter({ limit: 5, windowMs: 10 * 60 * 1000 });
+const ordersPerPhone = createRateLimiter({ limit: 3, windowMs: 10 * 60 * 1000 });
+
+// Same format submitOrder() uses for the customer's local time
+function getPhnomPenhTime(date = new Date()) {
+    return date.toLocaleString('en-US', {
+        timeZone: 'Asia/Phnom_Penh', // Cambodia timezone
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hour12: false // 24-hour format
+    });
+}
+
+// Trim a value to a string, or return '' when it is not text
+function cleanText(value) {
+    if (typeof value === 'string') {
+        return value.trim();
+    }
+    if (typeof value === 'number' && isFinite(value)) {
+        return String(value);
+    }
+    return '';
+}
+
+// Personalization from the client as { field: text }, or null when it is not an object
+function cleanPersonalization(value) {
+    if (value === undefined || value === null) {
+        return {};
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return null;
+    }
+
+    const personalization = {};
+    Object.keys(value).forEach(field => {
+        const text = cleanText(value[field]);
+        if (text) personalization[field] = text;
+    });
+    return personalization;
+}
+
+// Why a line's personalization can't be printed, for the 409 response
+function getPersonalizationError(product, field, error) {
+    const option = (product.personalization || []).find(opt => opt.field === field);
+    switch (error) {
+        case 'too-long':
+            return `The ${field} for ${product.name} can be at most ${option.maxLength} characters`;
+        case 'invalid':
+            return field === 'number'
+                ? `The number for ${product.name} can only contain digits`
+                : `The ${field} for ${product.name} can only contain letters`;
+        default:
+            return `${product.name} can't be printed with a ${field}`;
+    }
+}
+
+// Validate one cart line and return a normalized item
+function validateItem(data, index) {
+    const label = `Item ${index + 1}`;
+
+    if (!data || typeof data !== 'object') {
+        return { error: `${label} is invalid` };
+    }
+
+    const item = {
+        productId: cleanText(data.productId),
+        product: cleanText(data.product),
+        size: cleanText(data.size) || 'One Size',
+        price: parseFloat(cleanText(data.price).replace('$', '')),
+        quantity: Number(cleanText(data.quantity)),
+        color: cleanText(data.color),
+        personalization: cleanPersonalization(data.personalization)
+    };
+
+    if (!item.productId) {
+        return { error: `${label} is missing a product id` };
+    }
+
+    if (!item.product) {
+        return { error: `${label} is missing a product name` };
+    }
+
+    if (isNaN(item.price) || item.price < 0) {
+        return { error: `${label} has an invalid price` };
+    }
+
+    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_QUANTITY) {
+        return { error: `${label}: quantity must be a whole number between 1 and ${MAX_QUANTITY}` };
+    }
+
+    if (!item.personalization || Object.keys(item.personalization).some(field => !PERSONALIZATION_FIELDS.hasOwnProperty(field))) {
+        return { error: `${label} has personalization we can't print` };
+    }
+
+    const tooLong = ['productId', 'product', 'size', 'color'].filter(field => item[field].length > MAX_TEXT_LENGTH)
+        .concat(Object.keys(item.personalization).filter(field => item.personalization[field].length > MAX_TEXT_LENGTH));
+    if (tooLong.length > 0) {
+        return { error: `${label} has fields that are too long: ${tooLong.join(', ')}` };
+    }
+
+    return { item: item };
+}
+
+// Check and clean the customer fields against CUSTOMER_FIELDS
+// Returns { values, fields } where fields maps each bad field to its error message
+function validateCustomer(data) {
+    const values = {};
+    const fields = {};
+
+    Object.keys(CUSTOMER_FIELDS).forEach(field => {
+        const rules = CUSTOMER_FIELDS[field];
+        const value = cleanText(data[field]);
+
+        if (!value) {
+            if (rules.required) fields[field] = rules.required;
+            values[field] = '';
+            return;
+        }
+
+        const maxLength = rules.maxLength || MAX_TEXT_LENGTH;
+        if (value.length > maxLength) {
+            fields[field] = `Please keep this under ${maxLength} characters`;
+            return;
+        }
+
+        if (rules.normalize) {
+            const normalized = rules.normalize(value);
+            if (!normalized) {
+                fields[field] = rules.invalid;
+                return;
+            }
+            values[field] = normalized;
+            return;
+        }
+
+        values[field] = value;
+    });
+
+    if (data.hasTelegram !== true) {
+        fields.hasTelegram = 'Please confirm you have a Telegram account';
+    }
+
+    return { values: values, fields: fields };
+}
+
+// Validate the payload from submitOrder() and return a normalized order
+// Returns { order }, or { error } plus { fields } when customer fields need fixing
+function validateOrder(data) {
+    // Older clients sent a single product at the top level
+    let rawItems = data.items;
+    if (rawItems === undefined && data.product !== undefined) {
+        rawItems = [{
+            productId: data.productId,
+            product: data.product,
+            size: data.size,
+            price: data.price,
+            quantity: data.quantity
+        }];
+    }
+
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+        return { error: 'Your cart is empty' };
+    }
+
+    if (rawItems.length > MAX_ITEMS) {
+        return { error: `An order can contain at most ${MAX_ITEMS} items` };
+    }
+
+    const items = [];
+    for (let i = 0; i < rawItems.length; i++) {
+        const { item, error } = validateItem(rawItems[i], i);
+        if (error) {
+            return { error: error };
+        }
+        items.push(item);
+    }
+
+    const { values, fields } = validateCustomer(data);
+    const promoCode = cleanText(data.promoCode).toUpperCase();
+    if (promoCode.length > MAX_PROMO_CODE_LENGTH) {
+        fields.promoCode = PROMO_CODE_ERRORS.invalid;
+    }
+
+    // Orders queued by older clients have no delivery method - staff agree on it with the customer
+    let delivery = null;
+    if (data.deliveryMethod !== undefined) {
+        const checked = checkDelivery(cleanText(data.deliveryMethod), cleanText(data.deliveryArea));
+        Object.keys(checked.errors || {}).forEach(field => {
+            fields[field] = DELIVERY_ERRORS[field];
+        });
+        delivery = checked.delivery || null;
+
+        // Pickup orders don't need an address
+        if (delivery && !needsAddress(delivery.method)) {
+            delete fields.address;
+        }
+    }
+
+    if (Object.keys(fields).length > 0) {
+        return { error: 'Please check the highlighted fields', fields: fields };
+    }
+
+    const order = {
+        items: items,
+        name: values.name,
+        phone: values.phone,
+        hasTelegram: true,
+        address: values.address,
+        notes: values.notes,
+        promoCode: promoCode,
+        delivery: delivery,
+        payment: payments.createCashPayment()
+    };
+
+    order.subtotal = getOrderTotal(order.items);
+    order.discounts = [];
+    order.total = order.subtotal;
+
+    return { order: order };
+}
+
+// Sum of all lines
+function getOrderTotal(items) {
+    return roundPrice(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+}
+
+// Apply the cart promotions (automatic ones and the order's promo code) to checked lines
+// Sets subtotal, discounts, total and freeDelivery on the order. Returns an error message for
+// the promo code field, or null.
+function applyCartPromotions(order, products, promotions) {
+    const lines = order.items.map(item => ({
+        productId: item.productId,
+        category: (products.find(p => p.id === item.productId) || {}).category,
+        price: item.price,
+        quantity: item.quantity
+    }));
+
+    const pricing = evaluateCart(lines, promotions, {
+        code: order.promoCode,
+        deliveryMethod: order.delivery && order.delivery.method
+    });
+    if (pricing.code && pricing.code.status !== 'applied') {
+        return PROMO_CODE_ERRORS[pricing.code.status];
+    }
+
+    order.subtotal = pricing.subtotal;
+    order.discounts = pricing.discounts;
+    order.total = pricing.total;
+    order.freeDelivery = pricing.freeDelivery;
+    return null;
+}
+
+// Add the delivery fee for the goods total (after discounts) to the order total
+function addDeliveryFee(order) {
+    if (!order.delivery) return;
+
+    order.delivery.fee = getDeliveryFee(order.delivery, order.total, order.freeDelivery);
+    order.total = roundPrice(order.total + order.delivery.fee);
+}
+
+// Delivery method and area for staff, e.g. "Phnom Penh delivery - Tuol Kouk"
+function describeDelivery(delivery) {
+    const method = DELIVERY_METHODS[delivery.method];
+    return [method ? method.label : delivery.method, delivery.area].filter(Boolean).join(' - ');
+}
+
+// Check every line against the current catalog: the product, size and color must exist, the
+// personalization must be on offer, and the price must be the catalog's (plus printing),
+// so a client can't name its own price.
+// Lines are updated with the catalog's name and price. Returns an error message or null.
+function checkCatalog(items, products) {
+    for (const item of items) {
+        const product = products.find(p => p.id === item.productId);
+        if (!product) {
+            return `${item.product} is no longer available`;
+        }
+
+        if (!product.availableSizes.some(sizeInfo => sizeInfo.size === item.size)) {
+            return `${product.name} is not available in size ${item.size}`;
+        }
+
+        const colors = product.colors || [];
+        if (item.color ? !colors.some(color => color.name === item.color) : colors.length > 0) {
+            return item.color
+                ? `${product.name} is not available in ${item.color}`
+                : `Please choose a color for ${product.name}`;
+        }
+
+        const { values, errors } = checkPersonalization(product, item.personalization);
+        const badField = Object.keys(errors)[0];
+        if (badField) {
+            return getPersonalizationError(product, badField, errors[badField]);
+        }
+
+        // finalPrice is set by applyPromotions and can be 0 - a free product is still free
+        const basePrice = parseFloat(product.finalPrice !== undefined ? product.finalPrice : product.price) || 0;
+        const price = roundPrice(basePrice + getPersonalizationSurcharge(product, values));
+        if (Math.abs(price - item.price) > PRICE_TOLERANCE) {
+            return `The price of ${product.name} has changed to $${price.toFixed(2)}`;
+        }
+
+        item.product = product.name;
+        item.price = price;
+        item.personalization = values;
+    }
+
+    return null;
+}
+
+// Check the order against the stock in the latest sheet snapshot
+// Returns an error message, or null when everything is available
+function checkStock(items, products) {
+    // The same product+size can appear on more than one line
+    const requested = new Map();
+    items.forEach(item => {
+        if (!item.productId) return;
+        const key = `${item.productId}\n${item.size}`;
+        requested.set(key, (requested.get(key) || 0) + item.quantity);
+    });
+
+    for (const [key, quantity] of requested) {
+        const [productId, size] = key.split('\n');
+        const product = products.find(p => p.id === productId);
+        if (!product) continue;
+
+        const available = getSizeStock(product, size);
+        if (quantity > available) {
+            return available === 0
+                ? `${product.name} (size ${size}) is out of stock`
+                : `Only ${available} left of ${product.name} (size ${size})`;
+        }
+    }
+
+    return null;
+}
+
+// The order already taken for an Idempotency-Key and phone number, or null
+// A client whose connection dropped after sending sends the order again with the same key.
+// When the orders can't be read the order is taken again - staff would rather see it twice.
+async function findRepeatedOrder(orderKey, phone) {
+    try {
+        const orders = await getOrderStore().listOrders();
+        return orders.find(order => order.orderKey === orderKey && order.phone === phone) || null;
+    } catch (err) {
+        console.error('send-order: could not look for a repeated order:', err);
+        return null;
+    }
+}
+
+// The answer for an order that was sent
+function sentResponse(order, orderTime) {
+    return jsonResponse(200, {
+        success: true,
+        message: 'Order sent',
+        orderTime: orderTime,
+        orderId: order.id,
+        order: toCustomerView(order)
+    });
+}
+
+// Format the Telegram message for a validated order
+function formatOrderMessage(order, orderTime) {
+    const lines = [
+        '🛒 NEW ORDER - PR Sport',
+        ''
+    ];
+
+    if (order.id) {
+        lines.push(`🧾 Order: ${order.id}`, '');
+    }
+
+    order.items.forEach((item, index) => {
+        const lineTotal = item.price * item.quantity;
+        lines.push(
+            `📦 ${index + 1}. ${item.product}`,
+            `    📏 Size: ${item.size}`
+        );
+        if (item.color) {
+            lines.push(`    🎨 Color: ${item.color}`);
+        }
+        if (Object.keys(item.personalization).length > 0) {
+            const printing = Object.keys(item.personalization)
+                .map(field => `${field[0].toUpperCase()}${field.slice(1)} "${item.personalization[field]}"`);
+            lines.push(`    👕 Print: ${printing.join(', ')}`);
+        }
+        lines.push(
+            `    🔢 Quantity: ${item.quantity} × $${item.price.toFixed(2)} = $${lineTotal.toFixed(2)}`
+        );
+    });
+
+    lines.push('');
+
+    if (order.total !== order.subtotal) {
+        lines.push(`🧮 Subtotal: $${order.subtotal.toFixed(2)}`);
+    }
+
+    if (order.discounts.length > 0) {
+        order.discounts.forEach(discount => {
+            const parts = [];
+            if (discount.amount > 0) parts.push(`-$${discount.amount.toFixed(2)}`);
+            if (discount.freeDelivery) parts.push('🚚 Free delivery');
+            lines.push(`🏷️ ${discount.label || discount.id}: ${parts.join(' + ')}`);
+        });
+    }
+
+    if (order.promoCode) {
+        lines.push(`🎟️ Promo code: ${order.promoCode}`);
+    }
+
+    if (order.delivery) {
+        const fee = order.delivery.fee > 0 ? `$${order.delivery.fee.toFixed(2)}` : 'Free';
+        lines.push(`🚚 ${describeDelivery(order.delivery)}: ${fee}`);
+    } else {
+        lines.push('🚚 Delivery not chosen - please agree on it with the customer');
+    }
+
+    const khqrNote = payments.getKHQRConfig() ? ' (the customer may still pay by KHQR)' : '';
+    lines.push(
+        `💰 Total to collect: $${order.total.toFixed(2)}`,
+        `💳 Payment: ${payments.describePayment(order)}${khqrNote}`,
+        '',
+        `👤 Customer: ${order.name}`,
+        `📞 Phone: ${order.phone} (Telegram)`
+    );
+
+    if (order.address) {
+        lines.push(`🏠 Address: ${order.address}`);
+    }
+
+    if (order.notes) {
+        lines.push(`📝 Notes: ${order.notes}`);
+    }
+
+    lines.push('', `🕒 Time: ${orderTime} (Phnom Penh)`);
+
+    return lines.join('\n');
+}
+
+exports.handler = async function(event) {
+    connectBlobs(event);
+
+    if (event.httpMethod !== 'POST') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    const data = parseJsonBody(event);
+    if (!data) {
+        return errorResponse(400, 'Invalid request body', 'Expected a JSON order object');
+    }
+
+    // Honeypot: a field real customers never see. Bots that fill it get a quiet "success".
+    if (cleanText(data.website)) {
+        console.warn('send-order: honeypot filled, dropping order from', getClientIp(event));
+        return jsonResponse(200, {
+            success: true,
+            message: 'Order sent',
+            orderTime: getPhnomPenhTime(),
+            orderId: generateOrderId()
+        });
+    }
+
+    const { order, error, fields } = validateOrder(data);
+    if (error) {
+        if (fields) {
+            return jsonResponse(400, { success: false, error: error, fields: fields });
+        }
+        return errorResponse(400, error);
+    }
+
+    const orderKey = getHeader(event, 'idempotency-key');
+    if (orderKey && ORDER_KEY_PATTERN.test(orderKey)) {
+        const repeated = await findRepeatedOrder(orderKey, order.phone);
+        if (repeated) {
+            return sentResponse(repeated, getPhnomPenhTime(new Date(repeated.createdAt)));
+        }
+        order.orderKey = orderKey;
+    }
+
+    // Without the sheet the prices on the order would be the client's own - refuse it for now
+    let products;
+    let promotions;
+    try {
+        const catalog = await loadCatalog();
+        // Today's prices, the same ones the storefront shows
+        products = applyPromotions(catalog.products, catalog.promotions);
+        promotions = catalog.promotions;
+    } catch (err) {
+        console.error('send-order: could not load the catalog:', err);
+        return errorResponse(503, 'We could not check prices and stock right now. Please try again in a minute.');
+    }
+
+    const catalogError = checkCatalog(order.items, products) || checkStock(order.items, products);
+    if (catalogError) {
+        return errorResponse(409, catalogError, 'Please update your cart and try again');
+    }
+
+    const promoCodeError = applyCartPromotions(order, products, promotions);
+    if (promoCodeError) {
+        return jsonResponse(400, {
+            success: false,
+            error: 'Please check the highlighted fields',
+            fields: { promoCode: promoCodeError }
+        });
+    }
+    // Kept on the order for the admin page, which still warns about older unchecked orders
+    order.pricesChecked = true;
+
+    addDeliveryFee(order);
+
+    // Only orders that would really be sent count towards the limits
+    const retryAfter = ordersPerIp.hit(getClientIp(event)) || ordersPerPhone.hit(order.phone);
+    if (retryAfter) {
+        return jsonResponse(429, {
+            success: false,
+            error: 'Too many orders in a short time. Please wait a few minutes and try again.'
+        }, { 'Retry-After': String(retryAfter) });
+    }
+
+    if (!telegram.isConfigured()) {
+        console.error('send-order: TELEGRAM_BOT_TOKEN or TELEGRAM_CHAT_ID is not set');
+        return errorResponse(500, 'Order service is not configured', 'Please contact us on Telegram directly');
+    }
+
+    const orderTime = getPhnomPenhTime();
+
+    // Save the order so the customer can track it
+    order.createdAt = new Date().toISOString();
+    order.status = 'received';
+    order.statusHistory = [{ status: 'received', at: order.createdAt }];
+    let store = null;
+    let saved = false;
+    try {
+        store = getOrderStore();
+        order.id = await createOrderId(store);
+        await store.createOrder(order);
+        saved = true;
+    } catch (err) {
+        // Still send it - staff have the order in Telegram, it just can't be tracked
+        console.error('send-order: could not save the order:', err);
+        order.id = order.id || generateOrderId();
+    }
+
+    try {
+        await telegram.sendMessage(formatOrderMessage(order, orderTime));
+    } catch (err) {
+        console.error('send-order: failed to send Telegram message:', err);
+        if (saved) {
+            await store.deleteOrder(order.id).catch(deleteError => {
+                console.error('send-order: could not remove the unsent order:', deleteError);
+            });
+        }
+        return errorResponse(502, 'Could not send your order right now. Please try again.', err.message);
+    }
+
+    return sentResponse(order, orderTime);
+};
+
+exports.validateOrder = validateOrder;
+exports.checkCatalog = checkCatalog;
+exports.checkStock = checkStock;
+exports.applyCartPromotions = applyCartPromotions;
+exports.formatOrderMessage = formatOrderMessage;
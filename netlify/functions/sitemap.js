@@ -0,0 +1,27 @@
+// Netlify function: sitemap.xml from the current catalog, served at /sitemap.xml (see netlify.toml)
+const { loadCatalog } = require('../lib/catalog');
+const { errorResponse } = require('../lib/http');
+const { getSiteUrl, renderSitemap } = require('../lib/product-pages');
+
+exports.handler = async function(event) {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    let catalog;
+    try {
+        catalog = await loadCatalog();
+    } catch (err) {
+        console.error('sitemap: failed to load the sheet:', err);
+        return errorResponse(502, 'Could not load the catalog', err.message);
+    }
+
+    return {
+        statusCode: 200,
+        headers: {
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Cache-Control': 'public, max-age=3600'
+        },
+        body: renderSitemap(catalog.products, getSiteUrl(event), catalog.updatedAt)
+    };
+};
@@ -0,0 +1,65 @@
+// Netlify function: look up an order's status by order id and phone number
+// Both have to match, so an order id on its own (a screenshot, a shared chat) doesn't
+// reveal anything. The response never includes the name, address or notes.
+const { normalizeCambodianPhone } = require('../../shared/phone');
+const { jsonResponse, errorResponse, parseJsonBody, getClientIp } = require('../lib/http');
+const { createRateLimiter } = require('../lib/rate-limit');
+const { getOrderStore, normalizeOrderId, toCustomerView } = require('../lib/order-store');
+const { connectBlobs } = require('../lib/blob-store');
+
+// Lookups allowed per visitor IP in 10 minutes - enough for a customer, too few to guess ids
+const lookupsPerIp = createRateLimiter({ limit: 20, windowMs: 10 * 60 * 1000 });
+
+// Same answer for an unknown id and a wrong phone number
+const NOT_FOUND = 'We could not find an order with that order number and phone number';
+
+exports.handler = async function(event) {
+    connectBlobs(event);
+
+    if (event.httpMethod !== 'POST') {
+        return errorResponse(405, 'Method not allowed');
+    }
+
+    const data = parseJsonBody(event);
+    if (!data) {
+        return errorResponse(400, 'Invalid request body', 'Expected an order number and phone number');
+    }
+
+    const fields = {};
+    const orderId = normalizeOrderId(data.orderId);
+    const phone = normalizeCambodianPhone(data.phone);
+    if (!orderId) {
+        fields.orderId = 'Please enter your order number, e.g. PR-7K3M9Q';
+    }
+    if (!phone) {
+        fields.phone = 'Please enter the phone number you ordered with';
+    }
+    if (Object.keys(fields).length > 0) {
+        return jsonResponse(400, { success: false, error: 'Please check the highlighted fields', fields: fields });
+    }
+
+    const retryAfter = lookupsPerIp.hit(getClientIp(event));
+    if (retryAfter) {
+        return jsonResponse(429, {
+            success: false,
+            error: 'Too many lookups in a short time. Please wait a few minutes and try again.'
+        }, { 'Retry-After': String(retryAfter) });
+    }
+
+    let order;
+    try {
+        order = await getOrderStore().getOrder(orderId);
+    } catch (err) {
+        console.error('track-order: could not read the order store:', err);
+        return errorResponse(502, 'Could not look up your order right now. Please try again.', err.message);
+    }
+
+    if (!order || order.phone !== phone) {
+        return errorResponse(404, NOT_FOUND, 'Please check the order number in your confirmation');
+    }
+
+    return jsonResponse(200, {
+        success: true,
+        order: toCustomerView(order)
+    });
+};
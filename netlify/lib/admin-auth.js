@@ -0,0 +1,78 @@
+// Password check and session tokens for the admin functions
+// Staff sign in with ADMIN_PASSWORD and get a token that is valid for ADMIN_SESSION_HOURS.
+// Tokens are "<expiry>.<signature>", signed with a key derived from the password, so
+// changing ADMIN_PASSWORD signs everyone out. Nothing is stored on the server.
+const crypto = require('crypto');
+const { errorResponse } = require('./http');
+
+const DEFAULT_SESSION_HOURS = 12;
+
+// Check that an admin password is set
+function isConfigured() {
+    return Boolean(process.env.ADMIN_PASSWORD);
+}
+
+// Key that signs session tokens
+function getSigningKey() {
+    return crypto.createHash('sha256').update(`prsport-admin:${process.env.ADMIN_PASSWORD}`).digest();
+}
+
+// Compare two strings without leaking where they differ
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+// Is this the admin password?
+function checkPassword(password) {
+    return isConfigured() && typeof password === 'string' && safeEqual(password, process.env.ADMIN_PASSWORD);
+}
+
+// Signature of a token's expiry time
+function sign(expiresAt) {
+    return crypto.createHmac('sha256', getSigningKey()).update(String(expiresAt)).digest('hex');
+}
+
+// A new session token. Returns { token, expiresAt }.
+function createSessionToken(now = Date.now()) {
+    const hours = parseFloat(process.env.ADMIN_SESSION_HOURS) || DEFAULT_SESSION_HOURS;
+    const expiresAt = now + Math.round(hours * 60 * 60 * 1000);
+    return { token: `${expiresAt}.${sign(expiresAt)}`, expiresAt: expiresAt };
+}
+
+// Is this a valid, unexpired session token?
+function verifySessionToken(token, now = Date.now()) {
+    if (!isConfigured() || typeof token !== 'string') return false;
+
+    const [expiresAt, signature] = token.split('.');
+    if (!/^\d+$/.test(expiresAt || '') || !signature) return false;
+
+    return Number(expiresAt) > now && safeEqual(signature, sign(expiresAt));
+}
+
+// Check the request's "Authorization: Bearer <token>" header
+// Returns null when the request may go ahead, otherwise the error response to send
+function requireAdmin(event) {
+    if (!isConfigured()) {
+        console.error('admin: ADMIN_PASSWORD is not set');
+        return errorResponse(500, 'Admin access is not configured', 'Set ADMIN_PASSWORD in the Netlify site settings');
+    }
+
+    const headers = event.headers || {};
+    const authorization = headers.authorization || headers.Authorization || '';
+    const token = authorization.replace(/^Bearer\s+/i, '');
+
+    if (!verifySessionToken(token)) {
+        return errorResponse(401, 'Please sign in again');
+    }
+    return null;
+}
+
+module.exports = {
+    isConfigured,
+    checkPassword,
+    createSessionToken,
+    verifySessionToken,
+    requireAdmin
+};
@@ -0,0 +1,127 @@
+// Order filters, catalog details and CSV export for the admin functions
+const { ORDER_STATUSES } = require('./order-store');
+const { getPayment } = require('./payments');
+
+// Dates are entered and shown in shop time
+const SHOP_TIMEZONE = 'Asia/Phnom_Penh';
+
+// Columns of the CSV export, one row per order line
+const CSV_COLUMNS = [
+    ['Order', order => order.id],
+    ['Date', order => getOrderDate(order)],
+    ['Status', order => order.status],
+    ['Customer', order => order.name],
+    ['Phone', order => order.phone],
+    ['Address', order => order.address],
+    ['Customer notes', order => order.notes],
+    ['Product id', (order, item) => item.productId],
+    ['Product', (order, item) => item.product],
+    ['Size', (order, item) => item.size],
+    ['Color', (order, item) => item.color],
+    ['Personalization', (order, item) => Object.keys(item.personalization || {})
+        .map(field => `${field}: ${item.personalization[field]}`).join(', ')],
+    ['Quantity', (order, item) => item.quantity],
+    ['Price', (order, item) => item.price.toFixed(2)],
+    ['Line total', (order, item) => (item.price * item.quantity).toFixed(2)],
+    ['Promo code', order => order.promoCode],
+    ['Discount', order => (order.discounts || []).reduce((sum, discount) => sum + discount.amount, 0).toFixed(2)],
+    ['Delivery', order => order.delivery ? [order.delivery.method, order.delivery.area].filter(Boolean).join(' - ') : ''],
+    ['Delivery fee', order => order.delivery ? order.delivery.fee.toFixed(2) : ''],
+    ['Order total', order => order.total.toFixed(2)],
+    ['Payment', order => getPayment(order).method],
+    ['Payment status', order => getPayment(order).status],
+    ['Staff notes', order => (order.staffNotes || []).map(note => note.text).join(' | ')]
+];
+
+// The shop-time day an order was placed, as YYYY-MM-DD
+function getOrderDate(order) {
+    return new Date(order.createdAt).toLocaleDateString('en-CA', { timeZone: SHOP_TIMEZONE });
+}
+
+// Read ?status=&from=&to= (dates as YYYY-MM-DD, both days included)
+// Returns { filters } or { error }
+function parseOrderFilters(query = {}) {
+    const filters = {
+        status: query.status || '',
+        from: query.from || '',
+        to: query.to || ''
+    };
+
+    if (filters.status && !ORDER_STATUSES.includes(filters.status)) {
+        return { error: `Unknown status "${filters.status}"` };
+    }
+
+    for (const name of ['from', 'to']) {
+        if (filters[name] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[name])) {
+            return { error: `"${name}" must be a date like 2024-05-31` };
+        }
+    }
+
+    return { filters: filters };
+}
+
+// Orders matching the filters
+function filterOrders(orders, filters) {
+    return orders.filter(order => {
+        if (filters.status && order.status !== filters.status) return false;
+
+        const date = getOrderDate(order);
+        if (filters.from && date < filters.from) return false;
+        if (filters.to && date > filters.to) return false;
+
+        return true;
+    });
+}
+
+// Add what the catalog says now to each line: is the product still listed, and how
+// many are left in that size (null when the sheet doesn't track stock for it)
+function addCatalogDetails(order, products) {
+    return {
+        ...order,
+        items: order.items.map(item => {
+            const product = products && products.find(p => p.id === item.productId);
+            if (!product) {
+                return { ...item, inCatalog: products ? false : null, stock: null };
+            }
+
+            const sizeInfo = product.availableSizes.find(info => info.size === item.size);
+            return {
+                ...item,
+                inCatalog: true,
+                stock: sizeInfo ? sizeInfo.quantity : 0
+            };
+        })
+    };
+}
+
+// Quote a CSV field when needed. Fields that a spreadsheet would run as a formula
+// (=, +, -, @) get a leading apostrophe - customers write the names and notes. Plain numbers,
+// like a phone number saved as +85512345678, are left as they are.
+function formatCSVField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV export of orders, one row per order line
+function ordersToCSV(orders) {
+    const rows = [CSV_COLUMNS.map(([title]) => title)];
+
+    orders.forEach(order => {
+        order.items.forEach(item => {
+            rows.push(CSV_COLUMNS.map(([, getValue]) => getValue(order, item)));
+        });
+    });
+
+    return rows.map(row => row.map(formatCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    getOrderDate,
+    parseOrderFilters,
+    filterOrders,
+    addCatalogDetails,
+    ordersToCSV
+};
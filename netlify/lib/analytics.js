@@ -0,0 +1,295 @@
+// Storefront analytics: the events js/analytics.js sends, kept only as daily counts
+// Nothing about the visitor is stored - no IP address, no session or device id, no names or
+// phone numbers. Each shop-time day holds:
+//   totals       { event: count }
+//   products     { productId: { event: count } }
+//   categories   { category: { event: count } }
+//   sizes        { productId: { size: count } }   sizes picked (size_select)
+//
+// Every store has the same async interface, as in order-store.js:
+//   record(events, day)   add events to the counts of a day (YYYY-MM-DD)
+//   read()                { days: { YYYY-MM-DD: counts } }
+// ANALYTICS_STORE picks the backend: "blobs" (the default once deployed), "file" (the default
+// locally) or "memory"; once deployed, the file store needs ANALYTICS_STORE_FILE (see
+// json-file-store.js).
+const { getDefaultBackend, getStoreFilePath, checkMemoryStore, createJSONFile } = require('./json-file-store');
+const { createBlobDocument } = require('./blob-store');
+
+// Days are counted in shop time
+const SHOP_TIMEZONE = 'Asia/Phnom_Penh';
+
+// Events the storefront sends
+const EVENT_NAMES = [
+    'product_impression', // a product card or product page was shown (once per product per page load)
+    'size_select',        // a size was picked on a card or product page
+    'add_to_cart',
+    'order_modal_open',   // the checkout was opened, with the products in the cart
+    'order_submitted',    // send-order took the order (or it was queued offline)
+    'order_failed',       // send-order refused the order or could not be reached
+    'category_filter'     // a category button or menu link was used
+];
+
+// Steps of the funnel on the admin page, in order
+const FUNNEL_STEPS = ['product_impression', 'size_select', 'add_to_cart', 'order_modal_open', 'order_submitted'];
+
+const MAX_EVENTS = 100;       // events per request
+const MAX_ITEMS = 50;         // products per checkout or order event
+const MAX_KEY_LENGTH = 100;   // product ids, categories and sizes
+const MAX_DAYS = 400;         // older days are dropped
+
+// Keys that would reach Object.prototype instead of a count
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// The shop-time day of a date, as YYYY-MM-DD
+function getShopDate(date = new Date()) {
+    return date.toLocaleDateString('en-CA', { timeZone: SHOP_TIMEZONE });
+}
+
+// A product id, category or size from an event, or '' when it isn't a short string
+function cleanKey(value) {
+    if (typeof value !== 'string') return '';
+    const key = value.trim();
+    return key.length <= MAX_KEY_LENGTH && !RESERVED_KEYS.includes(key) ? key : '';
+}
+
+// The products an event is about: { productId, category } for each
+function cleanItems(event) {
+    const items = Array.isArray(event.items) ? event.items.slice(0, MAX_ITEMS) : [event];
+    return items
+        .filter(item => item && typeof item === 'object')
+        .map(item => ({ productId: cleanKey(item.productId), category: cleanKey(item.category) }))
+        .filter(item => item.productId || item.category);
+}
+
+// Check a request body ({ events: [...] }) and keep only what is counted
+// Unknown events are dropped, so an older or newer storefront never breaks the function.
+// Returns the events, or null when the body has no event list.
+function normalizeEvents(data) {
+    if (!data || !Array.isArray(data.events)) {
+        return null;
+    }
+
+    return data.events
+        .slice(0, MAX_EVENTS)
+        .filter(event => event && typeof event === 'object' && EVENT_NAMES.includes(event.name))
+        .map(event => ({
+            name: event.name,
+            items: event.name === 'category_filter' ? [] : cleanItems(event),
+            category: event.name === 'category_filter' ? cleanKey(event.category) : '',
+            size: event.name === 'size_select' ? cleanKey(event.size) : ''
+        }));
+}
+
+// A map's own value for a key - never one it inherits, like "toString"
+function ownValue(map, key) {
+    return Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined;
+}
+
+// The counts kept under a key of a map, created when missing
+function countsFor(map, key) {
+    return ownValue(map, key) || (map[key] = {});
+}
+
+// Add one to a count
+function increment(counts, key) {
+    counts[key] = (ownValue(counts, key) || 0) + 1;
+}
+
+// Add normalized events to the counts of a day
+// An event about several products (the checkout, an order) counts once per product and once
+// per category in it.
+function addEvents(stats, events, day) {
+    const counts = stats.days[day] || (stats.days[day] = { totals: {}, products: {}, categories: {}, sizes: {} });
+
+    events.forEach(event => {
+        increment(counts.totals, event.name);
+
+        if (event.name === 'category_filter') {
+            if (event.category) {
+                increment(countsFor(counts.categories, event.category), event.name);
+            }
+            return;
+        }
+
+        const productIds = new Set(event.items.map(item => item.productId).filter(Boolean));
+        const categories = new Set(event.items.map(item => item.category).filter(Boolean));
+        productIds.forEach(id => {
+            increment(countsFor(counts.products, id), event.name);
+        });
+        categories.forEach(category => {
+            increment(countsFor(counts.categories, category), event.name);
+        });
+
+        const [item] = event.items;
+        if (event.size && item && item.productId) {
+            increment(countsFor(counts.sizes, item.productId), event.size);
+        }
+    });
+
+    // Keep the file small on a long-running shop
+    Object.keys(stats.days).sort().slice(0, -MAX_DAYS).forEach(old => {
+        delete stats.days[old];
+    });
+    return stats;
+}
+
+// Read ?from=&to= (dates as YYYY-MM-DD, both days included)
+// Returns { range } or { error }
+function parseReportRange(query = {}) {
+    const range = {
+        from: query.from || '',
+        to: query.to || ''
+    };
+
+    for (const name of ['from', 'to']) {
+        if (range[name] && !/^\d{4}-\d{2}-\d{2}$/.test(range[name])) {
+            return { error: `"${name}" must be a date like 2024-05-31` };
+        }
+    }
+
+    return { range: range };
+}
+
+// Add counts into a total
+function addCounts(total, counts) {
+    Object.keys(counts).forEach(key => {
+        total[key] = (ownValue(total, key) || 0) + counts[key];
+    });
+    return total;
+}
+
+// Share of the first funnel step that reached the last, or null when nothing was seen
+function getConversion(counts) {
+    const first = counts[FUNNEL_STEPS[0]] || 0;
+    const last = counts[FUNNEL_STEPS[FUNNEL_STEPS.length - 1]] || 0;
+    return first > 0 ? last / first : null;
+}
+
+// The funnel per product and per category over the days in range, busiest first
+// { from, to, days, steps, totals, products: [{ productId, counts, sizes, conversion }],
+//   categories: [{ category, counts, conversion }] }
+function buildReport(stats, range = {}) {
+    const days = Object.keys(stats.days)
+        .filter(day => (!range.from || day >= range.from) && (!range.to || day <= range.to))
+        .sort();
+
+    const totals = {};
+    const products = {};
+    const categories = {};
+    const sizes = {};
+
+    days.forEach(day => {
+        const counts = stats.days[day];
+        addCounts(totals, counts.totals);
+        Object.keys(counts.products).forEach(id => addCounts(countsFor(products, id), counts.products[id]));
+        Object.keys(counts.categories).forEach(name => addCounts(countsFor(categories, name), counts.categories[name]));
+        Object.keys(counts.sizes).forEach(id => addCounts(countsFor(sizes, id), counts.sizes[id]));
+    });
+
+    const busiestFirst = (a, b) => (b.counts[FUNNEL_STEPS[0]] || 0) - (a.counts[FUNNEL_STEPS[0]] || 0);
+
+    return {
+        from: range.from || days[0] || '',
+        to: range.to || days[days.length - 1] || '',
+        days: days.length,
+        steps: FUNNEL_STEPS,
+        totals: totals,
+        products: Object.keys(products).map(id => ({
+            productId: id,
+            counts: products[id],
+            sizes: ownValue(sizes, id) || {},
+            conversion: getConversion(products[id])
+        })).sort(busiestFirst),
+        categories: Object.keys(categories).map(name => ({
+            category: name,
+            counts: categories[name],
+            conversion: getConversion(categories[name])
+        })).sort(busiestFirst)
+    };
+}
+
+// Counts kept in memory - for tests and local runs where nothing needs to survive a restart
+function createMemoryStore() {
+    const stats = { days: {} };
+
+    return {
+        async record(events, day) {
+            addEvents(stats, events, day);
+        },
+
+        async read() {
+            return JSON.parse(JSON.stringify(stats));
+        }
+    };
+}
+
+// The document the file and blobs stores keep the counts in
+function emptyStats() {
+    return { days: {} };
+}
+
+// Counts kept in one JSON document: a file (createJSONFile) or a blob (createBlobDocument)
+function createDocumentStore(file) {
+    // The counts in the document
+    function getStats(data) {
+        return data && data.days ? data : { days: {} };
+    }
+
+    return {
+        record(events, day) {
+            return file.change(data => ({ data: addEvents(getStats(data), events, day), value: undefined }));
+        },
+
+        async read() {
+            return getStats(await file.read());
+        }
+    };
+}
+
+// Counts kept in a JSON file (ANALYTICS_STORE_FILE), written as described in json-file-store.js
+function createFileStore(filePath) {
+    return createDocumentStore(createJSONFile(filePath, { empty: emptyStats, space: 0 }));
+}
+
+// Counts kept in Netlify Blobs, shared by every function instance (see blob-store.js)
+function createBlobStore(blobs) {
+    return createDocumentStore(createBlobDocument('analytics', { empty: emptyStats, blobs: blobs }));
+}
+
+// Available backends
+const STORES = {
+    blobs: () => createBlobStore(),
+    file: () => createFileStore(getStoreFilePath('ANALYTICS_STORE', 'prsport-analytics.json')),
+    memory: () => {
+        checkMemoryStore('ANALYTICS_STORE');
+        return createMemoryStore();
+    }
+};
+
+let store = null;
+
+// The configured store (one per function instance)
+function getAnalyticsStore() {
+    if (!store) {
+        const name = process.env.ANALYTICS_STORE || getDefaultBackend();
+        if (!STORES[name]) {
+            throw new Error(`Unknown ANALYTICS_STORE "${name}" (expected ${Object.keys(STORES).join(', ')})`);
+        }
+        store = STORES[name]();
+    }
+    return store;
+}
+
+module.exports = {
+    EVENT_NAMES,
+    FUNNEL_STEPS,
+    getShopDate,
+    normalizeEvents,
+    addEvents,
+    parseReportRange,
+    buildReport,
+    createMemoryStore,
+    createFileStore,
+    createBlobStore,
+    getAnalyticsStore
+};
@@ -0,0 +1,84 @@
+// Netlify Blobs documents behind the stores on Netlify (orders, analytics counts, back-in-stock
+// requests)
+// A document has the same { read(), change(update) } interface as createJSONFile, but it is
+// shared by every function instance: a change reads the document with its ETag and writes only
+// if nobody else wrote in between (onlyIfMatch, or onlyIfNew for the first write). When someone
+// did, it waits a moment, reads the document again and retries, so two instances never lose each
+// other's writes. Changes from one instance are queued, as in createJSONFile, so they only race
+// changes from other instances.
+//
+// The functions are Lambda-style handlers, so each one calls connectBlobs(event) before using a
+// store: that hands Netlify's Blobs credentials for the request to @netlify/blobs.
+const { getStore, connectLambda } = require('@netlify/blobs');
+
+// Every document lives in one site-wide Blobs store, under its own key
+const BLOB_STORE_NAME = 'prsport';
+
+const MAX_ATTEMPTS = 10;  // writes that lost the race before giving up
+const RETRY_DELAY_MS = 50; // up to this long (times the attempt) before trying again
+
+// Set up @netlify/blobs for a request (does nothing outside Netlify, e.g. in tests)
+function connectBlobs(event) {
+    if (event && event.blobs) {
+        connectLambda(event);
+    }
+}
+
+// One JSON document in the site's Blobs store
+// empty() is the document while there is none; blobs is the @netlify/blobs store to use (tests
+// pass their own - by default the site's store, with the credentials of the current request).
+// Returns { read(), change(update) } - update(data) returns { data, value }: the document to
+// write (null leaves it alone) and what change() resolves to. update() may run more than once.
+function createBlobDocument(key, { empty, blobs = null }) {
+    let queue = Promise.resolve();
+
+    // The Blobs store - only available once connectBlobs() has run for the request
+    function getBlobs() {
+        return blobs || getStore({ name: BLOB_STORE_NAME, consistency: 'strong' });
+    }
+
+    // The document and its ETag (null while there is none)
+    async function readEntry() {
+        const entry = await getBlobs().getWithMetadata(key, { type: 'json' });
+        return entry ? { data: entry.data, etag: entry.etag } : { data: empty(), etag: null };
+    }
+
+    // Read, update and write until the write lands on the document that was read
+    async function changeEntry(update) {
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            const entry = await readEntry();
+            const { data, value } = update(entry.data);
+            if (!data) {
+                return value;
+            }
+
+            const condition = entry.etag ? { onlyIfMatch: entry.etag } : { onlyIfNew: true };
+            const { modified } = await getBlobs().setJSON(key, data, condition);
+            if (modified) {
+                return value;
+            }
+            await new Promise(resolve => setTimeout(resolve, Math.random() * RETRY_DELAY_MS * attempt));
+        }
+        throw new Error(`Could not save "${key}": it changed ${MAX_ATTEMPTS} times while saving`);
+    }
+
+    return {
+        // The document, after the changes this instance already queued
+        async read() {
+            await queue;
+            return (await readEntry()).data;
+        },
+
+        // Run a read-modify-write after the ones already queued
+        change(update) {
+            const result = queue.then(() => changeEntry(update));
+            queue = result.catch(() => {});
+            return result;
+        }
+    };
+}
+
+module.exports = {
+    connectBlobs,
+    createBlobDocument
+};
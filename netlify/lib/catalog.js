@@ -0,0 +1,130 @@
+// Server-side snapshot of the Google Sheets catalog
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const fetch = require('node-fetch');
+const {
+    GOOGLE_SHEETS_URL,
+    parseGoogleSheetsData,
+    getCategories,
+    hashCatalogText
+} = require('../../shared/catalog');
+const { parsePromotions, parsePromotionsCSV } = require('../../shared/promotions');
+// Promotions shipped with the site, used unless PROMOTIONS_CSV_URL is set
+const PROMOTIONS_FILE = require('../../promotions.json');
+
+// Re-read the sheet at most once a minute per function instance
+const SNAPSHOT_MAX_AGE = 60 * 1000;
+
+let snapshot = null;
+
+// Sheet source, overridable with SHEET_CSV_URL
+// Accepts an http(s) URL, a file: URL or a local path (handy for testing with a saved export)
+function getSheetUrl() {
+    return process.env.SHEET_CSV_URL || GOOGLE_SHEETS_URL;
+}
+
+// Promotions source: a sheet tab set with PROMOTIONS_CSV_URL (same formats as SHEET_CSV_URL),
+// or promotions.json when it is not set
+function getPromotionsUrl() {
+    return process.env.PROMOTIONS_CSV_URL || '';
+}
+
+// Read and check the promotions. Returns { text, promotions, errors }; text feeds the catalog hash.
+async function readPromotions() {
+    const source = getPromotionsUrl();
+    if (!source) {
+        const list = PROMOTIONS_FILE.promotions || [];
+        return { text: JSON.stringify(list), ...parsePromotions(list) };
+    }
+
+    const text = await readSheet(source);
+    return { text: text, ...parsePromotionsCSV(text) };
+}
+
+// Read the raw CSV from the configured source
+async function readSheet(source) {
+    if (!/^https?:\/\//i.test(source)) {
+        const filePath = source.startsWith('file:') ? fileURLToPath(source) : path.resolve(source);
+        return fs.promises.readFile(filePath, 'utf8');
+    }
+
+    // Set a timeout for the fetch (10 seconds)
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    try {
+        const response = await fetch(source, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`Failed to load Google Sheets (HTTP ${response.status})`);
+        }
+        return await response.text();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Fetch and parse the sheet and the promotions, reusing a recent snapshot when there is one
+// Snapshot: { products, categories, promotions, errors, promotionErrors, hash, updatedAt, fetchedAt }
+// errors lists the problems found in the sheet (shared/catalog-validation.js).
+// updatedAt only moves when the sheet or the promotions change, so it can back Last-Modified.
+// Products are as in the sheet - prices today come from applyPromotions() (shared/promotions.js).
+async function loadCatalog(maxAge = SNAPSHOT_MAX_AGE) {
+    if (snapshot && Date.now() - snapshot.fetchedAt < maxAge) {
+        return snapshot;
+    }
+
+    let csv;
+    let promotionSource;
+    try {
+        [csv, promotionSource] = await Promise.all([readSheet(getSheetUrl()), readPromotions()]);
+    } catch (error) {
+        // Keep serving the last good copy if the sheet is briefly unreachable
+        if (snapshot) {
+            console.error('catalog: sheet unavailable, using the previous snapshot:', error.message);
+            return snapshot;
+        }
+        throw error;
+    }
+
+    const hash = hashCatalogText(`${csv}\n${promotionSource.text}`);
+
+    if (snapshot && snapshot.hash === hash) {
+        snapshot.fetchedAt = Date.now();
+        return snapshot;
+    }
+
+    const { products, errors } = parseGoogleSheetsData(csv);
+    if (products.length === 0) {
+        // Keep the problems, so the admin page can say why
+        const error = new Error('No products found in Google Sheets');
+        error.problems = errors;
+        throw error;
+    }
+
+    if (errors.length > 0) {
+        console.warn(`catalog: ${errors.length} problem(s) in the sheet - see the product sheet check on the admin page`);
+    }
+
+    promotionSource.errors.forEach(error => {
+        console.warn(`catalog: promotion ${error.row} skipped: ${error.message}`);
+    });
+
+    snapshot = {
+        products: products,
+        categories: getCategories(products),
+        promotions: promotionSource.promotions,
+        errors: errors,
+        promotionErrors: promotionSource.errors,
+        hash: hash,
+        updatedAt: Date.now(),
+        fetchedAt: Date.now()
+    };
+    return snapshot;
+}
+
+module.exports = {
+    getSheetUrl,
+    getPromotionsUrl,
+    loadCatalog
+};
@@ -0,0 +1,61 @@
+// Small response helpers shared by the Netlify functions
+
+// Build a JSON response in the shape Netlify expects
+function jsonResponse(statusCode, body, headers = {}) {
+    return {
+        statusCode: statusCode,
+        headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store',
+            ...headers
+        },
+        body: JSON.stringify(body)
+    };
+}
+
+// Error response that submitOrder() can show (it reads `error`, then `details`)
+function errorResponse(statusCode, error, details) {
+    const body = { success: false, error: error };
+    if (details) {
+        body.details = details;
+    }
+    return jsonResponse(statusCode, body);
+}
+
+// Parse a JSON request body, returning null when it is missing or invalid
+function parseJsonBody(event) {
+    if (!event.body) {
+        return null;
+    }
+
+    try {
+        const raw = event.isBase64Encoded
+            ? Buffer.from(event.body, 'base64').toString('utf8')
+            : event.body;
+        const data = JSON.parse(raw);
+        return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// A request header by its lower-case name ('' when missing) - header names may come in any case
+function getHeader(event, name) {
+    const headers = event.headers || {};
+    const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+    return key ? String(headers[key]) : '';
+}
+
+// The visitor's IP address as reported by Netlify (or a local proxy)
+function getClientIp(event) {
+    const forwarded = getHeader(event, 'x-forwarded-for').split(',')[0].trim();
+    return getHeader(event, 'x-nf-client-connection-ip') || forwarded || 'unknown';
+}
+
+module.exports = {
+    jsonResponse,
+    errorResponse,
+    parseJsonBody,
+    getHeader,
+    getClientIp
+};
@@ -0,0 +1,101 @@
+// JSON files behind the file stores (orders, analytics counts, back-in-stock requests)
+// A file holds one JSON document. Writes go to a temporary file that is renamed over the old
+// one, so a crash never leaves half a file, and are queued so two requests never write at the
+// same time.
+//
+// The queue only holds inside one process: two servers or function instances writing the same
+// file can still lose each other's changes. So a file suits local runs and a single server.
+//
+// Each store is picked with a <NAME>_STORE variable ("blobs", "file" or "memory") and its file is
+// <NAME>_STORE_FILE. Once deployed the default is "blobs" (Netlify Blobs, see blob-store.js). On
+// Netlify only /tmp is writable, and every function instance has its own, emptied on a cold
+// start: functions writing there would each see a different, empty store. So once deployed the
+// stores refuse to start on a temp file or in memory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Is this running as a deployed function (not a test, a script or `netlify dev`)?
+function isDeployed() {
+    return !process.env.NETLIFY_DEV &&
+        Boolean(process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.NODE_ENV === 'production');
+}
+
+// The backend of a store whose <NAME>_STORE is not set
+function getDefaultBackend() {
+    return isDeployed() ? 'blobs' : 'file';
+}
+
+// A store's file: <variable>_FILE, or fileName in the temp directory for local runs
+function getStoreFilePath(variable, fileName) {
+    const setting = `${variable}_FILE`;
+    if (process.env[setting]) {
+        return process.env[setting];
+    }
+    if (isDeployed()) {
+        throw new Error(`${setting} must be set to a file only this server writes ` +
+            '(the temp directory is not shared between functions once deployed - use the blobs store there)');
+    }
+    return path.join(os.tmpdir(), fileName);
+}
+
+// Stop the memory store from starting once deployed - it loses everything when an instance stops
+function checkMemoryStore(variable) {
+    if (isDeployed()) {
+        throw new Error(`${variable} "memory" loses everything when a function instance stops - ` +
+            'use it for tests and local runs only');
+    }
+}
+
+// One JSON document in a file
+// empty() is the document while there is no file; space indents the file (0 for one line).
+// Returns { read(), change(update) } - update(data) returns { data, value }: the document to
+// write (null leaves the file alone) and what change() resolves to.
+function createJSONFile(filePath, { empty, space = 2 }) {
+    let queue = Promise.resolve();
+
+    async function readData() {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return empty();
+            throw error;
+        }
+    }
+
+    async function writeData(data) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, space));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    return {
+        // The document, after the writes already queued
+        async read() {
+            await queue;
+            return readData();
+        },
+
+        // Run a read-modify-write after the ones already queued
+        change(update) {
+            const result = queue.then(async () => {
+                const { data, value } = update(await readData());
+                if (data) {
+                    await writeData(data);
+                }
+                return value;
+            });
+            queue = result.catch(() => {});
+            return result;
+        }
+    };
+}
+
+module.exports = {
+    isDeployed,
+    getDefaultBackend,
+    getStoreFilePath,
+    checkMemoryStore,
+    createJSONFile
+};
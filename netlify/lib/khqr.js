@@ -0,0 +1,196 @@
+// KHQR payment codes (Bakong, the National Bank of Cambodia's payment network)
+// A KHQR is an EMVCo merchant-presented QR payload: a row of fields, each written as a
+// two-digit tag, a two-digit length and the value, ending with a CRC of everything before
+// it. Any Cambodian banking app that supports KHQR can scan one and pay the amount in it.
+// Nothing here touches the network, so payloads can be built and checked offline.
+const crypto = require('crypto');
+
+// Top-level tags of the KHQR content guideline
+const TAGS = {
+    payloadFormat: '00',
+    initiationMethod: '01',
+    individualAccount: '29',
+    merchantAccount: '30',
+    merchantCategory: '52',
+    currency: '53',
+    amount: '54',
+    countryCode: '58',
+    merchantName: '59',
+    merchantCity: '60',
+    additionalData: '62',
+    timestamps: '99',
+    crc: '63'
+};
+
+// Templates whose value is itself a row of fields
+const TEMPLATE_TAGS = [TAGS.individualAccount, TAGS.merchantAccount, TAGS.additionalData, TAGS.timestamps];
+
+// ISO 4217 numeric codes of the currencies Bakong accepts
+const CURRENCY_CODES = { USD: '840', KHR: '116' };
+
+// Longest value allowed for the fields customers see
+const MAX_LENGTHS = {
+    accountId: 32,
+    merchantId: 32,
+    acquiringBank: 32,
+    merchantName: 25,
+    merchantCity: 15,
+    billNumber: 25,
+    storeLabel: 25
+};
+
+// One field: tag, two-digit length, value
+function formatField(tag, value) {
+    const text = String(value);
+    if (text.length > 99) {
+        throw new Error(`KHQR field ${tag} is longer than 99 characters`);
+    }
+    return `${tag}${String(text.length).padStart(2, '0')}${text}`;
+}
+
+// Fields whose value is set, in order
+function formatFields(fields) {
+    return fields
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([tag, value]) => formatField(tag, value))
+        .join('');
+}
+
+// CRC-16/CCITT-FALSE (polynomial 0x1021, start 0xFFFF) as four upper-case hex digits
+function crc16(text) {
+    let crc = 0xFFFF;
+    for (const byte of Buffer.from(text, 'utf8')) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+            crc &= 0xFFFF;
+        }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+// Amount as KHQR writes it: riel in whole numbers, dollars with cents
+function formatAmount(amount, currency) {
+    return currency === 'KHR' ? String(Math.round(amount)) : amount.toFixed(2);
+}
+
+// Check the fields of a payment request. Returns an error message, or null.
+function checkRequest(request) {
+    if (!/^[^@\s]+@[^@\s]+$/.test(request.accountId || '')) {
+        return 'accountId must be a Bakong account id such as shop@bank';
+    }
+    if (!request.merchantName || !request.merchantCity) {
+        return 'merchantName and merchantCity are required';
+    }
+    if (!CURRENCY_CODES[request.currency]) {
+        return `currency must be ${Object.keys(CURRENCY_CODES).join(' or ')}`;
+    }
+    if (request.amount !== undefined && !(request.amount > 0)) {
+        return 'amount must be more than 0';
+    }
+
+    const tooLong = Object.keys(MAX_LENGTHS).find(field => String(request[field] || '').length > MAX_LENGTHS[field]);
+    if (tooLong) {
+        return `${tooLong} must be at most ${MAX_LENGTHS[tooLong]} characters`;
+    }
+    if (Object.keys(MAX_LENGTHS).some(field => /[^\x20-\x7E]/.test(request[field] || ''))) {
+        return 'KHQR fields must be plain ASCII text';
+    }
+    return null;
+}
+
+// Build a KHQR payload
+// request: {
+//   accountId      Bakong account that receives the money, e.g. "prsport@aclb"
+//   merchantId     optional; set for a merchant (shop) account, leave out for an individual one
+//   acquiringBank  optional; bank of a merchant account
+//   merchantName, merchantCity
+//   currency       "USD" or "KHR"
+//   amount         optional; without it the customer types the amount
+//   billNumber     optional, e.g. the order id - shown in the banking app and the bank statement
+//   storeLabel     optional
+//   createdAt, expiresAt  optional Dates; a QR with an amount should expire
+// }
+function buildKHQR(request) {
+    const error = checkRequest(request);
+    if (error) {
+        throw new Error(`Invalid KHQR request: ${error}`);
+    }
+
+    const accountTag = request.merchantId ? TAGS.merchantAccount : TAGS.individualAccount;
+    const account = formatFields([
+        ['00', request.accountId],
+        ['01', request.merchantId],
+        ['02', request.acquiringBank]
+    ]);
+    const additionalData = formatFields([
+        ['01', request.billNumber],
+        ['03', request.storeLabel]
+    ]);
+    const timestamps = request.createdAt ? formatFields([
+        ['00', request.createdAt.getTime()],
+        ['01', request.expiresAt ? request.expiresAt.getTime() : '']
+    ]) : '';
+
+    const payload = formatFields([
+        [TAGS.payloadFormat, '01'],
+        // 11: the same QR can be paid again and again, 12: for one payment of a set amount
+        [TAGS.initiationMethod, request.amount ? '12' : '11'],
+        [accountTag, account],
+        [TAGS.merchantCategory, '5999'],
+        [TAGS.currency, CURRENCY_CODES[request.currency]],
+        [TAGS.amount, request.amount ? formatAmount(request.amount, request.currency) : ''],
+        [TAGS.countryCode, 'KH'],
+        [TAGS.merchantName, request.merchantName],
+        [TAGS.merchantCity, request.merchantCity],
+        [TAGS.additionalData, additionalData],
+        [TAGS.timestamps, timestamps]
+    ]);
+
+    const withCrcTag = `${payload}${TAGS.crc}04`;
+    return `${withCrcTag}${crc16(withCrcTag)}`;
+}
+
+// Split a row of fields into { tag: value }. Returns null when the lengths don't add up.
+function readFields(text) {
+    const fields = {};
+    let position = 0;
+
+    while (position < text.length) {
+        const tag = text.slice(position, position + 2);
+        const length = parseInt(text.slice(position + 2, position + 4), 10);
+        const value = text.slice(position + 4, position + 4 + length);
+        if (!/^\d{2}$/.test(tag) || isNaN(length) || value.length !== length) {
+            return null;
+        }
+        fields[tag] = TEMPLATE_TAGS.includes(tag) ? readFields(value) : value;
+        position += 4 + length;
+    }
+    return fields;
+}
+
+// Read a KHQR payload back, e.g. to check one in a test or a support request
+// Returns { fields, valid } - valid is false when the CRC or the field lengths are wrong
+function parseKHQR(payload) {
+    const text = String(payload || '');
+    const fields = readFields(text);
+    const crcStart = text.length - 4;
+    const valid = Boolean(fields) &&
+        text.slice(crcStart - 4, crcStart) === `${TAGS.crc}04` &&
+        crc16(text.slice(0, crcStart)) === text.slice(crcStart);
+
+    return { fields: fields || {}, valid: valid };
+}
+
+// MD5 of a payload - Bakong looks up payments by it (check_transaction_by_md5)
+function getKHQRHash(payload) {
+    return crypto.createHash('md5').update(payload).digest('hex');
+}
+
+module.exports = {
+    CURRENCY_CODES,
+    crc16,
+    buildKHQR,
+    parseKHQR,
+    getKHQRHash
+};
@@ -0,0 +1,228 @@
+// Order storage shared by the Netlify functions
+// Every store has the same async interface, so another backend (a database, ...) can be added
+// to STORES without touching the functions:
+//   createOrder(order)        save a new order (order.id must be unique)
+//   getOrder(id)              the order, or null
+//   updateOrder(id, changes)  merge changes into an order, returns it (or null)
+//   deleteOrder(id)           remove an order
+//   listOrders()              every order, newest first
+//
+// ORDER_STORE picks the backend: "blobs" (Netlify Blobs, the default once deployed), "file" (the
+// default locally) or "memory". Once deployed, the file store needs ORDER_STORE_FILE and the
+// memory store refuses to start (see json-file-store.js).
+const crypto = require('crypto');
+const { getDefaultBackend, getStoreFilePath, checkMemoryStore, createJSONFile } = require('./json-file-store');
+const { createBlobDocument } = require('./blob-store');
+const { toPaymentView } = require('./payments');
+
+// Statuses in the order customers see them
+const ORDER_STATUSES = ['received', 'confirmed', 'shipped', 'delivered', 'cancelled'];
+
+// Order ids look like "PR-7K3M9Q": easy to read out over the phone, no 0/O or 1/I/L to mix up
+const ORDER_ID_PREFIX = 'PR-';
+const ORDER_ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const ORDER_ID_LENGTH = 6;
+
+// A new random order id (uniqueness is checked against the store by createOrderId)
+function generateOrderId() {
+    let id = ORDER_ID_PREFIX;
+    for (let i = 0; i < ORDER_ID_LENGTH; i++) {
+        id += ORDER_ID_ALPHABET[crypto.randomInt(ORDER_ID_ALPHABET.length)];
+    }
+    return id;
+}
+
+// Clean up what a customer typed as an order id: "pr 7k3m9q" -> "PR-7K3M9Q"
+function normalizeOrderId(input) {
+    let code = String(input || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (code.length === ORDER_ID_LENGTH + 2 && code.startsWith('PR')) {
+        code = code.slice(2);
+    }
+    return code.length === ORDER_ID_LENGTH ? `${ORDER_ID_PREFIX}${code}` : null;
+}
+
+// An order id that isn't used yet in this store
+async function createOrderId(store) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const id = generateOrderId();
+        if (!(await store.getOrder(id))) {
+            return id;
+        }
+    }
+    throw new Error('Could not find a free order id');
+}
+
+// What a customer may see of an order (no address or notes - anyone with the id
+// and phone number can look it up)
+function toCustomerView(order) {
+    return {
+        id: order.id,
+        status: order.status,
+        statusHistory: order.statusHistory || [],
+        createdAt: order.createdAt,
+        items: order.items.map(item => ({
+            productId: item.productId,
+            product: item.product,
+            size: item.size,
+            quantity: item.quantity,
+            price: item.price,
+            color: item.color || '',
+            personalization: item.personalization || {}
+        })),
+        // Orders from before promotions have no subtotal or discounts
+        subtotal: order.subtotal === undefined ? order.total : order.subtotal,
+        discounts: (order.discounts || []).map(discount => ({
+            id: discount.id,
+            label: discount.label,
+            label_km: discount.label_km,
+            amount: discount.amount,
+            freeDelivery: discount.freeDelivery
+        })),
+        promoCode: order.promoCode || '',
+        delivery: order.delivery || null,
+        total: order.total,
+        payment: toPaymentView(order)
+    };
+}
+
+// Orders kept in memory - for tests and local runs where nothing needs to survive a restart
+function createMemoryStore() {
+    const orders = new Map();
+
+    return {
+        async createOrder(order) {
+            if (orders.has(order.id)) {
+                throw new Error(`Order ${order.id} already exists`);
+            }
+            orders.set(order.id, { ...order });
+            return { ...order };
+        },
+
+        async getOrder(id) {
+            const order = orders.get(id);
+            return order ? { ...order } : null;
+        },
+
+        async updateOrder(id, changes) {
+            const order = orders.get(id);
+            if (!order) return null;
+            Object.assign(order, changes);
+            return { ...order };
+        },
+
+        async deleteOrder(id) {
+            orders.delete(id);
+        },
+
+        async listOrders() {
+            return [...orders.values()]
+                .map(order => ({ ...order }))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        }
+    };
+}
+
+// The document the file and blobs stores keep the orders in
+function emptyOrders() {
+    return { orders: [] };
+}
+
+// Orders kept in one JSON document: a file (createJSONFile) or a blob (createBlobDocument)
+function createDocumentStore(file) {
+    // The orders in the document
+    function getOrders(data) {
+        return data && Array.isArray(data.orders) ? data.orders : [];
+    }
+
+    // Run a read-modify-write of the orders: update(orders) returns { orders, value }
+    function change(update) {
+        return file.change(data => {
+            const { orders, value } = update(getOrders(data));
+            return { data: orders ? { orders: orders } : null, value: value };
+        });
+    }
+
+    return {
+        createOrder(order) {
+            return change(orders => {
+                if (orders.some(existing => existing.id === order.id)) {
+                    throw new Error(`Order ${order.id} already exists`);
+                }
+                return { orders: [...orders, order], value: order };
+            });
+        },
+
+        async getOrder(id) {
+            const orders = getOrders(await file.read());
+            return orders.find(order => order.id === id) || null;
+        },
+
+        updateOrder(id, changes) {
+            return change(orders => {
+                const order = orders.find(existing => existing.id === id);
+                if (!order) {
+                    return { orders: null, value: null };
+                }
+                Object.assign(order, changes);
+                return { orders: orders, value: order };
+            });
+        },
+
+        deleteOrder(id) {
+            return change(orders => ({ orders: orders.filter(order => order.id !== id), value: undefined }));
+        },
+
+        async listOrders() {
+            const orders = getOrders(await file.read());
+            return orders.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        }
+    };
+}
+
+// Orders kept in a JSON file (ORDER_STORE_FILE), written as described in json-file-store.js
+// Note: on Netlify only /tmp is writable and it does not survive a cold start - use the
+// file store for local runs and single-server setups.
+function createFileStore(filePath) {
+    return createDocumentStore(createJSONFile(filePath, { empty: emptyOrders }));
+}
+
+// Orders kept in Netlify Blobs, shared by every function instance (see blob-store.js)
+function createBlobStore(blobs) {
+    return createDocumentStore(createBlobDocument('orders', { empty: emptyOrders, blobs: blobs }));
+}
+
+// Available backends
+const STORES = {
+    blobs: () => createBlobStore(),
+    file: () => createFileStore(getStoreFilePath('ORDER_STORE', 'prsport-orders.json')),
+    memory: () => {
+        checkMemoryStore('ORDER_STORE');
+        return createMemoryStore();
+    }
+};
+
+let store = null;
+
+// The configured store (one per function instance)
+function getOrderStore() {
+    if (!store) {
+        const name = process.env.ORDER_STORE || getDefaultBackend();
+        if (!STORES[name]) {
+            throw new Error(`Unknown ORDER_STORE "${name}" (expected ${Object.keys(STORES).join(', ')})`);
+        }
+        store = STORES[name]();
+    }
+    return store;
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    generateOrderId,
+    normalizeOrderId,
+    createOrderId,
+    toCustomerView,
+    createMemoryStore,
+    createFileStore,
+    createBlobStore,
+    getOrderStore
+};
@@ -0,0 +1,167 @@
+// Paying for orders: cash on delivery by default, or KHQR right after ordering
+// An order's payment is { method, status, ... }:
+//   method  "cash" (on delivery) or "khqr"
+//   status  "unpaid", "pending" (a KHQR was shown, no payment seen yet), "paid" or "refunded"
+// A KHQR payment also keeps the QR payload, its MD5, amount and expiry. Payments are
+// confirmed by staff on the admin page, or by the verification hook (KHQR_VERIFY_URL).
+const fetch = require('node-fetch');
+const { buildKHQR, getKHQRHash } = require('./khqr');
+
+const PAYMENT_STATUSES = ['unpaid', 'pending', 'paid', 'refunded'];
+
+// How long a KHQR can be paid - after that the customer asks for a new one
+const KHQR_LIFETIME_MS = 15 * 60 * 1000;
+
+// Names for staff (admin page, Telegram)
+const PAYMENT_METHOD_LABELS = {
+    cash: 'Cash on delivery',
+    khqr: 'KHQR'
+};
+
+// Payment of a new order
+function createCashPayment() {
+    return { method: 'cash', status: 'unpaid' };
+}
+
+// Payment of an order, including orders from before payments were tracked
+function getPayment(order) {
+    return order.payment || createCashPayment();
+}
+
+// KHQR account from the environment, or null when paying by KHQR is switched off
+function getKHQRConfig() {
+    if (!process.env.KHQR_ACCOUNT_ID) {
+        return null;
+    }
+    return {
+        accountId: process.env.KHQR_ACCOUNT_ID,
+        merchantId: process.env.KHQR_MERCHANT_ID || '',
+        acquiringBank: process.env.KHQR_ACQUIRING_BANK || '',
+        merchantName: process.env.KHQR_MERCHANT_NAME || 'PR Sport',
+        merchantCity: process.env.KHQR_MERCHANT_CITY || 'Phnom Penh'
+    };
+}
+
+// Can this order still be paid by KHQR?
+function canPayNow(order) {
+    return Boolean(getKHQRConfig()) &&
+        ['unpaid', 'pending'].includes(getPayment(order).status) &&
+        !['delivered', 'cancelled'].includes(order.status);
+}
+
+// Is the order's current KHQR still good to show? (same total, not expired)
+function isKHQRUsable(payment, order, now = new Date()) {
+    return payment.method === 'khqr' &&
+        payment.status === 'pending' &&
+        payment.amount === order.total &&
+        Date.parse(payment.expiresAt) > now.getTime();
+}
+
+// A new KHQR payment for the order total, in dollars
+function createKHQRPayment(order, now = new Date()) {
+    const config = getKHQRConfig();
+    if (!config) {
+        throw new Error('KHQR is not configured (KHQR_ACCOUNT_ID)');
+    }
+
+    const expiresAt = new Date(now.getTime() + KHQR_LIFETIME_MS);
+    const qr = buildKHQR({
+        ...config,
+        currency: 'USD',
+        amount: order.total,
+        billNumber: order.id,
+        createdAt: now,
+        expiresAt: expiresAt
+    });
+
+    return {
+        method: 'khqr',
+        status: 'pending',
+        amount: order.total,
+        currency: 'USD',
+        qr: qr,
+        md5: getKHQRHash(qr),
+        createdAt: now.toISOString(),
+        expiresAt: expiresAt.toISOString()
+    };
+}
+
+// Ask the verification hook whether a KHQR was paid
+// KHQR_VERIFY_URL receives POST { md5, orderId, amount, currency } (with KHQR_VERIFY_TOKEN as a
+// bearer token) and answers { paid: true } - or, for Bakong's check_transaction_by_md5,
+// { responseCode: 0 }. Returns true, false, or null when there is no hook.
+async function verifyKHQRPayment(order, payment) {
+    const url = process.env.KHQR_VERIFY_URL;
+    if (!url) {
+        return null;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.KHQR_VERIFY_TOKEN) {
+        headers.Authorization = `Bearer ${process.env.KHQR_VERIFY_TOKEN}`;
+    }
+
+    // Set a timeout for the request (10 seconds)
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: headers,
+            body: JSON.stringify({
+                md5: payment.md5,
+                orderId: order.id,
+                amount: payment.amount,
+                currency: payment.currency
+            }),
+            signal: controller.signal
+        });
+        const result = await response.json().catch(() => null);
+
+        if (!response.ok || !result) {
+            throw new Error(`Payment check failed: HTTP ${response.status}`);
+        }
+        return result.paid === true || result.responseCode === 0;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// A payment marked as paid
+function markPaid(payment, confirmedBy, now = new Date()) {
+    return { ...payment, status: 'paid', paidAt: now.toISOString(), confirmedBy: confirmedBy };
+}
+
+// What a customer may see of a payment
+function toPaymentView(order) {
+    const payment = getPayment(order);
+    return {
+        method: payment.method,
+        status: payment.status,
+        canPayNow: canPayNow(order)
+    };
+}
+
+// Payment line for staff, e.g. "KHQR - paid"
+function describePayment(order) {
+    const payment = getPayment(order);
+    const method = PAYMENT_METHOD_LABELS[payment.method] || payment.method;
+    const status = payment.status === 'pending' ? 'waiting for payment' : payment.status;
+    return `${method} - ${status}`;
+}
+
+module.exports = {
+    PAYMENT_STATUSES,
+    KHQR_LIFETIME_MS,
+    createCashPayment,
+    getPayment,
+    getKHQRConfig,
+    canPayNow,
+    isKHQRUsable,
+    createKHQRPayment,
+    verifyKHQRPayment,
+    markPaid,
+    toPaymentView,
+    describePayment
+};
@@ -0,0 +1,254 @@
+// Pre-rendered product pages, sitemap.xml and robots.txt for search engines and link previews
+// The storefront renders products in the browser from the catalog, so crawlers and the
+// Telegram/Facebook preview bots only see an empty page. /product/<id> serves a plain HTML
+// page per product instead, with schema.org JSON-LD and Open Graph/Twitter tags, and a link
+// into the storefront (#/product/<id>) to choose a size and order.
+const { isAllowedImageUrl, getSizeStock, isSoldOut } = require('../../shared/catalog');
+const { html } = require('../../render');
+
+const SITE_NAME = 'PR Sport';
+const CURRENCY = 'USD';
+
+// Longest description used in meta tags - previews cut them off anyway
+const MAX_META_DESCRIPTION = 200;
+
+// Public address of the site, without a trailing slash
+// Netlify sets URL to the site's main address; local runs fall back to the request's host.
+function getSiteUrl(event) {
+    if (process.env.URL) {
+        return process.env.URL.replace(/\/+$/, '');
+    }
+    const headers = {};
+    Object.keys(event.headers || {}).forEach(name => {
+        headers[name.toLowerCase()] = event.headers[name];
+    });
+    const protocol = headers['x-forwarded-proto'] || 'https';
+    return `${protocol}://${headers.host || 'localhost'}`;
+}
+
+// Path of a product's pre-rendered page
+function getProductPath(productId) {
+    return `/product/${encodeURIComponent(productId)}`;
+}
+
+// Product photos that may be shown (allowed image hosts only)
+function getProductImages(product) {
+    return product.imageUrls.filter(isAllowedImageUrl);
+}
+
+// Description for meta tags: one line, cut at a word
+function getMetaDescription(product) {
+    const text = String(product.description || '').replace(/\s+/g, ' ').trim();
+    if (text.length <= MAX_META_DESCRIPTION) {
+        return text;
+    }
+    return `${text.slice(0, MAX_META_DESCRIPTION).replace(/\s+\S*$/, '')}…`;
+}
+
+// schema.org availability of a size
+function getAvailability(product, size) {
+    return getSizeStock(product, size) > 0 ? 'https://schema.org/InStock' : 'https://schema.org/OutOfStock';
+}
+
+// schema.org Product with one Offer per size, at today's price (finalPrice from applyPromotions)
+function buildProductJsonLd(product, siteUrl) {
+    const url = `${siteUrl}${getProductPath(product.id)}`;
+    const offer = {
+        '@type': 'Offer',
+        url: url,
+        price: product.finalPrice.toFixed(2),
+        priceCurrency: CURRENCY,
+        itemCondition: 'https://schema.org/NewCondition'
+    };
+    // A sale price is only good until the promotion ends
+    if (product.promotion && /^\d{4}-\d{2}-\d{2}/.test(product.promotion.ends)) {
+        offer.priceValidUntil = product.promotion.ends.slice(0, 10);
+    }
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        productID: product.id,
+        sku: product.id,
+        name: product.name,
+        description: product.description,
+        category: product.category,
+        image: getProductImages(product),
+        url: url,
+        brand: { '@type': 'Brand', name: SITE_NAME },
+        offers: product.availableSizes.map(sizeInfo => ({
+            ...offer,
+            sku: `${product.id}-${sizeInfo.size}`,
+            name: `${product.name} - ${sizeInfo.size}`,
+            availability: getAvailability(product, sizeInfo.size)
+        }))
+    };
+}
+
+// JSON for a <script> element - "</script>" inside a value must not end it
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Open Graph and Twitter tags of a product
+function renderSocialTags(product, url) {
+    const description = getMetaDescription(product);
+    const images = getProductImages(product);
+
+    return html`
+    <meta property="og:type" content="product">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:title" content="${product.name}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:url" content="${url}">
+    ${images.map(image => html`
+    <meta property="og:image" content="${image}">`)}
+    <meta property="product:price:amount" content="${product.finalPrice.toFixed(2)}">
+    <meta property="product:price:currency" content="${CURRENCY}">
+    <meta property="product:availability" content="${isSoldOut(product) ? 'out of stock' : 'in stock'}">
+    <meta name="twitter:card" content="${images.length > 0 ? 'summary_large_image' : 'summary'}">
+    <meta name="twitter:title" content="${product.name}">
+    <meta name="twitter:description" content="${description}">
+    ${images.length > 0 ? html`<meta name="twitter:image" content="${images[0]}">` : ''}`;
+}
+
+// The whole page of a product
+function renderProductPage(product, siteUrl) {
+    const url = `${siteUrl}${getProductPath(product.id)}`;
+    const storeUrl = `/#/product/${encodeURIComponent(product.id)}`;
+    const images = getProductImages(product);
+    const soldOut = isSoldOut(product);
+
+    const head = html`
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${product.name} - ${SITE_NAME}</title>
+    <meta name="description" content="${getMetaDescription(product)}">
+    <link rel="canonical" href="${url}">
+    ${renderSocialTags(product, url)}
+    <link rel="stylesheet" href="/styles.css">`;
+
+    const body = html`
+    <header>
+        <div class="container">
+            <nav>
+                <a href="/" class="logo-container">
+                    <div class="logo">PR SPORT</div>
+                </a>
+            </nav>
+        </div>
+    </header>
+
+    <main class="container product-page">
+        <div class="product-detail${soldOut ? ' sold-out' : ''}">
+            ${images.length > 0 ? html`
+                <div class="gallery">
+                    <div class="gallery-main">
+                        <img src="${images[0]}" alt="${product.imageAlt || product.name}" class="gallery-image">
+                    </div>
+                </div>
+            ` : ''}
+
+            <div class="product-detail-info">
+                <div class="product-category">${product.category}</div>
+                <h1 class="product-detail-title">${product.name}</h1>
+
+                <div class="product-price-container">
+                    ${product.savings > 0 ? html`
+                        <span class="original-price">$${Number(product.price).toFixed(2)}</span>
+                    ` : ''}
+                    <span class="discounted-price">$${product.finalPrice.toFixed(2)}</span>
+                </div>
+
+                <p class="product-detail-description">${product.description}</p>
+
+                <ul class="size-options">
+                    ${product.availableSizes.map(sizeInfo => html`
+                        <li class="size-option${getSizeStock(product, sizeInfo.size) > 0 ? '' : ' out-of-stock'}">${sizeInfo.size}</li>
+                    `)}
+                </ul>
+
+                <a href="${storeUrl}" class="btn btn-primary">${soldOut ? 'Sold out - see more products' : 'Choose your size and order'}</a>
+            </div>
+        </div>
+    </main>`;
+
+    // The JSON-LD goes in as-is: toScriptJson() already makes it safe inside <script>
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>${head}
+    <script type="application/ld+json">${toScriptJson(buildProductJsonLd(product, siteUrl))}</script>
+</head>
+<body>${body}
+</body>
+</html>
+`;
+}
+
+// Page for an id that is not in the catalog
+function renderNotFoundPage() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Product not found - ${SITE_NAME}</title>
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body>
+    <main class="container product-page">
+        <h1>This product is no longer available</h1>
+        <p><a href="/" class="btn btn-primary">See all products</a></p>
+    </main>
+</body>
+</html>
+`;
+}
+
+// Escape text for XML
+function escapeXML(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        '\'': '&apos;'
+    })[char]);
+}
+
+// sitemap.xml: the storefront and every product page
+function renderSitemap(products, siteUrl, updatedAt) {
+    const lastModified = new Date(updatedAt).toISOString().slice(0, 10);
+    const urls = [`${siteUrl}/`, ...products.map(product => `${siteUrl}${getProductPath(product.id)}`)];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls.map(url => `  <url><loc>${escapeXML(url)}</loc><lastmod>${lastModified}</lastmod></url>`),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// robots.txt: everything but the admin page and the functions, plus where the sitemap is
+function renderRobots(siteUrl) {
+    return [
+        'User-agent: *',
+        'Disallow: /admin',
+        'Disallow: /.netlify/',
+        '',
+        `Sitemap: ${siteUrl}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    getSiteUrl,
+    getProductPath,
+    buildProductJsonLd,
+    renderProductPage,
+    renderNotFoundPage,
+    renderSitemap,
+    renderRobots
+};
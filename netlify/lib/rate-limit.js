@@ -0,0 +1,47 @@
+// In-memory rate limiting for the functions
+// Hits are counted per function instance, so this is a brake on bots hammering an
+// endpoint rather than an exact quota across every instance.
+
+// Forget keys that have been quiet for a while once the map gets this big
+const MAX_TRACKED_KEYS = 5000;
+
+// Allow `limit` hits per key within a sliding `windowMs`
+function createRateLimiter({ limit, windowMs }) {
+    const hits = new Map(); // key -> timestamps of recent hits
+
+    // Drop hits older than the window
+    function recentHits(key, now) {
+        return (hits.get(key) || []).filter(time => now - time < windowMs);
+    }
+
+    // Keep memory bounded on a long-lived instance
+    function prune(now) {
+        if (hits.size < MAX_TRACKED_KEYS) return;
+        for (const [key, times] of hits) {
+            if (times.every(time => now - time >= windowMs)) {
+                hits.delete(key);
+            }
+        }
+    }
+
+    return {
+        // Record a hit. Returns 0 when allowed, otherwise the seconds until the key may try again.
+        hit(key, now = Date.now()) {
+            const times = recentHits(key, now);
+
+            if (times.length >= limit) {
+                hits.set(key, times);
+                return Math.ceil((times[0] + windowMs - now) / 1000);
+            }
+
+            times.push(now);
+            hits.set(key, times);
+            prune(now);
+            return 0;
+        }
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
@@ -0,0 +1,227 @@
+// Back-in-stock requests: a customer asks for a Telegram message when a sold-out size is back
+// Staff list the pending requests on the admin page when they restock, message the customer
+// and mark the request notified. A request is { id, productId, productName, size, contact,
+// status, createdAt, closedAt }; contact is a +855 phone number or a @username.
+//
+// Every store has the same async interface, as in order-store.js:
+//   addRequest(request)        save a new request - or return the pending one for the same
+//                              product, size and contact, so asking twice doesn't list it twice
+//   updateRequest(id, changes) merge changes into a request, returns it (or null)
+//   listRequests()             every request, newest first
+// STOCK_ALERT_STORE picks the backend: "blobs" (the default once deployed), "file" (the default
+// locally) or "memory"; once deployed, the file store needs STOCK_ALERT_STORE_FILE (see
+// json-file-store.js).
+const crypto = require('crypto');
+const { getDefaultBackend, getStoreFilePath, checkMemoryStore, createJSONFile } = require('./json-file-store');
+const { createBlobDocument } = require('./blob-store');
+const { normalizeTelegramContact } = require('../../shared/phone');
+const { getSizeStock } = require('../../shared/catalog');
+
+// pending until staff message the customer (notified) or give up on the size (cancelled)
+const STOCK_ALERT_STATUSES = ['pending', 'notified', 'cancelled'];
+
+const MAX_KEY_LENGTH = 100; // product ids and sizes
+
+// A product id or size from the request, or '' when it isn't a short string
+function cleanKey(value) {
+    if (typeof value !== 'string') return '';
+    const key = value.trim();
+    return key.length <= MAX_KEY_LENGTH ? key : '';
+}
+
+// Check a request body ({ productId, size, contact })
+// Returns { request } with the contact normalized, or { fields } with what to fix.
+function parseStockAlert(data) {
+    const fields = {};
+    const productId = cleanKey(data.productId);
+    const size = cleanKey(data.size);
+    const contact = normalizeTelegramContact(data.contact);
+
+    if (!productId) {
+        fields.productId = 'Please pick a product';
+    }
+    if (!size) {
+        fields.size = 'Please pick a size';
+    }
+    if (!contact) {
+        fields.contact = 'Please enter a Cambodian phone number (e.g. 012 345 678) or a Telegram @username';
+    }
+    if (Object.keys(fields).length > 0) {
+        return { fields: fields };
+    }
+
+    return { request: { productId: productId, size: size, contact: contact } };
+}
+
+// A new pending request
+function createStockAlert({ productId, productName, size, contact }, now = new Date()) {
+    return {
+        id: crypto.randomUUID(),
+        productId: productId,
+        productName: productName || '',
+        size: size,
+        contact: contact,
+        status: 'pending',
+        createdAt: now.toISOString(),
+        closedAt: null
+    };
+}
+
+// The pending request for the same product, size and contact, or undefined
+function findPending(requests, request) {
+    return requests.find(existing => existing.status === 'pending' &&
+        existing.productId === request.productId &&
+        existing.size === request.size &&
+        existing.contact === request.contact);
+}
+
+// A Telegram link to the customer: t.me/<username>, or t.me/+855... for a phone number
+function getTelegramLink(contact) {
+    return `https://t.me/${contact.replace(/^@/, '')}`;
+}
+
+// Add what the catalog says now to each request, as addCatalogDetails does for order lines
+// (see admin-orders.js): inCatalog (null when the catalog could not be read), stock (null when
+// not tracked) and backInStock. The name is the sheet's current one when the product is listed.
+function addStockDetails(requests, products) {
+    return requests.map(request => {
+        const product = products && products.find(item => item.id === request.productId);
+        const details = { ...request, telegramLink: getTelegramLink(request.contact) };
+
+        if (!product) {
+            return { ...details, inCatalog: products ? false : null, stock: null, backInStock: false };
+        }
+
+        const stock = getSizeStock(product, request.size);
+        return {
+            ...details,
+            productName: product.name,
+            inCatalog: true,
+            stock: stock === Infinity ? null : stock,
+            backInStock: stock > 0
+        };
+    });
+}
+
+// Requests kept in memory - for tests and local runs where nothing needs to survive a restart
+function createMemoryStore() {
+    const requests = [];
+
+    return {
+        async addRequest(request) {
+            const existing = findPending(requests, request);
+            if (existing) {
+                return { ...existing };
+            }
+            requests.push({ ...request });
+            return { ...request };
+        },
+
+        async updateRequest(id, changes) {
+            const request = requests.find(existing => existing.id === id);
+            if (!request) return null;
+            Object.assign(request, changes);
+            return { ...request };
+        },
+
+        async listRequests() {
+            return requests
+                .map(request => ({ ...request }))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        }
+    };
+}
+
+// The document the file and blobs stores keep the requests in
+function emptyRequests() {
+    return { requests: [] };
+}
+
+// Requests kept in one JSON document: a file (createJSONFile) or a blob (createBlobDocument)
+function createDocumentStore(file) {
+    // The requests in the document
+    function getRequests(data) {
+        return data && Array.isArray(data.requests) ? data.requests : [];
+    }
+
+    // Run a read-modify-write of the requests: update(requests) returns { requests, value }
+    function change(update) {
+        return file.change(data => {
+            const { requests, value } = update(getRequests(data));
+            return { data: requests ? { requests: requests } : null, value: value };
+        });
+    }
+
+    return {
+        addRequest(request) {
+            return change(requests => {
+                const existing = findPending(requests, request);
+                if (existing) {
+                    return { requests: null, value: existing };
+                }
+                return { requests: [...requests, request], value: request };
+            });
+        },
+
+        updateRequest(id, changes) {
+            return change(requests => {
+                const request = requests.find(existing => existing.id === id);
+                if (!request) {
+                    return { requests: null, value: null };
+                }
+                Object.assign(request, changes);
+                return { requests: requests, value: request };
+            });
+        },
+
+        async listRequests() {
+            const requests = getRequests(await file.read());
+            return requests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        }
+    };
+}
+
+// Requests kept in a JSON file (STOCK_ALERT_STORE_FILE), written as described in json-file-store.js
+function createFileStore(filePath) {
+    return createDocumentStore(createJSONFile(filePath, { empty: emptyRequests }));
+}
+
+// Requests kept in Netlify Blobs, shared by every function instance (see blob-store.js)
+function createBlobStore(blobs) {
+    return createDocumentStore(createBlobDocument('stock-alerts', { empty: emptyRequests, blobs: blobs }));
+}
+
+// Available backends
+const STORES = {
+    blobs: () => createBlobStore(),
+    file: () => createFileStore(getStoreFilePath('STOCK_ALERT_STORE', 'prsport-stock-alerts.json')),
+    memory: () => {
+        checkMemoryStore('STOCK_ALERT_STORE');
+        return createMemoryStore();
+    }
+};
+
+let store = null;
+
+// The configured store (one per function instance)
+function getStockAlertStore() {
+    if (!store) {
+        const name = process.env.STOCK_ALERT_STORE || getDefaultBackend();
+        if (!STORES[name]) {
+            throw new Error(`Unknown STOCK_ALERT_STORE "${name}" (expected ${Object.keys(STORES).join(', ')})`);
+        }
+        store = STORES[name]();
+    }
+    return store;
+}
+
+module.exports = {
+    STOCK_ALERT_STATUSES,
+    parseStockAlert,
+    createStockAlert,
+    addStockDetails,
+    createMemoryStore,
+    createFileStore,
+    createBlobStore,
+    getStockAlertStore
+};
@@ -0,0 +1,103 @@
+// Telegram Bot API client shared by the Netlify functions
+const fetch = require('node-fetch');
+
+// Longest text the Bot API takes in one message
+const MAX_MESSAGE_LENGTH = 4096;
+// Room kept in each part of a split message for its "(2/3)" label
+const PART_LABEL_LENGTH = 16;
+
+// Base URL can be pointed at a local stub (see scripts/telegram-stub.js)
+function getApiUrl() {
+    return (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+}
+
+// Check that the bot token and chat id are set
+function isConfigured() {
+    return Boolean(process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID);
+}
+
+// Split a text into parts short enough for one message each, at line breaks where possible
+// When there is more than one part, each starts with "(1/3)" and so on so staff read them as one.
+function splitMessage(text, maxLength = MAX_MESSAGE_LENGTH) {
+    if (text.length <= maxLength) {
+        return [text];
+    }
+
+    const room = maxLength - PART_LABEL_LENGTH;
+    const parts = [];
+    let part = '';
+    text.split('\n').forEach(line => {
+        // A single line too long for a message is cut where it has to be
+        while (line.length > room) {
+            if (part) parts.push(part);
+            part = '';
+            parts.push(line.slice(0, room));
+            line = line.slice(room);
+        }
+        if (part && part.length + 1 + line.length > room) {
+            parts.push(part);
+            part = line;
+        } else {
+            part = part ? `${part}\n${line}` : line;
+        }
+    });
+    if (part) parts.push(part);
+
+    return parts.map((content, index) => `(${index + 1}/${parts.length})\n${content}`);
+}
+
+// Send one message the Bot API will take (see splitMessage)
+async function postMessage(text) {
+    const url = `${getApiUrl()}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`;
+
+    // Set a timeout for the request (10 seconds)
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 10000);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                chat_id: process.env.TELEGRAM_CHAT_ID,
+                text: text,
+                disable_web_page_preview: true
+            }),
+            signal: controller.signal
+        });
+
+        const result = await response.json().catch(() => null);
+
+        if (!response.ok || !result || !result.ok) {
+            const description = result && result.description ? result.description : `HTTP ${response.status}`;
+            throw new Error(`Telegram API error: ${description}`);
+        }
+
+        return result.result;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Send a plain text message to the configured chat
+// Text over Telegram's limit goes out as several messages, in order. Returns the messages sent.
+async function sendMessage(text) {
+    if (!isConfigured()) {
+        throw new Error('Telegram is not configured (TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID)');
+    }
+
+    const sent = [];
+    for (const part of splitMessage(text)) {
+        sent.push(await postMessage(part));
+    }
+    return sent;
+}
+
+module.exports = {
+    getApiUrl,
+    isConfigured,
+    splitMessage,
+    sendMessage
+};
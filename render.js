@@ -0,0 +1,84 @@
+// Safe HTML rendering for sheet data
+// Anyone who can edit the sheet controls product names, descriptions, categories and
+// image URLs, so none of it may reach innerHTML unescaped.
+//
+// html`<p>${value}</p>` escapes every interpolated value. The result of another html``
+// (or an array of them) is inserted as-is, so templates can be nested without double
+// escaping. setHTML() only accepts html`` results - a plain string is escaped.
+//
+// The product-page function renders its pages with the same html`` (see netlify/lib/product-pages.js).
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;',
+    '`': '&#96;'
+};
+
+// Markup produced by html`` - trusted because every value in it was escaped
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// Escape text for use in HTML content or a quoted attribute
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+// Turn an interpolated value into markup
+// null, undefined and false render nothing, so `${condition && html`...`}` works.
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) {
+        return '';
+    }
+    if (value instanceof SafeHTML) {
+        return value.markup;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    }
+    return escapeHTML(value);
+}
+
+// Tagged template that escapes everything interpolated into it
+function html(strings, ...values) {
+    let markup = strings[0];
+    for (let i = 0; i < values.length; i++) {
+        markup += renderValue(values[i]) + strings[i + 1];
+    }
+    return new SafeHTML(markup);
+}
+
+// Replace an element's content with html`` markup
+function setHTML(element, content) {
+    element.innerHTML = renderValue(content);
+}
+
+// Build a single element from html`` markup
+function createElementFromHTML(content) {
+    const template = document.createElement('template');
+    template.innerHTML = renderValue(content).trim();
+    return template.content.firstElementChild;
+}
+
+// Image URL that is safe to load: allowed hosts only (see IMAGE_HOSTS in shared/catalog.js)
+function safeImageUrl(url) {
+    return isAllowedImageUrl(url) ? url : FALLBACK_IMAGE_URLS[0];
+}
+
+// Export for the Netlify functions (Node); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        html,
+        escapeHTML,
+        renderValue
+    };
+}
@@ -0,0 +1,73 @@
+// Local stand-in for the Telegram Bot API, for testing send-order without a real bot.
+//
+// Usage:
+//   node scripts/telegram-stub.js            (listens on port 8081, PORT=0 picks a free one)
+//   TELEGRAM_API_URL=http://localhost:8081 TELEGRAM_BOT_TOKEN=test TELEGRAM_CHAT_ID=1 netlify dev
+//
+// Set STUB_FAIL=1 to make every sendMessage call fail like an invalid chat id would.
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT || '8081', 10);
+let messageId = 0;
+
+function send(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+    const match = req.url.match(/^\/bot([^/]+)\/(\w+)$/);
+
+    if (req.method !== 'POST' || !match) {
+        send(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+        return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        const method = match[2];
+        let payload;
+
+        try {
+            payload = JSON.parse(raw || '{}');
+        } catch (error) {
+            send(res, 400, { ok: false, error_code: 400, description: 'Bad Request: invalid JSON' });
+            return;
+        }
+
+        if (method !== 'sendMessage') {
+            send(res, 404, { ok: false, error_code: 404, description: `Method ${method} is not stubbed` });
+            return;
+        }
+
+        if (process.env.STUB_FAIL || !payload.chat_id || !payload.text) {
+            send(res, 400, { ok: false, error_code: 400, description: 'Bad Request: chat not found' });
+            return;
+        }
+
+        if (payload.text.length > 4096) {
+            send(res, 400, { ok: false, error_code: 400, description: 'Bad Request: message is too long' });
+            return;
+        }
+
+        messageId += 1;
+        console.log(`--- message #${messageId} to chat ${payload.chat_id} ---`);
+        console.log(payload.text);
+        console.log('');
+
+        send(res, 200, {
+            ok: true,
+            result: {
+                message_id: messageId,
+                chat: { id: payload.chat_id },
+                date: Math.floor(Date.now() / 1000),
+                text: payload.text
+            }
+        });
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Telegram stub listening on http://localhost:${server.address().port}`);
+});
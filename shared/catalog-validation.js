@@ -0,0 +1,134 @@
+// Catalog validation: problems in the product sheet, for the people who edit it
+// Loaded as a plain <script> in the browser (after shared/promotions.js, before shared/catalog.js)
+// and with require() in the Netlify functions. parseGoogleSheetsData() runs these checks on
+// every row and returns what they find; staff see the list on the admin page (admin-catalog).
+//
+// A problem is { row, column, productId, severity, message }:
+//   row        sheet row number (1 is the header row)
+//   column     the column at fault, or '' for the whole row
+//   productId  the product's id, or '' when the row has none yet
+//   severity   "error"   - the row is left out of the catalog
+//              "warning" - the product is shown, but part of the row was ignored or filled in
+
+// Columns the catalog reads. Translations are name_<language>, description_<language> and imageAlt_<language>.
+const CATALOG_COLUMNS = [
+    'id',
+    'name',
+    'Category',
+    'description',
+    'price',
+    'Discount',
+    'sale_start',
+    'sale_end',
+    'sizes',
+    'imageUrls',
+    'imageAlt',
+    'colors',
+    'personalization'
+];
+const TRANSLATION_COLUMN = /^(name|description|imageAlt)_[a-z]{2}$/i;
+
+// Without these columns no product can be shown
+const REQUIRED_COLUMNS = ['name', 'price'];
+
+// The discount helpers are globals in the browser and a module in Node
+const validationPromotions = typeof module !== 'undefined' && module.exports
+    ? require('./promotions')
+    : { parseDiscount: parseDiscount, getDiscountAmount: getDiscountAmount };
+
+// One problem
+function createProblem(row, column, severity, message, productId = '') {
+    return {
+        row: row,
+        column: column,
+        productId: productId,
+        severity: severity,
+        message: message
+    };
+}
+
+// Unknown and missing columns, reported on the header row
+// Column names are case-sensitive, so "category" is unknown - the message points at "Category".
+function checkColumns(headers) {
+    const problems = [];
+
+    headers.forEach(header => {
+        if (!header || CATALOG_COLUMNS.includes(header) || TRANSLATION_COLUMN.test(header)) return;
+
+        const meant = CATALOG_COLUMNS.find(column => column.toLowerCase() === header.toLowerCase());
+        problems.push(createProblem(1, header, 'warning', meant
+            ? `Unknown column "${header}" - did you mean "${meant}"? Column names are case-sensitive.`
+            : `Unknown column "${header}" - it is ignored`));
+    });
+
+    REQUIRED_COLUMNS.filter(column => !headers.includes(column)).forEach(column => {
+        problems.push(createProblem(1, column, 'error', `Column "${column}" is missing - no product can be shown without it`));
+    });
+
+    return problems;
+}
+
+// Read a price cell: "12", "$12.50" or "$1,299". Returns null when it is not a price.
+function parsePrice(text) {
+    const value = String(text || '').replace(/\s+/g, '');
+    const match = value.match(/^\$?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?$/);
+    if (!match) {
+        return null;
+    }
+    return parseFloat(`${match[1].replace(/,/g, '')}${match[2] || ''}`);
+}
+
+// Check the Discount cell against the price
+// Returns the message of what is wrong with it, or null. A discount that would make the
+// product free (or is not a discount at all) is ignored.
+function checkDiscount(discountText, price) {
+    const text = String(discountText || '').trim();
+    if (!text || /^\$?0*(\.0*)?%?$/.test(text)) {
+        return null;
+    }
+
+    const discount = validationPromotions.parseDiscount(text);
+    if (!discount) {
+        return `Discount "${text}" is not dollars (4 or $4) or a percentage (20%) - ignored`;
+    }
+    if (validationPromotions.getDiscountAmount(price, discount) >= price) {
+        return `Discount "${text}" is as much as the price ($${price.toFixed(2)}) - ignored`;
+    }
+    return null;
+}
+
+// Id for a product without one, made from its name: "Barcelona Jersey 2024" -> "barcelona-jersey-2024"
+// It only changes when the name does. Khmer and other letters are kept.
+function makeProductId(name) {
+    const slug = String(name || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'product';
+}
+
+// First of id, id-2, id-3, ... that is not taken yet
+function makeUniqueId(id, takenIds) {
+    if (!takenIds.has(id)) {
+        return id;
+    }
+    let number = 2;
+    while (takenIds.has(`${id}-${number}`)) {
+        number++;
+    }
+    return `${id}-${number}`;
+}
+
+// Export for the Netlify functions (Node); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CATALOG_COLUMNS,
+        createProblem,
+        checkColumns,
+        parsePrice,
+        checkDiscount,
+        makeProductId,
+        makeUniqueId
+    };
+}
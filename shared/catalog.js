@@ -0,0 +1,405 @@
+// Google Sheets catalog: turns the published CSV into product objects
+// Loaded as a plain <script> in the browser (after shared/csv.js and shared/catalog-validation.js)
+// and with require() in the Netlify functions, so the storefront and the server read the sheet
+// the same way.
+
+const GOOGLE_SHEETS_URL = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vSVGapl1S-krQxuVfbywRjoNvU6CsAyRTdHLZfeeRlgogKmbfuJ-XwPe5V6sg5eY1GRD0UiFI1czYm7/pub?output=csv';
+
+// Product photos are only loaded from these hosts - add yours here
+// Sheet cells are editable by anyone with access to the sheet, so an image URL
+// must never point at an arbitrary site.
+const IMAGE_HOSTS = [
+    'images.unsplash.com',
+    'lh3.googleusercontent.com',
+    'drive.google.com',
+    'i.imgur.com',
+    'res.cloudinary.com',
+    'i.ibb.co'
+];
+
+// Default soccer-related images for products without (usable) photos
+const FALLBACK_IMAGE_URLS = [
+    'https://images.unsplash.com/photo-1574629810360-7efbbe195018?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80',
+    'https://images.unsplash.com/photo-1579758682664-5b1e5a5e3d2f?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80',
+    'https://images.unsplash.com/photo-1600674845588-70ceb83b8ecf?ixlib=rb-1.2.1&auto=format&fit=crop&w=600&q=80'
+];
+
+// Personalization customers can add in the optional personalization column, with the
+// default character limit and the characters allowed
+const PERSONALIZATION_FIELDS = {
+    name: { maxLength: 12, pattern: /^[\p{L}\p{M} .'-]+$/u },
+    number: { maxLength: 2, pattern: /^\d+$/ }
+};
+
+// The CSV parser and the sheet checks are globals in the browser and modules in Node
+const sheetCSV = typeof module !== 'undefined' && module.exports ? require('./csv') : { parseCSV: parseCSV };
+const sheetValidation = typeof module !== 'undefined' && module.exports ? require('./catalog-validation') : {
+    createProblem: createProblem,
+    checkColumns: checkColumns,
+    parsePrice: parsePrice,
+    checkDiscount: checkDiscount,
+    makeProductId: makeProductId,
+    makeUniqueId: makeUniqueId
+};
+
+// Parse Google Sheets CSV data into products
+// Returns { products, errors } where errors lists every problem found, by sheet row number
+// (see shared/catalog-validation.js for the fields of a problem)
+function parseGoogleSheetsData(csv) {
+    const parsed = sheetCSV.parseCSV(csv);
+    const products = [];
+    const errors = parsed.errors.map(error => sheetValidation.createProblem(error.row, '', 'warning', error.message));
+    const records = parsed.records;
+    
+    if (records.length < 2) {
+        return { products: products, errors: errors };
+    }
+    
+    const headers = records[0].fields.map(header => header.trim());
+    errors.push(...sheetValidation.checkColumns(headers));
+    
+    console.log('Headers found:', headers);
+    
+    // Ids typed in the sheet are reserved first, so an id made from a name never takes one of them
+    const idColumn = headers.indexOf('id');
+    const takenIds = new Set(records.slice(1).map(record => (record.fields[idColumn] || '').trim()).filter(Boolean));
+    const idRows = new Map();
+    
+    // Process each record after the header row
+    for (let i = 1; i < records.length; i++) {
+        const { row, fields } = records[i];
+        const values = fields.map(value => value.trim());
+        
+        if (values.length < headers.length) {
+            errors.push(sheetValidation.createProblem(row, '', 'error',
+                `Expected ${headers.length} columns but found ${values.length} - the row is left out`));
+            continue;
+        }
+        if (values.slice(headers.length).some(Boolean)) {
+            errors.push(sheetValidation.createProblem(row, '', 'warning',
+                `Found ${values.length} columns but the header row has ${headers.length} - the extra cells are ignored`));
+        }
+        
+        const product = {};
+        
+        // Map values to headers
+        headers.forEach((header, index) => {
+            product[header] = values[index] || '';
+        });
+        
+        // Process the product data
+        const processed = processProductData(product, row);
+        if (processed.product) {
+            const withId = assignProductId(processed.product, row, takenIds, idRows, errors);
+            processed.problems.forEach(problem => {
+                problem.productId = withId.id;
+            });
+            products.push(withId);
+        }
+        errors.push(...processed.problems);
+    }
+    
+    // Keep errors in sheet order
+    errors.sort((a, b) => a.row - b.row);
+    
+    return { products: products, errors: errors };
+}
+
+// Give a product a unique id that stays the same from one load to the next, so carts,
+// saved links and orders keep pointing at it. Rows without an id get one made from the
+// name; a repeated id gets "-2", "-3", ... Both are reported.
+function assignProductId(product, row, takenIds, idRows, errors) {
+    let id = product.id;
+    
+    if (!id) {
+        id = sheetValidation.makeUniqueId(sheetValidation.makeProductId(product.name), takenIds);
+        errors.push(sheetValidation.createProblem(row, 'id', 'warning',
+            `No id - using "${id}", made from the name. Add an id so carts and links keep working if the name changes.`, id));
+    } else if (idRows.has(id)) {
+        const firstRow = idRows.get(id);
+        id = sheetValidation.makeUniqueId(id, takenIds);
+        errors.push(sheetValidation.createProblem(row, 'id', 'warning',
+            `Id "${product.id}" is also used on row ${firstRow} - this row is shown as "${id}". Give each product its own id.`, id));
+    }
+    
+    takenIds.add(id);
+    idRows.set(id, row);
+    return { ...product, id: id };
+}
+
+// Process product data from Google Sheets
+// Returns { product, problems } - product is null when the row can't be shown (no name or no price)
+function processProductData(product, row = 0) {
+    const problems = [];
+    const id = (product.id || '').trim();
+    const report = (column, severity, message) => {
+        problems.push(sheetValidation.createProblem(row, column, severity, message, id));
+    };
+    
+    if (!product.name || !product.name.trim()) {
+        // Empty rows are left out without a word
+        if (Object.keys(product).some(column => product[column])) {
+            report('name', 'error', 'No name - the row is left out');
+        }
+        return { product: null, problems: problems };
+    }
+    
+    // Process price - "12", "$12.50" or "$1,299"
+    const price = sheetValidation.parsePrice(product.price);
+    if (price === null || price <= 0) {
+        report('price', 'error', product.price
+            ? `Price "${product.price}" is not a price like 12 or $12.50 - the row is left out`
+            : 'No price - the row is left out');
+        return { product: null, problems: problems };
+    }
+    
+    // Process discount - dollars ("4" or "$4") or a percentage ("20%")
+    // The price customers pay (finalPrice) is worked out by applyPromotions() in shared/promotions.js,
+    // which also checks the optional sale_start / sale_end columns.
+    let discount = product.Discount || '0';
+    const discountProblem = sheetValidation.checkDiscount(discount, price);
+    if (discountProblem) {
+        report('Discount', 'warning', discountProblem);
+        discount = '0';
+    }
+    discount = discount.replace('$', '').trim();
+    
+    // Process sizes and per-size stock, e.g. "S:3,M:0,L:5"
+    const availableSizes = parseSizes(product.sizes);
+    
+    // Process image URLs - the column can hold several
+    const reportImage = column => url => report(column, 'warning',
+        `Image ${url} is skipped - photos must be https links on an allowed host (IMAGE_HOSTS)`);
+    let imageUrls = parseImageUrls(product.imageUrls, reportImage('imageUrls'));
+    if (imageUrls.length === 0) {
+        report('imageUrls', 'warning', 'No usable photo - stock soccer photos are shown instead');
+        // Use default soccer-related images
+        imageUrls = [...FALLBACK_IMAGE_URLS];
+    }
+    
+    // Optional translated columns, e.g. "name_km" and "description_km"
+    const translations = parseTranslations(product);
+    
+    // Optional colorways and name/number printing
+    const colors = parseColors(product.colors, reportImage('colors'));
+    const personalization = parsePersonalization(product.personalization);
+    
+    const processed = {
+        id: id,
+        name: product.name,
+        category: product.Category || 'Uncategorized',
+        description: product.description || 'High quality soccer product',
+        price: String(price),
+        discount: discount,
+        saleStart: (product.sale_start || '').trim(),
+        saleEnd: (product.sale_end || '').trim(),
+        availableSizes: availableSizes,
+        imageUrls: imageUrls,
+        imageAlt: (product.imageAlt || '').trim(),
+        colors: colors,
+        personalization: personalization,
+        translations: translations
+    };
+    
+    return { product: processed, problems: problems };
+}
+
+// Collect "name_<language>" / "description_<language>" / "imageAlt_<language>" columns into
+// { km: { name, description, imageAlt } }. Empty cells are left out so the English text is used.
+function parseTranslations(product) {
+    const translations = {};
+    
+    Object.keys(product).forEach(column => {
+        const match = column.match(/^(name|description|imageAlt)_([a-z]{2})$/i);
+        if (!match || !product[column]) return;
+        
+        const language = match[2].toLowerCase();
+        const field = ['name', 'description', 'imageAlt'].find(name => name.toLowerCase() === match[1].toLowerCase());
+        translations[language] = translations[language] || {};
+        translations[language][field] = product[column];
+    });
+    
+    return translations;
+}
+
+// Split the imageUrls column into a list of URLs
+// URLs can be separated by line breaks, "|" or commas. A comma only counts as a
+// separator when a new http(s) URL follows, since image CDNs use commas in paths.
+// URLs that are not https or not on an allowed host are dropped and passed to onSkipped.
+function parseImageUrls(imageUrlsText, onSkipped = url => console.warn('Image URL not allowed, skipping:', url)) {
+    return (imageUrlsText || '')
+        .split(/\s*(?:\||\n|,(?=\s*https?:\/\/))\s*/)
+        .map(url => url.trim())
+        .filter(Boolean)
+        .filter(url => {
+            const allowed = isAllowedImageUrl(url);
+            if (!allowed) {
+                onSkipped(url);
+            }
+            return allowed;
+        });
+}
+
+// Is this an https URL on one of the IMAGE_HOSTS?
+function isAllowedImageUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'https:' && IMAGE_HOSTS.includes(parsed.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Parse the colors column into [{ name, imageUrls }]
+// One colorway per line (or separated by ";"), optionally followed by its own photos:
+// "Home: https://i.imgur.com/a.jpg | https://i.imgur.com/b.jpg; Away: https://i.imgur.com/c.jpg"
+// A colorway without photos shows the product's photos. Skipped photo URLs go to onSkipped.
+function parseColors(colorsText, onSkipped) {
+    return (colorsText || '')
+        .split(/\s*[;\n]\s*/)
+        .filter(Boolean)
+        .map(entry => {
+            const match = entry.match(/^(.*?)\s*:\s*(https?:\/\/.*)$/i);
+            return {
+                name: (match ? match[1] : entry).trim(),
+                imageUrls: match ? parseImageUrls(match[2], onSkipped) : []
+            };
+        })
+        .filter(color => color.name);
+}
+
+// Parse the personalization column into [{ field, maxLength, surcharge }]
+// "name:12:5, number:2:3" offers a name of up to 12 characters for $5 extra and a
+// number of up to 2 digits for $3. The limit and the surcharge can be left out.
+function parsePersonalization(personalizationText) {
+    return (personalizationText || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [field, maxLength, surcharge] = entry.split(':').map(part => part.trim());
+            const rules = PERSONALIZATION_FIELDS[field.toLowerCase()];
+            if (!rules) {
+                console.warn('Unknown personalization, skipping:', entry);
+                return null;
+            }
+            return {
+                field: field.toLowerCase(),
+                maxLength: parseInt(maxLength, 10) || rules.maxLength,
+                surcharge: parseFloat((surcharge || '0').replace('$', '')) || 0
+            };
+        })
+        .filter(Boolean);
+}
+
+// Check what a customer typed for a product's personalization
+// Returns { values, errors } - values holds the filled-in fields, errors maps a field to
+// "too-long", "invalid" or "not-offered"
+function checkPersonalization(product, input) {
+    const values = {};
+    const errors = {};
+    
+    Object.keys(input || {}).forEach(field => {
+        const value = String(input[field] || '').trim();
+        if (!value) return;
+        
+        const option = (product.personalization || []).find(opt => opt.field === field);
+        if (!option) {
+            errors[field] = 'not-offered';
+        } else if (value.length > option.maxLength) {
+            errors[field] = 'too-long';
+        } else if (!PERSONALIZATION_FIELDS[field].pattern.test(value)) {
+            errors[field] = 'invalid';
+        } else {
+            values[field] = value;
+        }
+    });
+    
+    return { values: values, errors: errors };
+}
+
+// Extra charge for the personalization fields that are filled in
+function getPersonalizationSurcharge(product, values) {
+    return (product.personalization || [])
+        .filter(option => values && values[option.field])
+        .reduce((sum, option) => sum + option.surcharge, 0);
+}
+
+// Photos of a colorway, or the product's photos when it has none of its own
+function getColorImages(product, colorName) {
+    const color = (product.colors || []).find(c => c.name === colorName);
+    return color && color.imageUrls.length > 0 ? color.imageUrls : product.imageUrls;
+}
+
+// Unique categories in sheet order
+function getCategories(productList) {
+    return [...new Set(productList.map(product => product.category))].filter(Boolean);
+}
+
+// Small non-cryptographic hash (FNV-1a) of the sheet CSV, used to tell whether it changed
+function hashCatalogText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+// Parse the sizes column into [{ size, quantity }]
+// "S:3,M:0,L:5" gives real stock per size. A size without a count ("S,M,L") is
+// sold without stock tracking and gets quantity null.
+function parseSizes(sizesText) {
+    const entries = (sizesText || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    
+    if (entries.length === 0) {
+        return [{ size: 'One Size', quantity: null }];
+    }
+    
+    return entries.map(entry => {
+        const match = entry.match(/^(.*?)\s*:\s*(\d+)$/);
+        if (match && match[1]) {
+            return { size: match[1], quantity: parseInt(match[2], 10) };
+        }
+        return { size: entry, quantity: null };
+    });
+}
+
+// How many of a size can still be ordered (Infinity when stock is not tracked)
+function getSizeStock(product, size) {
+    const sizeInfo = product.availableSizes.find(info => info.size === size);
+    if (!sizeInfo) {
+        return 0;
+    }
+    return sizeInfo.quantity === null || sizeInfo.quantity === undefined ? Infinity : sizeInfo.quantity;
+}
+
+// A product is sold out when every size has zero stock
+function isSoldOut(product) {
+    return product.availableSizes.every(sizeInfo => sizeInfo.quantity === 0);
+}
+
+// Export for the Netlify functions (Node); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GOOGLE_SHEETS_URL,
+        IMAGE_HOSTS,
+        FALLBACK_IMAGE_URLS,
+        parseGoogleSheetsData,
+        processProductData,
+        parseTranslations,
+        PERSONALIZATION_FIELDS,
+        parseColors,
+        parsePersonalization,
+        checkPersonalization,
+        getPersonalizationSurcharge,
+        getColorImages,
+        parseImageUrls,
+        isAllowedImageUrl,
+        getCategories,
+        hashCatalogText,
+        parseSizes,
+        getSizeStock,
+        isSoldOut
+    };
+}
@@ -0,0 +1,168 @@
+// RFC 4180 CSV parser for the Google Sheets export
+// Loaded as a plain <script> in the browser and with require() in the Netlify functions.
+//
+// The parser is incremental: feed it chunks with write() and call end() when done.
+// It handles quoted fields containing commas and line breaks, escaped quotes (""),
+// CRLF / LF / CR line endings and a leading byte order mark. Problems are reported
+// per row instead of throwing, so one bad row does not lose the whole sheet.
+
+// Parser states
+const CSV_FIELD_START = 0;       // at the start of a field
+const CSV_UNQUOTED = 1;          // inside an unquoted field
+const CSV_QUOTED = 2;            // inside a quoted field
+const CSV_QUOTE_IN_QUOTED = 3;   // saw a quote inside a quoted field (escape or closing quote)
+
+// Create a streaming parser. onRecord(fields, rowNumber) is called for each
+// record, onError({ row, message }) for each problem found.
+function createCSVParser(onRecord, onError = () => {}) {
+    let state = CSV_FIELD_START;
+    let field = '';
+    let fields = [];
+    let row = 1;
+    let started = false;
+    let skipNextLF = false;
+    let recordHasQuotes = false;
+    let lastRowError = null;
+
+    function reportError(message) {
+        // The same problem is reported once per row
+        if (lastRowError === message) return;
+        lastRowError = message;
+        onError({ row: row, message: message });
+    }
+
+    function endField() {
+        fields.push(field);
+        field = '';
+        state = CSV_FIELD_START;
+    }
+
+    function endRecord() {
+        endField();
+
+        // A blank line is a single empty, unquoted field - skip it
+        const isBlank = fields.length === 1 && fields[0] === '' && !recordHasQuotes;
+        if (!isBlank) {
+            onRecord(fields, row);
+        }
+
+        fields = [];
+        recordHasQuotes = false;
+        lastRowError = null;
+        row++;
+    }
+
+    function write(chunk) {
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            // Skip a byte order mark at the very start of the stream
+            if (!started) {
+                started = true;
+                if (char === '\uFEFF') continue;
+            }
+
+            // Second half of a CRLF pair, possibly split across chunks
+            if (skipNextLF) {
+                skipNextLF = false;
+                if (char === '\n') continue;
+            }
+
+            switch (state) {
+                case CSV_FIELD_START:
+                    if (char === '"') {
+                        state = CSV_QUOTED;
+                        recordHasQuotes = true;
+                    } else if (char === ',') {
+                        endField();
+                    } else if (char === '\r' || char === '\n') {
+                        skipNextLF = char === '\r';
+                        endRecord();
+                    } else {
+                        field += char;
+                        state = CSV_UNQUOTED;
+                    }
+                    break;
+
+                case CSV_UNQUOTED:
+                    if (char === ',') {
+                        endField();
+                    } else if (char === '\r' || char === '\n') {
+                        skipNextLF = char === '\r';
+                        endRecord();
+                    } else {
+                        if (char === '"') {
+                            reportError('Unexpected quote in an unquoted field');
+                        }
+                        field += char;
+                    }
+                    break;
+
+                case CSV_QUOTED:
+                    if (char === '"') {
+                        state = CSV_QUOTE_IN_QUOTED;
+                    } else {
+                        field += char;
+                    }
+                    break;
+
+                case CSV_QUOTE_IN_QUOTED:
+                    if (char === '"') {
+                        // Escaped quote ("")
+                        field += '"';
+                        state = CSV_QUOTED;
+                    } else if (char === ',') {
+                        endField();
+                    } else if (char === '\r' || char === '\n') {
+                        skipNextLF = char === '\r';
+                        endRecord();
+                    } else {
+                        // Text after the closing quote - keep it rather than losing data
+                        reportError('Unexpected text after a closing quote');
+                        field += char;
+                        state = CSV_UNQUOTED;
+                    }
+                    break;
+            }
+        }
+    }
+
+    function end() {
+        if (state === CSV_QUOTED) {
+            reportError('Quoted field is never closed');
+        }
+
+        // Flush the last record if the file does not end with a line break
+        if (state !== CSV_FIELD_START || field !== '' || fields.length > 0) {
+            endRecord();
+        }
+    }
+
+    return {
+        write: write,
+        end: end
+    };
+}
+
+// Parse a whole CSV string. Returns { records: [{ row, fields }], errors: [{ row, message }] }
+function parseCSV(text) {
+    const records = [];
+    const errors = [];
+
+    const parser = createCSVParser(
+        (fields, row) => records.push({ row: row, fields: fields }),
+        error => errors.push(error)
+    );
+    parser.write(text);
+    parser.end();
+
+    return { records: records, errors: errors };
+}
+
+// Export for the Netlify functions (Node); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createCSVParser,
+        parseCSV
+    };
+}
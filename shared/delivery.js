@@ -0,0 +1,88 @@
+// Delivery methods, areas and fees, set in delivery.json
+// Loaded as a plain <script> by the storefront and the admin page and with require() by
+// send-order, so the fee shown at checkout is the fee on the order. The pages read
+// delivery.json with loadDeliveryMethods(); send-order has it bundled.
+//
+// A method in delivery.json: { label, label_km, fee, freeFrom, areas, areaFees }
+// fee: dollars per order; freeFrom: free when the goods (after discounts) cost at least this much
+// (null = never); areas: where customers can pick (null = no address needed); areaFees: fees
+// that differ by area
+
+const DELIVERY_CONFIG_URL = 'delivery.json';
+
+// Methods by id - empty in the browser until delivery.json is read
+const DELIVERY_METHODS = {};
+
+// Use the methods of a delivery config ({ methods: { id: method } })
+function setDeliveryMethods(config) {
+    Object.keys(DELIVERY_METHODS).forEach(id => delete DELIVERY_METHODS[id]);
+    Object.assign(DELIVERY_METHODS, (config && config.methods) || {});
+}
+
+// Read delivery.json from the site. Resolves to false when it could not be read.
+async function loadDeliveryMethods() {
+    try {
+        const response = await fetch(DELIVERY_CONFIG_URL);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        setDeliveryMethods(await response.json());
+        return true;
+    } catch (error) {
+        console.warn('Delivery methods unavailable:', error.message);
+        return false;
+    }
+}
+
+// Check the delivery a customer chose
+// Returns { delivery: { method, area } } or { errors } mapping deliveryMethod / deliveryArea
+// to "required" or "invalid"
+function checkDelivery(methodId, area) {
+    const method = DELIVERY_METHODS.hasOwnProperty(methodId) ? DELIVERY_METHODS[methodId] : null;
+    if (!methodId || !method) {
+        return { errors: { deliveryMethod: methodId ? 'invalid' : 'required' } };
+    }
+
+    if (!method.areas) {
+        return { delivery: { method: methodId, area: '' } };
+    }
+    if (!area) {
+        return { errors: { deliveryArea: 'required' } };
+    }
+    if (!method.areas.some(option => option.name === area)) {
+        return { errors: { deliveryArea: 'invalid' } };
+    }
+    return { delivery: { method: methodId, area: area } };
+}
+
+// Does this delivery method need a street address?
+function needsAddress(methodId) {
+    const method = DELIVERY_METHODS[methodId];
+    return !method || Boolean(method.areas);
+}
+
+// Delivery fee for an order whose goods cost goodsTotal (after discounts)
+// freeDelivery is set when a promotion gives free delivery
+function getDeliveryFee(delivery, goodsTotal, freeDelivery = false) {
+    const method = DELIVERY_METHODS[delivery.method];
+    if (!method || freeDelivery) {
+        return 0;
+    }
+    if (method.freeFrom !== null && goodsTotal >= method.freeFrom) {
+        return 0;
+    }
+    return method.areaFees.hasOwnProperty(delivery.area) ? method.areaFees[delivery.area] : method.fee;
+}
+
+// Export for the Netlify functions (Node); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    setDeliveryMethods(require('../delivery.json'));
+
+    module.exports = {
+        DELIVERY_METHODS,
+        setDeliveryMethods,
+        checkDelivery,
+        needsAddress,
+        getDeliveryFee
+    };
+}
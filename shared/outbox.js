@@ -0,0 +1,195 @@
+// Order outbox: orders placed while offline wait in IndexedDB until they can be sent
+// Loaded as a plain <script> by the page and with importScripts() by the service worker (sw.js),
+// so either one can replay the queue. Entries are claimed before sending, so the two never
+// send the same order twice. The entry id goes with every send as the Idempotency-Key header:
+// when a send reached send-order but its answer was lost, the replay gets the order already
+// taken instead of placing it again.
+
+const OUTBOX_DB_NAME = 'prsport';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_ENDPOINT = '/.netlify/functions/send-order';
+const OUTBOX_SYNC_TAG = 'send-orders';
+const OUTBOX_SENDING_TIMEOUT = 2 * 60 * 1000; // a send that never finished is retried after 2 minutes
+const OUTBOX_KEEP_DONE = 7 * 24 * 60 * 60 * 1000; // sent / failed entries are kept for a week
+
+// Turn an IndexedDB request into a promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Open (and create on first use) the outbox database
+function openOutbox() {
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+            db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+        }
+    };
+    return idbRequest(request);
+}
+
+// Run a function against the outbox store inside one transaction
+async function withOutboxStore(mode, callback) {
+    const db = await openOutbox();
+    try {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        const result = await callback(transaction.objectStore(OUTBOX_STORE));
+        await done;
+        return result;
+    } finally {
+        db.close();
+    }
+}
+
+// A new outbox entry id, also used as the order's idempotency key
+function createOutboxId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Save an order payload for sending later, under the id it was already sent with (if any)
+async function queueOrder(order, id = createOutboxId()) {
+    const entry = {
+        id: id,
+        order: order,
+        status: 'pending',
+        attempts: 0,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        error: null
+    };
+
+    await withOutboxStore('readwrite', store => idbRequest(store.put(entry)));
+    return entry;
+}
+
+// All outbox entries, newest first
+async function getOutboxEntries() {
+    const entries = await withOutboxStore('readonly', store => idbRequest(store.getAll()));
+    return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Change fields on an entry
+function updateOutboxEntry(id, changes) {
+    return withOutboxStore('readwrite', async store => {
+        const entry = await idbRequest(store.get(id));
+        if (!entry) return null;
+
+        Object.assign(entry, changes, { updatedAt: Date.now() });
+        await idbRequest(store.put(entry));
+        return entry;
+    });
+}
+
+// Remove an entry (e.g. the customer dismissed it)
+function removeOutboxEntry(id) {
+    return withOutboxStore('readwrite', store => idbRequest(store.delete(id)));
+}
+
+// Mark a pending entry as being sent. Returns null if someone else already has it.
+function claimOutboxEntry(id) {
+    return withOutboxStore('readwrite', async store => {
+        const entry = await idbRequest(store.get(id));
+        if (!entry) return null;
+
+        const sendingTooLong = entry.status === 'sending' && Date.now() - entry.updatedAt > OUTBOX_SENDING_TIMEOUT;
+        if (entry.status !== 'pending' && !sendingTooLong) return null;
+
+        entry.status = 'sending';
+        entry.updatedAt = Date.now();
+        await idbRequest(store.put(entry));
+        return entry;
+    });
+}
+
+// Send one claimed entry to send-order
+async function sendOutboxEntry(entry) {
+    let response;
+    try {
+        response = await fetch(OUTBOX_ENDPOINT, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': entry.id
+            },
+            body: JSON.stringify(entry.order)
+        });
+    } catch (error) {
+        // Still offline - try again later
+        return updateOutboxEntry(entry.id, {
+            status: 'pending',
+            attempts: entry.attempts + 1,
+            error: error.message
+        });
+    }
+
+    const result = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+        return updateOutboxEntry(entry.id, {
+            status: 'sent',
+            attempts: entry.attempts + 1,
+            sentAt: Date.now(),
+            result: result,
+            error: null
+        });
+    }
+
+    // The order itself was rejected (validation, stock) - retrying won't help
+    if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+        return updateOutboxEntry(entry.id, {
+            status: 'failed',
+            attempts: entry.attempts + 1,
+            error: result.error || result.details || `HTTP ${response.status}`
+        });
+    }
+
+    // Server trouble - keep it queued
+    return updateOutboxEntry(entry.id, {
+        status: 'pending',
+        attempts: entry.attempts + 1,
+        error: result.error || `HTTP ${response.status}`
+    });
+}
+
+// Send every pending order. Returns { sent, failed } lists of entries.
+async function replayOutbox() {
+    const sent = [];
+    const failed = [];
+
+    await pruneOutbox();
+    const entries = await getOutboxEntries();
+
+    // Oldest first, so orders arrive in the order they were placed
+    for (const { id } of entries.reverse()) {
+        const claimed = await claimOutboxEntry(id);
+        if (!claimed) continue;
+
+        const updated = await sendOutboxEntry(claimed);
+        if (updated && updated.status === 'sent') sent.push(updated);
+        if (updated && updated.status === 'failed') failed.push(updated);
+    }
+
+    return { sent: sent, failed: failed };
+}
+
+// Forget sent and failed orders after a while
+async function pruneOutbox() {
+    const entries = await getOutboxEntries();
+    const expired = entries.filter(entry =>
+        (entry.status === 'sent' || entry.status === 'failed') &&
+        Date.now() - entry.updatedAt > OUTBOX_KEEP_DONE);
+
+    for (const entry of expired) {
+        await removeOutboxEntry(entry.id);
+    }
+}
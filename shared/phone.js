@@ -0,0 +1,64 @@
+// Cambodian phone numbers, and Telegram contacts
+// Loaded as a plain <script> by the storefront and with require() by send-order and notify-me,
+// so the forms and the server accept exactly the same numbers.
+//
+// Customers write them many ways - "012 345 678", "012-345-678", "+855 12 345 678",
+// "855 12 345 678", "+855 (0)12 345 678", "00855 12 345 678" - and all of them
+// normalize to "+85512345678".
+
+const CAMBODIA_COUNTRY_CODE = '855';
+
+// Normalize a Cambodian number to +855 format, or return null when it isn't one
+function normalizeCambodianPhone(input) {
+    const text = String(input || '').trim();
+    if (!/^\+?[\d\s().-]+$/.test(text)) {
+        return null;
+    }
+
+    let digits = text.replace(/\D/g, '');
+
+    // Any other country code
+    if (text.startsWith('+') && !digits.startsWith(CAMBODIA_COUNTRY_CODE)) {
+        return null;
+    }
+
+    // Drop the country code ("+855", "855" or "00855")
+    if (digits.startsWith(`00${CAMBODIA_COUNTRY_CODE}`)) {
+        digits = digits.slice(5);
+    } else if (digits.startsWith(CAMBODIA_COUNTRY_CODE) && (text.startsWith('+') || digits.length >= 11)) {
+        digits = digits.slice(3);
+    }
+
+    // Drop the leading 0 of the local format, including "+855 (0)12 ..."
+    if (digits.startsWith('0')) {
+        digits = digits.slice(1);
+    }
+
+    // Operator or area code plus a 6 or 7 digit number
+    if (!/^[1-9]\d{7,8}$/.test(digits)) {
+        return null;
+    }
+
+    return `+${CAMBODIA_COUNTRY_CODE}${digits}`;
+}
+
+// Normalize what a customer gave as their Telegram: a Cambodian phone number (+855 format)
+// or a @username (5-32 letters, digits and underscores; a t.me/ link works too), or return
+// null when it is neither
+function normalizeTelegramContact(input) {
+    const text = String(input || '').trim();
+    const username = text.replace(/^(https?:\/\/)?(t\.me\/|@)/i, '');
+
+    if (text !== username && /^[A-Za-z][A-Za-z0-9_]{4,31}$/.test(username)) {
+        return `@${username}`;
+    }
+    return normalizeCambodianPhone(text);
+}
+
+// Export for the Netlify functions (Node); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeCambodianPhone,
+        normalizeTelegramContact
+    };
+}
@@ -0,0 +1,322 @@
+// Promotions: product discounts, sale windows and checkout promo codes
+// Loaded as a plain <script> by the storefront and with require() by the Netlify functions,
+// so the price a customer is shown is exactly the price send-order charges.
+//
+// A promotion is an object (from promotions.json or a row of the promotions sheet tab):
+//   id            unique name, e.g. "june-jerseys"
+//   type          "product" - lowers product prices in the catalog
+//                 "cart"    - applies at checkout, automatically or with a code
+//   label         text shown to customers; label_km for Khmer
+//   percent       percentage off, e.g. 15
+//   amount        dollars off (per product for "product", per order for "cart")
+//   freeDelivery  "cart" only: the order is delivered for free
+//   categories    only these categories (comma separated in the sheet); empty = everything
+//   productIds    only these products; empty = everything
+//   code          "cart" only: the code customers type at checkout
+//   minQuantity   "cart" only: at least this many matching items in the cart
+//   minSubtotal   "cart" only: at least this many dollars of matching items
+//   deliveryMethods "cart" only: only with these delivery methods (see shared/delivery.js)
+//   starts, ends  first and last day (YYYY-MM-DD, shop time) or exact ISO times
+//
+// When several product promotions (or the sheet's Discount column) fit a product, the
+// customer gets the biggest saving - they don't stack. Cart promotions do stack.
+
+const PROMOTION_TIMEZONE = 'Asia/Phnom_Penh';
+const PROMOTION_TYPES = ['product', 'cart'];
+
+// The CSV parser is a global in the browser and a module in Node
+const promotionsCSV = typeof module !== 'undefined' && module.exports ? require('./csv') : { parseCSV: parseCSV };
+
+// Round to whole cents
+function roundPrice(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Read a discount cell: "20%" is a percentage, "4" or "$4" dollars. Returns null when empty or invalid.
+function parseDiscount(text) {
+    const value = String(text === undefined || text === null ? '' : text).trim();
+    const match = value.match(/^\$?\s*(\d+(?:\.\d+)?)\s*(%?)$/);
+    if (!match || parseFloat(match[1]) <= 0) {
+        return null;
+    }
+    return match[2] ? { percent: Math.min(parseFloat(match[1]), 100) } : { amount: parseFloat(match[1]) };
+}
+
+// Dollars saved on a price by { percent } or { amount }, never more than the price
+function getDiscountAmount(price, discount) {
+    const saving = discount.percent ? price * discount.percent / 100 : discount.amount || 0;
+    return roundPrice(Math.min(Math.max(saving, 0), price));
+}
+
+// A list from an array or a comma separated cell
+function parseList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+// A number, or null when empty
+function parseOptionalNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const number = parseFloat(value);
+    return isNaN(number) ? NaN : number;
+}
+
+// A yes/no cell: true, "true", "yes", "1", "x"
+function parseFlag(value) {
+    return value === true || /^(true|yes|y|1|x)$/i.test(String(value || '').trim());
+}
+
+// Check one promotion and bring it into a standard shape
+// Returns { promotion } or { error }
+function normalizePromotion(raw) {
+    const id = String(raw.id || '').trim();
+    if (!id) {
+        return { error: 'Promotion without an id' };
+    }
+
+    const type = String(raw.type || '').trim().toLowerCase();
+    if (!PROMOTION_TYPES.includes(type)) {
+        return { error: `${id}: type must be "product" or "cart"` };
+    }
+
+    const percent = parseOptionalNumber(raw.percent);
+    const amount = parseOptionalNumber(raw.amount);
+    const minQuantity = parseOptionalNumber(raw.minQuantity);
+    const minSubtotal = parseOptionalNumber(raw.minSubtotal);
+    const freeDelivery = parseFlag(raw.freeDelivery);
+
+    if (percent !== null && !(percent > 0 && percent <= 100)) {
+        return { error: `${id}: percent must be between 0 and 100` };
+    }
+    if (amount !== null && !(amount > 0)) {
+        return { error: `${id}: amount must be more than 0` };
+    }
+    if ([minQuantity, minSubtotal].some(value => value !== null && !(value >= 0))) {
+        return { error: `${id}: minQuantity and minSubtotal must be positive numbers` };
+    }
+    if (percent !== null && amount !== null) {
+        return { error: `${id}: use either percent or amount, not both` };
+    }
+    if (percent === null && amount === null && !freeDelivery) {
+        return { error: `${id}: needs a percent, an amount or freeDelivery` };
+    }
+
+    const code = String(raw.code || '').trim().toUpperCase();
+    const deliveryMethods = parseList(raw.deliveryMethods);
+    if (type === 'product' && (code || freeDelivery || minQuantity !== null || minSubtotal !== null || deliveryMethods.length > 0)) {
+        return { error: `${id}: code, freeDelivery, minQuantity, minSubtotal and deliveryMethods only work on "cart" promotions` };
+    }
+
+    const starts = String(raw.starts || '').trim();
+    const ends = String(raw.ends || '').trim();
+    if ([starts, ends].some(date => date && isNaN(Date.parse(date)))) {
+        return { error: `${id}: starts and ends must be dates like 2024-06-30` };
+    }
+
+    return {
+        promotion: {
+            id: id,
+            type: type,
+            label: String(raw.label || '').trim(),
+            label_km: String(raw.label_km || '').trim(),
+            percent: percent,
+            amount: amount,
+            freeDelivery: freeDelivery,
+            categories: parseList(raw.categories),
+            productIds: parseList(raw.productIds),
+            code: code,
+            minQuantity: minQuantity,
+            minSubtotal: minSubtotal,
+            deliveryMethods: deliveryMethods,
+            starts: starts,
+            ends: ends
+        }
+    };
+}
+
+// Check a list of promotions. Returns { promotions, errors } - bad entries are left out.
+function parsePromotions(list) {
+    const promotions = [];
+    const errors = [];
+
+    (Array.isArray(list) ? list : []).forEach((raw, index) => {
+        const { promotion, error } = normalizePromotion(raw || {});
+        if (error) {
+            errors.push({ row: index + 1, message: error });
+        } else if (promotions.some(existing => existing.id === promotion.id)) {
+            errors.push({ row: index + 1, message: `${promotion.id}: id is used twice` });
+        } else {
+            promotions.push(promotion);
+        }
+    });
+
+    return { promotions: promotions, errors: errors };
+}
+
+// Read the promotions sheet tab (one promotion per row, the field names as headers)
+function parsePromotionsCSV(csv) {
+    const { records, errors } = promotionsCSV.parseCSV(csv);
+    if (records.length < 2) {
+        return { promotions: [], errors: errors };
+    }
+
+    const headers = records[0].fields.map(header => header.trim());
+    const rows = records.slice(1)
+        .filter(record => record.fields.some(field => field.trim()))
+        .map(record => {
+            const raw = {};
+            headers.forEach((header, index) => {
+                raw[header] = (record.fields[index] || '').trim();
+            });
+            return raw;
+        });
+
+    const parsed = parsePromotions(rows);
+    return { promotions: parsed.promotions, errors: errors.concat(parsed.errors) };
+}
+
+// The shop-time day, as YYYY-MM-DD
+function getShopDate(now) {
+    return now.toLocaleDateString('en-CA', { timeZone: PROMOTION_TIMEZONE });
+}
+
+// Is "now" within a starts/ends window? Plain dates include the whole day in shop time.
+function isWithinWindow(starts, ends, now = new Date()) {
+    const today = getShopDate(now);
+    const isDay = date => /^\d{4}-\d{2}-\d{2}$/.test(date);
+
+    if (starts && (isDay(starts) ? today < starts : now.getTime() < Date.parse(starts))) {
+        return false;
+    }
+    if (ends && (isDay(ends) ? today > ends : now.getTime() > Date.parse(ends))) {
+        return false;
+    }
+    return true;
+}
+
+// Does a promotion cover this product?
+function promotionCovers(promotion, productId, category) {
+    if (promotion.productIds.length > 0 && !promotion.productIds.includes(productId)) {
+        return false;
+    }
+    if (promotion.categories.length > 0 && !promotion.categories.includes(category)) {
+        return false;
+    }
+    return true;
+}
+
+// What a customer is shown about a product's discount
+function describeDiscount(source, discount, ends) {
+    return {
+        id: source.id || '',
+        label: source.label || '',
+        label_km: source.label_km || '',
+        percent: discount.percent || null,
+        ends: ends || ''
+    };
+}
+
+// Work out each product's price today: the sheet's Discount column (within its sale
+// window) and every active product promotion are compared and the biggest saving wins.
+// Sets finalPrice, savings (dollars) and promotion (what to show, or null) on copies of the products.
+function applyPromotions(productList, promotions = [], now = new Date()) {
+    const active = promotions.filter(promotion => promotion.type === 'product' && isWithinWindow(promotion.starts, promotion.ends, now));
+
+    return productList.map(product => {
+        const price = parseFloat(product.price) || 0;
+        let best = { savings: 0, promotion: null };
+
+        const sheetDiscount = parseDiscount(product.discount);
+        if (sheetDiscount && isWithinWindow(product.saleStart, product.saleEnd, now)) {
+            best = {
+                savings: getDiscountAmount(price, sheetDiscount),
+                promotion: describeDiscount({ id: 'sheet' }, sheetDiscount, product.saleEnd)
+            };
+        }
+
+        active.forEach(promotion => {
+            if (!promotionCovers(promotion, product.id, product.category)) return;
+
+            const savings = getDiscountAmount(price, promotion);
+            if (savings > best.savings) {
+                best = { savings: savings, promotion: describeDiscount(promotion, promotion, promotion.ends) };
+            }
+        });
+
+        return {
+            ...product,
+            finalPrice: roundPrice(price - best.savings),
+            savings: best.savings,
+            promotion: best.savings > 0 ? best.promotion : null
+        };
+    });
+}
+
+// Price a cart with the cart promotions: the automatic ones plus the one matching `code`
+// lines: [{ productId, category, price, quantity }] with price already including product promotions
+// options: { code, deliveryMethod, now }
+// Returns { subtotal, discounts: [{ id, label, label_km, amount, freeDelivery }], discount, total,
+// freeDelivery, code } where code.status is "applied", "invalid" (no such code today) or
+// "not-eligible" (the cart doesn't meet its conditions), or code is null without a code.
+function evaluateCart(lines, promotions = [], options = {}) {
+    const now = options.now || new Date();
+    const code = String(options.code || '').trim().toUpperCase();
+    const subtotal = roundPrice(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+    const discounts = [];
+    let codeResult = code ? { status: 'invalid', promotion: null } : null;
+
+    promotions.forEach(promotion => {
+        if (promotion.type !== 'cart' || !isWithinWindow(promotion.starts, promotion.ends, now)) return;
+        if (promotion.code && promotion.code !== code) return;
+
+        const matching = lines.filter(line => promotionCovers(promotion, line.productId, line.category));
+        const quantity = matching.reduce((sum, line) => sum + line.quantity, 0);
+        const matchingTotal = roundPrice(matching.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+        const eligible = quantity > 0 &&
+            (promotion.minQuantity === null || quantity >= promotion.minQuantity) &&
+            (promotion.minSubtotal === null || matchingTotal >= promotion.minSubtotal) &&
+            (promotion.deliveryMethods.length === 0 || promotion.deliveryMethods.includes(options.deliveryMethod));
+
+        if (promotion.code) {
+            codeResult = { status: eligible ? 'applied' : 'not-eligible', promotion: promotion };
+        }
+        if (!eligible) return;
+
+        discounts.push({
+            id: promotion.id,
+            label: promotion.label,
+            label_km: promotion.label_km,
+            amount: promotion.percent || promotion.amount ? getDiscountAmount(matchingTotal, promotion) : 0,
+            freeDelivery: promotion.freeDelivery
+        });
+    });
+
+    const discount = roundPrice(Math.min(discounts.reduce((sum, item) => sum + item.amount, 0), subtotal));
+
+    return {
+        subtotal: subtotal,
+        discounts: discounts,
+        discount: discount,
+        total: roundPrice(subtotal - discount),
+        freeDelivery: discounts.some(item => item.freeDelivery),
+        code: codeResult
+    };
+}
+
+// Export for the Netlify functions (Node); in the browser these are globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        roundPrice,
+        parseDiscount,
+        getDiscountAmount,
+        parsePromotions,
+        parsePromotionsCSV,
+        isWithinWindow,
+        applyPromotions,
+        evaluateCart
+    };
+}
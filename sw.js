@@ -0,0 +1,166 @@
+// Service worker: keeps the storefront usable on flaky mobile data
+// - the page itself (index.html, styles.css, js/*, shared/*, delivery.json, currency.json) is precached
+// - product images are cached as they are viewed
+// - orders queued offline (shared/outbox.js) are sent by Background Sync where supported
+importScripts('shared/outbox.js');
+
+const CACHE_VERSION = 'v20'; // bump to drop everything cached by an older worker
+const STATIC_CACHE = `prsport-static-${CACHE_VERSION}`;
+const IMAGE_CACHE = `prsport-images-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 80;
+
+// Paths whose page is the storefront, kept as the page to show offline
+// (not admin.html, the pre-rendered /product/<id> pages or error pages)
+const SHELL_PATHS = ['/', '/index.html'];
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'js/app.js',
+    'js/store.js',
+    'js/catalog.js',
+    'js/pricing.js',
+    'js/views.js',
+    'js/order-client.js',
+    'js/router.js',
+    'js/analytics.js',
+    'js/shared.js',
+    'i18n.js',
+    'render.js',
+    'shared/csv.js',
+    'shared/promotions.js',
+    'shared/catalog-validation.js',
+    'shared/catalog.js',
+    'shared/delivery.js',
+    'delivery.json',
+    'currency.json',
+    'shared/outbox.js',
+    'shared/phone.js'
+];
+
+self.addEventListener('install', function(event) {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', function(event) {
+    // Remove caches from older versions of this worker
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('prsport-') && key !== STATIC_CACHE && key !== IMAGE_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', function(event) {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    // Functions are always live - the page has its own fallbacks for them
+    if (sameOrigin && url.pathname.startsWith('/.netlify/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(cacheFirstImage(request));
+    } else if (sameOrigin) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+// Background Sync: send queued orders once the connection is back
+self.addEventListener('sync', function(event) {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(replayOutbox().then(notifyOutboxChanged));
+    }
+});
+
+// Pages: try the network, fall back to the cached storefront when offline
+async function networkFirstPage(request) {
+    const url = new URL(request.url);
+    try {
+        const response = await fetch(request);
+        if (response.ok && SHELL_PATHS.includes(url.pathname)) {
+            const cache = await caches.open(STATIC_CACHE);
+            cache.put('index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        // index.html links its styles and scripts relative to /, so deeper pages go there first
+        if (url.pathname.lastIndexOf('/') > 0) {
+            return Response.redirect(new URL(getOfflineRoute(url.pathname), url).href, 302);
+        }
+        const cached = await caches.match('index.html');
+        return cached || Response.error();
+    }
+}
+
+// The storefront route to show offline for a page below / - a shared /product/<id> link opens
+// the product in the storefront
+function getOfflineRoute(pathname) {
+    const product = pathname.match(/^\/product\/([^/]+)\/?$/);
+    return product ? `/#/product/${product[1]}` : '/';
+}
+
+// Own files: answer from the cache right away and refresh it in the background
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(STATIC_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || refresh;
+}
+
+// Product images: served from the cache once seen
+// Cross-origin images come back opaque (status 0), which is fine to cache for <img>.
+async function cacheFirstImage(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            trimCache(cache, MAX_CACHED_IMAGES);
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+// Keep a cache from growing without limit (oldest entries go first)
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    for (let i = 0; i < keys.length - maxEntries; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+// Tell open pages to refresh their order status list
+async function notifyOutboxChanged(result) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({
+        type: 'outbox-updated',
+        sent: result.sent.length,
+        failed: result.failed.length
+    }));
+}
@@ -0,0 +1,117 @@
+// Accessibility of the storefront: axe-core on the rendered pages, the size radio group and the checkout dialog
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPage, loadModule, installFetch, waitFor, sampleCatalog } = require('./helpers');
+
+let page;
+let axe;
+
+before(async () => {
+    page = setupPage();
+    // axe-core finds window and document when it is loaded, so load it once they are set
+    axe = require('axe-core');
+    installFetch({ '/.netlify/functions/catalog': { json: sampleCatalog() } });
+    await loadModule('app.js');
+    page.document.dispatchEvent(new page.window.Event('DOMContentLoaded'));
+    await waitFor(() => page.document.querySelectorAll('.product-card').length === 3);
+});
+
+const $ = selector => page.document.querySelector(selector);
+
+// Run axe on the page (or part of it) and list what it finds
+// jsdom lays nothing out, so axe cannot check color contrast here.
+async function findViolations(context = page.document) {
+    const result = await axe.run(context, { rules: { 'color-contrast': { enabled: false } } });
+    return result.violations.map(violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+// Click an element, as the customer would
+function click(element) {
+    element.dispatchEvent(new page.window.MouseEvent('click', { bubbles: true }));
+}
+
+// Press a key on the focused element
+function press(key, options = {}) {
+    page.document.activeElement.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true, ...options }));
+}
+
+test('the catalog passes axe, with photos described from the sheet', async () => {
+    assert.deepEqual(await findViolations(), []);
+
+    assert.equal($('.product-card[data-product-id="barcelona-home"] .product-image').alt, 'Blue and red striped shirt, front');
+    assert.equal($('.product-card[data-product-id="speed-cleats"] .product-image').alt, 'Speed Cleats');
+});
+
+test('sizes are a radio group, with sold-out sizes disabled', () => {
+    const card = $('.product-card[data-product-id="barcelona-home"]');
+    const radios = [...card.querySelectorAll('.size-selector input[type="radio"]')];
+
+    assert.match(card.querySelector('.size-selector legend').textContent, /Sizes/);
+    assert.deepEqual(radios.map(radio => [radio.value, radio.disabled]), [['S', false], ['M', true], ['L', false]]);
+    assert.equal(new Set(radios.map(radio => radio.name)).size, 1);
+
+    // Arrow keys check the next radio and fire change, as this does
+    radios[2].checked = true;
+    radios[2].dispatchEvent(new page.window.Event('change', { bubbles: true }));
+
+    assert.equal(card.querySelector('.size-option.selected').dataset.size, 'L');
+    assert.equal(card.querySelector('.order-btn').disabled, false);
+});
+
+test('the product page passes axe', async () => {
+    page.window.location.hash = '#/product/barcelona-home';
+    await waitFor(() => $('#productDetailContent .product-detail'));
+
+    assert.notEqual($('#productDetailContent .size-radio').name, $('.product-card[data-product-id="barcelona-home"] .size-radio').name);
+    assert.deepEqual(await findViolations(), []);
+
+    page.window.location.hash = '#/';
+    await waitFor(() => !$('#products').hidden);
+});
+
+test('stock problems are shown in the cart, not in an alert', () => {
+    const card = $('.product-card[data-product-id="real-madrid-away"]');
+    click(card.querySelector('.size-option[data-size="M"]'));
+    for (let i = 0; i < 5; i++) {
+        click(card.querySelector('.order-btn'));
+    }
+
+    assert.equal($('#cartCount').textContent, '4');
+    assert.equal($('#cartMessage').getAttribute('role'), 'status');
+    assert.match($('#cartMessage').textContent, /only 4 left in size M/);
+    assert.deepEqual(page.alerts, []);
+});
+
+test('the checkout is a dialog that keeps focus until it is closed', async () => {
+    const modal = $('#orderModal');
+    $('#checkoutBtn').focus();
+    click($('#checkoutBtn'));
+
+    assert.equal(modal.style.display, 'flex');
+    assert.equal(modal.getAttribute('role'), 'dialog');
+    assert.equal(modal.getAttribute('aria-modal'), 'true');
+    assert.equal(page.document.getElementById(modal.getAttribute('aria-labelledby')).textContent, 'Checkout');
+    assert.equal(page.document.activeElement.id, 'customerName');
+    assert.deepEqual(await findViolations(modal), []);
+
+    // Tab from the last button goes back to the first field, Shift+Tab the other way
+    $('#orderForm .btn-primary').focus();
+    press('Tab');
+    assert.equal(page.document.activeElement.id, 'customerName');
+    press('Tab', { shiftKey: true });
+    assert.equal(page.document.activeElement, $('#orderForm .btn-primary'));
+
+    press('Escape');
+    assert.equal(modal.style.display, 'none');
+    assert.equal(page.document.activeElement.id, 'cartToggle');
+});
+
+test('field errors are announced as they appear', () => {
+    click($('#checkoutBtn'));
+    $('#orderForm').dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+
+    assert.equal($('#orderFormError').getAttribute('role'), 'alert');
+    assert.equal($('#customerNameError').getAttribute('aria-live'), 'polite');
+    assert.equal($('#customerName').getAttribute('aria-invalid'), 'true');
+    assert.equal(page.document.activeElement.id, 'customerName');
+});
@@ -0,0 +1,204 @@
+// The admin functions: sign-in and session tokens (netlify/lib/admin-auth.js, admin-login),
+// order updates (admin-orders) and the CSV export (admin-export)
+// Orders are kept in memory; the catalog comes from the saved sheet export.
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+Object.assign(process.env, {
+    ADMIN_PASSWORD: 'correct horse',
+    ORDER_STORE: 'memory',
+    SHEET_CSV_URL: path.join(__dirname, 'fixtures', 'sheet.csv'),
+    PROMOTIONS_CSV_URL: path.join(__dirname, 'fixtures', 'promotions.csv')
+});
+delete process.env.ADMIN_SESSION_HOURS;
+
+const adminAuth = require('../netlify/lib/admin-auth');
+const { ordersToCSV } = require('../netlify/lib/admin-orders');
+const { getOrderStore } = require('../netlify/lib/order-store');
+const adminLogin = require('../netlify/functions/admin-login').handler;
+const adminOrders = require('../netlify/functions/admin-orders').handler;
+const adminExport = require('../netlify/functions/admin-export').handler;
+
+let token;
+
+before(async () => {
+    const response = await adminLogin({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ password: 'correct horse' }) });
+    token = JSON.parse(response.body).token;
+});
+
+beforeEach(async () => {
+    const store = getOrderStore();
+    for (const order of await store.listOrders()) {
+        await store.deleteOrder(order.id);
+    }
+    await store.createOrder(savedOrder());
+});
+
+// An order as send-order saves it
+function savedOrder(changes = {}) {
+    return {
+        id: 'PR-7K3M9Q',
+        createdAt: '2025-03-14T10:00:00.000Z',
+        status: 'received',
+        statusHistory: [{ status: 'received', at: '2025-03-14T10:00:00.000Z' }],
+        name: 'Sokha',
+        phone: '+85512345678',
+        address: 'Street 271',
+        notes: '',
+        items: [{ productId: 'ball', product: 'Match Ball', size: 'One Size', color: '', personalization: {}, price: 15, quantity: 2 }],
+        subtotal: 30,
+        discounts: [],
+        promoCode: '',
+        delivery: { method: 'phnom-penh', area: 'Tuol Kouk', fee: 0 },
+        total: 30,
+        ...changes
+    };
+}
+
+// Call an admin function as the signed-in admin page does
+async function call(handler, httpMethod, { body, query, auth = `Bearer ${token}` } = {}) {
+    const response = await handler({
+        httpMethod: httpMethod,
+        headers: auth ? { authorization: auth } : {},
+        queryStringParameters: query || {},
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const json = /json/.test(response.headers['Content-Type']) ? JSON.parse(response.body) : null;
+    return { ...response, json: json };
+}
+
+test('session tokens are signed with the password and expire', () => {
+    const now = Date.parse('2025-03-14T10:00:00Z');
+    const session = adminAuth.createSessionToken(now);
+
+    assert.equal(session.expiresAt, now + 12 * 60 * 60 * 1000);
+    assert.equal(adminAuth.verifySessionToken(session.token, now + 60 * 1000), true);
+    assert.equal(adminAuth.verifySessionToken(session.token, session.expiresAt), false);
+
+    // A later expiry with the old signature, or a token from another password, is refused
+    const [expiresAt, signature] = session.token.split('.');
+    assert.equal(adminAuth.verifySessionToken(`${Number(expiresAt) + 1000}.${signature}`, now), false);
+    assert.equal(adminAuth.verifySessionToken('not a token', now), false);
+
+    process.env.ADMIN_PASSWORD = 'new password';
+    try {
+        assert.equal(adminAuth.verifySessionToken(session.token, now), false);
+    } finally {
+        process.env.ADMIN_PASSWORD = 'correct horse';
+    }
+
+    process.env.ADMIN_SESSION_HOURS = '0.5';
+    try {
+        assert.equal(adminAuth.createSessionToken(now).expiresAt, now + 30 * 60 * 1000);
+    } finally {
+        delete process.env.ADMIN_SESSION_HOURS;
+    }
+});
+
+test('only the right password signs in, and the admin functions need the token', async () => {
+    const wrong = await adminLogin({ httpMethod: 'POST', headers: {}, body: JSON.stringify({ password: 'Correct horse' }) });
+    assert.equal(wrong.statusCode, 401);
+    assert.equal(adminAuth.checkPassword(undefined), false);
+
+    assert.equal((await call(adminOrders, 'GET', { auth: '' })).statusCode, 401);
+    assert.equal((await call(adminOrders, 'GET', { auth: 'Bearer 1.abc' })).statusCode, 401);
+    assert.equal((await call(adminExport, 'GET', { auth: '' })).statusCode, 401);
+    assert.equal(adminAuth.requireAdmin({ headers: { Authorization: `bearer ${token}` } }), null);
+
+    const password = process.env.ADMIN_PASSWORD;
+    delete process.env.ADMIN_PASSWORD;
+    try {
+        assert.equal(adminAuth.requireAdmin({ headers: { authorization: `Bearer ${token}` } }).statusCode, 500);
+    } finally {
+        process.env.ADMIN_PASSWORD = password;
+    }
+});
+
+test('staff change the status and payment status and add notes, each kept with its time', async () => {
+    const shipped = await call(adminOrders, 'PATCH', { body: { id: 'PR-7K3M9Q', status: 'shipped', note: ' Sent with Grab ' } });
+
+    assert.equal(shipped.statusCode, 200);
+    assert.equal(shipped.json.order.status, 'shipped');
+    assert.deepEqual(shipped.json.order.statusHistory.map(entry => entry.status), ['received', 'shipped']);
+    assert.deepEqual(shipped.json.order.staffNotes.map(note => note.text), ['Sent with Grab']);
+
+    const paid = await call(adminOrders, 'PATCH', { body: { id: 'PR-7K3M9Q', paymentStatus: 'paid' } });
+    assert.equal(paid.json.order.payment.status, 'paid');
+    assert.equal(paid.json.order.payment.confirmedBy, 'staff');
+
+    // The same status again changes nothing
+    const again = await call(adminOrders, 'PATCH', { body: { id: 'PR-7K3M9Q', status: 'shipped' } });
+    assert.equal(again.json.order.statusHistory.length, 2);
+
+    const saved = await getOrderStore().getOrder('PR-7K3M9Q');
+    assert.equal(saved.status, 'shipped');
+    assert.equal(saved.payment.status, 'paid');
+});
+
+test('order updates that make no sense are refused', async () => {
+    const patch = async body => (await call(adminOrders, 'PATCH', { body: body })).statusCode;
+
+    assert.equal(await patch({ id: 'PR-7K3M9Q', status: 'lost' }), 400);
+    assert.equal(await patch({ id: 'PR-7K3M9Q', paymentStatus: 'maybe' }), 400);
+    assert.equal(await patch({ id: 'PR-7K3M9Q', note: '   ' }), 400);
+    assert.equal(await patch({ id: 'PR-7K3M9Q', note: 'x'.repeat(1001) }), 400);
+    assert.equal(await patch({ status: 'shipped' }), 400);
+    assert.equal(await patch({ id: 'PR-NOPE99', status: 'shipped' }), 404);
+    assert.equal((await call(adminOrders, 'DELETE')).statusCode, 405);
+    assert.equal((await getOrderStore().getOrder('PR-7K3M9Q')).status, 'received');
+});
+
+test('the order list has the current stock of every line', async () => {
+    await getOrderStore().updateOrder('PR-7K3M9Q', {
+        items: [
+            savedOrder().items[0],
+            { productId: 'home-jersey', product: 'Home Jersey', size: 'S', color: 'Home', personalization: {}, price: 24, quantity: 1 },
+            { productId: 'old-scarf', product: 'Old Scarf', size: 'One Size', color: '', personalization: {}, price: 5, quantity: 1 }
+        ]
+    });
+    const response = await call(adminOrders, 'GET', { query: { status: 'received' } });
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json.catalogAvailable, true);
+    assert.deepEqual(response.json.orders[0].items.map(item => [item.inCatalog, item.stock]), [[true, null], [true, 2], [false, null]]);
+    assert.equal((await call(adminOrders, 'GET', { query: { status: 'shipped' } })).json.orders.length, 0);
+    assert.equal((await call(adminOrders, 'GET', { query: { from: 'March' } })).statusCode, 400);
+});
+
+test('the export has one row per line, phone numbers as they are and formulas defused', async () => {
+    await getOrderStore().createOrder(savedOrder({
+        id: 'PR-ABCDEF',
+        createdAt: '2025-03-15T10:00:00.000Z',
+        status: 'shipped',
+        name: '=HYPERLINK("https://evil.example","Sokha")',
+        notes: '@SUM(1+1)',
+        phone: '+85598765432',
+        items: [
+            { productId: 'ball', product: 'Match Ball', size: 'One Size', personalization: {}, price: 15, quantity: 1 },
+            { productId: 'home-jersey', product: 'Home Jersey', size: 'S', color: 'Away', personalization: { name: 'SOK', number: '7' }, price: 29, quantity: 1 }
+        ],
+        discounts: [{ id: 'jersey3', amount: 2 }],
+        staffNotes: [{ text: '-2 on the bill', at: '2025-03-15T11:00:00.000Z' }, { text: 'Call first', at: '2025-03-15T12:00:00.000Z' }]
+    }));
+
+    const response = await call(adminExport, 'GET', { query: { from: '2025-03-15' } });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.equal(response.headers['Content-Disposition'], 'attachment; filename="prsport-orders-2025-03-15.csv"');
+    assert.ok(response.body.startsWith('\uFEFFOrder,Date,Status,Customer,Phone,'));
+
+    const rows = response.body.slice(1).trim().split('\r\n');
+    assert.equal(rows.length, 3);
+    assert.ok(rows[1].startsWith('PR-ABCDEF,2025-03-15,shipped,"\'=HYPERLINK(""https://evil.example"",""Sokha"")",+85598765432,Street 271,\'@SUM(1+1),ball,'));
+    assert.ok(rows[2].includes(',home-jersey,Home Jersey,S,Away,"name: SOK, number: 7",1,29.00,29.00,,2.00,'));
+    assert.ok(rows[2].endsWith(',cash,unpaid,\'-2 on the bill | Call first'));
+});
+
+test('numbers are left alone in the CSV, and only text that starts like a formula is defused', () => {
+    const csv = ordersToCSV([savedOrder({ name: '-Sokha', notes: '+1 for the bag' })]);
+    const [, row] = csv.trim().split('\r\n');
+
+    assert.ok(row.includes(',\'-Sokha,+85512345678,Street 271,\'+1 for the bag,'));
+    assert.ok(row.endsWith(',15.00,30.00,,0.00,phnom-penh - Tuol Kouk,0.00,30.00,cash,unpaid,'));
+});
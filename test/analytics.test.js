@@ -0,0 +1,144 @@
+// Storefront analytics: the events js/analytics.js batches, and the daily counts netlify/lib/analytics.js keeps
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPage, loadModule, installFetch, sampleCatalog } = require('./helpers');
+const analyticsStore = require('../netlify/lib/analytics');
+
+let page;
+let analytics;
+let beacons;
+
+before(async () => {
+    page = setupPage();
+    beacons = [];
+    navigator.sendBeacon = (url, body) => {
+        beacons.push({ url: url, events: JSON.parse(body).events });
+        return true;
+    };
+    analytics = await loadModule('analytics.js');
+    analytics.startAnalytics();
+});
+
+// Hide the page, as switching tabs or closing it does
+function hidePage() {
+    Object.defineProperty(page.document, 'visibilityState', { configurable: true, value: 'hidden' });
+    page.document.dispatchEvent(new page.window.Event('visibilitychange'));
+}
+
+test('events wait until the page is hidden, then go out in one beacon', () => {
+    const [jersey] = sampleCatalog().products;
+    analytics.trackImpressions(sampleCatalog().products);
+    analytics.trackImpressions([jersey]);
+    analytics.trackEvent('size_select', { ...analytics.productDetails(jersey), size: 'S' });
+    assert.equal(beacons.length, 0);
+
+    hidePage();
+
+    assert.equal(beacons.length, 1);
+    assert.equal(beacons[0].url, '/.netlify/functions/analytics');
+    assert.deepEqual(beacons[0].events.map(event => event.name), [
+        'product_impression',
+        'product_impression',
+        'product_impression',
+        'size_select'
+    ]);
+    assert.deepEqual(beacons[0].events[3], { name: 'size_select', productId: 'barcelona-home', category: 'Jerseys', size: 'S' });
+
+    hidePage();
+    assert.equal(beacons.length, 1);
+});
+
+test('a full batch is sent right away', () => {
+    for (let i = 0; i < 20; i++) {
+        analytics.trackEvent('category_filter', { category: 'Cleats' });
+    }
+
+    assert.equal(beacons.length, 2);
+    assert.equal(beacons[1].events.length, 20);
+});
+
+test('events go through fetch when sendBeacon refuses them', () => {
+    navigator.sendBeacon = () => false;
+    const fetch = installFetch({});
+
+    analytics.trackEvent('add_to_cart', { productId: 'speed-cleats', category: 'Cleats' });
+    page.window.dispatchEvent(new page.window.Event('pagehide'));
+
+    assert.equal(fetch.calls.length, 1);
+    assert.deepEqual(fetch.calls[0].body, { events: [{ name: 'add_to_cart', productId: 'speed-cleats', category: 'Cleats' }] });
+});
+
+test('only known events are counted, without anything else they carry', () => {
+    const events = analyticsStore.normalizeEvents({
+        events: [
+            { name: 'size_select', productId: 'barcelona-home', category: 'Jerseys', size: 'M', phone: '012345678' },
+            { name: 'checkout_typed', productId: 'barcelona-home' },
+            { name: 'order_submitted', items: [{ productId: 'barcelona-home', category: 'Jerseys', name: 'Sokha' }] }
+        ]
+    });
+
+    assert.deepEqual(events, [
+        { name: 'size_select', items: [{ productId: 'barcelona-home', category: 'Jerseys' }], category: '', size: 'M' },
+        { name: 'order_submitted', items: [{ productId: 'barcelona-home', category: 'Jerseys' }], category: '', size: '' }
+    ]);
+    assert.equal(analyticsStore.normalizeEvents({ events: 'all' }), null);
+});
+
+test('the report shows the funnel per product and per category over the days asked for', async () => {
+    const store = analyticsStore.createMemoryStore();
+    const jersey = { productId: 'barcelona-home', category: 'Jerseys' };
+    const cleats = { productId: 'speed-cleats', category: 'Cleats' };
+    const record = (day, events) => store.record(analyticsStore.normalizeEvents({ events: events }), day);
+
+    await record('2025-03-14', [{ name: 'product_impression', ...jersey }]);
+    await record('2025-03-15', [
+        { name: 'product_impression', ...jersey },
+        { name: 'product_impression', ...cleats },
+        { name: 'size_select', ...jersey, size: 'L' },
+        { name: 'category_filter', category: 'Jerseys' },
+        { name: 'order_modal_open', items: [jersey, jersey, cleats] },
+        { name: 'order_submitted', items: [jersey, cleats] }
+    ]);
+
+    const report = analyticsStore.buildReport(await store.read(), { from: '2025-03-15', to: '' });
+
+    assert.equal(report.days, 1);
+    assert.equal(report.totals.order_modal_open, 1);
+    assert.deepEqual(report.products.find(row => row.productId === 'barcelona-home'), {
+        productId: 'barcelona-home',
+        counts: { product_impression: 1, size_select: 1, order_modal_open: 1, order_submitted: 1 },
+        sizes: { L: 1 },
+        conversion: 1
+    });
+    assert.deepEqual(report.categories.find(row => row.category === 'Jerseys').counts, {
+        product_impression: 1,
+        size_select: 1,
+        category_filter: 1,
+        order_modal_open: 1,
+        order_submitted: 1
+    });
+    assert.equal(analyticsStore.buildReport(await store.read()).products[0].counts.product_impression, 2);
+});
+
+test('product ids, categories and sizes named like object internals are counted, or dropped, without touching Object.prototype', async () => {
+    const store = analyticsStore.createMemoryStore();
+    const events = analyticsStore.normalizeEvents({
+        events: [
+            { name: 'product_impression', productId: '__proto__', category: 'constructor' },
+            { name: 'category_filter', category: 'prototype' },
+            { name: 'size_select', productId: 'toString', category: 'hasOwnProperty', size: 'valueOf' }
+        ]
+    });
+
+    assert.deepEqual(events.map(event => event.items), [[], [], [{ productId: 'toString', category: 'hasOwnProperty' }]]);
+
+    await store.record(events, '2025-03-14');
+    const report = analyticsStore.buildReport(await store.read());
+
+    assert.equal({}.product_impression, undefined);
+    assert.equal({}.size_select, undefined);
+    assert.equal(typeof {}.toString, 'function');
+    assert.deepEqual(report.totals, { product_impression: 1, category_filter: 1, size_select: 1 });
+    assert.deepEqual(report.products, [{ productId: 'toString', counts: { size_select: 1 }, sizes: { valueOf: 1 }, conversion: null }]);
+    assert.deepEqual(report.categories.map(row => row.category), ['hasOwnProperty']);
+});
@@ -0,0 +1,100 @@
+// The Netlify Blobs documents behind the stores once deployed (netlify/lib/blob-store.js)
+// Blobs is replaced by a store in memory that answers like @netlify/blobs: an ETag per write,
+// and conditional writes that report modified: false when they lose.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBlobDocument } = require('../netlify/lib/blob-store');
+const { getDefaultBackend } = require('../netlify/lib/json-file-store');
+const orderStore = require('../netlify/lib/order-store');
+const analytics = require('../netlify/lib/analytics');
+const stockAlerts = require('../netlify/lib/stock-alerts');
+
+// A Blobs store in memory, slow enough for reads and writes of two instances to interleave
+function createFakeBlobs() {
+    const entries = new Map();
+    let version = 0;
+    const tick = () => new Promise(resolve => setImmediate(resolve));
+
+    return {
+        conflicts: 0,
+
+        async getWithMetadata(key) {
+            await tick();
+            const entry = entries.get(key);
+            return entry ? { data: JSON.parse(entry.body), etag: entry.etag, metadata: {} } : null;
+        },
+
+        async setJSON(key, data, { onlyIfNew, onlyIfMatch } = {}) {
+            await tick();
+            const entry = entries.get(key);
+            if ((onlyIfNew && entry) || (onlyIfMatch && (!entry || entry.etag !== onlyIfMatch))) {
+                this.conflicts++;
+                return { modified: false };
+            }
+            const etag = `"${++version}"`;
+            entries.set(key, { body: JSON.stringify(data), etag: etag });
+            return { modified: true, etag: etag };
+        }
+    };
+}
+
+test('two function instances writing at the same time lose none of each other\'s orders', async () => {
+    const blobs = createFakeBlobs();
+    const instances = [orderStore.createBlobStore(blobs), orderStore.createBlobStore(blobs)];
+    const order = id => ({ id: `PR-${id}`, createdAt: `2025-03-14T10:00:${String(id).padStart(2, '0')}Z`, status: 'received' });
+
+    await Promise.all(Array.from({ length: 10 }, (value, index) => instances[index % 2].createOrder(order(index))));
+    await Promise.all([
+        instances[0].updateOrder('PR-1', { status: 'shipped' }),
+        instances[1].updateOrder('PR-2', { status: 'confirmed' })
+    ]);
+
+    const orders = await instances[1].listOrders();
+    assert.ok(blobs.conflicts > 0);
+    assert.equal(orders.length, 10);
+    assert.equal(orders.find(saved => saved.id === 'PR-1').status, 'shipped');
+    assert.equal((await instances[0].getOrder('PR-2')).status, 'confirmed');
+    await assert.rejects(instances[0].createOrder(order(3)), /Order PR-3 already exists/);
+});
+
+test('counts and back-in-stock requests from two instances add up', async () => {
+    const blobs = createFakeBlobs();
+    const counts = [analytics.createBlobStore(blobs), analytics.createBlobStore(blobs)];
+    const events = analytics.normalizeEvents({ events: [{ name: 'add_to_cart', productId: 'ball', category: 'Balls' }] });
+    await Promise.all(Array.from({ length: 6 }, (value, index) => counts[index % 2].record(events, '2025-03-14')));
+    assert.equal((await counts[0].read()).days['2025-03-14'].totals.add_to_cart, 6);
+
+    const requests = [stockAlerts.createBlobStore(blobs), stockAlerts.createBlobStore(blobs)];
+    const request = stockAlerts.createStockAlert({ productId: 'ball', size: 'One Size', contact: '@sokha_88' });
+    const [first, second] = await Promise.all([requests[0].addRequest(request), requests[1].addRequest({ ...request, id: 'again' })]);
+    assert.equal(second.id, first.id);
+    assert.equal((await requests[1].listRequests()).length, 1);
+});
+
+test('a document that keeps changing under a write gives up instead of overwriting it', async () => {
+    const blobs = createFakeBlobs();
+    blobs.setJSON = async () => ({ modified: false });
+    const document = createBlobDocument('busy', { empty: () => ({ count: 0 }), blobs: blobs });
+
+    await assert.rejects(document.change(data => ({ data: { count: data.count + 1 } })), /Could not save "busy"/);
+    assert.deepEqual(await document.read(), { count: 0 });
+});
+
+test('the stores default to Netlify Blobs once deployed, and to a file locally', () => {
+    const saved = { NETLIFY: process.env.NETLIFY, NETLIFY_DEV: process.env.NETLIFY_DEV };
+    try {
+        process.env.NETLIFY = 'true';
+        delete process.env.NETLIFY_DEV;
+        assert.equal(getDefaultBackend(), 'blobs');
+        process.env.NETLIFY_DEV = 'true';
+        assert.equal(getDefaultBackend(), 'file');
+    } finally {
+        Object.keys(saved).forEach(name => {
+            if (saved[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = saved[name];
+            }
+        });
+    }
+});
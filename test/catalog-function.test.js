@@ -0,0 +1,120 @@
+// The catalog function (netlify/functions/catalog.js) and the server's copy of the sheet behind it
+// (netlify/lib/catalog.js): conditional requests, the sheet sources SHEET_CSV_URL accepts, and the
+// last good copy kept while the sheet can't be read. The sheet is a copy of test/fixtures/sheet.csv.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prsport-catalog-'));
+const SHEET_FILE = path.join(dir, 'sheet.csv');
+const FIXTURE = fs.readFileSync(path.join(__dirname, 'fixtures', 'sheet.csv'), 'utf8');
+
+Object.assign(process.env, {
+    SHEET_CSV_URL: SHEET_FILE,
+    PROMOTIONS_CSV_URL: path.join(__dirname, 'fixtures', 'promotions.csv')
+});
+
+const { getSheetUrl, loadCatalog } = require('../netlify/lib/catalog');
+const catalogFunction = require('../netlify/functions/catalog').handler;
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Ask the catalog function for the catalog, as the storefront or the CDN does
+function get(headers = {}) {
+    return catalogFunction({ httpMethod: 'GET', headers: headers });
+}
+
+// Runs first: until the sheet has been read once there is no copy to fall back on
+test('without the sheet or a copy of it, the catalog function answers 502', async () => {
+    const response = await get();
+
+    assert.equal(response.statusCode, 502);
+    assert.equal(JSON.parse(response.body).success, false);
+    assert.equal((await catalogFunction({ httpMethod: 'POST', headers: {} })).statusCode, 405);
+});
+
+test('the catalog comes from a file: URL, with its version in ETag and Last-Modified', async () => {
+    fs.writeFileSync(SHEET_FILE, FIXTURE);
+    process.env.SHEET_CSV_URL = pathToFileURL(SHEET_FILE).href;
+
+    const response = await get();
+    const body = JSON.parse(response.body);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(body.products.map(product => product.id), ['ball', 'home-jersey', 'sticker', 'training-top']);
+    assert.deepEqual(body.categories, ['Balls', 'Jerseys', 'Gifts']);
+    assert.deepEqual(body.promotions.map(promotion => promotion.id), ['gift-week', 'pp-free', 'jersey3']);
+    assert.equal(response.headers.ETag, `"${body.hash}"`);
+    assert.equal(response.headers['Last-Modified'], new Date(body.updatedAt).toUTCString());
+    assert.equal(response.headers['Cache-Control'], 'public, max-age=60, stale-while-revalidate=600');
+});
+
+test('a request with the current ETag gets 304, in any header case and as a weak tag', async () => {
+    const { headers } = await get();
+    const etag = headers.ETag;
+
+    for (const requestHeaders of [
+        { 'if-none-match': etag },
+        { 'If-None-Match': etag },
+        { 'if-none-match': `W/${etag}` },
+        { 'if-none-match': `"older", ${etag}` }
+    ]) {
+        const response = await get(requestHeaders);
+        assert.equal(response.statusCode, 304, JSON.stringify(requestHeaders));
+        assert.equal(response.body, '');
+        assert.equal(response.headers.ETag, etag);
+    }
+
+    assert.equal((await get({ 'if-none-match': '"older"' })).statusCode, 200);
+    // An ETag that doesn't match wins over a date that does
+    assert.equal((await get({ 'if-none-match': '"older"', 'if-modified-since': new Date().toUTCString() })).statusCode, 200);
+});
+
+test('a request with a date at or after Last-Modified gets 304', async () => {
+    const { headers } = await get();
+    const lastModified = Date.parse(headers['Last-Modified']);
+
+    assert.equal((await get({ 'if-modified-since': headers['Last-Modified'] })).statusCode, 304);
+    assert.equal((await get({ 'If-Modified-Since': new Date(lastModified + 60000).toUTCString() })).statusCode, 304);
+    assert.equal((await get({ 'if-modified-since': new Date(lastModified - 1000).toUTCString() })).statusCode, 200);
+    assert.equal((await get({ 'if-modified-since': 'yesterday' })).statusCode, 200);
+});
+
+test('the sheet can be a path relative to the working directory, and a change makes a new version', async () => {
+    const first = await loadCatalog(0);
+    const same = await loadCatalog(0);
+    assert.equal(same.hash, first.hash);
+    assert.equal(same.updatedAt, first.updatedAt);
+
+    fs.writeFileSync(SHEET_FILE, FIXTURE.replace('Match Ball,Balls,Size 5 match ball,15', 'Match Ball,Balls,Size 5 match ball,16'));
+    process.env.SHEET_CSV_URL = path.relative(process.cwd(), SHEET_FILE);
+    assert.equal(getSheetUrl(), path.relative(process.cwd(), SHEET_FILE));
+
+    const changed = await loadCatalog(0);
+    assert.notEqual(changed.hash, first.hash);
+    assert.equal(changed.products[0].price, '16');
+    assert.equal((await get({ 'if-none-match': `"${first.hash}"` })).statusCode, 200);
+});
+
+test('while the sheet can\'t be read, the last copy is served as it was', async () => {
+    const { headers } = await get();
+    const saved = await loadCatalog(0);
+
+    fs.rmSync(SHEET_FILE);
+    const snapshot = await loadCatalog(0);
+    assert.equal(snapshot, saved);
+    assert.equal(snapshot.products[0].price, '16');
+
+    const response = await get({ 'if-none-match': headers.ETag });
+    assert.equal(response.statusCode, 304);
+    assert.equal(response.headers['Last-Modified'], headers['Last-Modified']);
+
+    // A sheet without a usable row is an error, with the problems for the admin page
+    fs.writeFileSync(SHEET_FILE, 'id,name,price\nball,,15\n');
+    await assert.rejects(loadCatalog(0), error => /No products found/.test(error.message) && error.problems.length === 1);
+});
@@ -0,0 +1,205 @@
+// The product sheet check (shared/catalog-validation.js) through parseGoogleSheetsData, and the
+// admin-catalog function that shows its problems to staff. Anyone who edits the sheet can leave
+// out an id, mistype a price or a column name, so each of these must be reported by row and
+// never break the rest of the catalog.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prsport-sheet-'));
+const SHEET_FILE = path.join(dir, 'sheet.csv');
+
+Object.assign(process.env, {
+    ADMIN_PASSWORD: 'correct horse',
+    SHEET_CSV_URL: SHEET_FILE,
+    PROMOTIONS_CSV_URL: path.join(__dirname, 'fixtures', 'promotions.csv')
+});
+
+const { parseGoogleSheetsData, FALLBACK_IMAGE_URLS } = require('../shared/catalog');
+const {
+    checkColumns,
+    parsePrice,
+    checkDiscount,
+    makeProductId,
+    makeUniqueId
+} = require('../shared/catalog-validation');
+const { createSessionToken } = require('../netlify/lib/admin-auth');
+const adminCatalog = require('../netlify/functions/admin-catalog').handler;
+
+const HEADER = 'id,name,Category,description,price,Discount,sizes,imageUrls';
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Parse a sheet export with the usual columns
+function parseRows(rows, header = HEADER) {
+    return parseGoogleSheetsData([header, ...rows].join('\n'));
+}
+
+// Problems as [row, column, severity], in the order they are reported
+function problemsOf(errors) {
+    return errors.map(error => [error.row, error.column, error.severity]);
+}
+
+// Ask admin-catalog for the sheet check, as the admin page does
+async function checkSheet(csv) {
+    fs.writeFileSync(SHEET_FILE, csv);
+    const response = await adminCatalog({
+        httpMethod: 'GET',
+        headers: { authorization: `Bearer ${createSessionToken().token}` }
+    });
+    return { ...response, body: JSON.parse(response.body) };
+}
+
+test('rows without an id get one made from the name, and repeated ids are told apart', () => {
+    const { products, errors } = parseRows([
+        'ball,Match Ball,Balls,,15,,,',
+        ',Barcelona Jersey 2024,Jerseys,,30,,,',
+        'ball,Training Ball,Balls,,12,,,',
+        ',Barcelona Jersey 2024,Jerseys,,30,,,',
+        'barcelona-jersey-2024-2,Away Jersey,Jerseys,,28,,,'
+    ]);
+
+    // An id typed in the sheet is never taken by a made-up one, even on a later row
+    assert.deepEqual(products.map(product => product.id), ['ball', 'barcelona-jersey-2024', 'ball-2', 'barcelona-jersey-2024-3', 'barcelona-jersey-2024-2']);
+
+    const idProblems = errors.filter(error => error.column === 'id');
+    assert.deepEqual(idProblems.map(error => [error.row, error.productId, error.severity]), [
+        [3, 'barcelona-jersey-2024', 'warning'],
+        [4, 'ball-2', 'warning'],
+        [5, 'barcelona-jersey-2024-3', 'warning']
+    ]);
+    assert.match(idProblems[0].message, /^No id - using "barcelona-jersey-2024", made from the name\./);
+    assert.match(idProblems[1].message, /^Id "ball" is also used on row 2 - this row is shown as "ball-2"\./);
+});
+
+test('ids stay the same from one load to the next, and only change with the name', () => {
+    const rows = [
+        ',Barcelona Jersey 2024,Jerseys,,30,,,',
+        ',Real Madrid Away,Jerseys,,28,,,'
+    ];
+    const ids = sheetRows => parseRows(sheetRows).products.map(product => product.id);
+
+    assert.deepEqual(ids(rows), ids(rows));
+    // A row added above or a price change does not move them
+    assert.deepEqual(ids([',Speed Cleats,Cleats,,45,,,', ...rows]), ['speed-cleats', 'barcelona-jersey-2024', 'real-madrid-away']);
+    assert.deepEqual(ids([',Barcelona Jersey 2024,Jerseys,,35,,,', rows[1]]), ['barcelona-jersey-2024', 'real-madrid-away']);
+
+    assert.equal(makeProductId('  Barcelona  Jersey (2024)! '), 'barcelona-jersey-2024');
+    assert.equal(makeProductId('អាវ បាសេឡូណា'), 'អាវ-បាសេឡូណា');
+    assert.equal(makeProductId('Ｊersey'), 'jersey');
+    assert.equal(makeProductId('!!!'), 'product');
+    assert.equal(makeUniqueId('ball', new Set()), 'ball');
+    assert.equal(makeUniqueId('ball', new Set(['ball', 'ball-2'])), 'ball-3');
+});
+
+test('a price that is not a price leaves the row out, and says why', () => {
+    assert.equal(parsePrice('12'), 12);
+    assert.equal(parsePrice(' $12.50 '), 12.5);
+    assert.equal(parsePrice('$1,299'), 1299);
+    assert.equal(parsePrice('$1 299.99'), 1299.99);
+    ['', 'free', '12 USD', '1,29', '$-5', '12.5.0', '៛5000'].forEach(text => {
+        assert.equal(parsePrice(text), null, text);
+    });
+
+    const { products, errors } = parseRows([
+        'ball,Match Ball,Balls,,15,,,',
+        'gloves,Gloves,Gear,,12 USD,,,',
+        'bib,Training Bib,Gear,,,,,',
+        'socks,Socks,Gear,,0,,,'
+    ]);
+
+    assert.deepEqual(products.map(product => product.id), ['ball']);
+    const priceProblems = errors.filter(error => error.column === 'price');
+    assert.deepEqual(problemsOf(priceProblems), [[3, 'price', 'error'], [4, 'price', 'error'], [5, 'price', 'error']]);
+    assert.equal(priceProblems[0].message, 'Price "12 USD" is not a price like 12 or $12.50 - the row is left out');
+    assert.equal(priceProblems[1].message, 'No price - the row is left out');
+    assert.equal(priceProblems[0].productId, 'gloves');
+});
+
+test('a discount as big as the price, or that is not a discount, is ignored with a warning', () => {
+    assert.equal(checkDiscount('', 30), null);
+    assert.equal(checkDiscount('$0', 30), null);
+    assert.equal(checkDiscount('20%', 30), null);
+    assert.equal(checkDiscount('$29.99', 30), null);
+    assert.equal(checkDiscount('$30', 30), 'Discount "$30" is as much as the price ($30.00) - ignored');
+    assert.equal(checkDiscount('100%', 30), 'Discount "100%" is as much as the price ($30.00) - ignored');
+    assert.equal(checkDiscount('half', 30), 'Discount "half" is not dollars (4 or $4) or a percentage (20%) - ignored');
+
+    const { products, errors } = parseRows([
+        'home,Home Jersey,Jerseys,,30,$45,,',
+        'away,Away Jersey,Jerseys,,28,20%,,'
+    ]);
+
+    assert.deepEqual(products.map(product => [product.id, product.discount]), [['home', '0'], ['away', '20%']]);
+    assert.deepEqual(problemsOf(errors.filter(error => error.column === 'Discount')), [[2, 'Discount', 'warning']]);
+});
+
+test('photos that are not https on an allowed host are skipped, and stock photos fill in', () => {
+    const { products, errors } = parseRows([
+        'ball,Match Ball,Balls,,15,,,"http://i.imgur.com/ball.jpg | https://evil.example/ball.jpg | https://i.imgur.com/ball.jpg"',
+        'bib,Training Bib,Gear,,5,,,javascript:alert(1)',
+        'cone,Cones,Gear,,3,,,'
+    ]);
+
+    assert.deepEqual(products[0].imageUrls, ['https://i.imgur.com/ball.jpg']);
+    assert.deepEqual(products[1].imageUrls, FALLBACK_IMAGE_URLS);
+    assert.deepEqual(products[2].imageUrls, FALLBACK_IMAGE_URLS);
+
+    const imageProblems = errors.filter(error => error.column === 'imageUrls');
+    assert.deepEqual(imageProblems.map(error => [error.row, error.message]), [
+        [2, 'Image http://i.imgur.com/ball.jpg is skipped - photos must be https links on an allowed host (IMAGE_HOSTS)'],
+        [2, 'Image https://evil.example/ball.jpg is skipped - photos must be https links on an allowed host (IMAGE_HOSTS)'],
+        [3, 'Image javascript:alert(1) is skipped - photos must be https links on an allowed host (IMAGE_HOSTS)'],
+        [3, 'No usable photo - stock soccer photos are shown instead'],
+        [4, 'No usable photo - stock soccer photos are shown instead']
+    ]);
+    assert.ok(imageProblems.every(error => error.severity === 'warning'));
+});
+
+test('unknown and misspelled columns are reported on the header row, missing ones as errors', () => {
+    assert.deepEqual(checkColumns(['id', 'name', 'price', 'name_km', 'description_fr', 'imageAlt_km', '']), []);
+
+    const problems = checkColumns(['id', 'Name', 'category', 'price', 'supplier', 'name_khmer']);
+    assert.deepEqual(problems.map(problem => [problem.row, problem.column, problem.severity, problem.message]), [
+        [1, 'Name', 'warning', 'Unknown column "Name" - did you mean "name"? Column names are case-sensitive.'],
+        [1, 'category', 'warning', 'Unknown column "category" - did you mean "Category"? Column names are case-sensitive.'],
+        [1, 'supplier', 'warning', 'Unknown column "supplier" - it is ignored'],
+        [1, 'name_khmer', 'warning', 'Unknown column "name_khmer" - it is ignored'],
+        [1, 'name', 'error', 'Column "name" is missing - no product can be shown without it']
+    ]);
+
+    // The misspelled column is ignored: the product is in the default category
+    const { products, errors } = parseRows(['ball,Match Ball,Balls,15'], 'id,name,category,price');
+    assert.equal(products[0].category, 'Uncategorized');
+    assert.deepEqual(problemsOf(errors).slice(0, 1), [[1, 'category', 'warning']]);
+});
+
+test('admin-catalog lists the problems, even when no row can be shown', async () => {
+    const usable = await checkSheet([HEADER, 'ball,Match Ball,Balls,,15,,,https://i.imgur.com/ball.jpg', 'gloves,Gloves,Gear,,free,,,'].join('\n'));
+    assert.equal(usable.statusCode, 200);
+    assert.equal(usable.body.productCount, 1);
+    assert.deepEqual(problemsOf(usable.body.problems), [[3, 'price', 'error']]);
+
+    const unusable = await checkSheet([HEADER, 'gloves,Gloves,Gear,,free,,,', ',,,,,,,', 'bib,,Gear,,5,,,'].join('\n'));
+    assert.equal(unusable.statusCode, 200);
+    assert.equal(unusable.body.success, true);
+    assert.equal(unusable.body.productCount, 0);
+    assert.deepEqual(problemsOf(unusable.body.problems), [[2, 'price', 'error'], [4, 'name', 'error']]);
+    assert.ok(!isNaN(Date.parse(unusable.body.checkedAt)));
+
+    const noName = await checkSheet('id,title,price\nball,Match Ball,15\n');
+    assert.equal(noName.body.productCount, 0);
+    assert.deepEqual(problemsOf(noName.body.problems), [[1, 'title', 'warning'], [1, 'name', 'error'], [2, 'name', 'error']]);
+
+    // While the sheet can't be read, the last sheet that could is checked, with the time it was read
+    fs.rmSync(SHEET_FILE);
+    const response = await adminCatalog({ httpMethod: 'GET', headers: { authorization: `Bearer ${createSessionToken().token}` } });
+    assert.equal(response.statusCode, 200);
+    assert.equal(JSON.parse(response.body).productCount, 1);
+    assert.equal(JSON.parse(response.body).checkedAt, usable.body.checkedAt);
+    assert.equal((await adminCatalog({ httpMethod: 'GET', headers: {} })).statusCode, 401);
+});
@@ -0,0 +1,161 @@
+// Catalog data layer (js/catalog.js) and hash routes (js/router.js)
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPage, pageGlobal, loadModule, installFetch, sampleCatalog } = require('./helpers');
+
+let catalog;
+let router;
+
+before(async () => {
+    setupPage();
+    catalog = await loadModule('catalog.js');
+    router = await loadModule('router.js');
+});
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+// Products as the page has them, with today's prices (applyPromotions)
+function pricedProducts() {
+    return pageGlobal('applyPromotions')(sampleCatalog().products, []);
+}
+
+test('fetchCatalog reads the catalog function', async () => {
+    const fetch = installFetch({ '/.netlify/functions/catalog': { json: sampleCatalog() } });
+
+    const result = await catalog.fetchCatalog();
+
+    assert.equal(result.hash, 'catalog-hash-1');
+    assert.equal(result.products.length, 3);
+    assert.deepEqual(result.categories, ['Jerseys', 'Cleats']);
+    assert.deepEqual(fetch.calls.map(call => call.url), ['/.netlify/functions/catalog']);
+});
+
+test('fetchCatalog falls back to the published sheet and promotions.json', async () => {
+    const csv = [
+        'id,name,Category,description,price,Discount,sizes,imageUrls',
+        'ball,Match Ball,Balls,Size 5 ball,15,,One Size,',
+        ',Goalkeeper Gloves,Gloves,Grip gloves,$22.50,10%,"8, 9",'
+    ].join('\n');
+    installFetch({
+        '/.netlify/functions/catalog': { status: 404, text: '<h1>Not found</h1>' },
+        [pageGlobal('GOOGLE_SHEETS_URL')]: { text: csv, contentType: 'text/csv' },
+        'promotions.json': { json: { promotions: [] } }
+    });
+
+    const result = await catalog.fetchCatalog();
+
+    assert.deepEqual(result.products.map(product => product.id), ['ball', 'goalkeeper-gloves']);
+    assert.deepEqual(result.categories, ['Balls', 'Gloves']);
+    assert.equal(result.products[1].price, '22.5');
+    assert.ok(result.hash);
+});
+
+test('fetchCatalog fails when neither the function nor the sheet answers', async () => {
+    installFetch({});
+
+    await assert.rejects(catalog.fetchCatalog(), /Failed to fetch/);
+});
+
+test('fetchCatalogFromFunction rejects an answer without products', async () => {
+    installFetch({ '/.netlify/functions/catalog': { json: { success: true } } });
+
+    await assert.rejects(catalog.fetchCatalogFromFunction(), /unexpected response/);
+});
+
+test('the catalog cache keeps what was written', () => {
+    const saved = sampleCatalog();
+    catalog.writeCatalogCache(saved, localStorage, 1000);
+
+    const cached = catalog.readCatalogCache();
+
+    assert.equal(cached.hash, saved.hash);
+    assert.equal(cached.savedAt, 1000);
+    assert.deepEqual(cached.products, saved.products);
+    assert.deepEqual(cached.promotions, []);
+});
+
+test('the catalog cache drops copies from older versions and legacy keys', () => {
+    localStorage.setItem('prsport-catalog', JSON.stringify({ version: 1, products: [] }));
+    localStorage.setItem('prsport-products-cache', '[]');
+
+    assert.equal(catalog.readCatalogCache(), null);
+    assert.equal(localStorage.getItem('prsport-catalog'), null);
+    assert.equal(localStorage.getItem('prsport-products-cache'), null);
+});
+
+test('the catalog cache ignores a corrupt copy', () => {
+    localStorage.setItem('prsport-catalog', '{not json');
+
+    assert.equal(catalog.readCatalogCache(), null);
+    assert.equal(localStorage.getItem('prsport-catalog'), null);
+});
+
+test('a saved catalog goes stale after ten minutes', () => {
+    const cached = { savedAt: 0 };
+
+    assert.equal(catalog.isCacheStale(cached, 9 * 60 * 1000), false);
+    assert.equal(catalog.isCacheStale(cached, 10 * 60 * 1000), true);
+});
+
+test('diffCatalog lists added, changed and removed products', () => {
+    const before = pricedProducts();
+    const after = [{ ...before[0], price: '25' }, before[1], { ...before[2], id: 'new-cleats' }];
+
+    assert.deepEqual(catalog.diffCatalog(before, after).sort(), ['barcelona-home', 'new-cleats', 'speed-cleats']);
+});
+
+test('filterProducts applies the category, size, price and sale filters', () => {
+    const products = pricedProducts();
+    const ids = state => catalog.filterProducts(products, state).map(product => product.id);
+
+    assert.deepEqual(ids({ category: 'Cleats' }), ['speed-cleats']);
+    // Sold-out sizes don't count
+    assert.deepEqual(ids({ size: 'M' }), ['real-madrid-away']);
+    assert.deepEqual(ids({ minPrice: 15, maxPrice: 20 }), ['barcelona-home', 'real-madrid-away']);
+    assert.deepEqual(ids({ onSale: true }), ['barcelona-home']);
+});
+
+test('filterProducts finds products despite typos and in other languages', () => {
+    const products = pricedProducts();
+    const ids = query => catalog.filterProducts(products, { query: query }).map(product => product.id);
+
+    assert.deepEqual(ids('barcelna'), ['barcelona-home']);
+    assert.deepEqual(ids('madrid jersey'), ['real-madrid-away']);
+    assert.deepEqual(ids('អាវបាសេឡូណា'), ['barcelona-home']);
+    assert.deepEqual(ids('tennis'), []);
+});
+
+test('sortProducts sorts by price, name and search relevance', () => {
+    const products = pricedProducts();
+    const ids = state => catalog.sortProducts(products, state).map(product => product.id);
+
+    assert.deepEqual(ids({ sort: 'price-asc' }), ['barcelona-home', 'real-madrid-away', 'speed-cleats']);
+    assert.deepEqual(ids({ sort: 'price-desc' }), ['speed-cleats', 'real-madrid-away', 'barcelona-home']);
+    assert.deepEqual(ids({ sort: 'name' }), ['barcelona-home', 'real-madrid-away', 'speed-cleats']);
+    // Names sort as shown in the language given
+    const khmer = [...products.slice(0, 2), { ...products[2], translations: { km: { name: 'Adidas Cleats' } } }];
+    assert.deepEqual(catalog.sortProducts(khmer, { sort: 'name' }, 'km').map(product => product.id), ['barcelona-home', 'speed-cleats', 'real-madrid-away']);
+    assert.deepEqual(catalog.sortProducts(khmer, { sort: 'name' }, 'en').map(product => product.id), ['barcelona-home', 'real-madrid-away', 'speed-cleats']);
+    // Name matches come before description matches
+    const matches = catalog.filterProducts(products, { query: 'away' });
+    assert.deepEqual(catalog.sortProducts(matches, { query: 'away' }).map(product => product.id), ['real-madrid-away', 'barcelona-home']);
+});
+
+test('catalog routes keep the filters in the hash', () => {
+    const state = {
+        ...catalog.DEFAULT_CATALOG_STATE,
+        category: 'Cleats',
+        query: 'speed',
+        size: 'US 9',
+        maxPrice: 50,
+        onSale: true
+    };
+    const hash = router.catalogHash(state);
+
+    assert.equal(hash, '#/category/Cleats?q=speed&size=US+9&max=50&sale=1');
+    assert.deepEqual(router.parseRoute(hash), { view: 'catalog', catalog: state });
+    assert.deepEqual(router.parseRoute('#/product/speed-cleats'), { view: 'product', productId: 'speed-cleats' });
+    assert.deepEqual(router.parseRoute('#/track'), { view: 'track', orderId: '' });
+});
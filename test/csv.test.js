@@ -0,0 +1,91 @@
+// CSV parser (shared/csv.js) on tricky sheet exports, and the row numbers the product sheet check reports
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCSVParser, parseCSV } = require('../shared/csv');
+const { parseGoogleSheetsData } = require('../shared/catalog');
+
+// Fields of each record
+function fieldsOf(text) {
+    return parseCSV(text).records.map(record => record.fields);
+}
+
+// Feed a stream to the parser in chunks, as a fetch body arrives
+function parseChunks(chunks) {
+    const records = [];
+    const errors = [];
+    const parser = createCSVParser((fields, row) => records.push({ row: row, fields: fields }), error => errors.push(error));
+    chunks.forEach(chunk => parser.write(chunk));
+    parser.end();
+    return { records: records, errors: errors };
+}
+
+test('quoted fields keep their commas and line breaks, and count as one record', () => {
+    const { records, errors } = parseCSV('name,description\nJersey,"Home kit, 2024\nwith badge"\nBall,Size 5\n');
+
+    assert.deepEqual(records, [
+        { row: 1, fields: ['name', 'description'] },
+        { row: 2, fields: ['Jersey', 'Home kit, 2024\nwith badge'] },
+        { row: 3, fields: ['Ball', 'Size 5'] }
+    ]);
+    assert.deepEqual(errors, []);
+});
+
+test('doubled quotes inside a quoted field are one quote', () => {
+    assert.deepEqual(fieldsOf('"The ""Galáctico"" kit","""",""\n'), [['The "Galáctico" kit', '"', '']]);
+});
+
+test('a byte order mark at the start is not part of the first header', () => {
+    assert.deepEqual(fieldsOf('﻿name,price\nBall,15'), [['name', 'price'], ['Ball', '15']]);
+});
+
+test('CRLF, LF and CR-only line endings all end a record, and blank lines are skipped', () => {
+    assert.deepEqual(fieldsOf('a,b\r\nc,d\re,f\n\r\ng,h'), [['a', 'b'], ['c', 'd'], ['e', 'f'], ['g', 'h']]);
+    assert.deepEqual(fieldsOf('"x"\r"y"\r'), [['x'], ['y']]);
+});
+
+test('a CRLF split across two chunks is one line break', () => {
+    const { records } = parseChunks(['name,price\r', '\nBall,15\r', '', '\nGloves,"22', '.50"']);
+
+    assert.deepEqual(records, [
+        { row: 1, fields: ['name', 'price'] },
+        { row: 2, fields: ['Ball', '15'] },
+        { row: 3, fields: ['Gloves', '22.50'] }
+    ]);
+});
+
+test('a quote that is never closed is reported on its row, keeping the text', () => {
+    const { records, errors } = parseCSV('name,description\nJersey,"Home kit\nBall,15\n');
+
+    assert.deepEqual(records[1], { row: 2, fields: ['Jersey', 'Home kit\nBall,15\n'] });
+    assert.deepEqual(errors, [{ row: 2, message: 'Quoted field is never closed' }]);
+});
+
+test('stray quotes are reported once per row', () => {
+    const { records, errors } = parseCSV('a,b"c"d\n"e"f,g\n');
+
+    assert.deepEqual(records.map(record => record.fields), [['a', 'b"c"d'], ['ef', 'g']]);
+    assert.deepEqual(errors, [
+        { row: 1, message: 'Unexpected quote in an unquoted field' },
+        { row: 2, message: 'Unexpected text after a closing quote' }
+    ]);
+});
+
+test('short rows are left out of the catalog and reported with their sheet row', () => {
+    const csv = [
+        'name,Category,price,sizes',
+        'Match Ball,Balls,15,One Size',
+        'Goalkeeper Gloves,Gloves',
+        '"Training Bib',
+        'orange",Training,3,"S, M"',
+        'Shin Pads,Gear'
+    ].join('\r\n');
+
+    const { products, errors } = parseGoogleSheetsData(csv);
+
+    assert.deepEqual(products.map(product => product.name), ['Match Ball', 'Training Bib\r\norange']);
+    const rowErrors = errors.filter(error => error.severity === 'error');
+    assert.deepEqual(rowErrors.map(error => [error.row, error.message]), [
+        [3, 'Expected 4 columns but found 2 - the row is left out'],
+        [5, 'Expected 4 columns but found 2 - the row is left out']
+    ]);
+});
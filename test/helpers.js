@@ -0,0 +1,204 @@
+// Test setup for the storefront modules (js/): index.html in jsdom, the plain scripts it loads
+// before the modules (shared/*, i18n.js, render.js) run in the global scope as they do in the
+// browser, and a fake fetch that answers like the Netlify functions.
+// Each test file runs in its own process (node --test), so each file sets up one page.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { pathToFileURL } = require('url');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// Window properties the scripts and modules use as globals
+const WINDOW_GLOBALS = [
+    'window',
+    'document',
+    'localStorage',
+    'navigator',
+    'history',
+    'location',
+    'Event',
+    'HTMLElement',
+    'alert',
+    'confirm',
+    'prompt'
+];
+
+// Load index.html into jsdom, make its window the global scope and run the page's plain scripts
+// Returns { window, document, alerts } - alerts collects what alert() was called with.
+function setupPage({ url = 'https://prsport.test/', storage = {} } = {}) {
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), {
+        url: url,
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    const alerts = [];
+
+    Object.keys(storage).forEach(key => window.localStorage.setItem(key, JSON.stringify(storage[key])));
+
+    // Browser features jsdom leaves out
+    window.alert = message => alerts.push(message);
+    window.confirm = () => true;
+    window.prompt = () => null;
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = function() {};
+
+    WINDOW_GLOBALS.forEach(name => {
+        const value = window[name];
+        Object.defineProperty(globalThis, name, {
+            configurable: true,
+            writable: true,
+            value: typeof value === 'function' && !/^[A-Z]/.test(name) ? value.bind(window) : value
+        });
+    });
+
+    // Same scripts, same order as the page
+    window.document.querySelectorAll('script[src]:not([type="module"])').forEach(script => {
+        const file = path.join(ROOT, script.getAttribute('src'));
+        vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file });
+    });
+
+    return { window: window, document: window.document, alerts: alerts };
+}
+
+// A global from the page's plain scripts, e.g. GOOGLE_SHEETS_URL (const globals are not on globalThis)
+function pageGlobal(name) {
+    return vm.runInThisContext(name);
+}
+
+// Import one of the storefront modules, e.g. loadModule('catalog.js')
+function loadModule(name) {
+    return import(pathToFileURL(path.join(ROOT, 'js', name)).href);
+}
+
+// Response for a fake fetch: { status, json } or { status, text, contentType }
+function toResponse(reply) {
+    if ('json' in reply) {
+        return new Response(JSON.stringify(reply.json), {
+            status: reply.status || 200,
+            headers: { 'content-type': 'application/json' }
+        });
+    }
+    return new Response(reply.text || '', {
+        status: reply.status || 200,
+        headers: { 'content-type': reply.contentType || 'text/html' }
+    });
+}
+
+// Files of the site the pages read with fetch, served from the repo unless a route overrides them
+const SITE_FILES = ['delivery.json', 'currency.json'];
+
+// Reply with a site file, or undefined when url is not one
+function siteFileReply(url) {
+    if (!SITE_FILES.includes(url)) {
+        return undefined;
+    }
+    return { json: JSON.parse(fs.readFileSync(path.join(ROOT, url), 'utf8')) };
+}
+
+// Install a fake fetch answering from routes: { '<METHOD> <url>': reply or request => reply }
+// ("<url>" alone matches GET; SITE_FILES answer GET too). Unknown URLs fail like a dropped
+// connection, as does a handler that throws. Every call is recorded in fetch.calls as { method, url, body }.
+function installFetch(routes) {
+    const calls = [];
+
+    const fakeFetch = async (url, options = {}) => {
+        const method = options.method || 'GET';
+        const body = options.body ? JSON.parse(options.body) : undefined;
+        calls.push({ method: method, url: String(url), headers: options.headers || {}, body: body });
+
+        const route = routes[`${method} ${url}`] || (method === 'GET' && (routes[url] || siteFileReply(String(url))));
+        if (!route) {
+            throw new TypeError(`Failed to fetch ${url}`);
+        }
+        return toResponse(typeof route === 'function' ? await route({ method: method, url: String(url), body: body }) : route);
+    };
+    fakeFetch.calls = calls;
+
+    globalThis.fetch = fakeFetch;
+    return fakeFetch;
+}
+
+// Wait until check() returns something truthy, and return it
+async function waitFor(check, timeout = 2000) {
+    const started = Date.now();
+    for (;;) {
+        const result = check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() - started > timeout) {
+            throw new Error(`Timed out waiting for ${check}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// A small catalog as the catalog function returns it
+function sampleCatalog() {
+    const products = [
+        {
+            id: 'barcelona-home',
+            name: 'Barcelona Home Jersey',
+            category: 'Jerseys',
+            description: 'Home jersey for the 2024 season - the away jersey is sold separately',
+            price: '20',
+            discount: '5',
+            availableSizes: [
+                { size: 'S', quantity: 2 },
+                { size: 'M', quantity: 0 },
+                { size: 'L', quantity: null }
+            ],
+            imageUrls: [],
+            imageAlt: 'Blue and red striped shirt, front',
+            colors: [],
+            personalization: [
+                { field: 'name', maxLength: 12, surcharge: 3 },
+                { field: 'number', maxLength: 2, surcharge: 2 }
+            ],
+            translations: { km: { name: 'អាវបាសេឡូណា' } }
+        },
+        {
+            id: 'real-madrid-away',
+            name: 'Real Madrid Away Jersey',
+            category: 'Jerseys',
+            description: 'Away jersey',
+            price: '18',
+            discount: '',
+            availableSizes: [{ size: 'M', quantity: 4 }],
+            imageUrls: [],
+            colors: [],
+            personalization: []
+        },
+        {
+            id: 'speed-cleats',
+            name: 'Speed Cleats',
+            category: 'Cleats',
+            description: 'Light cleats for firm ground',
+            price: '45.50',
+            discount: '',
+            availableSizes: [{ size: 'US 9', quantity: 1 }],
+            imageUrls: [],
+            colors: [],
+            personalization: []
+        }
+    ];
+
+    return {
+        success: true,
+        hash: 'catalog-hash-1',
+        products: products,
+        categories: ['Jerseys', 'Cleats'],
+        promotions: []
+    };
+}
+
+module.exports = {
+    setupPage,
+    pageGlobal,
+    loadModule,
+    installFetch,
+    waitFor,
+    sampleCatalog
+};
@@ -0,0 +1,110 @@
+// The JSON files behind the order, analytics and back-in-stock stores (netlify/lib/json-file-store.js)
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStoreFilePath, checkMemoryStore, createJSONFile } = require('../netlify/lib/json-file-store');
+const orderStore = require('../netlify/lib/order-store');
+const analytics = require('../netlify/lib/analytics');
+const stockAlerts = require('../netlify/lib/stock-alerts');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prsport-stores-'));
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Run check() with some environment variables set, then put them back
+function withEnv(values, check) {
+    const saved = {};
+    Object.keys(values).forEach(name => {
+        saved[name] = process.env[name];
+        if (values[name] === undefined) {
+            delete process.env[name];
+        } else {
+            process.env[name] = values[name];
+        }
+    });
+    try {
+        return check();
+    } finally {
+        Object.keys(saved).forEach(name => {
+            if (saved[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = saved[name];
+            }
+        });
+    }
+}
+
+test('changes made at the same time are queued, none is lost', async () => {
+    const file = createJSONFile(path.join(dir, 'counter', 'count.json'), { empty: () => ({ count: 0 }) });
+
+    const values = await Promise.all(Array.from({ length: 20 }, () => file.change(data => ({
+        data: { count: data.count + 1 },
+        value: data.count + 1
+    }))));
+
+    assert.deepEqual(values, Array.from({ length: 20 }, (value, index) => index + 1));
+    assert.deepEqual(await file.read(), { count: 20 });
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'counter')), ['count.json']);
+});
+
+test('a failed change leaves the file as it was and the queue running', async () => {
+    const file = createJSONFile(path.join(dir, 'failing.json'), { empty: () => ({ items: [] }) });
+
+    await file.change(data => ({ data: { items: [...data.items, 'a'] } }));
+    await assert.rejects(file.change(() => {
+        throw new Error('Already there');
+    }), /Already there/);
+    const value = await file.change(() => ({ data: null, value: 'untouched' }));
+
+    assert.equal(value, 'untouched');
+    assert.deepEqual(await file.read(), { items: ['a'] });
+});
+
+test('the order, analytics and back-in-stock stores read and write through the shared file', async () => {
+    const orders = orderStore.createFileStore(path.join(dir, 'orders.json'));
+    const order = id => ({ id: id, createdAt: `2025-03-14T10:0${id}:00Z`, status: 'received' });
+
+    await Promise.all([orders.createOrder(order('1')), orders.createOrder(order('2'))]);
+    await assert.rejects(orders.createOrder(order('1')), /Order 1 already exists/);
+    assert.equal((await orders.updateOrder('1', { status: 'shipped' })).status, 'shipped');
+    assert.equal(await orders.updateOrder('9', { status: 'shipped' }), null);
+    await orders.deleteOrder('2');
+    assert.deepEqual(await orders.listOrders(), [{ ...order('1'), status: 'shipped' }]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'orders.json'), 'utf8')).orders.map(saved => saved.id), ['1']);
+
+    const counts = analytics.createFileStore(path.join(dir, 'analytics.json'));
+    const events = analytics.normalizeEvents({ events: [{ name: 'add_to_cart', items: [{ productId: 'ball', category: 'Balls' }] }] });
+    await Promise.all([counts.record(events, '2025-03-14'), counts.record(events, '2025-03-14')]);
+    assert.equal((await counts.read()).days['2025-03-14'].totals.add_to_cart, 2);
+
+    const requests = stockAlerts.createFileStore(path.join(dir, 'stock-alerts.json'));
+    const request = stockAlerts.createStockAlert({ productId: 'ball', size: 'One Size', contact: '@sokha_88' });
+    const [first, second] = await Promise.all([requests.addRequest(request), requests.addRequest({ ...request, id: 'again' })]);
+    assert.equal(second.id, first.id);
+    assert.equal((await requests.updateRequest(first.id, { status: 'notified' })).status, 'notified');
+    assert.deepEqual((await requests.listRequests()).map(saved => [saved.id, saved.status]), [[first.id, 'notified']]);
+});
+
+test('stores use the temp directory locally, and refuse it once deployed', () => {
+    const local = { ORDER_STORE_FILE: undefined, ANALYTICS_STORE_FILE: undefined, NETLIFY: undefined, NETLIFY_DEV: undefined, AWS_LAMBDA_FUNCTION_NAME: undefined, NODE_ENV: undefined };
+
+    withEnv(local, () => {
+        assert.equal(getStoreFilePath('ORDER_STORE', 'prsport-orders.json'), path.join(os.tmpdir(), 'prsport-orders.json'));
+        checkMemoryStore('ORDER_STORE');
+    });
+    withEnv({ ...local, NETLIFY: 'true', ORDER_STORE_FILE: '/mnt/shared/orders.json' }, () => {
+        assert.equal(getStoreFilePath('ORDER_STORE', 'prsport-orders.json'), '/mnt/shared/orders.json');
+    });
+    withEnv({ ...local, AWS_LAMBDA_FUNCTION_NAME: 'analytics' }, () => {
+        assert.throws(() => getStoreFilePath('ANALYTICS_STORE', 'prsport-analytics.json'), /ANALYTICS_STORE_FILE must be set/);
+        assert.throws(() => checkMemoryStore('ANALYTICS_STORE'), /ANALYTICS_STORE "memory" loses everything/);
+    });
+    withEnv({ ...local, NETLIFY: 'true', NETLIFY_DEV: 'true' }, () => {
+        assert.equal(getStoreFilePath('ORDER_STORE', 'prsport-orders.json'), path.join(os.tmpdir(), 'prsport-orders.json'));
+    });
+});
@@ -0,0 +1,101 @@
+// KHQR payloads (netlify/lib/khqr.js) against the EMVCo merchant-presented QR format, offline
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { crc16, buildKHQR, parseKHQR, getKHQRHash } = require('../netlify/lib/khqr');
+
+const SHOP = {
+    accountId: 'prsport@aclb',
+    merchantName: 'PR Sport',
+    merchantCity: 'Phnom Penh',
+    currency: 'USD'
+};
+
+test('the CRC is CRC-16/CCITT-FALSE', () => {
+    assert.equal(crc16('123456789'), '29B1');
+    assert.equal(crc16(''), 'FFFF');
+});
+
+test('an individual account is tag 29, with the amount in dollars and cents', () => {
+    const payload = buildKHQR({ ...SHOP, amount: 12.5, billNumber: 'PR-1' });
+    const body = '000201' +
+        '010212' +
+        '2916' + '0012prsport@aclb' +
+        '52045999' +
+        '5303840' +
+        '540512.50' +
+        '5802KH' +
+        '5908PR Sport' +
+        '6010Phnom Penh' +
+        '6208' + '0104PR-1' +
+        '6304';
+
+    assert.equal(payload, body + crc16(body));
+});
+
+test('a merchant account is tag 30, with the merchant id and bank', () => {
+    const payload = buildKHQR({ ...SHOP, merchantId: '1234567', acquiringBank: 'ACLEDA Bank', amount: 3 });
+    const { fields, valid } = parseKHQR(payload);
+
+    assert.ok(valid);
+    assert.equal(fields['29'], undefined);
+    assert.deepEqual(fields['30'], { '00': 'prsport@aclb', '01': '1234567', '02': 'ACLEDA Bank' });
+    assert.ok(payload.includes('3042' + '0012prsport@aclb' + '01071234567' + '0211ACLEDA Bank'));
+});
+
+test('riel amounts are whole numbers, and a QR without an amount can be paid again', () => {
+    const riel = parseKHQR(buildKHQR({ ...SHOP, currency: 'KHR', amount: 40999.6 })).fields;
+    assert.equal(riel['53'], '116');
+    assert.equal(riel['54'], '41000');
+
+    const dollars = parseKHQR(buildKHQR({ ...SHOP, amount: 7 })).fields;
+    assert.equal(dollars['53'], '840');
+    assert.equal(dollars['54'], '7.00');
+
+    const open = parseKHQR(buildKHQR(SHOP)).fields;
+    assert.equal(open['01'], '11');
+    assert.equal(open['54'], undefined);
+});
+
+test('a built payload reads back with every field, and a changed one fails its CRC', () => {
+    const createdAt = new Date('2025-03-14T10:00:00Z');
+    const expiresAt = new Date('2025-03-14T10:15:00Z');
+    const payload = buildKHQR({
+        ...SHOP,
+        amount: 45.99,
+        billNumber: 'PR-20250314-AB12',
+        storeLabel: 'Online shop',
+        createdAt: createdAt,
+        expiresAt: expiresAt
+    });
+
+    assert.deepEqual(parseKHQR(payload), {
+        valid: true,
+        fields: {
+            '00': '01',
+            '01': '12',
+            '29': { '00': 'prsport@aclb' },
+            '52': '5999',
+            '53': '840',
+            '54': '45.99',
+            '58': 'KH',
+            '59': 'PR Sport',
+            '60': 'Phnom Penh',
+            '62': { '01': 'PR-20250314-AB12', '03': 'Online shop' },
+            '99': { '00': String(createdAt.getTime()), '01': String(expiresAt.getTime()) },
+            '63': crc16(payload.slice(0, -4))
+        }
+    });
+
+    assert.equal(parseKHQR(payload.replace('45.99', '45.98')).valid, false);
+    assert.equal(parseKHQR(payload.slice(0, -1)).valid, false);
+    assert.deepEqual(parseKHQR('not a payload'), { fields: {}, valid: false });
+    assert.match(getKHQRHash(payload), /^[0-9a-f]{32}$/);
+});
+
+test('requests Bakong would refuse are not built', () => {
+    assert.throws(() => buildKHQR({ ...SHOP, accountId: 'prsport' }), /Bakong account id/);
+    assert.throws(() => buildKHQR({ ...SHOP, currency: 'EUR' }), /currency must be USD or KHR/);
+    assert.throws(() => buildKHQR({ ...SHOP, amount: 0 }), /amount must be more than 0/);
+    assert.throws(() => buildKHQR({ ...SHOP, merchantName: 'PR Sport Football and Futsal Shop' }), /merchantName must be at most 25/);
+    assert.throws(() => buildKHQR({ ...SHOP, merchantCity: 'ភ្នំពេញ' }), /plain ASCII/);
+});
@@ -0,0 +1,152 @@
+// Order client (js/order-client.js): the order the checkout sends, and the calls to the functions
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPage, pageGlobal, loadModule, installFetch } = require('./helpers');
+
+const SEND_ORDER = 'POST /.netlify/functions/send-order';
+
+let client;
+
+before(async () => {
+    setupPage();
+    installFetch({});
+    await pageGlobal('loadDeliveryMethods')();
+    client = await loadModule('order-client.js');
+});
+
+// Checkout fields of a valid order
+function checkoutFields(changes = {}) {
+    return {
+        name: 'Sokha',
+        phone: '012 345 678',
+        hasTelegram: true,
+        deliveryMethod: 'phnom-penh',
+        deliveryArea: 'Chamkar Mon',
+        address: 'Street 123',
+        notes: '',
+        promoCode: ' SAVE5 ',
+        website: '',
+        ...changes
+    };
+}
+
+// A cart line as getCartLines returns it
+const LINE = {
+    key: 'line',
+    productId: 'real-madrid-away',
+    category: 'Jerseys',
+    name: 'Real Madrid Away Jersey',
+    productName: 'Real Madrid Away Jersey',
+    size: 'M',
+    color: '',
+    personalization: {},
+    quantity: 2,
+    stock: 4,
+    price: 18,
+    lineTotal: 36
+};
+
+test('buildOrder turns cart lines and checkout fields into the order send-order expects', () => {
+    const order = client.buildOrder([LINE], checkoutFields(), new Date('2025-03-15T07:05:09Z'));
+
+    assert.deepEqual(order.items, [{
+        productId: 'real-madrid-away',
+        product: 'Real Madrid Away Jersey',
+        size: 'M',
+        color: '',
+        personalization: {},
+        price: 18,
+        quantity: 2
+    }]);
+    assert.equal(order.promoCode, 'SAVE5');
+    assert.equal(order.localTime, '03/15/2025, 14:05:09');
+});
+
+test('validateOrder reports every field to fix', () => {
+    const errors = client.validateOrder(client.buildOrder([LINE], checkoutFields({
+        name: ' ',
+        phone: '123',
+        hasTelegram: false,
+        deliveryArea: '',
+        address: ''
+    })));
+
+    assert.deepEqual(Object.keys(errors).sort(), ['address', 'deliveryArea', 'hasTelegram', 'name', 'phone']);
+    assert.deepEqual(client.validateOrder(client.buildOrder([LINE], checkoutFields())), {});
+});
+
+test('normalizeOrder formats the phone number and drops the address for pickup', () => {
+    const order = client.normalizeOrder(client.buildOrder([LINE], checkoutFields({ deliveryMethod: 'pickup', deliveryArea: '' })));
+
+    assert.equal(order.phone, '+85512345678');
+    assert.equal(order.address, '');
+});
+
+test('sendOrder posts the order and returns the saved order', async () => {
+    const order = client.buildOrder([LINE], checkoutFields());
+    const fetch = installFetch({
+        [SEND_ORDER]: request => ({ json: { success: true, order: { id: 'PR-1001', total: 36, items: request.body.items } } })
+    });
+
+    const result = await client.sendOrder(order);
+
+    assert.equal(result.status, 'sent');
+    assert.equal(result.order.id, 'PR-1001');
+    assert.deepEqual(fetch.calls[0].body, order);
+    assert.match(fetch.calls[0].headers['Idempotency-Key'], /^\d+-[a-z0-9]{8,}$/);
+
+    // Every order gets its own key, so only a resend of the same one is recognised
+    await client.sendOrder(order);
+    assert.notEqual(fetch.calls[1].headers['Idempotency-Key'], fetch.calls[0].headers['Idempotency-Key']);
+});
+
+test('sendOrder returns the fields send-order rejected', async () => {
+    installFetch({
+        [SEND_ORDER]: { status: 400, json: { success: false, error: 'Please fix the phone number', fields: { phone: 'Invalid' } } }
+    });
+
+    const result = await client.sendOrder(client.buildOrder([LINE], checkoutFields()));
+
+    assert.deepEqual(result, {
+        status: 'rejected',
+        httpStatus: 400,
+        error: 'Please fix the phone number',
+        fields: { phone: 'Invalid' }
+    });
+});
+
+test('sendOrder fails when the answer is not from send-order', async () => {
+    installFetch({ [SEND_ORDER]: { status: 404, text: '<h1>Page not found</h1>' } });
+
+    await assert.rejects(client.sendOrder(client.buildOrder([LINE], checkoutFields())), /function deployment/);
+});
+
+test('sendOrder fails when the order can neither be sent nor queued', async () => {
+    // jsdom has no IndexedDB, so there is no outbox to fall back on
+    assert.equal(client.ORDER_QUEUE_SUPPORTED, false);
+    installFetch({});
+
+    await assert.rejects(client.sendOrder(client.buildOrder([LINE], checkoutFields())), /Failed to fetch/);
+});
+
+test('lookupOrder returns the order, or the error for the form', async () => {
+    installFetch({
+        'POST /.netlify/functions/track-order': request => request.body.orderId === 'PR-1001'
+            ? { json: { success: true, order: { id: 'PR-1001', status: 'shipped' } } }
+            : { status: 404, json: { success: false, error: 'Not found' } }
+    });
+
+    assert.deepEqual(await client.lookupOrder('PR-1001', '+85512345678'), { order: { id: 'PR-1001', status: 'shipped' } });
+    assert.deepEqual(await client.lookupOrder('PR-9', '+85512345678'), { error: 'Not found', fields: undefined });
+});
+
+test('requestPayment returns the payment, or throws the message for the customer', async () => {
+    installFetch({
+        'POST /.netlify/functions/pay-order': request => request.body.orderId === 'PR-1001'
+            ? { json: { success: true, payment: { method: 'khqr', status: 'pending', qr: '000201' } } }
+            : { status: 409, json: { success: false, error: 'This order was cancelled, so it cannot be paid' } }
+    });
+
+    assert.equal((await client.requestPayment('PR-1001', '+85512345678')).status, 'pending');
+    await assert.rejects(client.requestPayment('PR-2', '+85512345678'), /cancelled/);
+});
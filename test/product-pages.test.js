@@ -0,0 +1,211 @@
+// Pre-rendered product pages, sitemap.xml and robots.txt (netlify/lib/product-pages.js and the
+// product-page, sitemap and robots functions), read from a saved sheet export (SHEET_CSV_URL)
+// and promotions tab (PROMOTIONS_CSV_URL). Crawlers and link preview bots read these pages, and
+// anyone who can edit the sheet controls the text in them.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+Object.assign(process.env, {
+    SHEET_CSV_URL: path.join(__dirname, 'fixtures', 'missing.csv'),
+    PROMOTIONS_CSV_URL: path.join(__dirname, 'fixtures', 'promotions.csv')
+});
+delete process.env.URL;
+
+const { parseGoogleSheetsData } = require('../shared/catalog');
+const { applyPromotions } = require('../shared/promotions');
+const {
+    getSiteUrl,
+    buildProductJsonLd,
+    renderProductPage,
+    renderSitemap,
+    renderRobots
+} = require('../netlify/lib/product-pages');
+const productPage = require('../netlify/functions/product-page').handler;
+const sitemap = require('../netlify/functions/sitemap').handler;
+const robots = require('../netlify/functions/robots').handler;
+
+const SITE_URL = 'https://prsport.example';
+const HOSTILE = '<img src=x onerror="alert(1)">"\' onmouseover=alert(2) x=\'</script><script>alert(3)</script>';
+
+// A CSV cell, quoted the way a sheet export quotes it
+function csvCell(value) {
+    return `"${value.replace(/"/g, '""')}"`;
+}
+
+// Products of a sheet export at today's prices, as the product-page function has them
+function pricedProducts(rows, promotions = []) {
+    const csv = ['id,name,Category,description,price,Discount,sizes,imageUrls', ...rows].join('\n');
+    return applyPromotions(parseGoogleSheetsData(csv).products, promotions);
+}
+
+// A GET request to a function, as Netlify passes it
+function get(path, query = {}) {
+    return { httpMethod: 'GET', path: path, headers: { Host: 'localhost:8888', 'X-Forwarded-Proto': 'http' }, queryStringParameters: query };
+}
+
+// The JSON-LD of a page
+function jsonLdOf(page) {
+    return JSON.parse(page.match(/<script type="application\/ld\+json">(.*)<\/script>/)[1]);
+}
+
+// The content of a <meta> tag, by property or name
+function metaContent(page, key) {
+    const match = page.match(new RegExp(`<meta (?:property|name)="${key}" content="([^"]*)">`));
+    return match ? match[1] : null;
+}
+
+// Runs first: the catalog snapshot is empty until the sheet has been read once
+test('while the sheet cannot be read, product links go to the storefront\'s own copy', async () => {
+    const response = await productPage(get('/product/home%20jersey'));
+
+    assert.equal(response.statusCode, 302);
+    assert.equal(response.headers.Location, '/#/product/home%20jersey');
+    assert.equal(response.headers['Cache-Control'], 'no-store');
+    assert.equal((await sitemap(get('/sitemap.xml'))).statusCode, 502);
+
+    process.env.SHEET_CSV_URL = path.join(__dirname, 'fixtures', 'sheet.csv');
+});
+
+test('a product page has its price today and stock per size in JSON-LD', async () => {
+    const response = await productPage(get('/product/home-jersey'));
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Content-Type'], 'text/html; charset=utf-8');
+
+    const product = jsonLdOf(response.body);
+    assert.equal(product['@type'], 'Product');
+    assert.equal(product.productID, 'home-jersey');
+    assert.equal(product.url, 'http://localhost:8888/product/home-jersey');
+    // $30 with the sheet's 20% off; S has 2 left and M none
+    assert.deepEqual(product.offers.map(offer => [offer.sku, offer.price, offer.priceCurrency, offer.availability]), [
+        ['home-jersey-S', '24.00', 'USD', 'https://schema.org/InStock'],
+        ['home-jersey-M', '24.00', 'USD', 'https://schema.org/OutOfStock']
+    ]);
+    assert.equal(product.offers[0].priceValidUntil, undefined);
+
+    // Stock that is not tracked is in stock; the gift-week promotion makes the sticker free
+    const ball = jsonLdOf((await productPage(get('/.netlify/functions/product-page', { id: 'ball' }))).body);
+    assert.deepEqual(ball.offers.map(offer => [offer.price, offer.availability]), [['15.00', 'https://schema.org/InStock']]);
+    assert.equal(jsonLdOf((await productPage(get('/product/sticker'))).body).offers[0].price, '0.00');
+});
+
+test('a sale price is only offered until the promotion ends', () => {
+    const june = [{ id: 'june', type: 'product', percent: 10, categories: [], productIds: [], starts: '', ends: '2099-06-30' }];
+    const [product] = pricedProducts(['ball,Match Ball,Balls,Size 5,15,,One Size,'], june);
+
+    const offer = buildProductJsonLd(product, SITE_URL).offers[0];
+
+    assert.equal(offer.price, '13.50');
+    assert.equal(offer.priceValidUntil, '2099-06-30');
+    assert.equal(offer.url, 'https://prsport.example/product/ball');
+});
+
+test('link previews get Open Graph and Twitter tags with the price and availability', async () => {
+    const page = (await productPage(get('/product/home-jersey'))).body;
+
+    assert.equal(metaContent(page, 'og:type'), 'product');
+    assert.equal(metaContent(page, 'og:title'), 'Home Jersey');
+    assert.equal(metaContent(page, 'og:description'), 'Home kit');
+    assert.equal(metaContent(page, 'og:url'), 'http://localhost:8888/product/home-jersey');
+    assert.equal(metaContent(page, 'product:price:amount'), '24.00');
+    assert.equal(metaContent(page, 'product:availability'), 'in stock');
+    // Rows without photos show the stock photos
+    assert.match(metaContent(page, 'og:image'), /^https:\/\/images\.unsplash\.com\//);
+    assert.equal(metaContent(page, 'twitter:card'), 'summary_large_image');
+    assert.equal(metaContent(page, 'twitter:image'), metaContent(page, 'og:image'));
+    assert.match(page, /<link rel="canonical" href="http:\/\/localhost:8888\/product\/home-jersey">/);
+    assert.match(page, /<span class="original-price">\$30\.00<\/span>/);
+    assert.match(page, /<a href="\/#\/product\/home-jersey" class="btn btn-primary">Choose your size and order<\/a>/);
+
+    const [soldOut] = pricedProducts([`cleats,Speed Cleats,Cleats,${csvCell(`Light cleats. ${'Very fast. '.repeat(30)}`)},45,,"40:0,41:0",https://i.imgur.com/cleats.jpg`]);
+    const soldOutPage = renderProductPage(soldOut, SITE_URL);
+    assert.equal(metaContent(soldOutPage, 'product:availability'), 'out of stock');
+    assert.equal(metaContent(soldOutPage, 'og:image'), 'https://i.imgur.com/cleats.jpg');
+    // Long descriptions are cut at a word for the meta tags
+    assert.ok(metaContent(soldOutPage, 'og:description').length <= 201);
+    assert.match(metaContent(soldOutPage, 'og:description'), /^Light cleats\. Very fast\..* Very…$/);
+    assert.match(soldOutPage, /Sold out - see more products/);
+});
+
+test('hostile sheet cells stay text on the server-rendered page', () => {
+    const [product] = pricedProducts([
+        [
+            'evil',
+            csvCell(HOSTILE),
+            csvCell(HOSTILE),
+            csvCell(HOSTILE),
+            '15',
+            '',
+            csvCell(`${HOSTILE}:3`),
+            csvCell(`javascript:alert(4) | https://evil.example/x.jpg | https://i.imgur.com/a.jpg" onerror="alert(5)`)
+        ].join(',')
+    ]);
+    const page = renderProductPage(product, SITE_URL);
+    const { document } = new JSDOM(page).window;
+
+    // No element or attribute came from the sheet, and the only script is the JSON-LD
+    const attributes = [...document.querySelectorAll('*')]
+        .flatMap(element => [...element.attributes].map(attribute => `${element.localName}[${attribute.name}]`));
+    assert.deepEqual(attributes.filter(name => /\[on|\[x\]/.test(name)), []);
+    assert.equal(document.querySelectorAll('script').length, 1);
+    assert.equal(document.title, `${HOSTILE} - PR Sport`);
+    assert.equal(document.querySelector('h1').textContent, HOSTILE);
+    assert.equal(document.querySelector('.product-category').textContent, HOSTILE);
+    assert.equal(document.querySelector('.size-option').textContent, HOSTILE);
+    assert.equal(document.querySelector('meta[property="og:title"]').content, HOSTILE);
+    // Only the photo on an allowed host is shown, quotes and all
+    assert.deepEqual([...document.querySelectorAll('img')].map(image => image.getAttribute('src')), ['https://i.imgur.com/a.jpg" onerror="alert(5)']);
+    assert.doesNotMatch(page, /javascript:|evil\.example/);
+
+    // The JSON-LD still holds the text as it is in the sheet
+    const jsonLd = jsonLdOf(page);
+    assert.equal(jsonLd.name, HOSTILE);
+    assert.equal(jsonLd.description, HOSTILE);
+    assert.deepEqual(jsonLd.image, ['https://i.imgur.com/a.jpg" onerror="alert(5)']);
+});
+
+test('an id that is not in the catalog gets a page crawlers won\'t index', async () => {
+    const response = await productPage(get('/product/old-scarf'));
+
+    assert.equal(response.statusCode, 404);
+    assert.match(response.body, /<meta name="robots" content="noindex">/);
+    assert.match(response.body, /This product is no longer available/);
+    assert.equal((await productPage(get('/product/%E0%A4%A'))).statusCode, 404);
+    assert.equal((await productPage({ ...get('/product/ball'), httpMethod: 'POST' })).statusCode, 405);
+});
+
+test('the sitemap lists the storefront and every product page', async () => {
+    const response = await sitemap(get('/sitemap.xml'));
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.headers['Content-Type'], 'application/xml; charset=utf-8');
+    const urls = [...response.body.matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]);
+    assert.deepEqual(urls, [
+        'http://localhost:8888/',
+        'http://localhost:8888/product/ball',
+        'http://localhost:8888/product/home-jersey',
+        'http://localhost:8888/product/sticker',
+        'http://localhost:8888/product/training-top'
+    ]);
+
+    const xml = renderSitemap([{ id: 'a&b <c>' }], SITE_URL, Date.parse('2025-03-14T10:00:00Z'));
+    assert.match(xml, /<url><loc>https:\/\/prsport\.example\/product\/a%26b%20%3Cc%3E<\/loc><lastmod>2025-03-14<\/lastmod><\/url>/);
+    assert.match(renderSitemap([], 'https://prsport.example?a=1&b=2', 0), /<loc>https:\/\/prsport\.example\?a=1&amp;b=2\/<\/loc>/);
+});
+
+test('robots.txt keeps crawlers out of the admin page and points at the sitemap', async () => {
+    assert.equal(renderRobots(SITE_URL), 'User-agent: *\nDisallow: /admin\nDisallow: /.netlify/\n\nSitemap: https://prsport.example/sitemap.xml\n');
+
+    process.env.URL = 'https://prsport.example/';
+    try {
+        const response = await robots(get('/robots.txt'));
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers['Content-Type'], 'text/plain; charset=utf-8');
+        assert.match(response.body, /^Sitemap: https:\/\/prsport\.example\/sitemap\.xml$/m);
+        assert.equal(getSiteUrl({ headers: {} }), 'https://prsport.example');
+    } finally {
+        delete process.env.URL;
+    }
+    assert.equal(getSiteUrl({ headers: { host: 'shop.local' } }), 'https://shop.local');
+});
@@ -0,0 +1,169 @@
+// Promotions (shared/promotions.js): the prices the storefront shows and send-order charges
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseDiscount,
+    getDiscountAmount,
+    parsePromotions,
+    parsePromotionsCSV,
+    isWithinWindow,
+    applyPromotions,
+    evaluateCart
+} = require('../shared/promotions');
+
+// Promotions as parsePromotions keeps them, failing the test on any it refuses
+function promotions(list) {
+    const parsed = parsePromotions(list);
+    assert.deepEqual(parsed.errors, []);
+    return parsed.promotions;
+}
+
+const PRODUCTS = [
+    { id: 'home-jersey', category: 'Jerseys', price: '30', discount: '' },
+    { id: 'away-jersey', category: 'Jerseys', price: '28', discount: '$5' },
+    { id: 'speed-cleats', category: 'Cleats', price: '45', discount: '' },
+    { id: 'sticker', category: 'Gifts', price: '2', discount: '' }
+];
+
+// Cart lines of products at their price today
+function cartLines(quantities, products = PRODUCTS) {
+    return Object.keys(quantities).map(id => {
+        const product = products.find(item => item.id === id);
+        return { productId: id, category: product.category, price: product.finalPrice || parseFloat(product.price), quantity: quantities[id] };
+    });
+}
+
+test('a discount is a percentage or dollars off, never more than the price', () => {
+    assert.deepEqual(parseDiscount('20%'), { percent: 20 });
+    assert.deepEqual(parseDiscount('$4.50'), { amount: 4.5 });
+    assert.deepEqual(parseDiscount('150%'), { percent: 100 });
+    assert.equal(parseDiscount('0'), null);
+    assert.equal(parseDiscount('half'), null);
+
+    assert.equal(getDiscountAmount(30, { percent: 15 }), 4.5);
+    assert.equal(getDiscountAmount(19.99, { percent: 10 }), 2);
+    assert.equal(getDiscountAmount(30, { amount: 5 }), 5);
+    assert.equal(getDiscountAmount(3, { amount: 5 }), 3);
+});
+
+test('promotions are checked, and the bad ones are reported by row and left out', () => {
+    const { promotions: kept, errors } = parsePromotions([
+        { id: 'june', type: 'Product', percent: '15', categories: 'Jerseys, Cleats' },
+        { id: 'both', type: 'product', percent: 10, amount: 5 },
+        { id: 'nothing', type: 'cart' },
+        { id: 'coded', type: 'product', percent: 10, code: 'SAVE' },
+        { id: 'june', type: 'cart', amount: 5 },
+        { id: 'when', type: 'cart', amount: 5, starts: 'next week' },
+        { type: 'cart', amount: 5 },
+        { id: 'ppfree', type: 'cart', freeDelivery: 'yes', code: ' ppfree ', deliveryMethods: ['phnom-penh'] }
+    ]);
+
+    assert.deepEqual(kept.map(promotion => promotion.id), ['june', 'ppfree']);
+    assert.equal(kept[0].type, 'product');
+    assert.deepEqual(kept[0].categories, ['Jerseys', 'Cleats']);
+    assert.equal(kept[1].code, 'PPFREE');
+    assert.equal(kept[1].freeDelivery, true);
+    assert.deepEqual(errors.map(error => error.row), [2, 3, 4, 5, 6, 7]);
+    assert.match(errors[0].message, /either percent or amount/);
+    assert.match(errors[2].message, /only work on "cart" promotions/);
+    assert.match(errors[3].message, /id is used twice/);
+});
+
+test('the promotions tab is read with its headers as field names', () => {
+    const csv = 'id,type,percent,amount,categories,code,minQuantity\n' +
+        'jerseys3,cart,10,,"Jerseys, Training",JERSEY3,3\n' +
+        ',,,,,,\n' +
+        'bad,cart,,,,,\n';
+
+    const { promotions: kept, errors } = parsePromotionsCSV(csv);
+
+    assert.equal(kept.length, 1);
+    assert.deepEqual(kept[0].categories, ['Jerseys', 'Training']);
+    assert.equal(kept[0].percent, 10);
+    assert.equal(kept[0].minQuantity, 3);
+    assert.deepEqual(errors, [{ row: 2, message: 'bad: needs a percent, an amount or freeDelivery' }]);
+    assert.deepEqual(parsePromotionsCSV('id,type\n'), { promotions: [], errors: [] });
+});
+
+test('a sale day starts and ends at midnight in Phnom Penh, not UTC', () => {
+    // Phnom Penh is UTC+7: 1 June starts at 31 May 17:00 UTC
+    assert.equal(isWithinWindow('2025-06-01', '', new Date('2025-05-31T16:59:59Z')), false);
+    assert.equal(isWithinWindow('2025-06-01', '', new Date('2025-05-31T17:00:00Z')), true);
+    assert.equal(isWithinWindow('', '2025-06-30', new Date('2025-06-30T16:59:59Z')), true);
+    assert.equal(isWithinWindow('', '2025-06-30', new Date('2025-06-30T17:00:00Z')), false);
+
+    // Exact times are taken as they are
+    assert.equal(isWithinWindow('2025-06-01T12:00:00+07:00', '', new Date('2025-06-01T04:59:00Z')), false);
+    assert.equal(isWithinWindow('2025-06-01T12:00:00+07:00', '', new Date('2025-06-01T05:00:00Z')), true);
+    assert.equal(isWithinWindow('', '', new Date()), true);
+});
+
+test('a category-wide promotion prices every product in it, and only while it runs', () => {
+    const june = promotions([{ id: 'june-jerseys', type: 'product', percent: 20, categories: 'Jerseys', label: 'June sale', starts: '2025-06-01', ends: '2025-06-30' }]);
+
+    const during = applyPromotions(PRODUCTS, june, new Date('2025-06-15T05:00:00Z'));
+    assert.deepEqual(during.map(product => product.finalPrice), [24, 22.4, 45, 2]);
+    assert.deepEqual(during[0].promotion, { id: 'june-jerseys', label: 'June sale', label_km: '', percent: 20, ends: '2025-06-30' });
+    assert.equal(during[2].promotion, null);
+
+    const after = applyPromotions(PRODUCTS, june, new Date('2025-07-01T05:00:00Z'));
+    assert.deepEqual(after.map(product => product.finalPrice), [30, 23, 45, 2]);
+    assert.equal(after[1].promotion.id, 'sheet');
+});
+
+test('when several discounts fit a product, the biggest saving wins and they don\'t stack', () => {
+    const list = promotions([
+        { id: 'all-10', type: 'product', percent: 10 },
+        { id: 'cleats-8', type: 'product', amount: 8, productIds: 'speed-cleats' },
+        { id: 'gifts-free', type: 'product', percent: 100, categories: 'Gifts' }
+    ]);
+
+    const priced = applyPromotions(PRODUCTS, list);
+
+    // Home jersey: 10% ($3). Away jersey: the sheet's $5 beats 10% ($2.80). Cleats: $8 beats 10% ($4.50).
+    assert.deepEqual(priced.map(product => [product.finalPrice, product.savings]), [[27, 3], [23, 5], [37, 8], [0, 2]]);
+    assert.deepEqual(priced.map(product => product.promotion.id), ['all-10', 'sheet', 'cleats-8', 'gifts-free']);
+});
+
+test('cart promotions apply on their own, codes only when typed, and they stack up to the subtotal', () => {
+    const list = promotions([
+        { id: 'big-order', type: 'cart', amount: 5, minSubtotal: 100 },
+        { id: 'jersey3', type: 'cart', percent: 10, categories: 'Jerseys', minQuantity: 3, code: 'JERSEY3' },
+        { id: 'expired', type: 'cart', amount: 5, code: 'OLD', ends: '2020-01-01' }
+    ]);
+    const lines = cartLines({ 'home-jersey': 3, 'speed-cleats': 1 });
+
+    const automatic = evaluateCart(lines, list);
+    assert.equal(automatic.subtotal, 135);
+    assert.deepEqual(automatic.discounts.map(discount => [discount.id, discount.amount]), [['big-order', 5]]);
+    assert.equal(automatic.total, 130);
+    assert.equal(automatic.code, null);
+
+    // 10% of the jerseys only
+    const coded = evaluateCart(lines, list, { code: ' jersey3 ' });
+    assert.deepEqual(coded.discounts.map(discount => [discount.id, discount.amount]), [['big-order', 5], ['jersey3', 9]]);
+    assert.equal(coded.discount, 14);
+    assert.equal(coded.total, 121);
+    assert.equal(coded.code.status, 'applied');
+
+    assert.equal(evaluateCart(cartLines({ 'home-jersey': 2, 'speed-cleats': 2 }), list, { code: 'JERSEY3' }).code.status, 'not-eligible');
+    assert.equal(evaluateCart(lines, list, { code: 'OLD' }).code.status, 'invalid');
+    assert.equal(evaluateCart(lines, list, { code: 'NOPE' }).code.status, 'invalid');
+
+    const huge = promotions([{ id: 'a', type: 'cart', amount: 20 }, { id: 'b', type: 'cart', amount: 20 }]);
+    assert.equal(evaluateCart(cartLines({ sticker: 10 }), huge).total, 0);
+});
+
+test('a free delivery code only works with the delivery methods it names', () => {
+    const list = promotions([{ id: 'pp-free', type: 'cart', freeDelivery: true, code: 'PPFREE', deliveryMethods: 'phnom-penh' }]);
+    const lines = cartLines({ sticker: 1 });
+
+    const phnomPenh = evaluateCart(lines, list, { code: 'PPFREE', deliveryMethod: 'phnom-penh' });
+    assert.equal(phnomPenh.freeDelivery, true);
+    assert.deepEqual(phnomPenh.discounts, [{ id: 'pp-free', label: '', label_km: '', amount: 0, freeDelivery: true }]);
+    assert.equal(phnomPenh.total, 2);
+
+    const province = evaluateCart(lines, list, { code: 'PPFREE', deliveryMethod: 'province' });
+    assert.equal(province.freeDelivery, false);
+    assert.equal(province.code.status, 'not-eligible');
+});
@@ -0,0 +1,117 @@
+// Hostile sheet rows through the whole render path: the sheet CSV (parseGoogleSheetsData), the
+// storefront's markup (js/views.js) and setHTML (render.js). Anyone who can edit the sheet
+// controls these cells, so nothing in them may become an element or an attribute.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPage, pageGlobal, loadModule } = require('./helpers');
+
+const HOSTILE = '<img src=x onerror="alert(1)">"\' onmouseover=alert(2) x=\'';
+
+let page;
+let views;
+let products;
+
+// A CSV cell, quoted the way a sheet export quotes it
+function csvCell(value) {
+    return `"${value.replace(/"/g, '""')}"`;
+}
+
+before(async () => {
+    page = setupPage();
+    views = await loadModule('views.js');
+
+    const csv = [
+        'id,name,Category,description,price,sizes,imageUrls,colors',
+        ['bad-name', `Jersey ${HOSTILE}`, `Kits ${HOSTILE}`, `Great ${HOSTILE}`, '20', 'S:0,M:2', 'javascript:alert(3)', ''],
+        ['bad-host', 'Ball', 'Balls', 'Size 5', '15', 'One Size', 'https://evil.example/ball.jpg',
+            `Red ${HOSTILE}: https://evil.example/red.jpg`]
+    ].map(row => (Array.isArray(row) ? row.map(csvCell).join(',') : row)).join('\n');
+
+    const parsed = pageGlobal('parseGoogleSheetsData')(csv);
+    products = pageGlobal('applyPromotions')(parsed.products, []);
+});
+
+// Render markup into a fresh element with setHTML
+function renderInto(markup) {
+    const container = page.document.createElement('div');
+    pageGlobal('setHTML')(container, markup);
+    return container;
+}
+
+// Every attribute on the rendered elements, e.g. "img[src]"
+function attributeNames(container) {
+    return [...container.querySelectorAll('*')]
+        .flatMap(element => [...element.attributes].map(attribute => `${element.localName}[${attribute.name}]`));
+}
+
+// Nothing from the sheet became markup: no event handler attributes, the text shown unchanged
+function assertNothingInjected(container, product) {
+    assert.deepEqual(attributeNames(container).filter(name => /\[on|\[x\]/.test(name)), []);
+    assert.equal(container.querySelector('img[onerror]'), null);
+    assert.ok(container.textContent.includes(product.name));
+    assert.ok(container.textContent.includes(product.description));
+    assert.equal(container.querySelector('.product-category').textContent, product.category);
+}
+
+test('the sheet text is kept as text, and unusable photos become the stock photos', () => {
+    const [badName, badHost] = products;
+    const fallback = pageGlobal('FALLBACK_IMAGE_URLS');
+
+    assert.equal(badName.name, `Jersey ${HOSTILE}`);
+    assert.equal(badName.category, `Kits ${HOSTILE}`);
+    assert.deepEqual(badName.imageUrls, fallback);
+    assert.deepEqual(badHost.imageUrls, fallback);
+    assert.deepEqual(badHost.colors, [{ name: `Red ${HOSTILE}`, imageUrls: [] }]);
+});
+
+test('a product card shows hostile cells as text', () => {
+    const [badName] = products;
+    const card = renderInto(views.renderProductCard(badName));
+
+    assertNothingInjected(card, badName);
+    assert.equal(card.querySelectorAll('img').length, 1);
+    assert.equal(card.querySelector('.product-title').textContent.trim(), badName.name);
+    assert.equal(card.querySelector('.product-card').dataset.category, badName.category);
+    assert.equal(card.querySelector('.product-image').getAttribute('alt'), badName.name);
+    assert.equal(card.querySelector('.wishlist-btn').getAttribute('aria-label'), `Save ${badName.name} to your wishlist`);
+});
+
+test('the product page shows hostile cells and colorways as text', () => {
+    const [badName, badHost] = products;
+
+    const detail = renderInto(views.renderProductDetail(badName));
+    assertNothingInjected(detail, badName);
+    assert.equal(detail.querySelector('.product-detail-title').textContent, badName.name);
+    assert.equal(detail.querySelector('.product-detail-description').textContent, badName.description);
+
+    const colored = renderInto(views.renderProductDetail(badHost));
+    assert.deepEqual(attributeNames(colored).filter(name => /\[on|\[x\]/.test(name)), []);
+    assert.equal(colored.querySelector('.color-option').dataset.color, `Red ${HOSTILE}`);
+    assert.equal(colored.querySelector('.color-option').textContent, `Red ${HOSTILE}`);
+});
+
+test('image URLs that skip the sheet check still render as the stock photo', () => {
+    const fallback = pageGlobal('FALLBACK_IMAGE_URLS')[0];
+    const safeImageUrl = pageGlobal('safeImageUrl');
+    const [badName] = products;
+
+    assert.equal(safeImageUrl('javascript:alert(1)'), fallback);
+    assert.equal(safeImageUrl('http://i.imgur.com/a.jpg'), fallback);
+    assert.equal(safeImageUrl('https://evil.example/a.jpg'), fallback);
+    assert.equal(safeImageUrl('https://i.imgur.com.evil.example/a.jpg'), fallback);
+    assert.equal(safeImageUrl('https://i.imgur.com/a.jpg'), 'https://i.imgur.com/a.jpg');
+
+    // e.g. a tampered cached catalog
+    const tampered = {
+        ...badName,
+        imageUrls: ['javascript:alert(1)', '"><script>alert(2)</script>'],
+        colors: [{ name: 'Away', imageUrls: ['https://evil.example/away.jpg'] }]
+    };
+    const card = renderInto(views.renderProductCard(tampered));
+    const detail = renderInto(views.renderProductDetail({ ...tampered, colors: [] }));
+
+    assert.equal(card.querySelector('.product-image').getAttribute('src'), fallback);
+    assert.deepEqual([...detail.querySelectorAll('img')].map(image => image.getAttribute('src')),
+        [...detail.querySelectorAll('img')].map(() => fallback));
+    assert.equal(detail.querySelector('script'), null);
+});
@@ -0,0 +1,282 @@
+// The send-order function (netlify/functions/send-order.js) end to end: validation, the price and
+// stock check against a saved sheet export (SHEET_CSV_URL) and promotions tab (PROMOTIONS_CSV_URL),
+// the honeypot and the rate limits.
+// Orders are kept in memory and Telegram messages go to scripts/telegram-stub.js.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const { waitFor } = require('./helpers');
+
+const SHEET_FILE = path.join(__dirname, 'fixtures', 'sheet.csv');
+
+let stub;
+let stubOutput = '';
+let sendOrder;
+let orderStore;
+
+before(async () => {
+    stub = spawn(process.execPath, [path.join(__dirname, '..', 'scripts', 'telegram-stub.js')], {
+        env: { ...process.env, PORT: '0' }
+    });
+    stub.stdout.on('data', chunk => {
+        stubOutput += chunk;
+    });
+    const [, port] = await waitFor(() => stubOutput.match(/listening on http:\/\/localhost:(\d+)/), 10000);
+
+    Object.assign(process.env, {
+        ORDER_STORE: 'memory',
+        TELEGRAM_API_URL: `http://localhost:${port}`,
+        TELEGRAM_BOT_TOKEN: 'test',
+        TELEGRAM_CHAT_ID: '1',
+        SHEET_CSV_URL: path.join(__dirname, 'fixtures', 'missing.csv'),
+        PROMOTIONS_CSV_URL: path.join(__dirname, 'fixtures', 'promotions.csv')
+    });
+    delete process.env.KHQR_ACCOUNT_ID;
+
+    sendOrder = require('../netlify/functions/send-order').handler;
+    orderStore = require('../netlify/lib/order-store').getOrderStore();
+});
+
+after(() => {
+    stub.kill();
+});
+
+// Messages the stub has received so far
+function telegramMessages() {
+    return stubOutput.split(/^--- message #\d+ to chat 1 ---\n/m).slice(1).map(message => message.trim());
+}
+
+// A valid order for one match ball, with changes
+function orderFor(changes = {}) {
+    return {
+        items: [{ productId: 'ball', product: 'Match Ball', size: 'One Size', price: 15, quantity: 1 }],
+        name: 'Sokha',
+        phone: '012 345 678',
+        hasTelegram: true,
+        deliveryMethod: 'phnom-penh',
+        deliveryArea: 'Tuol Kouk',
+        address: 'Street 271',
+        notes: '',
+        ...changes
+    };
+}
+
+// Post an order from a visitor IP and return { statusCode, headers, body }
+async function post(order, ip = '203.0.113.1', headers = {}) {
+    const response = await sendOrder({
+        httpMethod: 'POST',
+        headers: { 'x-nf-client-connection-ip': ip, ...headers },
+        body: JSON.stringify(order)
+    });
+    return { ...response, body: JSON.parse(response.body) };
+}
+
+test('orders are refused while the sheet cannot be read, not taken at the client\'s prices', async () => {
+    const response = await post(orderFor({ items: [{ productId: 'ball', product: 'Match Ball', price: 0.01, quantity: 1 }] }));
+
+    assert.equal(response.statusCode, 503);
+    assert.equal(response.body.success, false);
+    assert.deepEqual(await orderStore.listOrders(), []);
+
+    process.env.SHEET_CSV_URL = SHEET_FILE;
+});
+
+test('customer fields are checked and reported per field', async () => {
+    const response = await post(orderFor({ name: ' ', phone: '123', hasTelegram: false, deliveryArea: 'Paris' }));
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(Object.keys(response.body.fields).sort(), ['deliveryArea', 'hasTelegram', 'name', 'phone']);
+    assert.equal((await post(orderFor({ items: [] }))).body.error, 'Your cart is empty');
+    assert.equal((await post(orderFor({ items: [{ productId: 'ball', product: 'Match Ball', price: 15, quantity: 0 }] }))).statusCode, 400);
+    assert.equal((await sendOrder({ httpMethod: 'GET', headers: {} })).statusCode, 405);
+});
+
+test('lines are checked against the sheet: product, size, colorway, printing, price and stock', async () => {
+    const jersey = changes => ({
+        productId: 'home-jersey',
+        product: 'Home Jersey',
+        size: 'S',
+        color: 'Home',
+        price: 24,
+        quantity: 1,
+        ...changes
+    });
+    const refusal = async items => {
+        const response = await post(orderFor({ items: items }));
+        assert.equal(response.statusCode, 409);
+        return response.body.error;
+    };
+
+    assert.equal(await refusal([{ productId: 'gone', product: 'Old Ball', price: 5, quantity: 1 }]), 'Old Ball is no longer available');
+    assert.equal(await refusal([{ productId: 'ball', product: 'Match Ball', price: 1, quantity: 1 }]),
+        'The price of Match Ball has changed to $15.00');
+    assert.equal(await refusal([jersey({ price: 30 })]), 'The price of Home Jersey has changed to $24.00');
+    assert.equal(await refusal([jersey({ personalization: { name: 'SOK' } })]), 'The price of Home Jersey has changed to $27.00');
+    assert.equal(await refusal([jersey({ size: 'XL' })]), 'Home Jersey is not available in size XL');
+    assert.equal(await refusal([jersey({ color: 'Third' })]), 'Home Jersey is not available in Third');
+    assert.equal(await refusal([jersey({ color: '' })]), 'Please choose a color for Home Jersey');
+    assert.equal(await refusal([jersey({ personalization: { number: '123' }, price: 26 })]),
+        'The number for Home Jersey can be at most 2 characters');
+    assert.equal(await refusal([jersey({ size: 'M' })]), 'Home Jersey (size M) is out of stock');
+    assert.equal(await refusal([jersey(), jersey({ color: 'Away', quantity: 2 })]), 'Only 2 left of Home Jersey (size S)');
+
+    assert.deepEqual(await orderStore.listOrders(), []);
+    assert.deepEqual(telegramMessages(), []);
+});
+
+test('a checked order is saved and sent to Telegram with the sheet\'s names and prices', async () => {
+    const response = await post(orderFor({
+        items: [
+            { productId: 'ball', product: 'Ball from an old cart', size: 'One Size', price: '$15', quantity: 1 },
+            { productId: 'home-jersey', product: 'Home Jersey', size: 'S', color: 'Away', personalization: { name: 'Sok' }, price: 27, quantity: 1 }
+        ]
+    }));
+
+    assert.equal(response.statusCode, 200);
+    const saved = await orderStore.getOrder(response.body.orderId);
+    assert.equal(saved.pricesChecked, true);
+    assert.equal(saved.phone, '+85512345678');
+    assert.deepEqual(saved.items.map(item => [item.product, item.price]), [['Match Ball', 15], ['Home Jersey', 27]]);
+    assert.equal(saved.subtotal, 42);
+    assert.equal(saved.delivery.fee, 0);
+    assert.equal(saved.total, 42);
+
+    const [message] = await waitFor(() => telegramMessages().length === 1 && telegramMessages());
+    assert.match(message, new RegExp(`Order: ${response.body.orderId}`));
+    assert.match(message, /1\. Match Ball/);
+    assert.match(message, /Print: Name "Sok"/);
+    assert.match(message, /Total to collect: \$42\.00/);
+});
+
+test('a product a promotion makes free is charged nothing, not its full price', async () => {
+    const sticker = price => ({ productId: 'sticker', product: 'Club Sticker', size: 'One Size', price: price, quantity: 2 });
+
+    const fullPrice = await post(orderFor({ phone: '012 999 000', items: [sticker(2)] }), '203.0.113.7');
+    assert.equal(fullPrice.statusCode, 409);
+    assert.equal(fullPrice.body.error, 'The price of Club Sticker has changed to $0.00');
+
+    const response = await post(orderFor({ phone: '012 999 000', items: [sticker(0)] }), '203.0.113.7');
+    assert.equal(response.statusCode, 200);
+    const saved = await orderStore.getOrder(response.body.orderId);
+    assert.equal(saved.items[0].price, 0);
+    assert.equal(saved.total, 1.5);
+});
+
+test('the promo codes of the promotions tab are applied, and refused when the cart does not qualify', async () => {
+    const ip = '203.0.113.20';
+    const tops = quantity => [{ productId: 'training-top', product: 'Training Top', size: 'One Size', price: 20, quantity: quantity }];
+
+    // Free delivery in Phnom Penh: the $1.50 fee goes, on a $15 ball
+    const freeDelivery = await post(orderFor({ phone: '012 555 001', promoCode: 'ppfree' }), ip);
+    assert.equal(freeDelivery.statusCode, 200);
+    assert.deepEqual(freeDelivery.body.order.discounts.map(discount => [discount.id, discount.freeDelivery]), [['pp-free', true]]);
+    assert.equal(freeDelivery.body.order.delivery.fee, 0);
+    assert.equal(freeDelivery.body.order.total, 15);
+
+    const province = await post(orderFor({ phone: '012 555 002', promoCode: 'PPFREE', deliveryMethod: 'province', deliveryArea: 'Kampot' }), ip);
+    assert.equal(province.statusCode, 400);
+    assert.deepEqual(province.body.fields, { promoCode: 'Your cart does not qualify for this promo code' });
+
+    // 10% off 3 or more jerseys
+    const threeTops = await post(orderFor({ phone: '012 555 003', promoCode: 'JERSEY3', items: tops(3) }), ip);
+    assert.equal(threeTops.statusCode, 200);
+    assert.equal(threeTops.body.order.subtotal, 60);
+    assert.deepEqual(threeTops.body.order.discounts.map(discount => [discount.id, discount.amount]), [['jersey3', 6]]);
+    assert.equal(threeTops.body.order.total, 54);
+
+    const twoTops = await post(orderFor({ phone: '012 555 004', promoCode: 'JERSEY3', items: tops(2) }), ip);
+    assert.equal(twoTops.statusCode, 400);
+    assert.equal(twoTops.body.fields.promoCode, 'Your cart does not qualify for this promo code');
+    assert.equal((await post(orderFor({ phone: '012 555 004', promoCode: 'SUMMER' }), ip)).body.fields.promoCode,
+        'This promo code is not valid');
+});
+
+test('the largest order we take reaches Telegram in messages short enough for it', async () => {
+    const items = Array.from({ length: 30 }, (value, index) => ({
+        productId: 'training-top',
+        product: 'Training Top',
+        size: 'One Size',
+        personalization: { name: `PLAYER ${String.fromCharCode(65 + index % 26)}${'X'.repeat(3)}`, number: String(index + 10) },
+        price: 25,
+        quantity: 100
+    }));
+    const response = await post(orderFor({
+        phone: '012 888 777',
+        items: items,
+        address: 'A'.repeat(500),
+        notes: 'N'.repeat(500)
+    }), '203.0.113.30');
+
+    assert.equal(response.statusCode, 200);
+    // The parts of a split message, once all of them are in
+    const parts = await waitFor(() => {
+        const labelled = telegramMessages().filter(message => /^\(\d+\/\d+\)\n/.test(message));
+        return labelled.length > 1 && labelled.length === Number(labelled[0].match(/\/(\d+)/)[1]) && labelled;
+    });
+    assert.ok(parts.every(part => part.length <= 4096));
+    assert.deepEqual(parts.map(part => part.split('\n')[0]), parts.map((part, index) => `(${index + 1}/${parts.length})`));
+
+    const message = parts.map(part => part.split('\n').slice(1).join('\n')).join('\n');
+    assert.match(message, new RegExp(`Order: ${response.body.orderId}`));
+    assert.match(message, /30\. Training Top/);
+    assert.match(message, /Total to collect: \$75000\.00/);
+    assert.ok(message.includes(`Address: ${'A'.repeat(500)}`));
+    assert.ok(message.includes(`Notes: ${'N'.repeat(500)}`));
+    assert.ok(await orderStore.getOrder(response.body.orderId));
+});
+
+test('an order sent again with the same Idempotency-Key gets the order already taken', async () => {
+    const key = { 'Idempotency-Key': '1741939200000-k3m9q7x2' };
+    const order = orderFor({ phone: '012 777 666' });
+    const messagesBefore = telegramMessages().length;
+
+    const first = await post(order, '203.0.113.40', key);
+    await waitFor(() => telegramMessages().length === messagesBefore + 1);
+    const repeated = await post(order, '203.0.113.41', { 'idempotency-key': key['Idempotency-Key'] });
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(repeated.statusCode, 200);
+    assert.equal(repeated.body.orderId, first.body.orderId);
+    assert.deepEqual(repeated.body.order, first.body.order);
+    assert.equal((await orderStore.listOrders()).filter(saved => saved.phone === '+85512777666').length, 1);
+    assert.equal(telegramMessages().length, messagesBefore + 1);
+
+    // The same key from another phone number is someone else's order
+    const other = await post(orderFor({ phone: '012 777 555' }), '203.0.113.42', key);
+    assert.notEqual(other.body.orderId, first.body.orderId);
+});
+
+test('a filled honeypot gets a quiet success, and the order goes nowhere', async () => {
+    const before = (await orderStore.listOrders()).length;
+    const response = await post(orderFor({ website: 'https://spam.example' }), '198.51.100.9');
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.success, true);
+    assert.match(response.body.orderId, /^PR-/);
+    assert.equal((await orderStore.listOrders()).length, before);
+    assert.equal(await orderStore.getOrder(response.body.orderId), null);
+});
+
+test('a phone number can place 3 orders in 10 minutes, from any IP', async () => {
+    const phone = '010 111 222';
+    for (const ip of ['192.0.2.1', '192.0.2.2', '192.0.2.3']) {
+        assert.equal((await post(orderFor({ phone: phone }), ip)).statusCode, 200);
+    }
+
+    const limited = await post(orderFor({ phone: phone }), '192.0.2.4');
+    assert.equal(limited.statusCode, 429);
+    assert.ok(Number(limited.headers['Retry-After']) > 0);
+});
+
+test('an IP can place 5 orders in 10 minutes, and refused orders don\'t count', async () => {
+    const ip = '192.0.2.50';
+    assert.equal((await post(orderFor({ phone: '011 000 000', items: [] }), ip)).statusCode, 400);
+    for (let i = 1; i <= 5; i++) {
+        assert.equal((await post(orderFor({ phone: `011 000 00${i}` }), ip)).statusCode, 200);
+    }
+
+    const limited = await post(orderFor({ phone: '011 000 009' }), ip);
+    assert.equal(limited.statusCode, 429);
+    assert.match(limited.body.error, /Too many orders/);
+});
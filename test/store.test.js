@@ -0,0 +1,206 @@
+// Cart and saved orders (js/store.js) and pricing (js/pricing.js)
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPage, pageGlobal, loadModule, installFetch, sampleCatalog } = require('./helpers');
+
+let store;
+let pricing;
+let products;
+
+before(async () => {
+    setupPage();
+    installFetch({});
+    await pageGlobal('loadDeliveryMethods')();
+    await pageGlobal('loadExchangeRate')();
+    store = await loadModule('store.js');
+    pricing = await loadModule('pricing.js');
+    products = pageGlobal('applyPromotions')(sampleCatalog().products, []);
+});
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+// A product of the sample catalog by id
+function product(id) {
+    return store.findProduct(products, id);
+}
+
+test('addToCart adds a line and merges the same size, color and printing', () => {
+    let { cart } = store.addToCart([], product('real-madrid-away'), 'M');
+    ({ cart } = store.addToCart(cart, product('real-madrid-away'), 'M', 2));
+
+    assert.equal(cart.length, 1);
+    assert.equal(cart[0].quantity, 3);
+    assert.equal(cart[0].price, 18);
+    assert.equal(cart[0].name, 'Real Madrid Away Jersey');
+});
+
+test('addToCart keeps printed shirts on their own line, at the printed price', () => {
+    const jersey = product('barcelona-home');
+    let { cart } = store.addToCart([], jersey, 'L');
+    ({ cart } = store.addToCart(cart, jersey, 'L', 1, { personalization: { name: 'SOK', number: '7' } }));
+
+    assert.equal(cart.length, 2);
+    assert.deepEqual(cart.map(item => item.price), [15, 20]);
+});
+
+test('addToCart never adds more than the stock', () => {
+    const jersey = product('barcelona-home');
+    const first = store.addToCart([], jersey, 'S', 3);
+
+    assert.equal(first.added, 2);
+    assert.equal(first.limited, true);
+    assert.equal(first.available, 2);
+
+    const second = store.addToCart(first.cart, jersey, 'S', 1, { personalization: { number: '9' } });
+    assert.equal(second.added, 0);
+    assert.equal(second.cart, first.cart);
+
+    assert.equal(store.addToCart([], jersey, 'M').available, 0);
+});
+
+test('addToCart does not change the cart it is given', () => {
+    const cart = store.addToCart([], product('real-madrid-away'), 'M').cart;
+    const copy = JSON.parse(JSON.stringify(cart));
+
+    store.addToCart(cart, product('real-madrid-away'), 'M');
+
+    assert.deepEqual(cart, copy);
+});
+
+test('updateCartQuantity cuts the quantity to the stock and removes lines set to 0', () => {
+    const { cart } = store.addToCart([], product('real-madrid-away'), 'M');
+    const key = store.getCartItemKey(cart[0]);
+
+    const tooMany = store.updateCartQuantity(cart, products, key, 10);
+    assert.equal(tooMany.limited, true);
+    assert.equal(tooMany.cart[0].quantity, 4);
+
+    const removed = store.updateCartQuantity(tooMany.cart, products, key, 0);
+    assert.deepEqual(removed.cart, []);
+});
+
+test('getCartLines prices lines from the loaded products, and keeps lines of products that left the sheet', () => {
+    const cart = [
+        { productId: 'barcelona-home', size: 'S', quantity: 2, personalization: { number: '10' }, name: 'Barcelona', price: 99 },
+        { productId: 'gone', size: 'M', quantity: 1, name: 'Old Jersey', price: '12.5' }
+    ];
+
+    const lines = store.getCartLines(cart, products);
+
+    assert.equal(lines[0].price, 17);
+    assert.equal(lines[0].lineTotal, 34);
+    assert.equal(lines[0].stock, 2);
+    assert.equal(lines[1].name, 'Old Jersey');
+    assert.equal(lines[1].price, 12.5);
+    assert.equal(lines[1].stock, Infinity);
+});
+
+test('the cart is saved and read back without broken lines', () => {
+    const cart = [
+        { productId: 'real-madrid-away', size: 'M', quantity: 1 },
+        { productId: 'speed-cleats', size: 'US 9', quantity: 0 },
+        null
+    ];
+    store.writeCart(cart);
+
+    assert.deepEqual(store.readCart(), [cart[0]]);
+
+    localStorage.setItem('prsport-cart', 'oops');
+    assert.deepEqual(store.readCart(), []);
+});
+
+test('saved orders are updated in place and capped at ten', () => {
+    for (let i = 1; i <= 12; i++) {
+        store.saveOrder({ id: `PR-${i}`, status: 'received' }, '012345678');
+    }
+    store.saveOrder({ id: 'PR-12', status: 'shipped' }, '012345678');
+
+    const orders = store.loadSavedOrders();
+    assert.equal(orders.length, 10);
+    assert.equal(orders[0].id, 'PR-12');
+    assert.equal(orders[0].status, 'shipped');
+    assert.equal(store.findSavedOrder('PR-1'), undefined);
+    assert.equal(store.findSavedOrder('PR-5').phone, '012345678');
+});
+
+test('getCheckoutTotal adds the delivery fee, free above the threshold', () => {
+    const small = store.getCartLines([{ productId: 'real-madrid-away', size: 'M', quantity: 1 }], products);
+    const large = store.getCartLines([{ productId: 'speed-cleats', size: 'US 9', quantity: 1 }], products);
+    const delivery = { method: 'phnom-penh', area: 'Dangkao' };
+
+    const smallTotal = pricing.getCheckoutTotal(pricing.getCartPricing(small, []), delivery);
+    assert.equal(smallTotal.delivery.fee, 2);
+    assert.equal(smallTotal.total, 20);
+
+    const largeTotal = pricing.getCheckoutTotal(pricing.getCartPricing(large, []), delivery);
+    assert.equal(largeTotal.delivery.fee, 0);
+    assert.equal(largeTotal.total, 45.5);
+
+    assert.deepEqual(pricing.getCheckoutTotal(pricing.getCartPricing(small, []), null), { delivery: null, total: 18 });
+});
+
+test('a product a promotion makes free costs 0, and the checkout total is to the cent', () => {
+    assert.equal(pricing.getProductPrice({ ...product('real-madrid-away'), finalPrice: 0 }), 0);
+    assert.equal(pricing.getProductPrice({ price: '18' }), 18);
+
+    const checkout = pricing.getCheckoutTotal({ total: 0.14, freeDelivery: false }, { method: 'phnom-penh', area: 'Tuol Kouk' });
+    assert.equal(checkout.total, 1.64);
+});
+
+test('delivery fees and thresholds are read from delivery.json', async () => {
+    const loadDeliveryMethods = pageGlobal('loadDeliveryMethods');
+    const lines = store.getCartLines([{ productId: 'speed-cleats', size: 'US 9', quantity: 1 }], products);
+    const delivery = { method: 'province', area: 'Kampot' };
+    const config = require('../delivery.json');
+    const province = { ...config.methods.province, fee: 4.5, freeFrom: 100 };
+
+    installFetch({ 'delivery.json': { json: { methods: { ...config.methods, province: province } } } });
+    assert.equal(await loadDeliveryMethods(), true);
+    assert.equal(pricing.getCheckoutTotal(pricing.getCartPricing(lines, []), delivery).delivery.fee, 4.5);
+
+    // A failed read keeps the methods already loaded
+    installFetch({ 'delivery.json': { status: 404, text: 'Not found' } });
+    assert.equal(await loadDeliveryMethods(), false);
+    assert.equal(pageGlobal('DELIVERY_METHODS').province.fee, 4.5);
+
+    installFetch({});
+    await loadDeliveryMethods();
+    assert.equal(pricing.getCheckoutTotal(pricing.getCartPricing(lines, []), delivery).delivery.fee, 3);
+});
+
+test('prices are shown in dollars, with riel when asked for', () => {
+    assert.equal(pricing.formatDollars('12'), '$12');
+    assert.equal(pricing.formatDollars(12.5), '$12.50');
+    assert.equal(pricing.formatPrice(10), '$10.00');
+    assert.equal(pricing.formatPrice(10, 'usd-khr'), '$10.00 (41,000៛)');
+
+    // The currency the customer picked is passed in, not read from the page
+    pageGlobal('setCurrencyMode')('usd-khr');
+    assert.equal(pricing.formatPrice(10, 'usd'), '$10.00');
+    pageGlobal('setCurrencyMode')('usd');
+});
+
+test('the riel exchange rate is read from currency.json, and without it prices are in dollars', async () => {
+    const loadExchangeRate = pageGlobal('loadExchangeRate');
+
+    installFetch({ 'currency.json': { json: { khrPerUsd: 4000 } } });
+    assert.equal(await loadExchangeRate(), true);
+    assert.equal(pricing.formatPrice(10.99, 'usd-khr'), '$10.99 (44,000៛)');
+
+    // A failed read keeps the rate already loaded
+    installFetch({ 'currency.json': { status: 404, text: 'Not found' } });
+    assert.equal(await loadExchangeRate(), false);
+    assert.equal(pageGlobal('formatRiel')(10), '40,000៛');
+
+    // A rate that isn't one shows no riel rather than wrong ones
+    installFetch({ 'currency.json': { json: { khrPerUsd: 'soon' } } });
+    assert.equal(await loadExchangeRate(), true);
+    assert.equal(pricing.formatPrice(10, 'usd-khr'), '$10.00');
+    assert.equal(pageGlobal('formatRiel')(10), '');
+
+    installFetch({});
+    await loadExchangeRate();
+    assert.equal(pricing.formatPrice(10, 'usd-khr'), '$10.00 (41,000៛)');
+});
@@ -0,0 +1,112 @@
+// Storefront start-up with a saved catalog: shown right away, then updated from the catalog function,
+// and the page the service worker keeps for offline visits
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { setupPage, loadModule, installFetch, waitFor, sampleCatalog } = require('./helpers');
+
+let page;
+
+before(async () => {
+    page = setupPage();
+
+    // Yesterday's copy of the catalog, before the cleats went on sale
+    const catalog = await loadModule('catalog.js');
+    catalog.writeCatalogCache({ ...sampleCatalog(), hash: 'yesterday' }, localStorage, Date.now() - 24 * 60 * 60 * 1000);
+
+    const today = sampleCatalog();
+    today.hash = 'today';
+    today.products[2] = { ...today.products[2], discount: '10' };
+    installFetch({ '/.netlify/functions/catalog': { json: today } });
+
+    await loadModule('app.js');
+});
+
+const $ = selector => page.document.querySelector(selector);
+const cleatsPrice = () => $('[data-product-id="speed-cleats"] .product-price-container').textContent.replace(/\s+/g, ' ').trim();
+
+test('shows the saved catalog without waiting for the network', () => {
+    page.document.dispatchEvent(new page.window.Event('DOMContentLoaded'));
+
+    assert.equal(page.document.querySelectorAll('.product-card').length, 3);
+    assert.equal(cleatsPrice(), '$45.50');
+});
+
+test('swaps in the changed products and tells the customer', async () => {
+    await waitFor(() => cleatsPrice().startsWith('$45.50 $35.50'));
+
+    assert.equal($('#catalogNotice').hidden, false);
+    assert.equal(JSON.parse(localStorage.getItem('prsport-catalog')).hash, 'today');
+
+    $('#catalogNoticeClose').dispatchEvent(new page.window.MouseEvent('click', { bubbles: true }));
+    assert.equal($('#catalogNotice').hidden, true);
+});
+
+// Run sw.js with fake caches; fetchPage answers its network requests
+// Returns the worker's global scope and the cached responses by key.
+function loadServiceWorker(fetchPage) {
+    const cached = new Map();
+    const cache = {
+        put: async (key, response) => {
+            cached.set(key, response);
+        },
+        match: async key => cached.get(key)
+    };
+    const scope = vm.createContext({
+        self: { addEventListener() {}, location: new URL('https://prsport.test/') },
+        importScripts() {},
+        caches: { open: async () => cache, match: cache.match },
+        fetch: fetchPage,
+        URL: URL,
+        Response: Response
+    });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8'), scope);
+    return { worker: scope, cached: cached };
+}
+
+test('only the storefront itself is kept as the offline page', async () => {
+    const pages = {
+        '/': { status: 200, body: 'shop' },
+        '/admin.html': { status: 200, body: 'admin' },
+        '/product/speed-cleats': { status: 200, body: 'cleats page' },
+        '/index.html': { status: 500, body: 'server error' }
+    };
+    const { worker, cached } = loadServiceWorker(async request => {
+        const page = pages[new URL(request.url).pathname];
+        return new Response(page.body, { status: page.status });
+    });
+    const visit = pathname => worker.networkFirstPage({ url: `https://prsport.test${pathname}` });
+
+    await visit('/');
+    assert.equal(await cached.get('index.html').clone().text(), 'shop');
+
+    for (const pathname of ['/admin.html', '/product/speed-cleats', '/index.html']) {
+        assert.equal(await (await visit(pathname)).text(), pages[pathname].body);
+    }
+    assert.equal(cached.size, 1);
+    assert.equal(await cached.get('index.html').clone().text(), 'shop');
+
+    // Offline, every page falls back to the storefront
+    worker.fetch = async () => {
+        throw new TypeError('Failed to fetch');
+    };
+    assert.equal(await (await visit('/admin.html')).text(), 'shop');
+});
+
+test('offline, deeper pages go to the storefront at /, where its styles and scripts resolve', async () => {
+    const { worker, cached } = loadServiceWorker(async () => {
+        throw new TypeError('Failed to fetch');
+    });
+    cached.set('index.html', new Response('shop'));
+    const visit = pathname => worker.networkFirstPage({ url: `https://prsport.test${pathname}` });
+
+    const product = await visit('/product/speed-cleats');
+    assert.equal(product.status, 302);
+    assert.equal(product.headers.get('Location'), 'https://prsport.test/#/product/speed-cleats');
+
+    assert.equal((await visit('/product/real%20madrid/')).headers.get('Location'), 'https://prsport.test/#/product/real%20madrid');
+    assert.equal((await visit('/shop/old-page')).headers.get('Location'), 'https://prsport.test/');
+    assert.equal(await (await visit('/')).text(), 'shop');
+});
@@ -0,0 +1,131 @@
+// The whole storefront (js/app.js) on index.html: catalog, cart and checkout against a fake fetch
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPage, loadModule, installFetch, waitFor, sampleCatalog } = require('./helpers');
+
+let page;
+let fetch;
+let sendOrderReply;
+
+before(async () => {
+    page = setupPage();
+    fetch = installFetch({
+        '/.netlify/functions/catalog': { json: sampleCatalog() },
+        'POST /.netlify/functions/send-order': request => sendOrderReply(request)
+    });
+    await loadModule('app.js');
+    page.document.dispatchEvent(new page.window.Event('DOMContentLoaded'));
+});
+
+// Shortcuts for the page
+const $ = selector => page.document.querySelector(selector);
+const $$ = selector => [...page.document.querySelectorAll(selector)];
+const cardIds = () => $$('.product-card').map(card => card.dataset.productId);
+
+// Click an element, as the customer would
+function click(element) {
+    element.dispatchEvent(new page.window.MouseEvent('click', { bubbles: true }));
+}
+
+// Set a form control and fire its change event
+function setValue(id, value) {
+    const input = page.document.getElementById(id);
+    if (input.type === 'checkbox') {
+        input.checked = value;
+    } else {
+        input.value = value;
+    }
+    input.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+}
+
+// Submit the checkout
+function submitCheckout() {
+    $('#orderForm').dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+}
+
+test('shows the catalog from the catalog function and saves a copy', async () => {
+    await waitFor(() => cardIds().length === 3);
+
+    assert.deepEqual(cardIds(), ['barcelona-home', 'real-madrid-away', 'speed-cleats']);
+    assert.deepEqual($$('.category-btn').map(button => button.dataset.category), ['all', 'Jerseys', 'Cleats']);
+    assert.match($('[data-product-id="barcelona-home"] .product-price-container').textContent, /\$20\s+\$15/);
+    assert.equal(JSON.parse(localStorage.getItem('prsport-catalog')).hash, 'catalog-hash-1');
+});
+
+test('filters the catalog from the URL', async () => {
+    page.window.location.hash = '#/category/Jerseys?q=madrid';
+    await waitFor(() => cardIds().length === 1);
+
+    assert.deepEqual(cardIds(), ['real-madrid-away']);
+    assert.equal($('#searchInput').value, 'madrid');
+    assert.match($('#resultsSummary').textContent, /1/);
+
+    page.window.location.hash = '#/';
+    await waitFor(() => cardIds().length === 3);
+});
+
+test('adds the chosen size to the cart', () => {
+    const card = $('.product-card[data-product-id="real-madrid-away"]');
+    click(card.querySelector('.size-option[data-size="M"]'));
+    click(card.querySelector('.order-btn'));
+
+    assert.equal($('#cartCount').textContent, '1');
+    assert.equal($('#cartTotal').textContent, '$18.00');
+    assert.deepEqual(JSON.parse(localStorage.getItem('prsport-cart')).map(item => item.productId), ['real-madrid-away']);
+});
+
+test('checks the checkout before sending anything', () => {
+    click($('#checkoutBtn'));
+    submitCheckout();
+
+    assert.equal($('#orderFormError').hidden, false);
+    assert.equal($('#customerNameError').hidden, false);
+    assert.equal(fetch.calls.filter(call => call.method === 'POST').length, 0);
+});
+
+test('shows the fields send-order rejects', async () => {
+    sendOrderReply = () => ({ status: 400, json: { success: false, error: 'Please check your order', fields: { phone: 'This number is blocked' } } });
+
+    setValue('customerName', 'Sokha');
+    setValue('customerPhone', '012 345 678');
+    setValue('hasTelegram', true);
+    setValue('deliveryMethod', 'pickup');
+    submitCheckout();
+
+    await waitFor(() => $('#customerPhoneError').textContent === 'This number is blocked');
+    assert.equal($('#orderFormError').textContent, 'Please check your order');
+    assert.equal($('#cartCount').textContent, '1');
+});
+
+test('places the order and shows its confirmation', async () => {
+    sendOrderReply = request => ({
+        json: {
+            success: true,
+            order: {
+                id: 'PR-1001',
+                createdAt: '2025-03-15T07:05:09Z',
+                status: 'received',
+                items: request.body.items,
+                subtotal: 18,
+                discounts: [],
+                delivery: { method: 'pickup', area: '', fee: 0 },
+                total: 18,
+                payment: { method: 'cash', status: 'unpaid', canPayNow: false }
+            }
+        }
+    });
+
+    submitCheckout();
+    await waitFor(() => page.window.location.hash === '#/order/PR-1001');
+    await waitFor(() => $('#orderConfirmationContent .order-number'));
+
+    const sent = fetch.calls.filter(call => call.method === 'POST').pop().body;
+    assert.equal(sent.phone, '+85512345678');
+    assert.equal(sent.deliveryMethod, 'pickup');
+    assert.deepEqual(sent.items.map(item => [item.productId, item.size, item.quantity, item.price]), [['real-madrid-away', 'M', 1, 18]]);
+
+    assert.match($('#orderConfirmationContent .order-number').textContent, /PR-1001/);
+    assert.equal($('#orderConfirmation').hidden, false);
+    assert.equal($('#cartCount').textContent, '0');
+    assert.equal(JSON.parse(localStorage.getItem('prsport-orders'))[0].phone, '+85512345678');
+});
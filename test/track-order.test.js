@@ -0,0 +1,110 @@
+// The track-order function (netlify/functions/track-order.js): customers look up an order with its
+// id and the phone number it was placed with. An id alone (a screenshot, a shared chat) must not
+// tell anyone anything, and the answer never has the customer's address or notes.
+// Orders are kept in memory.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ORDER_STORE = 'memory';
+
+const { getOrderStore, normalizeOrderId } = require('../netlify/lib/order-store');
+const trackOrder = require('../netlify/functions/track-order').handler;
+
+before(async () => {
+    await getOrderStore().createOrder({
+        id: 'PR-7K3M9Q',
+        orderKey: '1741946400000-a1b2c3d4e5f6a7b8',
+        createdAt: '2025-03-14T10:00:00.000Z',
+        status: 'shipped',
+        statusHistory: [
+            { status: 'received', at: '2025-03-14T10:00:00.000Z' },
+            { status: 'shipped', at: '2025-03-15T09:00:00.000Z' }
+        ],
+        name: 'Sokha Chan',
+        phone: '+85512345678',
+        address: 'House 12, Street 271',
+        notes: 'Gate code 4321',
+        staffNotes: [{ text: 'Regular customer', at: '2025-03-14T11:00:00.000Z' }],
+        items: [{ productId: 'ball', product: 'Match Ball', size: 'One Size', price: 15, quantity: 2 }],
+        subtotal: 30,
+        discounts: [],
+        delivery: { method: 'phnom-penh', area: 'Tuol Kouk', fee: 0 },
+        total: 30
+    });
+});
+
+// Look an order up from a visitor IP, as the tracking page does
+async function lookUp(orderId, phone, ip = '203.0.113.1') {
+    const response = await trackOrder({
+        httpMethod: 'POST',
+        headers: { 'x-nf-client-connection-ip': ip },
+        body: JSON.stringify({ orderId: orderId, phone: phone })
+    });
+    return { ...response, body: JSON.parse(response.body) };
+}
+
+test('order ids are read the way customers type them', () => {
+    assert.equal(normalizeOrderId('PR-7K3M9Q'), 'PR-7K3M9Q');
+    assert.equal(normalizeOrderId('pr 7k3m9q'), 'PR-7K3M9Q');
+    assert.equal(normalizeOrderId(' 7k3m9q '), 'PR-7K3M9Q');
+    assert.equal(normalizeOrderId('#PR_7K3-M9Q'), 'PR-7K3M9Q');
+    assert.equal(normalizeOrderId('PR-7K3M9'), null);
+    assert.equal(normalizeOrderId('XX7K3M9Q'), null);
+    assert.equal(normalizeOrderId(undefined), null);
+});
+
+test('the right id and phone number show the order, however they are typed', async () => {
+    const response = await lookUp('pr 7k3m9q', '012 345 678');
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body.order.id, 'PR-7K3M9Q');
+    assert.equal(response.body.order.status, 'shipped');
+    assert.deepEqual(response.body.order.statusHistory.map(entry => entry.status), ['received', 'shipped']);
+    assert.deepEqual(response.body.order.items, [{ productId: 'ball', product: 'Match Ball', size: 'One Size', quantity: 2, price: 15, color: '', personalization: {} }]);
+    assert.equal((await lookUp('PR-7K3M9Q', '+855 12 345 678', '203.0.113.2')).statusCode, 200);
+});
+
+test('the answer has no name, phone number, address or notes', async () => {
+    const response = await lookUp('PR-7K3M9Q', '012345678', '203.0.113.3');
+    const text = JSON.stringify(response.body);
+
+    ['name', 'phone', 'address', 'notes', 'staffNotes', 'orderKey'].forEach(field => {
+        assert.equal(field in response.body.order, false, field);
+    });
+    ['Sokha', '12345678', 'Street 271', 'Gate code', 'Regular customer'].forEach(secret => {
+        assert.equal(text.includes(secret), false, secret);
+    });
+});
+
+test('a wrong phone number gets the same answer as an order that doesn\'t exist', async () => {
+    const wrongPhone = await lookUp('PR-7K3M9Q', '012 345 679', '203.0.113.4');
+    const unknownId = await lookUp('PR-2222AA', '012 345 678', '203.0.113.4');
+
+    assert.equal(wrongPhone.statusCode, 404);
+    assert.deepEqual(wrongPhone, unknownId);
+    assert.equal(wrongPhone.body.error, 'We could not find an order with that order number and phone number');
+});
+
+test('an id or phone number that can\'t be one is pointed out', async () => {
+    const response = await lookUp('7K3', 'call me', '203.0.113.5');
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(Object.keys(response.body.fields).sort(), ['orderId', 'phone']);
+
+    const notJson = await trackOrder({ httpMethod: 'POST', headers: {}, body: '{oops' });
+    assert.equal(notJson.statusCode, 400);
+    assert.equal((await trackOrder({ httpMethod: 'GET', headers: {} })).statusCode, 405);
+});
+
+test('one visitor can\'t guess ids: 20 lookups per IP in ten minutes', async () => {
+    const ip = '198.51.100.7';
+    for (let i = 0; i < 20; i++) {
+        assert.equal((await lookUp(`PR-${'23456789AB'[i % 10]}22222`, '012 345 678', ip)).statusCode, 404);
+    }
+
+    // Even the right id and phone number wait, and other visitors don't
+    const limited = await lookUp('PR-7K3M9Q', '012 345 678', ip);
+    assert.equal(limited.statusCode, 429);
+    assert.ok(Number(limited.headers['Retry-After']) > 0);
+    assert.equal((await lookUp('PR-7K3M9Q', '012 345 678', '198.51.100.8')).statusCode, 200);
+});
@@ -0,0 +1,143 @@
+// Wishlist and recently viewed products (js/store.js, js/app.js) and back-in-stock requests
+// (the "Notify me" form, netlify/lib/stock-alerts.js)
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupPage, loadModule, installFetch, waitFor, sampleCatalog } = require('./helpers');
+const stockAlerts = require('../netlify/lib/stock-alerts');
+const { normalizeTelegramContact } = require('../shared/phone');
+
+let page;
+let fetch;
+const notifyRequests = [];
+
+before(async () => {
+    page = setupPage({ storage: { 'prsport-wishlist': ['speed-cleats', 'gone-from-the-sheet'] } });
+    fetch = installFetch({
+        '/.netlify/functions/catalog': { json: sampleCatalog() },
+        'POST /.netlify/functions/notify-me': ({ body }) => {
+            notifyRequests.push(body);
+            return { json: { success: true, request: { id: 'r1', productId: body.productId, size: body.size } } };
+        }
+    });
+    await loadModule('app.js');
+    page.document.dispatchEvent(new page.window.Event('DOMContentLoaded'));
+    await waitFor(() => page.document.querySelectorAll('.product-card').length === 3);
+});
+
+const $ = selector => page.document.querySelector(selector);
+
+// Click an element, as the customer would
+function click(element) {
+    element.dispatchEvent(new page.window.MouseEvent('click', { bubbles: true }));
+}
+
+// Product ids shown in a strip
+function stripIds(listId) {
+    return [...page.document.querySelectorAll(`#${listId} .strip-item`)].map(item => item.dataset.productId);
+}
+
+test('the wishlist is read from storage, leaving out products no longer in the sheet', () => {
+    assert.equal($('#wishlistStrip').hidden, false);
+    assert.deepEqual(stripIds('wishlistList'), ['speed-cleats']);
+    assert.equal($('.product-card[data-product-id="speed-cleats"] .wishlist-btn').getAttribute('aria-pressed'), 'true');
+    assert.equal($('#recentStrip').hidden, true);
+});
+
+test('a heart on a card saves the product, and again takes it off', () => {
+    const heart = $('.product-card[data-product-id="barcelona-home"] .wishlist-btn');
+    assert.equal(heart.getAttribute('aria-label'), 'Save Barcelona Home Jersey to your wishlist');
+
+    click(heart);
+    assert.equal(heart.getAttribute('aria-pressed'), 'true');
+    assert.deepEqual(stripIds('wishlistList'), ['barcelona-home', 'speed-cleats']);
+    assert.deepEqual(JSON.parse(localStorage.getItem('prsport-wishlist')), ['barcelona-home', 'speed-cleats', 'gone-from-the-sheet']);
+
+    click(heart);
+    assert.equal(heart.getAttribute('aria-pressed'), 'false');
+    assert.deepEqual(stripIds('wishlistList'), ['speed-cleats']);
+});
+
+test('a heart in the wishlist strip leaves the product there until the next render', () => {
+    click($('#wishlistList .wishlist-btn'));
+
+    assert.deepEqual(stripIds('wishlistList'), ['speed-cleats']);
+    assert.equal($('.product-card[data-product-id="speed-cleats"] .wishlist-btn').getAttribute('aria-pressed'), 'false');
+    assert.deepEqual(JSON.parse(localStorage.getItem('prsport-wishlist')), ['gone-from-the-sheet']);
+});
+
+test('product pages are remembered as recently viewed, last one first', async () => {
+    for (const id of ['speed-cleats', 'barcelona-home']) {
+        page.window.location.hash = `#/product/${id}`;
+        await waitFor(() => $(`#productDetailContent .product-detail[data-product-id="${id}"]`));
+    }
+    page.window.location.hash = '#/';
+    await waitFor(() => !$('#products').hidden);
+
+    assert.deepEqual(JSON.parse(localStorage.getItem('prsport-recently-viewed')), ['barcelona-home', 'speed-cleats']);
+    assert.equal($('#recentStrip').hidden, false);
+    assert.deepEqual(stripIds('recentList'), ['barcelona-home', 'speed-cleats']);
+    assert.equal($('#wishlistStrip').hidden, true);
+});
+
+test('sold-out sizes can be asked for on the product page', async () => {
+    assert.ok($('.product-card[data-product-id="barcelona-home"] .notify-link'));
+    assert.equal($('.product-card[data-product-id="real-madrid-away"] .notify-link'), null);
+
+    page.window.location.hash = '#/product/barcelona-home';
+    const form = await waitFor(() => $('#productDetailContent .notify-form'));
+    const submit = () => form.dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+
+    assert.deepEqual([...form.querySelectorAll('.notify-size option')].map(option => option.value), ['M']);
+
+    form.querySelector('.notify-contact').value = 'sokha';
+    submit();
+    assert.match($('#notifyContactError').textContent, /Cambodian phone number/);
+    assert.equal(form.querySelector('.notify-contact').getAttribute('aria-invalid'), 'true');
+    assert.equal(notifyRequests.length, 0);
+
+    form.querySelector('.notify-contact').value = 't.me/sokha_88';
+    submit();
+    await waitFor(() => form.querySelector('.notify-status').textContent);
+
+    assert.deepEqual(notifyRequests, [{ productId: 'barcelona-home', size: 'M', contact: '@sokha_88' }]);
+    assert.match(form.querySelector('.notify-status').textContent, /when size M is back/);
+    assert.equal($('#notifyContactError').hidden, true);
+    assert.equal(fetch.calls.at(-1).url, '/.netlify/functions/notify-me');
+});
+
+test('Telegram contacts are a Cambodian phone number or a username', () => {
+    assert.equal(normalizeTelegramContact('012 345 678'), '+85512345678');
+    assert.equal(normalizeTelegramContact('@Sokha_88'), '@Sokha_88');
+    assert.equal(normalizeTelegramContact('https://t.me/sokha_88'), '@sokha_88');
+    assert.equal(normalizeTelegramContact('@abc'), null);
+    assert.equal(normalizeTelegramContact('sokha_88'), null);
+});
+
+test('asking twice keeps one pending request, and staff see the size once it is back', async () => {
+    const store = stockAlerts.createMemoryStore();
+    const { request } = stockAlerts.parseStockAlert({ productId: 'barcelona-home', size: 'M', contact: '012 345 678' });
+
+    const first = await store.addRequest(stockAlerts.createStockAlert(request, new Date('2025-03-14T10:00:00Z')));
+    const second = await store.addRequest(stockAlerts.createStockAlert(request));
+    assert.equal(second.id, first.id);
+    assert.equal((await store.listRequests()).length, 1);
+
+    const restocked = sampleCatalog().products.map(product => product.id === 'barcelona-home'
+        ? { ...product, availableSizes: [{ size: 'M', quantity: 3 }] }
+        : product);
+    const [listed] = stockAlerts.addStockDetails(await store.listRequests(), restocked);
+    assert.equal(listed.productName, 'Barcelona Home Jersey');
+    assert.equal(listed.stock, 3);
+    assert.equal(listed.backInStock, true);
+    assert.equal(listed.telegramLink, 'https://t.me/+85512345678');
+    assert.equal(stockAlerts.addStockDetails([listed], null)[0].inCatalog, null);
+
+    await store.updateRequest(first.id, { status: 'notified' });
+    const third = await store.addRequest(stockAlerts.createStockAlert(request));
+    assert.notEqual(third.id, first.id);
+
+    assert.deepEqual(stockAlerts.parseStockAlert({ productId: 'barcelona-home', contact: 'sokha' }).fields, {
+        size: 'Please pick a size',
+        contact: 'Please enter a Cambodian phone number (e.g. 012 345 678) or a Telegram @username'
+    });
+});